@@ -0,0 +1,197 @@
+/**
+ * announcer.js
+ * Compares a fresh fetchLeague() result with the cached one and posts an
+ * embed to the guild's notify channel for each round transition it finds.
+ * New rounds and opened voting also list the round's songs that were
+ * submitted in an earlier round.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { formatDeadline } = require('./datetime');
+
+const MAX_REPEATS = 10;
+
+// Announcement types and whether they're on when a guild hasn't chosen.
+// Their names are replies.announce.types.<type> in the message catalogs.
+const ANNOUNCEMENT_TYPES = {
+  newRound: { default: true },
+  phaseChange: { default: true },
+  deadlineChange: { default: true },
+};
+
+// ─── Diffing ──────────────────────────────────────────────────────────────────
+
+function sameDeadline(a, b) {
+  if (a === b) return true;
+  const da = new Date(a), db = new Date(b);
+  return !isNaN(da) && !isNaN(db) && da.getTime() === db.getTime();
+}
+
+/**
+ * Return the list of transitions between two league snapshots.
+ * Nothing is reported when either side has no usable round data, when the
+ * snapshots belong to different leagues, or when rounds reappear after an
+ * empty snapshot.
+ */
+function diffLeague(previous, next) {
+  const events = [];
+  if (!Array.isArray(previous?.rounds) || !Array.isArray(next?.rounds)) return events;
+  if (previous.leagueId && next.leagueId && previous.leagueId !== next.leagueId) return events;
+  if (next.roundsError) return events;
+  // Several rounds appearing at once means the last poll came back empty,
+  // not that they were all just created — don't announce each of them
+  if (!previous.rounds.length && next.rounds.length > 1) return events;
+
+  const oldRounds = new Map(previous.rounds.filter(r => r.roundId).map(r => [r.roundId, r]));
+
+  for (const round of next.rounds) {
+    if (!round.roundId) continue;
+    const old = oldRounds.get(round.roundId);
+
+    if (!old) {
+      events.push({ type: 'newRound', round });
+      continue;
+    }
+
+    if (round.status && old.status && round.status !== old.status) {
+      events.push({ type: 'phaseChange', round, from: old.status, to: round.status });
+    }
+
+    for (const field of ['submissionDeadline', 'votingDeadline']) {
+      if (round[field] && old[field] && !sameDeadline(round[field], old[field])) {
+        events.push({ type: 'deadlineChange', round, field, from: old[field], to: round[field] });
+      }
+    }
+  }
+
+  return events;
+}
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+function baseEmbed(round, leagueData, t) {
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4)
+    .setURL(round.url || leagueData.url || null)
+    .setFooter({ text: t('announce.footer', { league: leagueData.name || 'Music League' }) })
+    .setTimestamp();
+  if (round.theme) embed.setDescription(`🎨 ${round.theme}`);
+  return embed;
+}
+
+function truncate(str, max) {
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+/**
+ * The "submitted before" field, or null when no song of the round repeats.
+ */
+function repeatsField(repeats, t) {
+  if (!repeats?.length) return null;
+  const lines = repeats.slice(0, MAX_REPEATS).map(({ submission: s, before }) => {
+    const round = before.round.name || t('common.roundNumber', { number: before.round.number });
+    return `🎵 **${s.title || t('common.unknownTrack')}**${s.artist ? ` — ${s.artist}` : ''}: ${before.submitter ? `${before.submitter}, ` : ''}${round} (${before.season.name})`;
+  });
+  if (repeats.length > MAX_REPEATS) lines.push(t('common.more', { count: repeats.length - MAX_REPEATS }));
+  return { name: t('announce.repeats', { count: repeats.length }), value: truncate(lines.join('\n'), 1024), inline: false };
+}
+
+function isVotingOpened(event) {
+  return event.type === 'phaseChange' && /voting/i.test(event.to);
+}
+
+function buildNewRoundEmbed({ round, repeats }, leagueData, t) {
+  const embed = baseEmbed(round, leagueData, t)
+    .setTitle(t('announce.newRound', { round: round.name || t('announce.untitled') }));
+
+  if (round.status) embed.addFields({ name: t('announce.status'), value: round.status, inline: false });
+  if (round.submissionDeadline) {
+    embed.addFields({ name: t('leagueEmbed.submissionDeadline'), value: formatDeadline(round.submissionDeadline), inline: false });
+  }
+  if (round.votingDeadline) {
+    embed.addFields({ name: t('leagueEmbed.votingDeadline'), value: formatDeadline(round.votingDeadline), inline: false });
+  }
+  embed.addFields(repeatsField(repeats, t)
+    || { name: t('announce.pickedBefore'), value: t('announce.pickedBeforeHint'), inline: false });
+  return embed;
+}
+
+function buildPhaseChangeEmbed({ round, from, to, repeats }, leagueData, t) {
+  const name = round.name || t('announce.theRound');
+  let title = `🔄 ${round.name || t('announce.round')} — ${to}`;
+  if (/voting/i.test(to)) title = t('announce.votingOpen', { round: name });
+  else if (/complet/i.test(to)) title = t('announce.results', { round: name });
+  else if (/submission/i.test(to)) title = t('announce.submissionsOpen', { round: name });
+
+  const embed = baseEmbed(round, leagueData, t)
+    .setTitle(title)
+    .addFields({ name: t('announce.status'), value: `${from} → **${to}**`, inline: false });
+
+  if (/voting/i.test(to) && round.votingDeadline) {
+    embed.addFields({ name: t('leagueEmbed.votingDeadline'), value: formatDeadline(round.votingDeadline), inline: false });
+  }
+  const repeated = repeatsField(repeats, t);
+  if (repeated) embed.addFields(repeated);
+
+  // Fresh standings are most interesting right after results land
+  if (/complet/i.test(to) && leagueData.standings?.length) {
+    const medals = ['🥇', '🥈', '🥉'];
+    const top = leagueData.standings.slice(0, 3)
+      .map((s, i) => `${medals[i]} **${s.name}**${s.points != null ? ` — ${t('common.points', { points: s.points })}` : ''}`)
+      .join('\n');
+    embed.addFields({ name: t('leagueEmbed.topThree'), value: top, inline: false });
+  }
+  return embed;
+}
+
+function buildDeadlineChangeEmbed({ round, field, from, to }, leagueData, t) {
+  const label = t(`reminder.labels.${field === 'votingDeadline' ? 'voting' : 'submission'}`);
+  const later = new Date(to) > new Date(from);
+
+  return baseEmbed(round, leagueData, t)
+    .setTitle(t(later ? 'announce.extended' : 'announce.movedEarlier', { label, round: round.name || t('announce.round') }))
+    .addFields(
+      { name: t('announce.was'), value: formatDeadline(from), inline: false },
+      { name: t('announce.now'), value: formatDeadline(to), inline: false },
+    );
+}
+
+const EMBED_BUILDERS = {
+  newRound: buildNewRoundEmbed,
+  phaseChange: buildPhaseChangeEmbed,
+  deadlineChange: buildDeadlineChangeEmbed,
+};
+
+// ─── Posting ──────────────────────────────────────────────────────────────────
+
+function isEnabled(config, type) {
+  return config?.announcements?.[type] ?? ANNOUNCEMENT_TYPES[type].default;
+}
+
+/**
+ * Post an embed for every enabled transition between the two snapshots,
+ * in the league's own channel or the guild's default one, written with
+ * `t` (the guild's translator). `findRepeats`, if given, looks up a
+ * round's songs that were submitted before, as archive.listRepeats gives
+ * them.
+ */
+async function announceChanges(config, league, previous, next, client, t, findRepeats) {
+  const channelId = league?.notifyChannelId || config?.notifyChannelId;
+  if (!channelId) return;
+  const events = diffLeague(previous, next).filter(e => isEnabled(config, e.type));
+  if (!events.length) return;
+
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel) return;
+    const leagueData = { ...next, url: league.leagueUrl };
+    for (const event of events) {
+      if (findRepeats && (event.type === 'newRound' || isVotingOpened(event))) event.repeats = await findRepeats(event.round);
+      await channel.send({ embeds: [EMBED_BUILDERS[event.type](event, leagueData, t)] });
+    }
+  } catch (err) {
+    console.error(`Failed to post league announcements to ${channelId}:`, err.message);
+  }
+}
+
+module.exports = { ANNOUNCEMENT_TYPES, diffLeague, announceChanges, isEnabled };
@@ -0,0 +1,319 @@
+/**
+ * archive.js
+ * Per-guild archive of every season (league) the server has tracked: its
+ * rounds, the submissions of finished rounds and its latest standings.
+ * Unlike the league cache it is never overwritten by a fetch, and it stays
+ * when a league is removed or its URL changed. Backs /history, the
+ * "submitted before" flags on /round and `/stats all_seasons`.
+ *
+ * Stored on the guild config as `archive: { seasonId: season }`, where the
+ * season ID is the Music League league ID (or "key:<league key>" without one).
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const storage = require('./storage');
+const i18n = require('./i18n');
+
+const MAX_RESULTS = 15;
+
+// Waits before a finished round whose page couldn't be archived is fetched
+// again; after the last one it is given up on
+const RETRY_HOURS = [1, 6, 24];
+
+// Search fields for /history, and what each looks at
+const SEARCH_FIELDS = {
+  any: 'Anything',
+  artist: 'Artist',
+  track: 'Track title or link',
+  submitter: 'Submitter',
+  theme: 'Round name or theme',
+};
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+function seasonId(leagueKey, data) {
+  return data?.leagueId || `key:${leagueKey}`;
+}
+
+function getSeason(guildId, leagueKey) {
+  const data = storage.getLeague(guildId, leagueKey)?.leagueCache;
+  return getArchive(guildId)[seasonId(leagueKey, data)];
+}
+
+function getArchive(guildId) {
+  return storage.getGuildConfig(guildId)?.archive || {};
+}
+
+function findRound(archive, guildId, leagueKey, roundId) {
+  const data = storage.getLeague(guildId, leagueKey)?.leagueCache;
+  return archive[seasonId(leagueKey, data)]?.rounds.find(r => r.roundId === roundId);
+}
+
+function isComplete(round) {
+  return /complet/i.test(round?.status || '');
+}
+
+/**
+ * Update a season from freshly fetched (or imported) league data: its name,
+ * round list and standings. Submissions are added by recordRound.
+ */
+function recordLeague(guildId, leagueKey, data) {
+  const archive = getArchive(guildId);
+  const id = seasonId(leagueKey, data);
+  const season = archive[id] || { id, firstSeen: new Date().toISOString(), rounds: [] };
+
+  season.leagueKey = leagueKey;
+  season.name = data.name || season.name || leagueKey;
+  season.leagueUrl = storage.getLeague(guildId, leagueKey)?.leagueUrl || season.leagueUrl;
+  if (data.totalRounds) season.totalRounds = data.totalRounds;
+
+  if (Array.isArray(data.rounds)) {
+    data.rounds.filter(r => r.roundId).forEach((r, i) => {
+      const existing = season.rounds.find(a => a.roundId === r.roundId);
+      const round = {
+        roundId: r.roundId,
+        number: i + 1,
+        name: r.name || existing?.name,
+        theme: r.theme || existing?.theme,
+        status: r.status || existing?.status,
+      };
+      if (existing) Object.assign(existing, round);
+      else season.rounds.push(round);
+    });
+  }
+  if (data.standings?.length) {
+    season.standings = data.standings.map((s, i) => ({ name: s.name, points: s.points ?? null, rank: s.rank ?? i + 1 }));
+  }
+
+  const rounds = season.rounds;
+  season.finished = rounds.length > 0 && rounds.every(isComplete) && (!season.totalRounds || rounds.length >= season.totalRounds);
+  season.updatedAt = new Date().toISOString();
+
+  storage.setGuildConfig(guildId, { archive: { ...archive, [id]: season } });
+  return season;
+}
+
+/**
+ * Store the submissions of a round whose results are out, in the season of
+ * the league's cached data. Open rounds are skipped — submitters are hidden
+ * and points still moving.
+ */
+function recordRound(guildId, leagueKey, detail) {
+  if (!detail?.revealed || !detail.submissions?.length) return false;
+  const archive = getArchive(guildId);
+  const round = findRound(archive, guildId, leagueKey, detail.roundId);
+  if (!round) return false;
+
+  round.submissions = detail.submissions.map(s => ({
+    trackId: s.trackId || null,
+    trackUrl: s.trackUrl || null,
+    title: s.title || null,
+    artist: s.artist || null,
+    submitter: s.submitter || null,
+    points: s.points ?? null,
+  }));
+  round.archivedAt = new Date().toISOString();
+  delete round.archiveAttempts;
+  delete round.archiveRetryAt;
+  storage.setGuildConfig(guildId, { archive });
+  return true;
+}
+
+/**
+ * Note that a finished round couldn't be archived — its page didn't show
+ * results, or couldn't be fetched — so it is tried again after a wait, and
+ * given up on after a few tries.
+ */
+function recordFailedAttempt(guildId, leagueKey, roundId) {
+  const archive = getArchive(guildId);
+  const round = findRound(archive, guildId, leagueKey, roundId);
+  if (!round) return;
+  const attempts = (round.archiveAttempts || 0) + 1;
+  const hours = RETRY_HOURS[attempts - 1];
+  round.archiveAttempts = attempts;
+  round.archiveRetryAt = hours ? new Date(Date.now() + hours * 3600000).toISOString() : null;
+  storage.setGuildConfig(guildId, { archive });
+}
+
+/**
+ * Finished rounds of a season that have no submissions archived yet and
+ * are due a try: never tried, or their retry wait is over.
+ */
+function missingRounds(guildId, leagueKey, now = Date.now()) {
+  return (getSeason(guildId, leagueKey)?.rounds || []).filter(r => isComplete(r) && !r.submissions
+    && (!r.archiveAttempts || (r.archiveRetryAt && new Date(r.archiveRetryAt) <= now)));
+}
+
+// ─── Searching ────────────────────────────────────────────────────────────────
+
+/**
+ * Every archived submission with its round and season, oldest season first.
+ */
+function allSubmissions(guildId) {
+  const entries = [];
+  const seasons = Object.values(getArchive(guildId)).sort((a, b) => (a.firstSeen || '').localeCompare(b.firstSeen || ''));
+  for (const season of seasons) {
+    for (const round of season.rounds) {
+      for (const s of round.submissions || []) entries.push({ ...s, round, season });
+    }
+  }
+  return entries;
+}
+
+function normalize(str) {
+  return (str || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * The Spotify track ID in a link or URI, if the query is one.
+ */
+function trackIdFrom(query) {
+  const match = query.match(/(?:open\.spotify\.com\/(?:intl-[a-z]+\/)?track\/|spotify:track:)([A-Za-z0-9]{22})/);
+  return match ? match[1] : null;
+}
+
+function search(guildId, query, field = 'any') {
+  const trackId = trackIdFrom(query);
+  const q = normalize(query);
+  const has = value => normalize(value).includes(q);
+
+  return allSubmissions(guildId).filter(s => {
+    if (trackId) return s.trackId === trackId;
+    if (field === 'artist') return has(s.artist);
+    if (field === 'track') return has(s.title);
+    if (field === 'submitter') return has(s.submitter);
+    if (field === 'theme') return has(s.round.name) || has(s.round.theme);
+    return has(s.artist) || has(s.title) || has(s.submitter) || has(s.round.name) || has(s.round.theme);
+  });
+}
+
+function trackKey(s) {
+  return s.trackId || `${normalize(s.title)}|${normalize(s.artist)}`;
+}
+
+/**
+ * Earlier archived submissions of the tracks in a round, keyed by track
+ * (see trackKey), for the "submitted before" flags.
+ */
+function findRepeats(guildId, detail) {
+  const wanted = new Set((detail.submissions || []).filter(s => s.trackId || s.title).map(trackKey));
+  const repeats = new Map();
+  for (const s of allSubmissions(guildId)) {
+    if (s.round.roundId === detail.roundId) continue;
+    const key = trackKey(s);
+    if (wanted.has(key) && !repeats.has(key)) repeats.set(key, s);
+  }
+  return repeats;
+}
+
+/**
+ * The tracks of a round that were submitted in an earlier archived round,
+ * as [{ submission, before }], in the round's order.
+ */
+function listRepeats(guildId, detail) {
+  const repeats = findRepeats(guildId, detail);
+  return (detail.submissions || [])
+    .filter(s => repeats.has(trackKey(s)))
+    .map(s => ({ submission: s, before: repeats.get(trackKey(s)) }));
+}
+
+/**
+ * Archived seasons that aren't a tracked league's current season — finished
+ * ones, and those of removed leagues — as { name, rounds: [{ number,
+ * detail }] } for stats.computeStats. Votes aren't archived, so their rounds
+ * are marked `withoutVotes`.
+ */
+function pastSeasons(guildId) {
+  const current = new Set(Object.keys(storage.getLeagues(guildId))
+    .map(key => seasonId(key, storage.getLeague(guildId, key)?.leagueCache)));
+  return Object.values(getArchive(guildId))
+    .filter(season => !current.has(season.id))
+    .sort((a, b) => (a.firstSeen || '').localeCompare(b.firstSeen || ''))
+    .map(season => ({
+      name: season.name || season.leagueKey,
+      rounds: season.rounds.filter(r => r.submissions?.length).map(r => ({
+        number: r.number,
+        detail: { roundId: r.roundId, name: r.name, revealed: true, withoutVotes: true, submissions: r.submissions },
+      })),
+    }))
+    .filter(season => season.rounds.length);
+}
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+function formatSubmission(s, t) {
+  const name = s.title || t('common.unknownTrack');
+  const title = s.trackUrl ? `[${name}](${s.trackUrl})` : name;
+  const meta = [];
+  if (s.submitter) meta.push(`👤 ${s.submitter}`);
+  if (s.points != null) meta.push(`⭐ ${t('common.points', { points: s.points })}`);
+  meta.push(`📋 ${s.round.name || t('common.roundNumber', { number: s.round.number })} (${s.season.name})`);
+  return `🎵 **${title}**${s.artist ? ` — ${s.artist}` : ''}\n${meta.join(' • ')}`;
+}
+
+function buildSearchEmbed(query, field, results, t) {
+  const trackLink = !!trackIdFrom(query);
+  const footer = field !== 'any' && !trackLink
+    ? t('history.footerField', { count: results.length, field: t(`history.fields.${field}`) })
+    : t('history.footer', { count: results.length });
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4)
+    .setTitle(t('history.title', { query: query.length > 60 ? `${query.slice(0, 59)}…` : query }))
+    .setFooter({ text: footer });
+
+  if (!results.length) {
+    return embed.setDescription(t(trackLink ? 'history.neverSubmitted' : 'history.noMatches'));
+  }
+
+  const lines = results.slice(0, MAX_RESULTS).map(s => formatSubmission(s, t));
+  if (results.length > MAX_RESULTS) lines.push(t('history.more', { count: results.length - MAX_RESULTS }));
+  let description = lines.join('\n\n');
+  if (trackLink) description = `${t('history.submittedBefore', { count: results.length })}\n\n${description}`;
+  return embed.setDescription(description.length > 4096 ? `${description.slice(0, 4095)}…` : description);
+}
+
+/**
+ * Every archived season with its winner (or current leader) and how much
+ * of it is archived.
+ */
+function buildSeasonsEmbed(guildId) {
+  const t = i18n.forGuild(guildId);
+  const seasons = Object.values(getArchive(guildId)).sort((a, b) => (b.firstSeen || '').localeCompare(a.firstSeen || ''));
+  const embed = new EmbedBuilder()
+    .setColor(0xFEE75C)
+    .setTitle(t('history.seasonsTitle'))
+    .setFooter({ text: t('history.seasonsFooter', { count: seasons.length }) });
+
+  if (!seasons.length) {
+    return embed.setDescription(t('history.seasonsEmpty'));
+  }
+
+  for (const season of seasons.slice(0, 25)) {
+    const leader = season.standings?.[0];
+    const archived = season.rounds.filter(r => r.submissions).length;
+    const lines = [];
+    if (leader) {
+      const points = leader.points != null ? ` — ${t('common.points', { points: leader.points })}` : '';
+      lines.push(`${t(season.finished ? 'history.winner' : 'history.leading', { name: leader.name })}${points}`);
+    }
+    const state = t(season.finished ? 'history.finished' : 'history.inProgress');
+    lines.push(`${state} • ${t('history.rounds', { count: season.rounds.length, archived })}`);
+    embed.addFields({ name: season.name || season.leagueKey, value: lines.join('\n'), inline: false });
+  }
+  return embed;
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  recordLeague,
+  recordRound,
+  recordFailedAttempt,
+  missingRounds,
+  search,
+  trackKey,
+  findRepeats,
+  listRepeats,
+  pastSeasons,
+  buildSearchEmbed,
+  buildSeasonsEmbed,
+};
@@ -0,0 +1,51 @@
+/**
+ * audit.js
+ * Per-guild log of config changes and reminder cancellations — who did
+ * what, and when — and the /auditlog embed.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const storage = require('./storage');
+const i18n = require('./i18n');
+
+const MAX_ENTRIES = 500;
+const PAGE_SIZE = 10;
+
+/**
+ * Append an entry for the user behind an interaction. Oldest entries are
+ * dropped once the log is full.
+ */
+function record(interaction, action) {
+  const config = storage.getGuildConfig(interaction.guildId);
+  const auditLog = [...(config?.auditLog || []), {
+    at: new Date().toISOString(),
+    userId: interaction.user.id,
+    userTag: interaction.user.tag,
+    command: interaction.commandName || interaction.customId?.split(':')[0],
+    action,
+  }].slice(-MAX_ENTRIES);
+  storage.setGuildConfig(interaction.guildId, { auditLog });
+}
+
+function buildAuditEmbed(guildId, page) {
+  const t = i18n.forGuild(guildId);
+  // Newest first
+  const entries = [...(storage.getGuildConfig(guildId)?.auditLog || [])].reverse();
+  const totalPages = Math.max(1, Math.ceil(entries.length / PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), totalPages - 1);
+
+  const lines = entries.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map(e => {
+    const ts = Math.floor(new Date(e.at).getTime() / 1000);
+    return `<t:${ts}:f> • <@${e.userId}> \`/${e.command}\`\n${e.action}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t('audit.title'))
+    .setDescription(lines.join('\n\n') || t('audit.empty'))
+    .setFooter({ text: t('audit.footer', { page: page + 1, pages: totalPages, count: entries.length }) });
+
+  return { embed, page, totalPages };
+}
+
+module.exports = { record, buildAuditEmbed };
@@ -1,10 +1,29 @@
 require('dotenv').config();
-const { Client, GatewayIntentBits, SlashCommandBuilder, REST, Routes, EmbedBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, SlashCommandBuilder, REST, Routes, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, PermissionFlagsBits, AttachmentBuilder } = require('discord.js');
 const fs = require('fs');
 const path = require('path');
 const scraper = require('./scraper');
 const storage = require('./storage');
 const scheduler = require('./scheduler');
+const jobqueue = require('./jobqueue');
+const poller = require('./poller');
+const announcer = require('./announcer');
+const standings = require('./standings');
+const datetime = require('./datetime');
+const mentions = require('./mentions');
+const members = require('./members');
+const permissions = require('./permissions');
+const audit = require('./audit');
+const importer = require('./importer');
+const exporter = require('./exporter');
+const stats = require('./stats');
+const archive = require('./archive');
+const statusboard = require('./statusboard');
+const calendar = require('./calendar');
+const metrics = require('./metrics');
+const httpserver = require('./httpserver');
+const i18n = require('./i18n');
+const { buildLeagueEmbed } = statusboard;
 
 const client = new Client({
   intents: [
@@ -15,18 +34,149 @@ const client = new Client({
 
 // ─── Slash Command Definitions ────────────────────────────────────────────────
 
+// Shared by every command that works on one of the server's leagues
+const leagueOption = opt =>
+  opt.setName('league')
+    .setDescription('Which league (default: the server\'s default league)')
+    .setAutocomplete(true)
+    .setRequired(false);
+
+// Reminder picker, filled from the server's reminders
+const reminderIdOption = opt =>
+  opt.setName('id')
+    .setDescription('The reminder ID (from /reminders)')
+    .setAutocomplete(true)
+    .setRequired(true);
+
+// Music League member picker, filled from the league's cached member list
+const memberOption = opt =>
+  opt.setName('member')
+    .setDescription('Your name in the Music League')
+    .setAutocomplete(true)
+    .setRequired(true);
+
 const commands = [
   new SlashCommandBuilder()
     .setName('setleague')
-    .setDescription('Set the Music League URL for this server')
+    .setDescription('Add a Music League to this server, or change a league\'s URL')
     .addStringOption(opt =>
       opt.setName('url')
         .setDescription('The Music League URL (e.g. https://app.musicleague.com/l/xxxx/)')
+        .setRequired(true))
+    .addStringOption(opt =>
+      opt.setName('name')
+        .setDescription('Short name for this league, e.g. "main" or "speedy" (default: main)')
+        .setMaxLength(32)
+        .setRequired(false))
+    .addBooleanOption(opt =>
+      opt.setName('default')
+        .setDescription('Use this league when a command doesn\'t name one')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('leagues')
+    .setDescription('List the Music Leagues tracked in this server'),
+
+  new SlashCommandBuilder()
+    .setName('removeleague')
+    .setDescription('Stop tracking one of this server\'s leagues')
+    .addStringOption(opt =>
+      opt.setName('league')
+        .setDescription('The league to remove')
+        .setAutocomplete(true)
         .setRequired(true)),
 
   new SlashCommandBuilder()
     .setName('league')
-    .setDescription('Show the current Music League info and active round'),
+    .setDescription('Show the current Music League info and active round')
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('round')
+    .setDescription('Show the submissions, points and comments for a round')
+    .addIntegerOption(opt =>
+      opt.setName('number')
+        .setDescription('Round number as listed on the league page (default: active or latest round)')
+        .setMinValue(1)
+        .setRequired(false))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('export')
+    .setDescription('Download a round\'s submissions, or the whole season, as a playlist file')
+    .addStringOption(opt =>
+      opt.setName('format')
+        .setDescription('File format')
+        .setRequired(true)
+        .addChoices(
+          ...Object.entries(exporter.EXPORT_FORMATS).map(([value, name]) => ({ name, value })),
+        ))
+    .addIntegerOption(opt =>
+      opt.setName('round')
+        .setDescription('Round number as listed on the league page (default: active or latest round)')
+        .setMinValue(1)
+        .setRequired(false))
+    .addBooleanOption(opt =>
+      opt.setName('season')
+        .setDescription('Export every round in one file')
+        .setRequired(false))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('calendar')
+    .setDescription('Get the league deadlines as a calendar file, or a link to subscribe to')
+    .addBooleanOption(opt =>
+      opt.setName('feed')
+        .setDescription('Get a private link your calendar app can subscribe to instead of a file')
+        .setRequired(false))
+    .addBooleanOption(opt =>
+      opt.setName('reset_feed')
+        .setDescription('Managers only: replace the feed link, so links shared before stop working')
+        .setRequired(false))
+    .addStringOption(opt =>
+      opt.setName('league')
+        .setDescription('Only this league (default: every league in the server)')
+        .setAutocomplete(true)
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('stats')
+    .setDescription('League analytics: average points, finishes, fans and rivals, top artists, voting habits')
+    .addStringOption(opt =>
+      opt.setName('player')
+        .setDescription('Show this player\'s profile instead')
+        .setAutocomplete(true)
+        .setRequired(false))
+    .addBooleanOption(opt =>
+      opt.setName('all_seasons')
+        .setDescription('Combine every league and archived season of this server')
+        .setRequired(false))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('Search past submissions across every league, or list past winners')
+    .addStringOption(opt =>
+      opt.setName('search')
+        .setDescription('Artist, track, submitter or theme — or a Spotify link to check if it was submitted before')
+        .setRequired(false))
+    .addStringOption(opt =>
+      opt.setName('field')
+        .setDescription('Only search this field (default: anything)')
+        .setRequired(false)
+        .addChoices(
+          ...Object.entries(archive.SEARCH_FIELDS).map(([value, name]) => ({ name, value })),
+        )),
+
+  new SlashCommandBuilder()
+    .setName('standings')
+    .setDescription('Show the full league standings, or one player\'s season')
+    .addStringOption(opt =>
+      opt.setName('player')
+        .setDescription('Show this player\'s rank and points across the season')
+        .setAutocomplete(true)
+        .setRequired(false))
+    .addStringOption(leagueOption),
 
   new SlashCommandBuilder()
     .setName('remind')
@@ -42,12 +192,22 @@ const commands = [
         ))
     .addStringOption(opt =>
       opt.setName('datetime')
-        .setDescription('When is the deadline? (e.g. "2024-12-25 18:00" in your local time or ISO format)')
+        .setDescription('When is the deadline? (e.g. "2024-12-25 18:00", "friday 6pm", "in 3 days")')
         .setRequired(true))
-    .addIntegerOption(opt =>
+    .addStringOption(opt =>
       opt.setName('remind_before')
-        .setDescription('How many minutes before the deadline to send the reminder (default: 60)')
-        .setRequired(false)),
+        .setDescription('Minutes before the deadline, or a list like "1440,60,10" (default: the server ladder, or 60)')
+        .setRequired(false))
+    .addStringOption(leagueOption)
+    .addStringOption(opt =>
+      opt.setName('mention')
+        .setDescription('Who to ping when it fires (default: the server setting from /setmention)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Subscribers (the Music League role)', value: 'subscribers' },
+          { name: '@everyone', value: 'everyone' },
+          { name: 'Nobody', value: 'none' },
+        )),
 
   new SlashCommandBuilder()
     .setName('reminders')
@@ -56,9 +216,47 @@ const commands = [
   new SlashCommandBuilder()
     .setName('cancelreminder')
     .setDescription('Cancel a reminder by its ID')
+    .addStringOption(reminderIdOption),
+
+  new SlashCommandBuilder()
+    .setName('editreminder')
+    .setDescription('Change a reminder\'s deadline, lead times, channel or type, keeping its ID')
+    .addStringOption(reminderIdOption)
     .addStringOption(opt =>
-      opt.setName('id')
-        .setDescription('The reminder ID (from /reminders)')
+      opt.setName('datetime')
+        .setDescription('New deadline (e.g. "2024-12-25 18:00", "friday 6pm", "in 3 days")')
+        .setRequired(false))
+    .addStringOption(opt =>
+      opt.setName('remind_before')
+        .setDescription('New lead times: minutes, or a list like "1440,60,10"')
+        .setRequired(false))
+    .addChannelOption(opt =>
+      opt.setName('channel')
+        .setDescription('New channel to post the reminder in')
+        .setRequired(false))
+    .addStringOption(opt =>
+      opt.setName('type')
+        .setDescription('New reminder type')
+        .setRequired(false)
+        .addChoices(
+          { name: 'Submission deadline', value: 'submission' },
+          { name: 'Voting deadline', value: 'voting' },
+          { name: 'Both', value: 'both' },
+        )),
+
+  new SlashCommandBuilder()
+    .setName('retryreminder')
+    .setDescription('Send a reminder that failed to send again')
+    .addStringOption(reminderIdOption),
+
+  new SlashCommandBuilder()
+    .setName('snooze')
+    .setDescription('Push a reminder\'s next ping back')
+    .addStringOption(reminderIdOption)
+    .addIntegerOption(opt =>
+      opt.setName('minutes')
+        .setDescription('How many minutes later it should fire')
+        .setMinValue(1)
         .setRequired(true)),
 
   new SlashCommandBuilder()
@@ -67,16 +265,195 @@ const commands = [
     .addChannelOption(opt =>
       opt.setName('channel')
         .setDescription('The channel to use')
+        .setRequired(true))
+    .addStringOption(opt =>
+      opt.setName('league')
+        .setDescription('Only use this channel for one league (default: all leagues without their own channel)')
+        .setAutocomplete(true)
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('setalertchannel')
+    .setDescription('Set where league managers are told about reminders that failed to send')
+    .addChannelOption(opt =>
+      opt.setName('channel')
+        .setDescription('The channel to use (leave out for the server\'s system channel, or a DM to the owner)')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('autoremind')
+    .setDescription('Automatically schedule reminders from the league\'s scraped deadlines')
+    .addBooleanOption(opt =>
+      opt.setName('enabled')
+        .setDescription('Turn auto reminders on or off')
+        .setRequired(true))
+    .addStringOption(opt =>
+      opt.setName('remind_before')
+        .setDescription('Minutes before each deadline, or a list like "1440,60,10" (default: the server ladder, or 60)')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('setladder')
+    .setDescription('Set the default reminder lead times for this server')
+    .addStringOption(opt =>
+      opt.setName('leads')
+        .setDescription('Lead times before each deadline, e.g. "1440,60,10" or "1d 1h 10m"')
+        .setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('subscribe')
+    .setDescription('Get pinged for Music League reminders'),
+
+  new SlashCommandBuilder()
+    .setName('unsubscribe')
+    .setDescription('Stop getting pinged for Music League reminders'),
+
+  new SlashCommandBuilder()
+    .setName('setmention')
+    .setDescription('Choose who reminders ping in this server')
+    .addStringOption(opt =>
+      opt.setName('target')
+        .setDescription('Who to ping')
+        .setRequired(true)
+        .addChoices(
+          { name: 'Subscribers (the Music League role)', value: 'subscribers' },
+          { name: 'A role of your choice', value: 'role' },
+          { name: '@everyone', value: 'everyone' },
+          { name: 'Nobody', value: 'none' },
+        ))
+    .addRoleOption(opt =>
+      opt.setName('role')
+        .setDescription('The role to ping, when target is "A role of your choice"')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('linkme')
+    .setDescription('Link your Discord account to your Music League member, for nudges')
+    .addStringOption(memberOption)
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('link')
+    .setDescription('Link someone\'s Discord account to a Music League member (admins)')
+    .addStringOption(opt => memberOption(opt).setDescription('The Music League member'))
+    .addUserOption(opt =>
+      opt.setName('user')
+        .setDescription('The Discord user')
+        .setRequired(true))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('unlink')
+    .setDescription('Remove your link to a Music League member (admins can unlink others)')
+    .addUserOption(opt =>
+      opt.setName('user')
+        .setDescription('Someone else to unlink (admins)')
+        .setRequired(false))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('links')
+    .setDescription('List which Discord users are linked to which Music League members')
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('nudges')
+    .setDescription('Choose how linked members who haven\'t submitted or voted are reminded')
+    .addStringOption(opt =>
+      opt.setName('mode')
+        .setDescription('How to nudge them')
+        .setRequired(true)
+        .addChoices(
+          ...Object.entries(mentions.NUDGE_MODES).map(([value, name]) => ({ name, value })),
+        )),
+
+  new SlashCommandBuilder()
+    .setName('settimezone')
+    .setDescription('Set the timezone used to read deadlines like "friday 6pm"')
+    .addStringOption(opt =>
+      opt.setName('zone')
+        .setDescription('IANA timezone name, e.g. America/New_York or Europe/Berlin')
+        .setAutocomplete(true)
         .setRequired(true)),
 
+  new SlashCommandBuilder()
+    .setName('pinstatus')
+    .setDescription('Pin a league status message in the league channel that keeps itself up to date')
+    .addBooleanOption(opt =>
+      opt.setName('stop')
+        .setDescription('Delete the pinned status message and stop updating it')
+        .setRequired(false))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('announce')
+    .setDescription('Choose which round updates are announced in the league channel')
+    .addStringOption(opt =>
+      opt.setName('type')
+        .setDescription('Which announcement to change')
+        .setRequired(true)
+        .addChoices(
+          { name: 'New rounds', value: 'newRound' },
+          { name: 'Phase changes (voting open, results posted)', value: 'phaseChange' },
+          { name: 'Deadline changes', value: 'deadlineChange' },
+          { name: 'All', value: 'all' },
+        ))
+    .addBooleanOption(opt =>
+      opt.setName('enabled')
+        .setDescription('Turn this announcement on or off')
+        .setRequired(true)),
+
+  new SlashCommandBuilder()
+    .setName('setmanagerrole')
+    .setDescription('Choose the role allowed to change the bot\'s setup (Manage Server always can)')
+    .addRoleOption(opt =>
+      opt.setName('role')
+        .setDescription('The league manager role (leave out to allow only Manage Server)')
+        .setRequired(false)),
+
+  new SlashCommandBuilder()
+    .setName('auditlog')
+    .setDescription('Show who changed the bot\'s setup or cancelled reminders, and when'),
+
   new SlashCommandBuilder()
     .setName('fetch')
-    .setDescription('Manually fetch and display the latest round info from Music League'),
+    .setDescription('Manually fetch and display the latest round info from Music League')
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('import')
+    .setDescription('Load league data from Music League\'s CSV export, for leagues that can\'t be scraped')
+    .addAttachmentOption(opt =>
+      opt.setName('competitors')
+        .setDescription('competitors.csv from the export')
+        .setRequired(false))
+    .addAttachmentOption(opt =>
+      opt.setName('rounds')
+        .setDescription('rounds.csv from the export')
+        .setRequired(false))
+    .addAttachmentOption(opt =>
+      opt.setName('submissions')
+        .setDescription('submissions.csv from the export')
+        .setRequired(false))
+    .addAttachmentOption(opt =>
+      opt.setName('votes')
+        .setDescription('votes.csv from the export')
+        .setRequired(false))
+    .addStringOption(leagueOption),
+
+  new SlashCommandBuilder()
+    .setName('setlanguage')
+    .setDescription('Choose the language of the bot\'s messages and reminders')
+    .addStringOption(opt =>
+      opt.setName('language')
+        .setDescription('The language to use')
+        .addChoices(...Object.entries(i18n.LANGUAGES).map(([value, { name }]) => ({ name, value })))
+        .setRequired(true)),
 
   new SlashCommandBuilder()
     .setName('help')
     .setDescription('Show help for the Music League bot'),
-];
+].map(i18n.localizeCommand);
 
 // ─── Register Commands ────────────────────────────────────────────────────────
 
@@ -95,252 +472,1355 @@ async function registerCommands() {
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function buildLeagueEmbed(leagueData) {
+const ROUND_PAGE_SIZE = 5;
+
+function truncate(str, max) {
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+/**
+ * Prev/next buttons for paged embeds. Custom IDs look like "<prefix>:<page>".
+ */
+function buildPagerRow(prefix, page, totalPages, t) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${prefix}:${page - 1}`)
+      .setLabel(t('common.prev'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`${prefix}:${page + 1}`)
+      .setLabel(t('common.next'))
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= totalPages - 1),
+  );
+}
+
+/**
+ * `repeats` (from archive.findRepeats) flags tracks submitted in an earlier
+ * round.
+ */
+function buildRoundEmbed(detail, page, repeats, t) {
+  const submissions = [...detail.submissions];
+  if (submissions.some(s => s.points != null)) {
+    submissions.sort((a, b) => (b.points ?? -Infinity) - (a.points ?? -Infinity));
+  }
+
+  const totalPages = Math.max(1, Math.ceil(submissions.length / ROUND_PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), totalPages - 1);
+
   const embed = new EmbedBuilder()
-    .setColor(0x9E00C4) // Music League's brand purple
-    .setTitle(`🎵 ${leagueData.name || 'Music League'}`)
-    .setURL(leagueData.url);
-
-  // League stats line
-  const statParts = [];
-  if (leagueData.totalRounds) statParts.push(`${leagueData.totalRounds} rounds`);
-  if (leagueData.songsPerRound) statParts.push(`${leagueData.songsPerRound} song/round`);
-  if (leagueData.currentPlayers) statParts.push(`${leagueData.currentPlayers}/${leagueData.maxPlayers ?? '?'} players`);
-  if (leagueData.privacy) statParts.push(leagueData.privacy);
-  if (leagueData.speed) statParts.push(`⚡ ${leagueData.speed}`);
-  if (statParts.length) embed.setDescription(statParts.join(' • '));
-
-  // Active round
-  const active = leagueData.activeRound;
-  if (active) {
-    const roundParts = [];
-    if (active.name) roundParts.push(`**${active.name}**`);
-    if (active.theme) roundParts.push(`🎨 ${active.theme}`);
-    if (active.status) roundParts.push(active.status);
-    if (roundParts.length) {
-      embed.addFields({ name: '🎧 Active Round', value: roundParts.join('\n'), inline: false });
-    }
-
-    // Deadlines from active round
-    if (active.submissionDeadline) {
-      const d = new Date(active.submissionDeadline);
-      const val = isNaN(d) ? active.submissionDeadline : `<t:${Math.floor(d/1000)}:F> (<t:${Math.floor(d/1000)}:R>)`;
-      embed.addFields({ name: '📤 Submission Deadline', value: val, inline: false });
-    }
-    if (active.votingDeadline) {
-      const d = new Date(active.votingDeadline);
-      const val = isNaN(d) ? active.votingDeadline : `<t:${Math.floor(d/1000)}:F> (<t:${Math.floor(d/1000)}:R>)`;
-      embed.addFields({ name: '🗳️ Voting Deadline', value: val, inline: false });
-    }
-  } else if (leagueData.rounds?.length) {
-    embed.addFields({ name: '📋 Rounds', value: `${leagueData.rounds.length} round(s) found, none currently active`, inline: false });
-  }
-
-  // Top 3 standings
-  if (leagueData.standings?.length) {
-    const medals = ['🥇', '🥈', '🥉'];
-    const top = leagueData.standings.slice(0, 3)
-      .map((s, i) => `${medals[i] || `${i+1}.`} **${s.name}**${s.points != null ? ` — ${s.points} pts` : ''}`)
-      .join('\n');
-    embed.addFields({ name: '🏆 Standings (Top 3)', value: top, inline: false });
+    .setColor(0x9E00C4)
+    .setTitle(`🎧 ${detail.name || t('replies.round.title')}`)
+    .setURL(detail.url);
+
+  const descParts = [];
+  if (detail.theme) descParts.push(`🎨 ${detail.theme}`);
+  descParts.push(t('replies.round.submissions', { count: submissions.length }));
+  if (!detail.revealed) descParts.push(t('replies.round.hidden'));
+  embed.setDescription(descParts.join('\n'));
+
+  submissions.slice(page * ROUND_PAGE_SIZE, (page + 1) * ROUND_PAGE_SIZE).forEach((s, i) => {
+    const position = page * ROUND_PAGE_SIZE + i + 1;
+    const lines = [];
+    const meta = [];
+    if (s.submitter) meta.push(`👤 ${s.submitter}`);
+    if (s.points != null) meta.push(`⭐ ${t('common.points', { points: s.points })}`);
+    if (meta.length) lines.push(meta.join(' • '));
+    const before = repeats?.get(archive.trackKey(s));
+    if (before) {
+      const vars = { round: before.round.name || t('common.roundNumber', { number: before.round.number }), season: before.season.name };
+      lines.push(before.submitter
+        ? t('replies.round.beforeBy', { ...vars, submitter: before.submitter })
+        : t('replies.round.before', vars));
+    }
+    for (const v of s.votes || []) {
+      if (v.comment) lines.push(`💬 **${v.voter}**${v.points != null ? ` (${v.points})` : ''}: ${v.comment}`);
+    }
+    if (s.trackUrl) lines.push(`[${t('replies.round.listen')}](${s.trackUrl})`);
+
+    embed.addFields({
+      name: truncate(`${position}. ${s.title || t('common.unknownTrack')}${s.artist ? ` — ${s.artist}` : ''}`, 256),
+      value: truncate(lines.join('\n') || '—', 1024),
+      inline: false,
+    });
+  });
+
+  embed.setFooter({ text: t('common.page', { page: page + 1, pages: totalPages }) });
+  return { embed, page, totalPages };
+}
+
+function roundReply(guildId, leagueKey, detail, page) {
+  const t = i18n.forGuild(guildId);
+  const { embed, page: shown, totalPages } = buildRoundEmbed(detail, page, archive.findRepeats(guildId, detail), t);
+  const components = totalPages > 1 ? [buildPagerRow(`round:${leagueKey}/${detail.roundId}`, shown, totalPages, t)] : [];
+  return { embeds: [embed], components };
+}
+
+function standingsReply(league, page, t) {
+  const { embed, page: shown, totalPages } = standings.buildStandingsEmbed(league, page, t);
+  const components = totalPages > 1 ? [buildPagerRow(`standings:${league.key}`, shown, totalPages, t)] : [];
+  return { embeds: [embed], components };
+}
+
+function auditReply(guildId, page) {
+  const { embed, page: shown, totalPages } = audit.buildAuditEmbed(guildId, page);
+  const components = totalPages > 1 ? [buildPagerRow('audit:log', shown, totalPages, i18n.forGuild(guildId))] : [];
+  return { embeds: [embed], components };
+}
+
+// /help is split into pages so each stays under Discord's embed limits.
+// Each field's text is help.<section>.<key> in the message catalogs.
+const HELP_SECTIONS = [
+  {
+    key: 'leagues',
+    fields: [
+      { name: '/setleague <url> [name] [default]', key: 'setleague' },
+      { name: '/leagues', key: 'leagues' },
+      { name: '/removeleague <league>', key: 'removeleague' },
+      { name: '/league [league]', key: 'league' },
+      { name: '/fetch [league]', key: 'fetch' },
+      { name: '/import [competitors] [rounds] [submissions] [votes] [league]', key: 'import' },
+      { name: '/round [number] [league]', key: 'round' },
+      { name: '/calendar [feed] [reset_feed] [league]', key: 'calendar' },
+      { name: '/export <format> [round] [season] [league]', key: 'export' },
+      { name: '/standings [player] [league]', key: 'standings' },
+      { name: '/stats [player] [all_seasons] [league]', key: 'stats' },
+      { name: '/history [search] [field]', key: 'history' },
+      { name: '/announce <type> <enabled>', key: 'announce' },
+      { name: '/pinstatus [stop] [league]', key: 'pinstatus' },
+      { nameKey: 'scrapingTitle', key: 'scraping' },
+    ],
+  },
+  {
+    key: 'reminders',
+    fields: [
+      { name: '/remind <type> <datetime> [remind_before] [league] [mention]', key: 'remind' },
+      { name: '/reminders', key: 'reminders' },
+      { name: '/cancelreminder <id>', key: 'cancelreminder' },
+      { name: '/editreminder <id> [datetime] [remind_before] [channel] [type] • /snooze <id> <minutes>', key: 'editreminder' },
+      { name: '/retryreminder <id>', key: 'retryreminder' },
+      { name: '/autoremind <enabled> [remind_before]', key: 'autoremind' },
+      { name: '/setladder <leads>', key: 'setladder' },
+      { name: '/settimezone <zone>', key: 'settimezone' },
+    ],
+  },
+  {
+    key: 'pings',
+    fields: [
+      { name: '/setchannel <#channel> [league]', key: 'setchannel' },
+      { name: '/setalertchannel [#channel]', key: 'setalertchannel' },
+      { name: '/subscribe • /unsubscribe', key: 'subscribe' },
+      { name: '/setmention <target> [role]', key: 'setmention' },
+      { name: '/linkme <member> [league]', key: 'linkme' },
+      { name: '/link <member> <user> [league] • /unlink [user] [league] • /links [league]', key: 'link' },
+      { name: '/nudges <mode>', key: 'nudges' },
+    ],
+  },
+  {
+    key: 'settings',
+    fields: [
+      { nameKey: 'whoTitle', key: 'who' },
+      { name: '/setmanagerrole [role]', key: 'setmanagerrole' },
+      { name: '/auditlog', key: 'auditlog' },
+      { name: '/setlanguage <language>', key: 'setlanguage' },
+    ],
+  },
+];
+
+function helpReply(page, t) {
+  page = Math.min(Math.max(page, 0), HELP_SECTIONS.length - 1);
+  const section = HELP_SECTIONS[page];
+  const text = key => t(`help.${section.key}.${key}`);
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(t('help.title', { section: text('title') }))
+    .setDescription(t('help.description'))
+    .addFields(section.fields.map(field => ({ name: field.name || text(field.nameKey), value: text(field.key) })))
+    .setFooter({ text: t('help.footer', { page: page + 1, pages: HELP_SECTIONS.length }) });
+  return { embeds: [embed], components: [buildPagerRow('help:all', page, HELP_SECTIONS.length, t)] };
+}
+
+/**
+ * Turn a league name typed by a user into the key it is stored under.
+ */
+function toLeagueKey(name) {
+  return name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 32) || 'main';
+}
+
+/**
+ * Look up the league named by the command's `league` option, or the
+ * server's default league. Replies with an error and returns null if none.
+ */
+async function resolveLeague(interaction) {
+  const key = interaction.options.getString('league');
+  const league = storage.getLeague(interaction.guildId, key);
+  if (league) return league;
+
+  const t = i18n.forGuild(interaction.guildId);
+  const content = key ? t('errors.noLeagueNamed', { key }) : t('errors.noLeagueSet');
+  await interaction.reply({ content, ephemeral: true });
+  return null;
+}
+
+/**
+ * When the cached data was actually read from Music League, which can be
+ * earlier than when this league stored it if another server fetched it.
+ */
+function describeFreshness(league, t) {
+  const fetchedAt = league.leagueCache?.fetchedAt || league.lastFetched;
+  if (!fetchedAt) return t('freshness.unknown');
+  const time = `<t:${Math.floor(fetchedAt / 1000)}:R>`;
+  if (league.leagueCache?.imported) return t('freshness.imported', { time });
+
+  const stale = Date.now() - fetchedAt > 2 * poller.getIntervalMinutes() * 60000;
+  return t(stale ? 'freshness.stale' : 'freshness.fresh', { time });
+}
+
+/**
+ * Pick the round named by a round-number option, or the active (else
+ * latest) round. Replies with an error and returns null if there is none.
+ */
+async function resolveRound(interaction, league, optionName) {
+  const t = i18n.forGuild(interaction.guildId);
+  const rounds = (league.leagueCache?.rounds || []).filter(r => r.roundId);
+  if (!rounds.length) {
+    await interaction.reply({ content: t('errors.noRoundsCached'), ephemeral: true });
+    return null;
+  }
+
+  const number = interaction.options.getInteger(optionName);
+  if (number != null) {
+    const round = rounds[number - 1];
+    if (!round) {
+      await interaction.reply({ content: t('errors.noSuchRound', { number, count: rounds.length }), ephemeral: true });
+      return null;
+    }
+    return { round, number };
+  }
+  const activeId = league.leagueCache.activeRound?.roundId;
+  const active = rounds.findIndex(r => r.roundId === activeId);
+  const index = active !== -1 ? active : rounds.length - 1;
+  return { round: rounds[index], number: index + 1 };
+}
+
+/**
+ * Fetch a round's page and store it in the league's roundDetails (and the
+ * archive, once its results are out). If that fails, fall back to what an
+ * earlier /round or /import stored, with the error in `fetchError`.
+ */
+async function loadRoundDetail(guildId, leagueKey, round) {
+  try {
+    const detail = await scraper.fetchRound(round.url);
+    if (!detail.name) detail.name = round.name;
+    if (!detail.theme) detail.theme = round.theme;
+    poller.storeRoundDetail(guildId, leagueKey, { ...detail, fetchedAt: Date.now() });
+    return detail;
+  } catch (err) {
+    const saved = storage.getLeague(guildId, leagueKey).roundDetails?.[round.roundId];
+    if (saved?.submissions?.length) return { ...saved, fetchError: err.message };
+    throw err;
   }
+}
 
-  // Members
-  if (leagueData.members?.length) {
-    const adminNames = leagueData.members.filter(m => m.isAdmin).map(m => m.name).join(', ');
-    if (adminNames) embed.addFields({ name: '👑 Admin', value: adminNames, inline: true });
+/**
+ * Round details for a list of { round, number }, for commands that work
+ * across rounds. Finished rounds don't change, so what is already stored is
+ * used for them; others are fetched. Rounds that can't be loaded or have no
+ * submissions are listed in `skipped`.
+ */
+async function collectRoundDetails(guildId, leagueKey, targets) {
+  const t = i18n.forGuild(guildId);
+  const savedDetails = storage.getLeague(guildId, leagueKey).roundDetails || {};
+  const rounds = [];
+  const skipped = [];
+  for (const { round, number } of targets) {
+    const saved = savedDetails[round.roundId];
+    try {
+      const detail = saved?.submissions?.length && (saved.imported || /complet/i.test(round.status || ''))
+        ? saved
+        : await loadRoundDetail(guildId, leagueKey, round);
+      if (detail.submissions?.length) rounds.push({ number, detail });
+      else skipped.push(t('replies.export.noSubmissions', { number }));
+    } catch (err) {
+      skipped.push(t('replies.export.failed', { number, error: err.message }));
+    }
   }
+  return { rounds, skipped };
+}
+
+function guildTimeZone(guildId) {
+  return storage.getGuildConfig(guildId)?.timeZone || datetime.defaultTimeZone();
+}
+
+// Reminders waiting for the user to confirm the parsed time: id -> { opts, userId, expiresAt }
+const pendingReminders = new Map();
+const PENDING_TTL = 10 * 60000;
+
+/**
+ * One line per pending fire of a reminder, the last one marked as the final call.
+ */
+function formatFires(reminder, t, style = 'R') {
+  const leads = scheduler.getLeads(reminder);
+  const finalLead = leads.length > 1 ? Math.min(...leads) : null;
+  return scheduler.getPendingFires(reminder)
+    .filter(f => f.at > Date.now())
+    .map(f => t(f.lead === finalLead ? 'reminder.set.finalCall' : 'reminder.set.fire', {
+      time: `<t:${Math.floor(f.at / 1000)}:${style}>`,
+      lead: datetime.formatLead(f.lead),
+    }))
+    .join('\n');
+}
 
-  embed.setFooter({ text: 'Music League Bot • musicleague.com' });
-  embed.setTimestamp();
+function describeMention(reminder, t) {
+  const config = storage.getGuildConfig(reminder.guildId);
+  const target = mentions.describeTarget(mentions.getTarget(reminder, config), config, t);
+  const nudgeMode = mentions.getNudgeMode(reminder, config);
+  const league = storage.getLeague(reminder.guildId, reminder.leagueKey);
+  if (nudgeMode === 'off' || !Object.keys(members.getLinks(league)).length) return target;
+  return t(nudgeMode === 'dm' ? 'reminder.set.nudgesDm' : 'reminder.set.nudges', { target });
+}
+
+function buildReminderSetEmbed(opts, reminderId, league, t, titleKey = 'title') {
+  const deadline = new Date(opts.deadline);
+  const embed = new EmbedBuilder()
+    .setColor(0x57F287)
+    .setTitle(t(`reminder.set.${titleKey}`))
+    .addFields(
+      { name: t('reminder.set.type'), value: `${opts.emoji} ${scheduler.typeLabel(opts, t)}`, inline: true },
+      { name: t('reminder.set.id'), value: `\`${reminderId}\``, inline: true },
+      { name: t('reminder.set.deadline'), value: `<t:${Math.floor(deadline.getTime() / 1000)}:F>`, inline: false },
+      { name: t('reminder.set.fires'), value: formatFires(opts, t), inline: false },
+      { name: t('reminder.set.channel'), value: `<#${opts.channelId}>`, inline: true },
+      { name: t('reminder.set.pings'), value: describeMention(opts, t), inline: true },
+    )
+    .setFooter({ text: t('reminder.set.footer', { id: reminderId }) });
+  if (league) embed.addFields({ name: t('reminder.set.league'), value: league.leagueCache?.name || league.key, inline: true });
   return embed;
 }
 
-function parseDateTime(input) {
-  // Try ISO format first
-  let d = new Date(input);
-  if (!isNaN(d)) return d;
+const IMPORT_COUNTS = ['members', 'rounds', 'submissions', 'votes'];
 
-  // Try "YYYY-MM-DD HH:mm"
-  const match = input.match(/^(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})$/);
-  if (match) {
-    d = new Date(`${match[1]}T${match[2]}:00`);
-    if (!isNaN(d)) return d;
+function buildImportEmbed(data, counts, problems, t) {
+  const embed = new EmbedBuilder()
+    .setColor(problems.length ? 0xFEE75C : 0x57F287)
+    .setTitle(t('replies.import.title', { league: data.name || 'Music League' }))
+    .setDescription(t('replies.import.description'));
+
+  for (const key of IMPORT_COUNTS) {
+    if (counts[key] != null) embed.addFields({ name: t(`replies.import.${key}`), value: String(counts[key]), inline: true });
   }
-  return null;
+  if (counts.votes != null && data.standings?.length) {
+    const leader = data.standings[0];
+    embed.addFields({ name: t('replies.import.leader'), value: `${leader.name} — ${t('common.points', { points: leader.points })}`, inline: true });
+  }
+  if (problems.length) {
+    const shown = problems.slice(0, 10).map(p => `• ${p}`);
+    if (problems.length > shown.length) shown.push(t('common.more', { count: problems.length - shown.length }));
+    embed.addFields({ name: t('replies.import.skipped', { count: problems.length }), value: truncate(shown.join('\n'), 1024), inline: false });
+  }
+  return embed;
 }
 
 // ─── Interaction Handler ──────────────────────────────────────────────────────
 
+async function handleButton(interaction) {
+  const [kind, id, pageStr] = interaction.customId.split(':');
+  const page = parseInt(pageStr) || 0;
+  const t = i18n.forGuild(interaction.guildId);
+
+  if (kind === 'remind') {
+    const pending = pendingReminders.get(id);
+    if (!pending || pending.expiresAt < Date.now()) {
+      pendingReminders.delete(id);
+      return interaction.update({ content: t('errors.previewExpired'), embeds: [], components: [] });
+    }
+    if (pending.userId !== interaction.user.id) {
+      return interaction.reply({ content: t('errors.notYourPreview'), ephemeral: true });
+    }
+    pendingReminders.delete(id);
+
+    if (pageStr !== 'confirm') {
+      return interaction.update({ content: t('replies.remind.notSaved'), embeds: [], components: [] });
+    }
+    if (new Date(pending.opts.remindAt) <= new Date()) {
+      return interaction.update({ content: t('errors.reminderTimePassed'), embeds: [], components: [] });
+    }
+
+    const reminderId = scheduler.addReminder(pending.opts, client);
+    audit.record(interaction, t('audit.createReminder', {
+      label: scheduler.typeLabel(pending.opts, t),
+      id: reminderId,
+      time: `<t:${Math.floor(new Date(pending.opts.deadline).getTime() / 1000)}:f>`,
+    }));
+    const league = pending.opts.leagueKey ? storage.getLeague(interaction.guildId, pending.opts.leagueKey) : null;
+    await interaction.update({ content: t('replies.remind.saved', { id: reminderId }), embeds: [], components: [] });
+    return interaction.followUp({ embeds: [buildReminderSetEmbed(pending.opts, reminderId, league, t)] });
+  }
+
+  if (kind === 'round') {
+    const [key, roundId] = id.split('/');
+    const detail = storage.getLeague(interaction.guildId, key)?.roundDetails?.[roundId];
+    if (!detail) {
+      return interaction.reply({ content: t('errors.roundNotCached'), ephemeral: true });
+    }
+    return interaction.update(roundReply(interaction.guildId, key, detail, page));
+  }
+
+  if (kind === 'help') {
+    return interaction.update(helpReply(page, t));
+  }
+
+  if (kind === 'audit') {
+    if (!permissions.isManager(interaction)) {
+      return interaction.reply({ content: permissions.deniedMessage(interaction.guildId), ephemeral: true });
+    }
+    return interaction.update(auditReply(interaction.guildId, page));
+  }
+
+  if (kind === 'standings') {
+    const league = storage.getLeague(interaction.guildId, id);
+    if (!league) {
+      return interaction.reply({ content: t('errors.leagueGone'), ephemeral: true });
+    }
+    return interaction.update(standingsReply(league, page, t));
+  }
+}
+
+async function handleAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  const typed = (focused.value || '').toLowerCase();
+
+  if (focused.name === 'league') {
+    const choices = Object.entries(storage.getLeagues(interaction.guildId))
+      .filter(([key, l]) => key.includes(typed) || (l.leagueCache?.name || '').toLowerCase().includes(typed))
+      .slice(0, 25)
+      .map(([key, l]) => ({ name: l.leagueCache?.name ? `${key} — ${l.leagueCache.name}`.slice(0, 100) : key, value: key }));
+    return interaction.respond(choices);
+  }
+
+  if (focused.name === 'member') {
+    const league = storage.getLeague(interaction.guildId, interaction.options.getString('league'));
+    return interaction.respond(members.memberChoices(league, focused.value, i18n.forGuild(interaction.guildId)));
+  }
+
+  if (focused.name === 'id') {
+    const timeZone = guildTimeZone(interaction.guildId);
+    const t = i18n.forGuild(interaction.guildId);
+    const choices = scheduler.getReminders(interaction.guildId)
+      .filter(r => r.id.includes(typed) || scheduler.typeLabel(r, t).toLowerCase().includes(typed) || (r.roundName || '').toLowerCase().includes(typed))
+      .slice(0, 25)
+      .map(r => ({
+        name: `${r.failed ? '⚠️ ' : ''}${r.id} — ${scheduler.typeLabel(r, t)}${r.roundName ? ` (${r.roundName})` : ''} • ${datetime.formatInZone(new Date(r.deadline), timeZone)}`.slice(0, 100),
+        value: r.id,
+      }));
+    return interaction.respond(choices);
+  }
+
+  if (interaction.commandName === 'settimezone' && focused.name === 'zone') {
+    const choices = Intl.supportedValuesOf('timeZone')
+      .filter(zone => zone.toLowerCase().includes(typed))
+      .slice(0, 25)
+      .map(zone => ({ name: zone, value: zone }));
+    return interaction.respond(choices);
+  }
+
+  if (interaction.commandName === 'stats' && focused.name === 'player') {
+    const allSeasons = interaction.options.getBoolean('all_seasons');
+    const leagues = allSeasons
+      ? Object.keys(storage.getLeagues(interaction.guildId)).map(key => storage.getLeague(interaction.guildId, key))
+      : [storage.getLeague(interaction.guildId, interaction.options.getString('league'))].filter(Boolean);
+    const pastSeasons = allSeasons ? archive.pastSeasons(interaction.guildId) : [];
+    return interaction.respond(stats.playerChoices(leagues, focused.value, pastSeasons).map(name => ({ name, value: name })));
+  }
+
+  if (interaction.commandName === 'standings' && focused.name === 'player') {
+    const league = storage.getLeague(interaction.guildId, interaction.options.getString('league'));
+    const choices = standings.playerChoices(league, focused.value);
+    return interaction.respond(choices.map(name => ({ name, value: name })));
+  }
+  return interaction.respond([]);
+}
+
 client.on('interactionCreate', async interaction => {
+  if (interaction.isButton()) return handleButton(interaction);
+  if (interaction.isAutocomplete()) return handleAutocomplete(interaction);
   if (!interaction.isChatInputCommand()) return;
 
   const guildId = interaction.guildId;
   const { commandName } = interaction;
+  const t = i18n.forGuild(guildId);
+  metrics.increment('musicleague_commands_total', { command: commandName });
+
+  if (permissions.MANAGER_COMMANDS.has(commandName) && !permissions.isManager(interaction)) {
+    return interaction.reply({ content: permissions.deniedMessage(guildId), ephemeral: true });
+  }
 
   // /help
   if (commandName === 'help') {
-    const embed = new EmbedBuilder()
-      .setColor(0x5865F2)
-      .setTitle('🎵 Music League Bot — Help')
-      .setDescription('Integrate Music League with your Discord server. Since Music League has no public API, this bot scrapes the league page for info.')
-      .addFields(
-        { name: '/setleague <url>', value: 'Set the Music League URL for this server.' },
-        { name: '/league', value: 'Show current league info and round.' },
-        { name: '/fetch', value: 'Re-fetch the latest data from the league page.' },
-        { name: '/setchannel <#channel>', value: 'Set where reminders and updates are posted.' },
-        { name: '/remind <type> <datetime> [remind_before]', value: 'Schedule a reminder for submissions or voting. Datetime format: `2024-12-25 18:00` or ISO 8601.' },
-        { name: '/reminders', value: 'List all active reminders.' },
-        { name: '/cancelreminder <id>', value: 'Cancel a reminder by ID.' },
-      )
-      .addFields({
-        name: '⚠️ Note on Scraping',
-        value: 'Music League requires login to view league details. If your league is private, the bot may only show limited public info. You can manually set deadlines using `/remind`.'
-      })
-      .setFooter({ text: 'Music League Bot' });
-    return interaction.reply({ embeds: [embed] });
+    return interaction.reply(helpReply(0, t));
   }
 
   // /setchannel
   if (commandName === 'setchannel') {
     const channel = interaction.options.getChannel('channel');
+    if (interaction.options.getString('league')) {
+      const league = await resolveLeague(interaction);
+      if (!league) return;
+      storage.setLeague(guildId, league.key, { notifyChannelId: channel.id });
+      audit.record(interaction, t('audit.setLeagueChannel', { league: league.key, channel: `<#${channel.id}>` }));
+      return interaction.reply({ content: t('replies.setchannel.league', { league: league.key, channel: `<#${channel.id}>` }), ephemeral: true });
+    }
     storage.setGuildConfig(guildId, { notifyChannelId: channel.id });
-    return interaction.reply({ content: `✅ Reminders and updates will be posted in <#${channel.id}>.`, ephemeral: true });
+    audit.record(interaction, t('audit.setChannel', { channel: `<#${channel.id}>` }));
+    return interaction.reply({ content: t('replies.setchannel.server', { channel: `<#${channel.id}>` }), ephemeral: true });
   }
 
   // /setleague
   if (commandName === 'setleague') {
     const url = interaction.options.getString('url');
     if (!url.includes('musicleague.com')) {
-      return interaction.reply({ content: '❌ That doesn\'t look like a Music League URL. Please use a URL from `musicleague.com`.', ephemeral: true });
+      return interaction.reply({ content: t('errors.badLeagueUrl'), ephemeral: true });
     }
-    storage.setGuildConfig(guildId, { leagueUrl: url });
-    await interaction.reply({ content: `⏳ League URL saved! Attempting to fetch info...` });
+    const key = toLeagueKey(interaction.options.getString('name') || 'main');
+    const existing = storage.getLeagues(guildId)[key];
+
+    // A new URL under an existing name starts that league over
+    const reset = existing && existing.leagueUrl !== url
+      ? { leagueCache: undefined, lastFetched: undefined, roundDetails: undefined, standingsHistory: undefined }
+      : {};
+    storage.setLeague(guildId, key, { ...reset, leagueUrl: url });
+    const isDefault = interaction.options.getBoolean('default');
+    if (isDefault) storage.setGuildConfig(guildId, { defaultLeague: key });
+    const action = `${existing ? 'change' : 'add'}${isDefault ? 'Default' : ''}League`;
+    audit.record(interaction, t(`audit.${action}`, { key, url }));
+    await interaction.reply({ content: t('replies.setleague.saved', { key }) });
 
     try {
-      const data = await scraper.fetchLeague(url);
-      storage.setGuildConfig(guildId, { leagueCache: data, lastFetched: Date.now() });
-      const embed = buildLeagueEmbed({ ...data, url });
-      await interaction.editReply({ content: '✅ League set!', embeds: [embed] });
+      const fetched = await poller.fetchLeague(guildId, key, url);
+      const data = await poller.updateLeagueCache(guildId, key, fetched, client);
+      const embed = buildLeagueEmbed({ ...data, url }, t);
+      await interaction.editReply({ content: t('replies.setleague.done', { key }), embeds: [embed] });
     } catch (err) {
-      await interaction.editReply({
-        content: `✅ League URL saved, but couldn't auto-fetch data: \`${err.message}\`\n\nThis is expected if your league is private — use \`/remind\` to set deadlines manually.`
-      });
+      await interaction.editReply({ content: t('errors.setLeagueFetchFailed', { error: err.message }) });
     }
     return;
   }
 
-  // /league
-  if (commandName === 'league') {
+  // /leagues
+  if (commandName === 'leagues') {
     const config = storage.getGuildConfig(guildId);
-    if (!config?.leagueUrl) {
-      return interaction.reply({ content: '❌ No league set. Use `/setleague <url>` first.', ephemeral: true });
+    const leagues = Object.entries(config?.leagues || {});
+    if (!leagues.length) {
+      return interaction.reply({ content: t('replies.leagues.none'), ephemeral: true });
     }
-    if (config.leagueCache) {
-      const embed = buildLeagueEmbed({ ...config.leagueCache, url: config.leagueUrl });
-      const age = config.lastFetched ? Math.round((Date.now() - config.lastFetched) / 60000) : '?';
-      return interaction.reply({ content: `*Last fetched ${age} min ago. Use \`/fetch\` to refresh.*`, embeds: [embed] });
+
+    const embed = new EmbedBuilder()
+      .setColor(0x9E00C4)
+      .setTitle(t('replies.leagues.title'))
+      .setDescription(leagues.map(([key, l]) => {
+        const channelId = l.notifyChannelId || config.notifyChannelId;
+        const lines = [`**${key}**${key === config.defaultLeague ? ` ${t('replies.leagues.default')}` : ''}${l.leagueCache?.name ? ` — ${l.leagueCache.name}` : ''}`];
+        lines.push(`🔗 <${l.leagueUrl}>`);
+        if (channelId) lines.push(`📢 <#${channelId}>`);
+        if (l.lastFetched) lines.push(t('replies.leagues.fetched', { time: `<t:${Math.floor(l.lastFetched / 1000)}:R>` }));
+        return lines.join('\n');
+      }).join('\n\n'));
+
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  // /removeleague
+  if (commandName === 'removeleague') {
+    const key = interaction.options.getString('league');
+    const config = storage.getGuildConfig(guildId);
+    if (!storage.removeLeague(guildId, key)) {
+      return interaction.reply({ content: t('errors.unknownLeague', { key }), ephemeral: true });
     }
-    return interaction.reply({ content: `League URL: <${config.leagueUrl}>\n\nNo cached data yet — use \`/fetch\` to load info.` });
+    // Manual reminders go too — they'd fire later with no league to describe.
+    // Overdue ones are included: they may still be caught up or retried
+    const cancelled = storage.getRemindersForGuild(guildId).filter(r => (r.leagueKey || config.defaultLeague) === key);
+    for (const r of cancelled) {
+      scheduler.cancelReminder(guildId, r.id);
+    }
+    const count = cancelled.length;
+    audit.record(interaction, t(count ? 'audit.removeLeagueReminders' : 'audit.removeLeague', { key, count }));
+    return interaction.reply({ content: t(count ? 'replies.removeleague.doneWithReminders' : 'replies.removeleague.done', { key, count }) });
+  }
+
+  // /league
+  if (commandName === 'league') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    if (league.leagueCache) {
+      const embed = buildLeagueEmbed({ ...league.leagueCache, url: league.leagueUrl }, t);
+      return interaction.reply({ content: describeFreshness(league, t), embeds: [embed] });
+    }
+    return interaction.reply({ content: t('replies.league.noData', { url: league.leagueUrl }) });
   }
 
   // /fetch
   if (commandName === 'fetch') {
-    const config = storage.getGuildConfig(guildId);
-    if (!config?.leagueUrl) {
-      return interaction.reply({ content: '❌ No league set. Use `/setleague <url>` first.', ephemeral: true });
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    await interaction.reply({ content: t('replies.fetch.fetching') });
+    try {
+      const fetched = await poller.fetchLeague(guildId, league.key, league.leagueUrl, { fresh: true });
+      const data = await poller.updateLeagueCache(guildId, league.key, fetched, client);
+      const embed = buildLeagueEmbed({ ...data, url: league.leagueUrl }, t);
+      await interaction.editReply({ content: t('replies.fetch.done'), embeds: [embed] });
+    } catch (err) {
+      await interaction.editReply({ content: t('errors.fetchFailed', { error: err.message }) });
     }
-    await interaction.reply({ content: '⏳ Fetching league data...' });
+    return;
+  }
+
+  // /import
+  if (commandName === 'import') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    const attachments = Object.keys(importer.CSV_COLUMNS)
+      .map(kind => [kind, interaction.options.getAttachment(kind)])
+      .filter(([, attachment]) => attachment);
+    if (!attachments.length) {
+      return interaction.reply({ content: t('errors.noCsvFiles'), ephemeral: true });
+    }
+
+    await interaction.reply({ content: t('replies.import.reading') });
     try {
-      const data = await scraper.fetchLeague(config.leagueUrl);
-      storage.setGuildConfig(guildId, { leagueCache: data, lastFetched: Date.now() });
-      const embed = buildLeagueEmbed({ ...data, url: config.leagueUrl });
-      await interaction.editReply({ content: '✅ Fetched!', embeds: [embed] });
+      const files = {};
+      for (const [kind, attachment] of attachments) {
+        files[kind] = await importer.downloadCsv(attachment, t);
+      }
+      const { data, roundDetails, counts, problems } = importer.buildImport(files, league.leagueCache, league.leagueUrl, t);
+
+      await poller.updateLeagueCache(guildId, league.key, data, client);
+      for (const detail of Object.values(roundDetails || {})) {
+        poller.storeRoundDetail(guildId, league.key, detail);
+      }
+      audit.record(interaction, t('audit.import', { files: attachments.map(([kind]) => `${kind}.csv`).join(', '), league: league.key }));
+
+      await interaction.editReply({ content: '', embeds: [buildImportEmbed(data, counts, problems, t)] });
     } catch (err) {
-      await interaction.editReply({
-        content: `❌ Failed to fetch: \`${err.message}\`\n\nIf your league is private/requires login, scraping won't work. Use \`/remind\` to set deadlines manually.`
-      });
+      await interaction.editReply({ content: t('errors.importFailed', { error: err.message }) });
+    }
+    return;
+  }
+
+  // /round
+  if (commandName === 'round') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    const picked = await resolveRound(interaction, league, 'number');
+    if (!picked) return;
+    const { round } = picked;
+
+    await interaction.reply({ content: t('replies.round.fetching', { round: round.name || t('replies.round.round') }) });
+    try {
+      const detail = await loadRoundDetail(guildId, league.key, round);
+      if (!detail.submissions.length) {
+        return interaction.editReply({ content: t('replies.round.noSubmissions', { round: detail.name || t('replies.round.thisRound') }) });
+      }
+      const content = detail.fetchError
+        ? t('replies.round.savedData', { error: detail.fetchError, time: `<t:${Math.floor(detail.fetchedAt / 1000)}:R>` })
+        : '';
+      await interaction.editReply({ content, ...roundReply(guildId, league.key, detail, 0) });
+    } catch (err) {
+      await interaction.editReply({ content: t('errors.roundFetchFailed', { error: err.message }) });
     }
     return;
   }
 
+  // /export
+  if (commandName === 'export') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    const format = interaction.options.getString('format');
+    const season = interaction.options.getBoolean('season');
+
+    let targets;
+    if (season) {
+      targets = (league.leagueCache?.rounds || []).filter(r => r.roundId).map((round, i) => ({ round, number: i + 1 }));
+      if (!targets.length) {
+        return interaction.reply({ content: t('errors.noRoundsCached'), ephemeral: true });
+      }
+    } else {
+      const picked = await resolveRound(interaction, league, 'round');
+      if (!picked) return;
+      targets = [picked];
+    }
+
+    await interaction.reply({
+      content: season
+        ? t('replies.export.collectingRounds', { count: targets.length })
+        : t('replies.export.collecting', { round: targets[0].round.name || t('replies.export.theRound') }),
+    });
+
+    const { rounds, skipped } = await collectRoundDetails(guildId, league.key, targets);
+
+    if (!rounds.length) {
+      return interaction.editReply({ content: [t('replies.export.nothing'), ...skipped].join('\n') });
+    }
+
+    const file = exporter.buildExport(league.leagueCache?.name || league.key, rounds, format, { season: !!season });
+    const lines = [t('replies.export.done', { file: file.name, tracks: file.trackCount, rounds: rounds.length })];
+    if (skipped.length) lines.push(t('replies.export.skipped', { rounds: skipped.join('; ') }));
+    return interaction.editReply({
+      content: truncate(lines.join('\n'), 2000),
+      files: [new AttachmentBuilder(Buffer.from(file.content, 'utf8'), { name: file.name })],
+    });
+  }
+
+  // /calendar
+  if (commandName === 'calendar') {
+    const leagueKey = interaction.options.getString('league');
+    if (leagueKey && !await resolveLeague(interaction)) return;
+    const reset = interaction.options.getBoolean('reset_feed');
+
+    if (interaction.options.getBoolean('feed') || reset) {
+      if (!calendar.isFeedEnabled()) {
+        return interaction.reply({ content: t('errors.feedOff'), ephemeral: true });
+      }
+      if (reset && !permissions.isManager(interaction)) {
+        return interaction.reply({ content: permissions.deniedMessage(guildId), ephemeral: true });
+      }
+      const token = calendar.getFeedToken(guildId, !!reset);
+      if (reset) audit.record(interaction, t('audit.resetFeed'));
+      return interaction.reply({
+        content: [
+          t(`replies.calendar.${reset ? 'newFeed' : 'feed'}${leagueKey ? 'League' : ''}`, { league: leagueKey }),
+          `<${calendar.feedUrl(token, leagueKey)}>`,
+          t('replies.calendar.subscribe'),
+          t(reset ? 'replies.calendar.oldLinks' : 'replies.calendar.private'),
+        ].join('\n'),
+        ephemeral: true,
+      });
+    }
+
+    const name = `Music League — ${leagueKey || interaction.guild?.name || t('replies.calendar.name')}`;
+    const { content, eventCount } = calendar.buildGuildCalendar(guildId, name, leagueKey);
+    if (!eventCount) {
+      return interaction.reply({ content: t('errors.noDeadlines'), ephemeral: true });
+    }
+    return interaction.reply({
+      content: t('replies.calendar.file', { count: eventCount }),
+      files: [new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: `${leagueKey || 'music-league'}-deadlines.ics` })],
+    });
+  }
+
+  // /stats
+  if (commandName === 'stats') {
+    let leagues;
+    let pastSeasons = [];
+    if (interaction.options.getBoolean('all_seasons')) {
+      leagues = Object.keys(storage.getLeagues(guildId)).map(key => storage.getLeague(guildId, key));
+      // Finished seasons and removed leagues come from the archive
+      pastSeasons = archive.pastSeasons(guildId);
+      if (!leagues.length && !pastSeasons.length) {
+        return interaction.reply({ content: t('errors.noLeagueSet'), ephemeral: true });
+      }
+    } else {
+      const league = await resolveLeague(interaction);
+      if (!league) return;
+      leagues = [league];
+    }
+
+    // Only finished rounds have results; imported ones may have no status
+    const targetsOf = league => (league.leagueCache?.rounds || [])
+      .filter(r => r.roundId)
+      .map((round, i) => ({ round, number: i + 1 }))
+      .filter(({ round }) => /complet/i.test(round.status || '') || league.roundDetails?.[round.roundId]?.revealed);
+    const roundCount = leagues.reduce((n, l) => n + targetsOf(l).length, 0)
+      + pastSeasons.reduce((n, season) => n + season.rounds.length, 0);
+    if (!roundCount) {
+      return interaction.reply({ content: t('errors.noFinishedRounds'), ephemeral: true });
+    }
+
+    await interaction.reply({ content: t('replies.stats.crunching', { count: roundCount }) });
+    const seasons = [...pastSeasons];
+    for (const league of leagues) {
+      const { rounds } = await collectRoundDetails(guildId, league.key, targetsOf(league));
+      seasons.push({ name: league.leagueCache?.name || league.key, rounds });
+    }
+    const result = stats.computeStats(seasons);
+
+    const query = interaction.options.getString('player');
+    if (query) {
+      const name = stats.findPlayer(result, query);
+      if (!name) {
+        return interaction.editReply({ content: t('errors.noPlayerResults', { query }) });
+      }
+      const standing = seasons.length === 1 && leagues.length === 1
+        ? standings.buildTable(leagues[0]).find(s => s.name === name)
+        : null;
+      return interaction.editReply({ content: '', embeds: [stats.buildPlayerStatsEmbed(result, name, standing, t)] });
+    }
+
+    const title = seasons.length === 1 ? seasons[0].name : t('replies.stats.allSeasons');
+    const table = seasons.length === 1 && leagues.length === 1 ? standings.buildTable(leagues[0]) : null;
+    return interaction.editReply({ content: '', embeds: [stats.buildStatsEmbed(result, title, table, t)] });
+  }
+
+  // /history
+  if (commandName === 'history') {
+    const query = interaction.options.getString('search')?.trim();
+    if (!query) {
+      return interaction.reply({ embeds: [archive.buildSeasonsEmbed(guildId)] });
+    }
+    const field = interaction.options.getString('field') || 'any';
+    return interaction.reply({ embeds: [archive.buildSearchEmbed(query, field, archive.search(guildId, query, field), t)] });
+  }
+
+  // /standings
+  if (commandName === 'standings') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    if (!league.leagueCache?.standings?.length && !league.standingsHistory?.length) {
+      return interaction.reply({ content: t('errors.noStandings'), ephemeral: true });
+    }
+
+    const query = interaction.options.getString('player');
+    if (query) {
+      const name = standings.findPlayerName(league, query);
+      if (!name) {
+        return interaction.reply({ content: t('errors.noPlayerInStandings', { query }), ephemeral: true });
+      }
+      return interaction.reply({ embeds: [standings.buildPlayerEmbed(league, name, t)] });
+    }
+
+    return interaction.reply(standingsReply(league, 0, t));
+  }
+
   // /remind
   if (commandName === 'remind') {
     const type = interaction.options.getString('type');
     const datetimeStr = interaction.options.getString('datetime');
-    const remindBefore = interaction.options.getInteger('remind_before') ?? 60;
+    const leadInput = interaction.options.getString('remind_before');
 
-    const deadline = parseDateTime(datetimeStr);
+    const timeZone = guildTimeZone(guildId);
+    const deadline = datetime.parseDeadline(datetimeStr, { timeZone });
     if (!deadline) {
-      return interaction.reply({
-        content: '❌ Couldn\'t parse that date. Try formats like `2024-12-25 18:00` or `2024-12-25T18:00:00Z`.',
-        ephemeral: true
-      });
+      return interaction.reply({ content: t('errors.badDate', { timeZone }), ephemeral: true });
     }
 
-    const remindAt = new Date(deadline.getTime() - remindBefore * 60000);
-    if (remindAt <= new Date()) {
-      return interaction.reply({ content: '❌ That reminder time is in the past!', ephemeral: true });
+    const config = storage.getGuildConfig(guildId);
+    const ladder = leadInput ? datetime.parseLeadTimes(leadInput) : config?.reminderLadder || [60];
+    if (!ladder) {
+      return interaction.reply({ content: t('errors.badLeads'), ephemeral: true });
     }
 
-    const config = storage.getGuildConfig(guildId);
-    const channelId = config?.notifyChannelId || interaction.channelId;
+    // Steps of the ladder that have already passed are dropped
+    const leads = ladder.filter(lead => deadline.getTime() - lead * 60000 > Date.now());
+    if (!leads.length) {
+      return interaction.reply({ content: t('errors.reminderInPast'), ephemeral: true });
+    }
+    const remindAt = new Date(deadline.getTime() - leads[0] * 60000);
 
-    const labels = { submission: 'Submission', voting: 'Voting', both: 'Submission & Voting' };
-    const emojis = { submission: '📤', voting: '🗳️', both: '📤🗳️' };
+    // Manual reminders don't need a league, but an unknown league name is a typo
+    const key = interaction.options.getString('league');
+    const league = storage.getLeague(guildId, key);
+    if (key && !league) {
+      return interaction.reply({ content: t('errors.noLeagueNamed', { key }), ephemeral: true });
+    }
+
+    const channelId = league?.notifyChannelId || config?.notifyChannelId || interaction.channelId;
 
-    const reminderId = scheduler.addReminder({
+    const opts = {
       guildId,
+      leagueKey: league?.key,
       channelId,
       type,
       deadline: deadline.toISOString(),
       remindAt: remindAt.toISOString(),
-      label: labels[type],
-      emoji: emojis[type],
-    }, client);
+      leads,
+      label: scheduler.REMINDER_LABELS[type],
+      emoji: scheduler.REMINDER_EMOJIS[type],
+      ...(interaction.options.getString('mention') ? { mention: interaction.options.getString('mention') } : {}),
+    };
 
-    const embed = new EmbedBuilder()
-      .setColor(0x57F287)
-      .setTitle('⏰ Reminder Set!')
+    // Show how the input was read and save only once the user confirms
+    for (const [id, p] of pendingReminders) if (p.expiresAt < Date.now()) pendingReminders.delete(id);
+    const pendingId = interaction.id;
+    pendingReminders.set(pendingId, { opts, userId: interaction.user.id, expiresAt: Date.now() + PENDING_TTL });
+
+    const deadlineTs = Math.floor(deadline.getTime() / 1000);
+    const preview = new EmbedBuilder()
+      .setColor(0xFEE75C)
+      .setTitle(t('replies.remind.title'))
+      .setDescription(t('replies.remind.readAs', { input: datetimeStr, time: datetime.formatInZone(deadline, timeZone) }))
       .addFields(
-        { name: 'Type', value: `${emojis[type]} ${labels[type]}`, inline: true },
-        { name: 'ID', value: `\`${reminderId}\``, inline: true },
-        { name: 'Deadline', value: `<t:${Math.floor(deadline.getTime() / 1000)}:F>`, inline: false },
-        { name: 'Reminder Fires', value: `<t:${Math.floor(remindAt.getTime() / 1000)}:R>`, inline: false },
-        { name: 'Channel', value: `<#${channelId}>`, inline: true },
+        { name: t('replies.remind.deadline'), value: `<t:${deadlineTs}:F> (<t:${deadlineTs}:R>)`, inline: false },
+        { name: t('reminder.set.fires'), value: formatFires(opts, t, 'F'), inline: false },
+        { name: t('reminder.set.type'), value: `${opts.emoji} ${scheduler.typeLabel(opts, t)}`, inline: true },
+        { name: t('reminder.set.channel'), value: `<#${channelId}>`, inline: true },
+        { name: t('reminder.set.pings'), value: describeMention(opts, t), inline: true },
       )
-      .setFooter({ text: `Cancel with /cancelreminder ${reminderId}` });
+      .setFooter({ text: t('replies.remind.footer', { zone: timeZone }) });
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`remind:${pendingId}:confirm`).setLabel(t('replies.remind.save')).setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`remind:${pendingId}:cancel`).setLabel(t('replies.remind.cancel')).setStyle(ButtonStyle.Secondary),
+    );
 
-    return interaction.reply({ embeds: [embed] });
+    return interaction.reply({ embeds: [preview], components: [buttons], ephemeral: true });
+  }
+
+  // /setlanguage
+  if (commandName === 'setlanguage') {
+    const language = interaction.options.getString('language');
+    const { name } = i18n.LANGUAGES[language];
+    storage.setGuildConfig(guildId, { language });
+    const translate = i18n.translator(language);
+    audit.record(interaction, translate('audit.setLanguage', { language: name }));
+    return interaction.reply({ content: translate('language.set', { language: name }) });
+  }
+
+  // /settimezone
+  if (commandName === 'settimezone') {
+    const input = interaction.options.getString('zone').trim();
+    const zone = datetime.canonicalTimeZone(input);
+    if (!zone) {
+      return interaction.reply({ content: t('errors.badZone', { zone: input }), ephemeral: true });
+    }
+    storage.setGuildConfig(guildId, { timeZone: zone });
+    audit.record(interaction, t('audit.setTimeZone', { zone }));
+    return interaction.reply({ content: t('replies.settimezone.done', { zone, time: datetime.formatInZone(new Date(), zone) }) });
   }
 
   // /reminders
   if (commandName === 'reminders') {
     const reminders = scheduler.getReminders(guildId);
     if (!reminders.length) {
-      return interaction.reply({ content: '📋 No active reminders. Use `/remind` to set one.', ephemeral: true });
+      return interaction.reply({ content: t('replies.reminders.none'), ephemeral: true });
     }
+    const config = storage.getGuildConfig(guildId);
+    const multiLeague = Object.keys(config?.leagues || {}).length > 1;
 
     const embed = new EmbedBuilder()
       .setColor(0x5865F2)
-      .setTitle('⏰ Active Reminders')
+      .setTitle(t('replies.reminders.title'))
       .setDescription(reminders.map(r => {
         const deadlineTs = Math.floor(new Date(r.deadline).getTime() / 1000);
-        const remindTs = Math.floor(new Date(r.remindAt).getTime() / 1000);
-        return `**ID:** \`${r.id}\` • ${r.emoji} ${r.label}\n📅 Deadline: <t:${deadlineTs}:F>\n🔔 Fires: <t:${remindTs}:R>\n📢 <#${r.channelId}>`;
+        const source = r.auto ? ` • ${t('replies.reminders.auto')}${r.roundName ? ` (${r.roundName})` : ''}` : '';
+        const leagueTag = multiLeague ? ` • 🎵 ${r.leagueKey || config.defaultLeague}` : '';
+        const fires = formatFires(r, t);
+        const lines = [
+          `**${t('reminder.set.id')}:** \`${r.id}\` • ${r.emoji} ${scheduler.typeLabel(r, t)}${leagueTag}${source}`,
+          t('replies.reminders.deadline', { time: `<t:${deadlineTs}:F>` }),
+          ...(fires ? [t('replies.reminders.fires', { times: fires.split('\n').join(', ') })] : []),
+          t('replies.reminders.channel', { channel: `<#${r.channelId}>`, pings: describeMention(r, t) }),
+        ];
+        if (r.failed) {
+          lines.push(t('replies.reminders.failed', {
+            time: `<t:${Math.floor(new Date(r.failed.at).getTime() / 1000)}:R>`,
+            attempts: r.failed.attempts,
+            error: truncate(r.failed.error, 200),
+            id: r.id,
+          }));
+        }
+        return lines.join('\n');
       }).join('\n\n'));
 
     return interaction.reply({ embeds: [embed] });
   }
 
+  // /autoremind
+  if (commandName === 'autoremind') {
+    const enabled = interaction.options.getBoolean('enabled');
+    const leadInput = interaction.options.getString('remind_before');
+    const config = storage.getGuildConfig(guildId);
+
+    const leadOverride = leadInput ? datetime.parseLeadTimes(leadInput) : null;
+    if (leadInput && !leadOverride) {
+      return interaction.reply({ content: t('errors.badLeads'), ephemeral: true });
+    }
+
+    const leagues = config?.leagues || {};
+    if (enabled && !config?.notifyChannelId && !Object.values(leagues).some(l => l.notifyChannelId)) {
+      return interaction.reply({ content: t('errors.noReminderChannel'), ephemeral: true });
+    }
+
+    storage.setGuildConfig(guildId, {
+      autoRemind: enabled,
+      ...(leadOverride ? { autoRemindBefore: leadOverride } : {}),
+    });
+
+    const leadList = leadOverride?.map(datetime.formatLead).join(', ');
+    audit.record(interaction, t(`audit.autoremind${enabled ? 'On' : 'Off'}${leadOverride && enabled ? 'Leads' : ''}`, { leads: leadList }));
+
+    if (!enabled) {
+      // Drop pending auto reminders so they don't fire after opting out,
+      // overdue ones waiting to be caught up or retried included
+      const cancelled = storage.getRemindersForGuild(guildId).filter(r => r.auto);
+      for (const r of cancelled) {
+        scheduler.cancelReminder(guildId, r.id);
+      }
+      if (cancelled.length) audit.record(interaction, t('audit.cancelAuto', { count: cancelled.length }));
+      return interaction.reply({ content: t('replies.autoremind.off') });
+    }
+
+    for (const [key, league] of Object.entries(leagues)) {
+      if (league.leagueCache) poller.syncAutoReminders(guildId, key, league.leagueCache, client);
+    }
+    const leads = poller.getAutoLeads(storage.getGuildConfig(guildId));
+    return interaction.reply({ content: t('replies.autoremind.on', { leads: leads.map(datetime.formatLead).join(', ') }) });
+  }
+
+  // /setladder
+  if (commandName === 'setladder') {
+    const leads = datetime.parseLeadTimes(interaction.options.getString('leads'));
+    if (!leads) {
+      return interaction.reply({ content: t('errors.badLadder'), ephemeral: true });
+    }
+    storage.setGuildConfig(guildId, { reminderLadder: leads });
+    const leadList = leads.map(datetime.formatLead).join(', ');
+    audit.record(interaction, t('audit.setLadder', { leads: leadList }));
+    return interaction.reply({ content: t('replies.setladder.done', { leads: leadList }) });
+  }
+
+  // /subscribe
+  if (commandName === 'subscribe') {
+    let role;
+    try {
+      role = await mentions.ensureSubscriberRole(interaction.guild);
+      if (interaction.member.roles.cache.has(role.id)) {
+        return interaction.reply({ content: t('replies.subscribe.already', { role }), ephemeral: true });
+      }
+      await interaction.member.roles.add(role, 'Subscribed with /subscribe');
+    } catch (err) {
+      return interaction.reply({ content: t('errors.roleAddFailed', { error: err.message, role: role || t('errors.theMusicLeagueRole') }), ephemeral: true });
+    }
+
+    const config = storage.getGuildConfig(guildId);
+    const target = mentions.getTarget(null, config);
+    const lines = [t('replies.subscribe.done', { role })];
+    if (target !== 'subscribers') {
+      lines.push(t('replies.subscribe.otherTarget', { target: mentions.describeTarget(target, config, t) }));
+    }
+    return interaction.reply({ content: lines.join('\n\n'), ephemeral: true });
+  }
+
+  // /unsubscribe
+  if (commandName === 'unsubscribe') {
+    const roleId = storage.getGuildConfig(guildId)?.subscriberRoleId;
+    if (!roleId || !interaction.member.roles.cache.has(roleId)) {
+      return interaction.reply({ content: t('replies.unsubscribe.notSubscribed'), ephemeral: true });
+    }
+    try {
+      await interaction.member.roles.remove(roleId, 'Unsubscribed with /unsubscribe');
+    } catch (err) {
+      return interaction.reply({ content: t('errors.roleRemoveFailed', { error: err.message }), ephemeral: true });
+    }
+    return interaction.reply({ content: t('replies.unsubscribe.done'), ephemeral: true });
+  }
+
+  // /setmention
+  if (commandName === 'setmention') {
+    let target = interaction.options.getString('target');
+    if (target === 'role') {
+      const role = interaction.options.getRole('role');
+      if (!role) {
+        return interaction.reply({ content: t('errors.pickRole'), ephemeral: true });
+      }
+      // The @everyone role shares the server's ID
+      target = role.id === guildId ? 'everyone' : role.id;
+    }
+    if (target === 'subscribers') {
+      try {
+        await mentions.ensureSubscriberRole(interaction.guild);
+      } catch (err) {
+        return interaction.reply({ content: t('errors.roleCreateFailed', { error: err.message }), ephemeral: true });
+      }
+    }
+
+    const config = storage.setGuildConfig(guildId, { mention: target });
+    const described = mentions.describeTarget(target, config, t);
+    audit.record(interaction, t('audit.setMention', { target: described }));
+    const reply = target === 'subscribers' ? 'replies.setmention.doneSubscribers' : 'replies.setmention.done';
+    return interaction.reply({ content: t(reply, { target: described }), allowedMentions: { parse: [] } });
+  }
+
+  // /linkme, /link
+  if (commandName === 'linkme' || commandName === 'link') {
+    const target = commandName === 'link' ? interaction.options.getUser('user') : interaction.user;
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    if (!league.leagueCache?.members?.length) {
+      return interaction.reply({ content: t('errors.noMembersCached'), ephemeral: true });
+    }
+
+    const query = interaction.options.getString('member');
+    const member = members.findMember(league, query);
+    if (!member) {
+      return interaction.reply({ content: t('errors.noMemberMatch', { query, league: league.key }), ephemeral: true });
+    }
+    const takenBy = members.getLinks(league)[member.id];
+    if (takenBy && takenBy !== target.id && !permissions.isManager(interaction)) {
+      return interaction.reply({ content: t('errors.memberTaken', { member: member.name }), ephemeral: true });
+    }
+
+    members.linkMember(guildId, league.key, member.id, target.id);
+    audit.record(interaction, t('audit.link', { user: `<@${target.id}>`, member: member.name, league: league.key }));
+    const nudgesOff = mentions.getNudgeMode(null, storage.getGuildConfig(guildId)) === 'off';
+    return interaction.reply({
+      content: t(nudgesOff ? 'replies.link.doneNudgesOff' : 'replies.link.done', { user: `${target}`, member: member.name, league: league.key }),
+      allowedMentions: { parse: [] },
+      ephemeral: commandName === 'linkme',
+    });
+  }
+
+  // /unlink
+  if (commandName === 'unlink') {
+    const target = interaction.options.getUser('user') || interaction.user;
+    if (target.id !== interaction.user.id && !permissions.isManager(interaction)) {
+      return interaction.reply({ content: permissions.deniedMessage(guildId), ephemeral: true });
+    }
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+
+    const memberId = members.unlinkUser(guildId, league.key, target.id);
+    if (!memberId) {
+      return interaction.reply({ content: t('errors.notLinked', { user: target, league: league.key }), allowedMentions: { parse: [] }, ephemeral: true });
+    }
+    const member = members.memberName(league, memberId);
+    audit.record(interaction, t('audit.unlink', { user: `<@${target.id}>`, member, league: league.key }));
+    return interaction.reply({ content: t('replies.unlink.done', { user: `${target}`, member }), allowedMentions: { parse: [] }, ephemeral: true });
+  }
+
+  // /links
+  if (commandName === 'links') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+    const links = Object.entries(members.getLinks(league));
+    if (!links.length) {
+      return interaction.reply({ content: t('replies.links.none', { league: league.key }), ephemeral: true });
+    }
+
+    const unlinked = (league.leagueCache?.members || []).filter(m => m.id && !members.getLinks(league)[m.id]);
+    const embed = new EmbedBuilder()
+      .setColor(0x9E00C4)
+      .setTitle(t('replies.links.title', { league: league.leagueCache?.name || league.key }))
+      .setDescription(truncate(links.map(([memberId, userId]) => `**${members.memberName(league, memberId)}** → <@${userId}>`).join('\n'), 4000));
+    if (unlinked.length) {
+      embed.addFields({ name: t('replies.links.notLinked', { count: unlinked.length }), value: truncate(unlinked.map(m => m.name).join(', '), 1024) });
+    }
+    return interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+  }
+
+  // /nudges
+  if (commandName === 'nudges') {
+    const mode = interaction.options.getString('mode');
+    storage.setGuildConfig(guildId, { nudges: mode });
+    audit.record(interaction, t('audit.nudges', { mode }));
+    const lines = [t(`replies.nudges.${mode}`)];
+    if (mode !== 'off') lines.push(t('replies.nudges.fallback'));
+    return interaction.reply({ content: lines.join(' ') });
+  }
+
+  // /announce
+  if (commandName === 'announce') {
+    const type = interaction.options.getString('type');
+    const enabled = interaction.options.getBoolean('enabled');
+    const config = storage.getGuildConfig(guildId);
+
+    const types = type === 'all' ? Object.keys(announcer.ANNOUNCEMENT_TYPES) : [type];
+    const announcements = { ...(config?.announcements || {}) };
+    for (const key of types) announcements[key] = enabled;
+    const updated = storage.setGuildConfig(guildId, { announcements });
+    const state = enabled ? 'On' : 'Off';
+    audit.record(interaction, type === 'all'
+      ? t(`audit.announceAll${state}`)
+      : t(`audit.announce${state}`, { type: t(`replies.announce.types.${type}`) }));
+
+    const summary = Object.keys(announcer.ANNOUNCEMENT_TYPES)
+      .map(key => `${announcer.isEnabled(updated, key) ? '✅' : '❌'} ${t(`replies.announce.types.${key}`)}`)
+      .join('\n');
+    const channelNote = updated.notifyChannelId
+      ? t('replies.announce.channel', { channel: `<#${updated.notifyChannelId}>` })
+      : t('replies.announce.noChannel');
+    return interaction.reply({ content: `${summary}\n\n${channelNote}` });
+  }
+
+  // /pinstatus
+  if (commandName === 'pinstatus') {
+    const league = await resolveLeague(interaction);
+    if (!league) return;
+
+    // Fetching, posting and pinning can outlast the 3-second reply window
+    if (interaction.options.getBoolean('stop')) {
+      await interaction.reply({ content: t('replies.pinstatus.removing'), ephemeral: true });
+      if (!await statusboard.unpinStatus(guildId, league.key, client)) {
+        return interaction.editReply({ content: t('errors.noStatusMessage', { league: league.key }) });
+      }
+      audit.record(interaction, t('audit.unpinStatus', { league: league.key }));
+      return interaction.editReply({ content: t('replies.pinstatus.removed', { league: league.key }) });
+    }
+
+    const channelId = league.notifyChannelId || storage.getGuildConfig(guildId)?.notifyChannelId;
+    if (!channelId) {
+      return interaction.reply({ content: t('errors.noChannel'), ephemeral: true });
+    }
+    await interaction.reply({ content: t('replies.pinstatus.posting'), ephemeral: true });
+    try {
+      const channel = await client.channels.fetch(channelId);
+      const { message, pinned } = await statusboard.pinStatus(guildId, league.key, channel, client);
+      audit.record(interaction, t('audit.pinStatus', { league: league.key, channel: `<#${channelId}>` }));
+      const lines = [t('replies.pinstatus.posted', {
+        league: league.key,
+        channel: `<#${channelId}>`,
+        url: message.url,
+        minutes: statusboard.getUpdateMinutes(),
+      })];
+      if (!pinned) lines.push(t('replies.pinstatus.notPinned'));
+      return interaction.editReply({ content: lines.join('\n') });
+    } catch (err) {
+      return interaction.editReply({ content: t('errors.postFailed', { channel: `<#${channelId}>`, error: err.message }) });
+    }
+  }
+
+  // /setmanagerrole
+  if (commandName === 'setmanagerrole') {
+    // Not a manager command: a role holder mustn't be able to hand the role around
+    if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+      return interaction.reply({ content: t('permissions.manageServerOnly'), ephemeral: true });
+    }
+    const role = interaction.options.getRole('role');
+    storage.setGuildConfig(guildId, { managerRoleId: role?.id });
+    audit.record(interaction, role ? t('audit.setManagerRole', { role: `<@&${role.id}>` }) : t('audit.clearManagerRole'));
+    return interaction.reply({
+      content: role
+        ? t('replies.setmanagerrole.set', { role: `${role}` })
+        : t('replies.setmanagerrole.cleared'),
+      allowedMentions: { parse: [] },
+    });
+  }
+
+  // /auditlog
+  if (commandName === 'auditlog') {
+    return interaction.reply({ ...auditReply(guildId, 0), ephemeral: true });
+  }
+
+  // /editreminder
+  if (commandName === 'editreminder') {
+    const id = interaction.options.getString('id');
+    const reminder = scheduler.getReminders(guildId).find(r => r.id === id);
+    if (!reminder) {
+      return interaction.reply({ content: t('errors.noReminder', { id }), ephemeral: true });
+    }
+
+    const changes = {};
+    const datetimeStr = interaction.options.getString('datetime');
+    const leadInput = interaction.options.getString('remind_before');
+    const channel = interaction.options.getChannel('channel');
+    const type = interaction.options.getString('type');
+    if (!datetimeStr && !leadInput && !channel && !type) {
+      return interaction.reply({ content: t('errors.nothingToChange'), ephemeral: true });
+    }
+    // Auto reminders follow the league page's deadlines and rounds
+    if (reminder.auto && (datetimeStr || type)) {
+      return interaction.reply({ content: t('errors.autoReminderFixed'), ephemeral: true });
+    }
+
+    if (datetimeStr) {
+      const timeZone = guildTimeZone(guildId);
+      const deadline = datetime.parseDeadline(datetimeStr, { timeZone });
+      if (!deadline) {
+        return interaction.reply({ content: t('errors.badDateShort', { timeZone }), ephemeral: true });
+      }
+      changes.deadline = deadline.toISOString();
+    }
+    if (leadInput) {
+      changes.leads = datetime.parseLeadTimes(leadInput);
+      if (!changes.leads) {
+        return interaction.reply({ content: t('errors.badLeads'), ephemeral: true });
+      }
+    }
+    if (channel) changes.channelId = channel.id;
+    if (type) {
+      Object.assign(changes, { type, label: scheduler.REMINDER_LABELS[type], emoji: scheduler.REMINDER_EMOJIS[type] });
+    }
+    // Keeps the poller from putting the auto reminder's lead times back
+    if (reminder.auto) changes.customized = true;
+
+    let updated;
+    try {
+      updated = scheduler.editReminder(guildId, id, changes, client);
+    } catch (err) {
+      return interaction.reply({ content: t('errors.nothingChanged', { error: err.message }), ephemeral: true });
+    }
+
+    const changed = [
+      changes.deadline && t('audit.changedDeadline', { time: `<t:${Math.floor(new Date(changes.deadline).getTime() / 1000)}:f>` }),
+      changes.leads && t('audit.changedLeads', { leads: changes.leads.map(datetime.formatLead).join(', ') }),
+      channel && t('audit.changedChannel', { channel: `<#${channel.id}>` }),
+      type && t('audit.changedType', { type: scheduler.typeLabel(changes, t) }),
+    ].filter(Boolean).join(', ');
+    audit.record(interaction, t('audit.editReminder', { id, changes: changed }));
+
+    const league = updated.leagueKey ? storage.getLeague(guildId, updated.leagueKey) : null;
+    return interaction.reply({ embeds: [buildReminderSetEmbed(updated, id, league, t, 'updated')] });
+  }
+
+  // /snooze
+  if (commandName === 'snooze') {
+    const id = interaction.options.getString('id');
+    const minutes = interaction.options.getInteger('minutes');
+
+    let updated;
+    try {
+      updated = scheduler.snoozeReminder(guildId, id, minutes, client);
+    } catch (err) {
+      return interaction.reply({ content: t('errors.cantSnooze', { error: err.message }), ephemeral: true });
+    }
+    if (!updated) {
+      return interaction.reply({ content: t('errors.noReminder', { id }), ephemeral: true });
+    }
+
+    const remindTs = Math.floor(new Date(updated.remindAt).getTime() / 1000);
+    audit.record(interaction, t('audit.snooze', { id, minutes: datetime.formatLead(minutes) }));
+    return interaction.reply({
+      content: t('replies.snooze.done', { id, minutes: datetime.formatLead(minutes), time: `<t:${remindTs}:R> (<t:${remindTs}:f>)` }),
+    });
+  }
+
+  // /retryreminder
+  if (commandName === 'retryreminder') {
+    const id = interaction.options.getString('id');
+    await interaction.reply({ content: t('replies.retryreminder.sending', { id }) });
+    let sent;
+    try {
+      sent = await scheduler.retryReminder(guildId, id, client);
+    } catch (err) {
+      return interaction.editReply({ content: t('errors.retryFailed', { id, error: err.message }) });
+    }
+    if (!sent) {
+      return interaction.editReply({ content: t('errors.noFailedReminder', { id }) });
+    }
+    audit.record(interaction, t('audit.retry', { id }));
+    return interaction.editReply({ content: t('replies.retryreminder.sent', { id, channel: `<#${sent.channelId}>` }) });
+  }
+
+  // /setalertchannel
+  if (commandName === 'setalertchannel') {
+    const channel = interaction.options.getChannel('channel');
+    storage.setGuildConfig(guildId, { alertChannelId: channel?.id });
+    audit.record(interaction, channel ? t('audit.setAlertChannel', { channel: `<#${channel.id}>` }) : t('audit.clearAlertChannel'));
+    return interaction.reply({
+      content: channel
+        ? t('replies.setalertchannel.set', { channel: `<#${channel.id}>` })
+        : t('replies.setalertchannel.cleared'),
+      ephemeral: true,
+    });
+  }
+
   // /cancelreminder
   if (commandName === 'cancelreminder') {
     const id = interaction.options.getString('id');
     const success = scheduler.cancelReminder(guildId, id);
     if (success) {
-      return interaction.reply({ content: `✅ Reminder \`${id}\` cancelled.` });
+      audit.record(interaction, t('audit.cancelReminder', { id }));
+      return interaction.reply({ content: t('replies.cancelreminder.done', { id }) });
     } else {
-      return interaction.reply({ content: `❌ No reminder found with ID \`${id}\`.`, ephemeral: true });
+      return interaction.reply({ content: t('errors.noReminder', { id }), ephemeral: true });
     }
   }
 });
@@ -351,6 +1831,28 @@ client.once('ready', async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
   await registerCommands();
   scheduler.restoreReminders(client);
+  poller.startPolling(client);
+  statusboard.startStatusUpdates(client);
+  // Once every job type has its handler
+  jobqueue.start();
 });
 
-client.login(process.env.DISCORD_TOKEN);
\ No newline at end of file
+// Stop on signals through process.exit, so the storage lock is released
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => {
+    client.destroy();
+    process.exit(0);
+  });
+}
+
+// The HTTP server writes to storage too (calendar feeds), so it waits for the
+// storage lock; it's up before login, so health checks see the bot connecting
+storage.lock()
+  .then(() => {
+    httpserver.startHttpServer(client);
+    return client.login(process.env.DISCORD_TOKEN);
+  })
+  .catch(err => {
+    console.error('❌ Failed to start:', err.message);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * calendar.js
+ * iCalendar (.ics) output of a server's deadlines — the scraped round
+ * deadlines of every league plus manual reminders — for /calendar, and the
+ * same calendar as a subscribable feed behind a per-guild secret token,
+ * served by httpserver.js.
+ *
+ * Event UIDs come from round and reminder IDs, and each event's SEQUENCE
+ * goes up when its time changes, so calendar apps move existing events
+ * instead of adding duplicates.
+ */
+
+const crypto = require('crypto');
+const storage = require('./storage');
+const i18n = require('./i18n');
+const { typeLabel } = require('./scheduler');
+
+const PRODID = '-//Music League Bot//Deadlines//EN';
+const UID_DOMAIN = 'musicleague-bot';
+const ALARM_MINUTES = 60;
+
+// Labels are calendar.<label> in the message catalogs
+const ROUND_DEADLINES = [
+  { type: 'submission', field: 'submissionDeadline', emoji: '📤', label: 'submissionsClose' },
+  { type: 'voting', field: 'votingDeadline', emoji: '🗳️', label: 'votingCloses' },
+];
+
+// ─── Events ───────────────────────────────────────────────────────────────────
+
+function toDate(value) {
+  const d = new Date(value);
+  return isNaN(d) ? null : d;
+}
+
+/**
+ * Every deadline of a guild as { uid, leagueKey, start, summary,
+ * description, url }: the scraped deadlines of each league's rounds, and
+ * manual reminders that aren't for one of those. Auto reminders are left
+ * out — they are the scraped deadlines again. Titles are written with `t`.
+ */
+function collectEvents(config, reminders, t) {
+  const events = [];
+  const seen = new Set(); // "leagueKey:time" of round deadlines
+
+  for (const [leagueKey, league] of Object.entries(config?.leagues || {})) {
+    const data = league.leagueCache;
+    for (const round of data?.rounds || []) {
+      if (!round.roundId) continue;
+      for (const { type, field, emoji, label } of ROUND_DEADLINES) {
+        const start = toDate(round[field]);
+        if (!start) continue;
+        seen.add(`${leagueKey}:${start.getTime()}`);
+        events.push({
+          uid: `${round.roundId}-${type}@${UID_DOMAIN}`,
+          leagueKey,
+          start,
+          summary: t('calendar.event', { emoji, label: t(`calendar.${label}`), round: round.name || t('calendar.round') }),
+          description: [data.name || leagueKey, round.theme].filter(Boolean).join('\n'),
+          url: round.url || league.leagueUrl || null,
+        });
+      }
+    }
+  }
+
+  for (const r of reminders) {
+    const leagueKey = r.leagueKey || config?.defaultLeague || null;
+    const start = toDate(r.deadline);
+    if (r.auto || !start || seen.has(`${leagueKey}:${start.getTime()}`)) continue;
+    const league = leagueKey ? config?.leagues?.[leagueKey] : null;
+    events.push({
+      uid: `reminder-${r.id}@${UID_DOMAIN}`,
+      leagueKey,
+      start,
+      summary: t(r.roundName ? 'calendar.deadlineRound' : 'calendar.deadline', {
+        emoji: r.emoji || '⏰',
+        label: typeLabel(r, t) || 'Music League',
+        round: r.roundName,
+      }),
+      description: [league?.leagueCache?.name || leagueKey, t('calendar.setWithRemind')].filter(Boolean).join('\n'),
+      url: league?.leagueUrl || null,
+    });
+  }
+
+  return events.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Give each event its SEQUENCE, bumping the stored one when the event's
+ * time changed. Returns the updated { uid: { start, sequence } } map, which
+ * only keeps current events.
+ */
+function assignSequences(events, previous = {}) {
+  const next = {};
+  for (const event of events) {
+    const start = event.start.toISOString();
+    const prev = previous[event.uid];
+    const sequence = !prev ? 0 : prev.start === start ? prev.sequence : prev.sequence + 1;
+    event.sequence = sequence;
+    next[event.uid] = { start, sequence };
+  }
+  return next;
+}
+
+// ─── iCalendar ────────────────────────────────────────────────────────────────
+
+function escapeText(str) {
+  return String(str).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function formatTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), without splitting a
+ * UTF-8 character.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function buildIcs(name, events, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+  ];
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatTime(now)}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `DTSTART:${formatTime(event.start)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${ALARM_MINUTES}M`,
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      'END:VALARM',
+      'END:VEVENT',
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+function sameSequences(a = {}, b = {}) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(uid => b[uid]?.start === a[uid].start && b[uid].sequence === a[uid].sequence);
+}
+
+/**
+ * A guild's events with their sequences. The stored sequences are only
+ * written when an event moved, appeared or went away, so feed reads don't
+ * rewrite the config; the poller calls this after each poll too, so moves
+ * are counted even while nobody reads.
+ */
+function syncSequences(guildId) {
+  const config = storage.getGuildConfig(guildId);
+  const events = collectEvents(config, storage.getRemindersForGuild(guildId), i18n.forGuild(guildId));
+  const sequences = assignSequences(events, config?.calendar?.sequences);
+  if (!sameSequences(sequences, config?.calendar?.sequences)) {
+    storage.setGuildConfig(guildId, { calendar: { ...config?.calendar, sequences } });
+  }
+  return events;
+}
+
+/**
+ * A guild's calendar, or one league's.
+ */
+function buildGuildCalendar(guildId, name, leagueKey) {
+  const events = syncSequences(guildId);
+  const shown = leagueKey ? events.filter(e => e.leagueKey === leagueKey) : events;
+  return { content: buildIcs(name, shown), eventCount: shown.length };
+}
+
+// ─── Feed ─────────────────────────────────────────────────────────────────────
+
+/**
+ * The guild's feed token, created on first use. `reset` replaces it, so
+ * links shared before stop working.
+ */
+function getFeedToken(guildId, reset = false) {
+  const calendar = storage.getGuildConfig(guildId)?.calendar;
+  if (calendar?.token && !reset) return calendar.token;
+  const token = crypto.randomBytes(24).toString('base64url');
+  storage.setGuildConfig(guildId, { calendar: { ...calendar, token } });
+  return token;
+}
+
+function findGuildByToken(token) {
+  const wanted = Buffer.from(token);
+  for (const [guildId, config] of Object.entries(storage.getAllGuildConfigs())) {
+    const stored = Buffer.from(config?.calendar?.token || '');
+    if (stored.length === wanted.length && crypto.timingSafeEqual(stored, wanted)) return guildId;
+  }
+  return null;
+}
+
+// The feed is served when the HTTP server is on. Required here rather than
+// at the top, since httpserver.js requires this module
+function getPort() {
+  return require('./httpserver').getPort();
+}
+
+function feedUrl(token, leagueKey) {
+  const base = (process.env.CALENDAR_BASE_URL || `http://localhost:${getPort()}`).replace(/\/+$/, '');
+  return `${base}/calendar/${token}.ics${leagueKey ? `?league=${encodeURIComponent(leagueKey)}` : ''}`;
+}
+
+/**
+ * Serve GET /calendar/<token>.ics[?league=key]. Unknown tokens get a 404,
+ * the same as any other missing page.
+ */
+function handleFeedRequest(url, res, client) {
+  const match = url.pathname.match(/^\/calendar\/([A-Za-z0-9_-]+)\.ics$/);
+  const guildId = match ? findGuildByToken(match[1]) : null;
+  if (!guildId) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    return res.end('Not found\n');
+  }
+
+  const leagueKey = url.searchParams.get('league');
+  const guildName = client?.guilds.cache.get(guildId)?.name;
+  const name = `Music League — ${leagueKey || guildName || i18n.forGuild(guildId)('replies.calendar.name')}`;
+  const { content } = buildGuildCalendar(guildId, name, leagueKey);
+  res.writeHead(200, {
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="music-league.ics"',
+    'Cache-Control': 'no-cache',
+  });
+  res.end(content);
+}
+
+function isFeedEnabled() {
+  return !!getPort();
+}
+
+module.exports = {
+  collectEvents,
+  assignSequences,
+  buildIcs,
+  syncSequences,
+  buildGuildCalendar,
+  getFeedToken,
+  feedUrl,
+  isFeedEnabled,
+  handleFeedRequest,
+};
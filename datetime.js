@@ -0,0 +1,338 @@
+/**
+ * datetime.js
+ * Parses deadline input from slash commands into a Date, in the guild's
+ * IANA timezone. Accepts ISO 8601, "YYYY-MM-DD HH:mm", and natural input
+ * such as "tomorrow 18:00", "friday 6pm", "dec 25 7:30pm" and "in 3 days".
+ *
+ * Timezone math uses Intl only (no dependencies). Wall-clock times that
+ * don't exist because of a DST jump are moved forward past the gap; times
+ * that occur twice resolve to the earlier one.
+ */
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const UNIT_MS = { minute: 60000, hour: HOUR };
+const UNIT_ALIASES = {
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+};
+
+// ─── Timezones ────────────────────────────────────────────────────────────────
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      weekday: 'long',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * The canonical spelling of an IANA zone name ("europe/berlin" →
+ * "Europe/Berlin"), or null if it isn't one. Abbreviations like "EST" or
+ * "CET" are refused even though Intl knows them: they read as a fixed
+ * offset to some and as a region with daylight saving time to others.
+ */
+function canonicalTimeZone(timeZone) {
+  if (!timeZone || !(timeZone.includes('/') || /^utc$/i.test(timeZone))) return null;
+  try {
+    return getFormatter(timeZone).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  return canonicalTimeZone(timeZone) !== null;
+}
+
+/**
+ * The host's own timezone — what deadlines were read in before guilds
+ * could pick one.
+ */
+function defaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Wall-clock fields of an instant in the given zone.
+ */
+function getZonedParts(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) parts[type] = value;
+  return {
+    year: +parts.year,
+    month: +parts.month,
+    day: +parts.day,
+    hour: +parts.hour,
+    minute: +parts.minute,
+    second: +parts.second,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+/**
+ * UTC offset of the zone at an instant, in ms (e.g. -5h for New York in winter).
+ */
+function getOffset(ms, timeZone) {
+  const p = getZonedParts(ms, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a zone to a Date.
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const local = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offsets a day either side cover at most one DST transition
+  const before = getOffset(local - DAY, timeZone);
+  const after = getOffset(local + DAY, timeZone);
+  const valid = [...new Set([before, after])]
+    .map(offset => local - offset)
+    .filter(ms => getOffset(ms, timeZone) === local - ms);
+
+  // Ambiguous (clocks went back): earliest. Skipped (clocks went forward):
+  // read with the pre-jump offset, which lands just past the gap.
+  return new Date(valid.length ? Math.min(...valid) : local - before);
+}
+
+/**
+ * Calendar date `days` after the given one (no timezone involved).
+ */
+function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Whether date and time fields name a real moment, so dates like Feb 30 are
+ * rejected instead of rolling over into the next month.
+ */
+function isRealDate(fields) {
+  const { month, day, hour = 0, minute = 0 } = fields;
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return false;
+  const check = addDays(fields, 0);
+  return check.month === month && check.day === day;
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+
+const ISO_WITH_ZONE = /^(\d{4})-(\d{2})-(\d{2})t(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(?:z|[+-]\d{2}:?\d{2})$/;
+const ISO_LOCAL = /^(\d{4})-(\d{2})-(\d{2})(?:[ t](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/;
+const TIME = /(?:^|\s)(?:(noon|midnight)|(\d{1,2})(?::(\d{2}))?\s?(am|pm)|(\d{1,2}):(\d{2}))(?=\s|$)/;
+
+function parseTime(text) {
+  const m = text.match(TIME);
+  if (!m) return { time: null, rest: text };
+
+  let time;
+  if (m[1]) {
+    time = { hour: m[1] === 'noon' ? 12 : 0, minute: 0 };
+  } else if (m[4]) {
+    const h = +m[2];
+    if (h < 1 || h > 12) return { time: undefined, rest: text };
+    time = { hour: (h % 12) + (m[4] === 'pm' ? 12 : 0), minute: +(m[3] || 0) };
+  } else {
+    time = { hour: +m[5], minute: +m[6] };
+  }
+  if (time.hour > 23 || time.minute > 59) return { time: undefined, rest: text };
+
+  const rest = (text.slice(0, m.index) + ' ' + text.slice(m.index + m[0].length)).replace(/\s+/g, ' ').trim();
+  return { time, rest };
+}
+
+function parseRelative(text, now, timeZone) {
+  const pairs = [...text.matchAll(/(\d+)\s*([a-z]+)/g)];
+  if (!pairs.length) return null;
+
+  let days = 0, ms = 0, consumed = '';
+  for (const [whole, amount, unitText] of pairs) {
+    const unit = UNIT_ALIASES[unitText];
+    if (!unit) return null;
+    if (unit === 'day') days += +amount;
+    else if (unit === 'week') days += 7 * amount;
+    else ms += amount * UNIT_MS[unit];
+    consumed += whole;
+  }
+  // Everything apart from separators must have been understood
+  if (consumed.replace(/\s/g, '') !== text.replace(/\s|\band\b/g, '')) return null;
+
+  // Days move the calendar date and keep the wall-clock time, so "in 3 days"
+  // across a DST change still lands at the same local time
+  let base = now.getTime();
+  if (days) {
+    const p = getZonedParts(base, timeZone);
+    base = zonedTimeToDate({ ...p, ...addDays(p, days) }, timeZone).getTime();
+  }
+  return new Date(base + ms);
+}
+
+function parseMonthDay(text) {
+  const monthRe = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+  let m = text.match(new RegExp(`^${monthRe}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+(\\d{4}))?$`));
+  if (m) return { month: m[1], day: +m[2], year: m[3] && +m[3] };
+  m = text.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${monthRe}(?:\\s+(\\d{4}))?$`));
+  if (m) return { month: m[2], day: +m[1], year: m[3] && +m[3] };
+  return null;
+}
+
+/**
+ * Parse deadline input into a Date, or return null if it can't be read.
+ *
+ * @param {string} input            What the user typed
+ * @param {object} [opts]
+ * @param {string} [opts.timeZone]  IANA zone for wall-clock input (default: host zone)
+ * @param {Date}   [opts.now]       Reference time for relative input
+ */
+function parseDeadline(input, { timeZone = defaultTimeZone(), now = new Date() } = {}) {
+  if (!input) return null;
+  const text = input.trim().toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ');
+
+  // Absolute instants carry their own offset
+  let m = text.match(ISO_WITH_ZONE);
+  if (m) {
+    if (!isRealDate({ year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5] })) return null;
+    const d = new Date(input.trim());
+    return isNaN(d) ? null : d;
+  }
+
+  m = text.match(ISO_LOCAL);
+  if (m) {
+    const fields = { year: +m[1], month: +m[2], day: +m[3], hour: +(m[4] || 0), minute: +(m[5] || 0), second: +(m[6] || 0) };
+    if (!isRealDate(fields)) return null;
+    return zonedTimeToDate(fields, timeZone);
+  }
+
+  m = text.match(/^in (.+)$/);
+  if (m) return parseRelative(m[1], now, timeZone);
+
+  const { time, rest } = parseTime(text);
+  if (time === undefined) return null;
+  const dayText = rest.replace(/\b(?:at|on)\b/g, ' ').replace(/\s+/g, ' ').trim();
+
+  const today = getZonedParts(now.getTime(), timeZone);
+  const clock = time || { hour: today.hour, minute: today.minute };
+  const at = date => zonedTimeToDate({ ...date, ...clock, second: 0 }, timeZone);
+
+  // Bare time: its next occurrence
+  if (!dayText) {
+    if (!time) return null;
+    const candidate = at(today);
+    return candidate > now ? candidate : at(addDays(today, 1));
+  }
+
+  if (dayText === 'today' || dayText === 'tonight') return at(today);
+  if (dayText === 'tomorrow') return at(addDays(today, 1));
+
+  m = dayText.match(/^(next\s+|this\s+)?(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)[a-z]*$/);
+  if (m) {
+    const target = WEEKDAYS.findIndex(w => w.startsWith(m[2]));
+    const next = !!m[1] && m[1].trim() === 'next';
+    let days = (target - today.weekday + 7) % 7;
+    if (days === 0 && (next || at(today) <= now)) days = 7;
+    return at(addDays(today, days));
+  }
+
+  const md = parseMonthDay(dayText);
+  if (md) {
+    const month = MONTHS.findIndex(name => name.startsWith(md.month.replace('.', '').slice(0, 3))) + 1;
+    const date = { year: md.year || today.year, month, day: md.day };
+    if (!isRealDate(date)) return null;
+    // Without a year, a date that has already passed means next year's
+    const candidate = at(date);
+    if (!md.year && candidate <= now) return at({ ...date, year: date.year + 1 });
+    return candidate;
+  }
+
+  return null;
+}
+
+// ─── Lead Times ───────────────────────────────────────────────────────────────
+
+const MAX_LEADS = 10;
+
+/**
+ * Parse a list of reminder lead times such as "1440,60,10" or "1d 1h 10m"
+ * into minutes, longest first. Plain numbers are minutes. Returns null if
+ * any entry can't be read.
+ */
+function parseLeadTimes(input) {
+  if (input == null) return null;
+  const entries = String(input).toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (!entries.length || entries.length > MAX_LEADS) return null;
+
+  const leads = new Set();
+  for (const entry of entries) {
+    const m = entry.match(/^(\d+)([a-z]*)$/);
+    if (!m) return null;
+    const unit = m[2] ? UNIT_ALIASES[m[2]] : 'minute';
+    if (!unit) return null;
+    const minutes = +m[1] * { minute: 1, hour: 60, day: 1440, week: 10080 }[unit];
+    if (minutes <= 0) return null;
+    leads.add(minutes);
+  }
+  return [...leads].sort((a, b) => b - a);
+}
+
+/**
+ * Short rendering of a lead time: 1440 → "1d", 90 → "1h 30m".
+ */
+function formatLead(minutes) {
+  const parts = [];
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (mins || !parts.length) parts.push(`${mins}m`);
+  return parts.join(' ');
+}
+
+/**
+ * A scraped deadline as Discord timestamps, full date plus relative time.
+ * Values that don't parse as dates are shown as they are.
+ */
+function formatDeadline(value) {
+  const d = new Date(value);
+  return isNaN(d) ? value : `<t:${Math.floor(d / 1000)}:F> (<t:${Math.floor(d / 1000)}:R>)`;
+}
+
+/**
+ * "Dec 25, 2024, 18:00 EST"-style rendering, for places Discord timestamps
+ * can't be used (they always show in the viewer's own zone).
+ */
+function formatInZone(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric', month: 'short', day: 'numeric',
+    hour: 'numeric', minute: '2-digit',
+    timeZoneName: 'short',
+  }).format(date);
+}
+
+module.exports = {
+  parseDeadline,
+  parseLeadTimes,
+  formatLead,
+  formatDeadline,
+  isValidTimeZone,
+  canonicalTimeZone,
+  defaultTimeZone,
+  zonedTimeToDate,
+  formatInZone,
+};
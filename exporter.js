@@ -0,0 +1,129 @@
+/**
+ * exporter.js
+ * Turns stored round details (from /round, the poller or /import) into
+ * playlist files — M3U, CSV, JSON or plain text — for one round or a whole
+ * season.
+ */
+
+const EXPORT_FORMATS = {
+  m3u: 'M3U playlist',
+  csv: 'CSV spreadsheet',
+  json: 'JSON',
+  txt: 'Plain text',
+};
+
+// ─── Rows ─────────────────────────────────────────────────────────────────────
+
+/**
+ * A round's submissions in result order: by points once there are any,
+ * otherwise as listed on the round page (like /round shows them).
+ */
+function sortedSubmissions(detail) {
+  const submissions = [...(detail.submissions || [])];
+  if (submissions.some(s => s.points != null)) {
+    submissions.sort((a, b) => (b.points ?? -Infinity) - (a.points ?? -Infinity));
+  }
+  return submissions;
+}
+
+function toTrack(s) {
+  return {
+    title: s.title || null,
+    artist: s.artist || null,
+    submitter: s.submitter || null,
+    points: s.points ?? null,
+    url: s.trackUrl || null,
+  };
+}
+
+// ─── Formats ──────────────────────────────────────────────────────────────────
+
+/**
+ * One CSV cell. Text starting with =, +, - or @ gets a leading ' so
+ * spreadsheets show it instead of running it as a formula; numbers (points
+ * can be negative) are left alone.
+ */
+function csvField(value) {
+  let str = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rounds) {
+  const lines = [['Round', 'Round Name', 'Position', 'Title', 'Artist', 'Submitter', 'Points', 'Link'].join(',')];
+  for (const round of rounds) {
+    round.tracks.forEach((t, i) => {
+      lines.push([round.number, round.name, i + 1, t.title, t.artist, t.submitter, t.points, t.url].map(csvField).join(','));
+    });
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Extended M3U. Players can't resolve Spotify links themselves, but
+ * Spotify-aware importers (and people) can.
+ */
+function toM3u(title, rounds) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${title}`];
+  for (const round of rounds) {
+    if (rounds.length > 1) lines.push('', `# Round ${round.number}: ${round.name || 'Untitled'}`);
+    for (const t of round.tracks) {
+      if (!t.url) continue;
+      const label = [t.artist, t.title].filter(Boolean).join(' - ') || 'Unknown track';
+      lines.push(`#EXTINF:-1,${label}`, t.url);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function toTxt(title, rounds) {
+  const blocks = rounds.map(round => {
+    const lines = [`Round ${round.number}: ${round.name || 'Untitled'}`];
+    if (round.theme) lines.push(round.theme);
+    lines.push('');
+    round.tracks.forEach((t, i) => {
+      const meta = [t.submitter, t.points != null ? `${t.points} pts` : null].filter(Boolean).join(', ');
+      lines.push(`${i + 1}. ${t.title || 'Unknown track'}${t.artist ? ` — ${t.artist}` : ''}${meta ? ` (${meta})` : ''}`);
+      if (t.url) lines.push(`   ${t.url}`);
+    });
+    return lines.join('\n');
+  });
+  return `${title}\n\n${blocks.join('\n\n')}\n`;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+function slug(str) {
+  return (str || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'music-league';
+}
+
+/**
+ * Build an export file. `rounds` is a list of { number, detail }, where
+ * detail is a stored round detail. A `season` export is titled and named
+ * after the league even when only one of its rounds could be loaded.
+ * Returns { name, content, trackCount }.
+ */
+function buildExport(leagueName, rounds, format, { season = rounds.length > 1 } = {}) {
+  const data = rounds.map(({ number, detail }) => ({
+    number,
+    roundId: detail.roundId,
+    name: detail.name || null,
+    theme: detail.theme || null,
+    url: detail.url || null,
+    tracks: sortedSubmissions(detail).map(toTrack),
+  }));
+
+  const title = season ? `${leagueName} — Season` : `${leagueName} — ${data[0].name || `Round ${data[0].number}`}`;
+  const name = `${slug(leagueName)}-${season ? 'season' : slug(data[0].name || `round-${data[0].number}`)}.${format}`;
+  const trackCount = data.reduce((n, r) => n + r.tracks.length, 0);
+
+  let content;
+  if (format === 'csv') content = toCsv(data);
+  else if (format === 'm3u') content = toM3u(title, data);
+  else if (format === 'txt') content = toTxt(title, data);
+  else content = `${JSON.stringify({ league: leagueName, exportedAt: new Date().toISOString(), rounds: data }, null, 2)}\n`;
+
+  return { name, content, trackCount };
+}
+
+module.exports = { EXPORT_FORMATS, buildExport };
@@ -0,0 +1,173 @@
+/**
+ * fetcher.js
+ * Shared HTTP layer for everything the scraper requests from Music League.
+ *
+ *   - One global queue: requests start at most every SCRAPE_MIN_INTERVAL_MS,
+ *     and a 429 pauses the whole queue (Retry-After, else exponential backoff)
+ *   - Identical requests already in flight share one response
+ *   - Pages are revalidated with If-None-Match / If-Modified-Since; a 304
+ *     returns the body we already have
+ *   - Redirects are followed up to MAX_REDIRECTS
+ *   - gzip / deflate / brotli responses are decompressed
+ *
+ * ML_BASE_URL replaces https://app.musicleague.com, e.g. to point the
+ * scraper at the local stand-in the tests use.
+ */
+
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+
+const DEFAULT_BASE_URL = 'https://app.musicleague.com';
+const MAX_REDIRECTS = 5;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 2000;
+const MAX_VALIDATORS = 500;
+const MIN_INTERVAL_MS = parseInt(process.env.SCRAPE_MIN_INTERVAL_MS) || 1000;
+
+// Earliest time the next request may start
+let nextSlot = 0;
+
+// In-flight requests: key -> Promise of the response
+const inFlight = new Map();
+
+// Last 200 OK response per request, for conditional requests: key -> { etag, lastModified, response }
+const validators = new Map();
+
+/**
+ * Origin every Music League URL is built on. Read on each call, so it can
+ * be changed after this module is loaded.
+ */
+function getBaseUrl() {
+  return (process.env.ML_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ─── Rate Limit ───────────────────────────────────────────────────────────────
+
+/**
+ * Wait for this request's turn in the global queue.
+ */
+async function takeSlot() {
+  const now = Date.now();
+  const start = Math.max(now, nextSlot);
+  nextSlot = start + MIN_INTERVAL_MS;
+  if (start > now) await sleep(start - now);
+}
+
+function pauseQueue(ms) {
+  nextSlot = Math.max(nextSlot, Date.now() + ms);
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value) * 1000;
+  const date = new Date(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ─── Raw Request ──────────────────────────────────────────────────────────────
+
+function decompress(res) {
+  switch ((res.headers['content-encoding'] || '').toLowerCase()) {
+    case 'gzip': return res.pipe(zlib.createGunzip());
+    case 'deflate': return res.pipe(zlib.createInflate());
+    case 'br': return res.pipe(zlib.createBrotliDecompress());
+    default: return res;
+  }
+}
+
+function rawGet(url, extraHeaders, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const mod = url.startsWith('https') ? https : http;
+    const cookie = process.env.ML_COOKIE || '';
+
+    const options = {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br',
+        'Referer': `${getBaseUrl()}/`,
+        ...(cookie ? { Cookie: cookie } : {}),
+        ...extraHeaders,
+      },
+    };
+
+    const req = mod.get(url, options, res => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error(`Too many redirects (more than ${MAX_REDIRECTS}) fetching ${url}`));
+        }
+        const next = new URL(res.headers.location, url).href;
+        return rawGet(next, extraHeaders, redirects + 1).then(resolve).catch(reject);
+      }
+
+      const chunks = [];
+      const body = decompress(res);
+      body.on('data', chunk => chunks.push(chunk));
+      body.on('end', () => resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString('utf8'), headers: res.headers }));
+      body.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.setTimeout(12000, () => { req.destroy(); reject(new Error('Request timed out')); });
+  });
+}
+
+// ─── Fetch ────────────────────────────────────────────────────────────────────
+
+function remember(key, entry) {
+  validators.delete(key);
+  validators.set(key, entry);
+  // Drop the least recently stored entry
+  if (validators.size > MAX_VALIDATORS) validators.delete(validators.keys().next().value);
+}
+
+async function fetchWithRetry(url, extraHeaders, key) {
+  const cached = validators.get(key);
+  const conditional = {};
+  if (cached?.etag) conditional['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+
+  for (let attempt = 0; ; attempt++) {
+    await takeSlot();
+    const res = await rawGet(url, { ...extraHeaders, ...conditional });
+
+    if (res.statusCode === 429 && attempt < MAX_RETRIES) {
+      const delay = parseRetryAfter(res.headers['retry-after']) ?? BASE_BACKOFF_MS * 2 ** attempt;
+      console.warn(`⏳ Music League rate limit hit, pausing requests for ${Math.ceil(delay / 1000)}s.`);
+      pauseQueue(delay);
+      continue;
+    }
+    if (res.statusCode === 304 && cached) {
+      return { ...cached.response, notModified: true };
+    }
+    if (res.statusCode === 200 && (res.headers.etag || res.headers['last-modified'])) {
+      remember(key, { etag: res.headers.etag, lastModified: res.headers['last-modified'], response: res });
+    }
+    return res;
+  }
+}
+
+/**
+ * GET a page through the shared queue. Resolves to { statusCode, body,
+ * headers }, plus `notModified` when the body came from a 304.
+ */
+function fetchPage(url, extraHeaders = {}) {
+  const key = `${url} ${JSON.stringify(extraHeaders)}`;
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = fetchWithRetry(url, extraHeaders, key).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+module.exports = { fetchPage, getBaseUrl };
@@ -0,0 +1,107 @@
+/**
+ * httpserver.js
+ * Optional HTTP server, on when HTTP_PORT is set:
+ *   GET /healthz              — JSON health for uptime checks; 503 while the
+ *                               Discord gateway isn't connected
+ *   GET /metrics              — Prometheus text format (see metrics.js),
+ *                               behind METRICS_TOKEN when that is set
+ *   GET /calendar/<token>.ics — calendar feeds (see calendar.js)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { Status } = require('discord.js');
+const metrics = require('./metrics');
+const jobqueue = require('./jobqueue');
+const poller = require('./poller');
+const calendar = require('./calendar');
+
+let server = null;
+
+/**
+ * The port from HTTP_PORT, or CALENDAR_PORT, the name it had when the server
+ * only served calendar feeds.
+ */
+function getPort() {
+  return parseInt(process.env.HTTP_PORT || process.env.CALENDAR_PORT) || null;
+}
+
+function send(res, status, body, type = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+  res.end(body);
+}
+
+// ─── Routes ───────────────────────────────────────────────────────────────────
+
+function health(client) {
+  const ready = client.isReady();
+  const lastPollAt = poller.getLastPollAt();
+  return {
+    status: ready ? 'ok' : 'unavailable',
+    gateway: Status[client.ws.status] ?? 'Unknown',
+    pingMs: ready ? client.ws.ping : null,
+    guilds: client.guilds.cache.size,
+    pendingJobs: jobqueue.countPending(),
+    lastPollAt: lastPollAt ? new Date(lastPollAt).toISOString() : null,
+    uptimeSeconds: Math.round(process.uptime()),
+  };
+}
+
+function gauges(client) {
+  const ready = client.isReady();
+  return {
+    musicleague_gateway_connected: ready ? 1 : 0,
+    musicleague_gateway_ping_milliseconds: ready ? Math.max(0, client.ws.ping) : 0,
+    musicleague_guilds: client.guilds.cache.size,
+    musicleague_uptime_seconds: Math.round(process.uptime()),
+    musicleague_jobs_pending: jobqueue.countPending(),
+  };
+}
+
+function isAuthorized(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+  const given = Buffer.from(req.headers.authorization || '');
+  const wanted = Buffer.from(`Bearer ${token}`);
+  return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+function handleRequest(req, res, client) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET') return send(res, 405, 'Method not allowed\n');
+
+  if (url.pathname === '/healthz') {
+    const body = health(client);
+    return send(res, body.status === 'ok' ? 200 : 503, `${JSON.stringify(body)}\n`, 'application/json');
+  }
+  if (url.pathname === '/metrics') {
+    if (!isAuthorized(req)) return send(res, 401, 'Unauthorized\n');
+    return send(res, 200, metrics.render(gauges(client)), 'text/plain; version=0.0.4; charset=utf-8');
+  }
+  if (url.pathname.startsWith('/calendar/')) {
+    return calendar.handleFeedRequest(url, res, client);
+  }
+  return send(res, 404, 'Not found\n');
+}
+
+/**
+ * Start the server when HTTP_PORT is set. Called at startup, before login, so
+ * /healthz can report 503 until the gateway connects.
+ */
+function startHttpServer(client) {
+  const port = getPort();
+  if (server || !port) return;
+  server = http.createServer((req, res) => {
+    try {
+      handleRequest(req, res, client);
+    } catch (err) {
+      console.error(`HTTP request for ${req.url} failed:`, err.message);
+      if (!res.headersSent) send(res, 500, 'Internal error\n');
+      else res.end();
+    }
+  });
+  server.on('error', err => console.error('HTTP server error:', err.message));
+  server.listen(port, () => console.log(`🌐 Serving /healthz, /metrics and calendar feeds on port ${port}.`));
+}
+
+module.exports = { startHttpServer, getPort };
@@ -0,0 +1,118 @@
+/**
+ * i18n.js
+ * Message catalogs for the languages the bot speaks, and the server's
+ * choice among them (/setlanguage). Catalogs live in locales/, one per
+ * language, as nested objects of strings with {placeholders}. A key missing
+ * from a catalog falls back to English.
+ *
+ * Slash command text is written in English in bot.js; the other catalogs
+ * hold its translations under `commands`, `options` and `choices`, which
+ * Discord shows to users whose client is set to that language. That
+ * includes command names, under `commands.<command>.name`.
+ */
+
+const storage = require('./storage');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages the bot ships with, and the Discord locales each one covers
+const LANGUAGES = {
+  en: { name: 'English', locales: ['en-US', 'en-GB'] },
+  es: { name: 'Español', locales: ['es-ES', 'es-419'] },
+  de: { name: 'Deutsch', locales: ['de'] },
+};
+
+const CATALOGS = {
+  en: require('./locales/en'),
+  es: require('./locales/es'),
+  de: require('./locales/de'),
+};
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+function lookup(catalog, key) {
+  const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+  return typeof value === 'string' ? value : undefined;
+}
+
+function interpolate(str, vars = {}) {
+  return str.replace(/\{(\w+)\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : match));
+}
+
+/**
+ * A message in `language`, else in English, else the key itself so a
+ * missing string shows up instead of breaking the reply.
+ */
+function translate(language, key, vars) {
+  const str = lookup(CATALOGS[language] || {}, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+  return str === undefined ? key : interpolate(str, vars);
+}
+
+function getLanguage(guildId) {
+  const language = storage.getGuildConfig(guildId)?.language;
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * A `t(key, vars)` for one language.
+ */
+function translator(language) {
+  return (key, vars) => translate(language, key, vars);
+}
+
+/**
+ * A `t(key, vars)` for the server's language.
+ */
+function forGuild(guildId) {
+  return translator(getLanguage(guildId));
+}
+
+// ─── Slash Commands ───────────────────────────────────────────────────────────
+
+/**
+ * Discord localizations for the first of `keys` each language has, as
+ * { locale: text }. English is left out: it is the commands' own text.
+ */
+function localizations(...keys) {
+  const result = {};
+  for (const [language, { locales }] of Object.entries(LANGUAGES)) {
+    if (language === DEFAULT_LANGUAGE) continue;
+    const str = keys.map(key => lookup(CATALOGS[language], key)).find(Boolean);
+    if (str) for (const locale of locales) result[locale] = str;
+  }
+  return Object.keys(result).length ? result : null;
+}
+
+/**
+ * Add the catalogs' translations to a slash command: its name and
+ * description, its options' descriptions and its choices' names. An
+ * option's text is looked up for the command first, then shared by every
+ * command with that option. Option names stay English, so the examples in
+ * /help and the readme work in every language.
+ */
+function localizeCommand(command) {
+  const { name } = command;
+  command.setNameLocalizations(localizations(`commands.${name}.name`));
+  command.setDescriptionLocalizations(localizations(`commands.${name}.description`));
+  for (const option of command.options) {
+    option.setDescriptionLocalizations(localizations(`commands.${name}.options.${option.name}`, `options.${option.name}`));
+    if (option.choices?.length) {
+      option.setChoices(...option.choices.map(choice => ({
+        ...choice,
+        name_localizations: localizations(`commands.${name}.choices.${choice.value}`, `choices.${choice.value}`),
+      })));
+    }
+  }
+  return command;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  CATALOGS,
+  translate,
+  translator,
+  getLanguage,
+  forGuild,
+  localizeCommand,
+};
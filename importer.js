@@ -0,0 +1,320 @@
+/**
+ * importer.js
+ * Reads the CSV files Music League lets league admins download (competitors,
+ * rounds, submissions, votes) and turns them into the same shape the scraper
+ * produces, for leagues that can't be scraped. The export has no deadlines
+ * or round phases, so those are kept from any earlier scrape.
+ */
+
+const { getBaseUrl } = require('./fetcher');
+const { extractLeagueId } = require('./scraper');
+
+const MAX_CSV_BYTES = 5 * 1024 * 1024;
+
+// Columns each file must have. Headers are matched case-insensitively;
+// other columns (Created, Album, Comment, ...) are used when present.
+const CSV_COLUMNS = {
+  competitors: ['id', 'name'],
+  rounds: ['id', 'name'],
+  submissions: ['spotify uri', 'submitter id', 'round id'],
+  votes: ['spotify uri', 'voter id', 'points assigned', 'round id'],
+};
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold
+ * commas, doubled quotes and line breaks). Blank lines are dropped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * Rows of one export file as objects keyed by lower-cased header, each with
+ * its `row` number (the header is row 1). Throws when a required column is
+ * missing; rows with the wrong number of fields go to `problems`. Messages
+ * are written with `t`.
+ */
+function readCsv(kind, text, t) {
+  const file = `${kind}.csv`;
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error(t('importer.empty', { file }));
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const missing = CSV_COLUMNS[kind].filter(c => !columns.includes(c));
+  if (missing.length) {
+    throw new Error(t('importer.missingColumns', { file, columns: missing.join(', ') }));
+  }
+
+  const records = [];
+  const problems = [];
+  rows.forEach((fields, i) => {
+    const row = i + 2;
+    if (fields.length !== columns.length) {
+      problems.push(t('importer.fieldCount', { file, row, count: fields.length, expected: columns.length }));
+      return;
+    }
+    const record = { row };
+    columns.forEach((c, j) => { record[c] = fields[j].trim(); });
+    records.push(record);
+  });
+
+  return { records, problems };
+}
+
+/**
+ * Download a CSV attachment from Discord.
+ */
+async function downloadCsv(attachment, t) {
+  if (attachment.size > MAX_CSV_BYTES) {
+    throw new Error(t('importer.tooLarge', { file: attachment.name, size: MAX_CSV_BYTES / 1024 / 1024 }));
+  }
+  const res = await fetch(attachment.url);
+  if (!res.ok) throw new Error(t('importer.downloadFailed', { status: res.status, file: attachment.name }));
+  return res.text();
+}
+
+// ─── Building ─────────────────────────────────────────────────────────────────
+
+function trackFromUri(uri) {
+  const match = uri.match(/^spotify:track:([A-Za-z0-9]+)$/) || uri.match(/open\.spotify\.com\/track\/([A-Za-z0-9]+)/);
+  return match ? { trackId: match[1], trackUrl: `https://open.spotify.com/track/${match[1]}` } : { trackUrl: uri };
+}
+
+function byCreated(a, b) {
+  return (Date.parse(a.created) || 0) - (Date.parse(b.created) || 0);
+}
+
+/**
+ * Standings from summed vote points. Tied players share a rank.
+ */
+function buildStandings(totals) {
+  const sorted = [...totals].sort((a, b) => b.points - a.points);
+  let rank = 0;
+  return sorted.map((s, i) => {
+    if (i === 0 || s.points !== sorted[i - 1].points) rank = i + 1;
+    return { ...s, rank };
+  });
+}
+
+/**
+ * Turn the parsed export files into league data. `files` maps a kind from
+ * CSV_COLUMNS to its CSV text; any subset can be given, and whatever is left
+ * out is kept from `existing` (the league's current cache).
+ *
+ * Returns { data, roundDetails, counts, problems }, where `problems`
+ * lists the rows that were skipped and why, written with `t`. Throws when
+ * the files given can't be read together at all.
+ */
+function buildImport(files, existing, leagueUrl, t) {
+  const problems = [];
+  const skip = (kind, row, key, vars) => problems.push(t(`importer.${key}`, { file: `${kind}.csv`, row, ...vars }));
+  const orBlank = value => value || t('importer.blank');
+  const read = {};
+  for (const [kind, text] of Object.entries(files)) {
+    if (!CSV_COLUMNS[kind]) continue;
+    const result = readCsv(kind, text, t);
+    read[kind] = result.records;
+    problems.push(...result.problems);
+  }
+
+  if (read.votes && !read.submissions) {
+    throw new Error(t('importer.needSubmissions'));
+  }
+
+  const now = Date.now();
+  const leagueId = extractLeagueId(leagueUrl.endsWith('/') ? leagueUrl : `${leagueUrl}/`);
+  const data = { ...(existing || {}), url: leagueUrl, leagueId, fetchedAt: now, imported: true };
+  const counts = {};
+
+  // Members
+  if (read.competitors) {
+    const previous = new Map((existing?.members || []).map(m => [m.id, m]));
+    data.members = [];
+    for (const r of read.competitors) {
+      if (!r.id || !r.name) {
+        skip('competitors', r.row, 'missingIdOrName');
+        continue;
+      }
+      data.members.push({ ...previous.get(r.id), id: r.id, name: r.name });
+    }
+    counts.members = data.members.length;
+  }
+  const memberNames = new Map((data.members || []).filter(m => m.id).map(m => [m.id, m.name]));
+  if ((read.submissions || read.votes) && !memberNames.size) {
+    throw new Error(t('importer.needCompetitors'));
+  }
+
+  // Rounds — deadlines and phases aren't in the export, so keep the scraped ones
+  if (read.rounds) {
+    const previous = new Map((existing?.rounds || []).filter(r => r.roundId).map(r => [r.roundId, r]));
+    const votedRounds = new Set((read.votes || []).map(v => v['round id']));
+    data.rounds = [];
+    for (const r of [...read.rounds].sort(byCreated)) {
+      if (!r.id) {
+        skip('rounds', r.row, 'missingId');
+        continue;
+      }
+      const prev = previous.get(r.id);
+      data.rounds.push({
+        ...prev,
+        url: prev?.url || (leagueId ? `${getBaseUrl()}/l/${leagueId}/r/${r.id}/` : undefined),
+        roundId: r.id,
+        name: r.name || prev?.name,
+        theme: r.description || prev?.theme,
+        status: prev?.status || (votedRounds.has(r.id) ? '✅ Complete' : undefined),
+      });
+    }
+    data.activeRound = data.rounds.find(r =>
+      r.status && (r.status.includes('Open') || r.status.includes('Upcoming'))
+    ) || null;
+    delete data.roundsError;
+    counts.rounds = data.rounds.length;
+  }
+  const rounds = new Map((data.rounds || []).filter(r => r.roundId).map(r => [r.roundId, r]));
+  if (read.submissions && !rounds.size) {
+    throw new Error(t('importer.needRounds'));
+  }
+
+  // Submissions, keyed by round and track so votes can find them
+  if (!read.submissions) return { data, roundDetails: null, counts, problems };
+
+  const submissions = new Map();
+  for (const r of read.submissions) {
+    if (!rounds.has(r['round id'])) {
+      skip('submissions', r.row, 'unknownRound', { id: orBlank(r['round id']) });
+      continue;
+    }
+    if (!memberNames.has(r['submitter id'])) {
+      skip('submissions', r.row, 'unknownSubmitter', { id: orBlank(r['submitter id']) });
+      continue;
+    }
+    submissions.set(`${r['round id']} ${r['spotify uri']}`, {
+      roundId: r['round id'],
+      submitterId: r['submitter id'],
+      submission: {
+        ...trackFromUri(r['spotify uri']),
+        title: r.title || undefined,
+        artist: r['artist(s)'] || r.artist || undefined,
+        submitter: memberNames.get(r['submitter id']),
+        votes: [],
+      },
+    });
+  }
+  counts.submissions = submissions.size;
+
+  // Votes
+  if (read.votes) {
+    counts.votes = 0;
+    for (const { submission } of submissions.values()) submission.points = 0;
+    for (const r of read.votes) {
+      const target = submissions.get(`${r['round id']} ${r['spotify uri']}`);
+      const points = parseInt(r['points assigned']);
+      if (!target) {
+        skip('votes', r.row, 'noSubmission', { uri: orBlank(r['spotify uri']), round: orBlank(r['round id']) });
+        continue;
+      }
+      if (!memberNames.has(r['voter id'])) {
+        skip('votes', r.row, 'unknownVoter', { id: orBlank(r['voter id']) });
+        continue;
+      }
+      if (isNaN(points)) {
+        skip('votes', r.row, 'notANumber', { points: r['points assigned'] });
+        continue;
+      }
+      const { submission } = target;
+      submission.points += points;
+      if (points || r.comment) {
+        submission.votes.push({ voter: memberNames.get(r['voter id']), points, comment: r.comment || undefined });
+      }
+      counts.votes++;
+    }
+
+    const totals = new Map([...memberNames.values()].map(name => [name, 0]));
+    for (const { submission } of submissions.values()) {
+      totals.set(submission.submitter, totals.get(submission.submitter) + submission.points);
+    }
+    data.standings = buildStandings([...totals].map(([name, points]) => ({ name, points })));
+    delete data.standingsError;
+  }
+
+  // One stored round detail per round with submissions, like /round keeps
+  const roundDetails = {};
+  for (const { roundId, submission } of submissions.values()) {
+    const round = rounds.get(roundId);
+    roundDetails[roundId] ??= {
+      url: round.url,
+      roundId,
+      name: round.name,
+      theme: round.theme,
+      submissions: [],
+      revealed: true,
+      progress: null,
+      fetchedAt: now,
+      imported: true,
+    };
+    roundDetails[roundId].submissions.push(submission);
+  }
+
+  return { data, roundDetails, counts, problems };
+}
+
+// ─── Later Scrapes ────────────────────────────────────────────────────────────
+
+/**
+ * Lay a fresh scrape over an imported league cache. What the scrape got
+ * replaces the import, but rounds, standings and members it came back
+ * without — a fragment that failed or was empty, as on a private league —
+ * are kept from the import, and the result stays marked as imported.
+ */
+function mergeScraped(previous, data) {
+  if (!previous?.imported || data.imported) return data;
+
+  const merged = { ...data };
+  let kept = false;
+  const keep = (fields, missing) => {
+    if (!missing || !previous[fields[0]]?.length) return;
+    for (const field of fields) merged[field] = previous[field];
+    kept = true;
+  };
+  keep(['rounds', 'activeRound'], data.roundsError || !data.rounds?.length);
+  keep(['standings'], data.standingsError || !data.standings?.length);
+  keep(['members'], !data.members?.length);
+  if (kept) merged.imported = true;
+  return merged;
+}
+
+module.exports = { CSV_COLUMNS, parseCsv, readCsv, downloadCsv, buildImport, mergeScraped };
@@ -0,0 +1,188 @@
+/**
+ * jobqueue.js
+ * A job queue kept in storage, so scheduled work survives restarts and is
+ * shared by every instance using the same SQLite database: while a deploy
+ * runs an old and a new instance side by side, each job still runs exactly
+ * once. (The JSON backend lets one instance at a time in; see storage.lock.)
+ *
+ * A job is { id, type, runAt, every, data, attempts }. Every few seconds
+ * each instance claims the jobs that are due, which leases them to it for
+ * a while, runs them with the handler registered for their type, and
+ * releases them. A handler returns { runAt, data?, attempts? } to run the
+ * job again later, or nothing when it is done: the job is then removed,
+ * unless it recurs every `every` ms.
+ */
+
+const os = require('os');
+const { randomUUID } = require('crypto');
+const storage = require('./storage');
+const metrics = require('./metrics');
+
+// Identifies this process in job leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+const DEFAULT_TICK_SECONDS = 15;
+// How long a claimed job is ours; if we crash mid-run, another instance
+// takes it over once this runs out
+const LEASE_MS = 10 * 60000;
+const CLAIM_LIMIT = 25;
+// A handler that throws is tried again after this long
+const ERROR_RETRY_MS = 60000;
+
+const handlers = new Map(); // type -> async (job) => next | null
+const running = new Set(); // ids of jobs being run by this process
+let tickHandle = null;
+let wakeHandle = null;
+let wakeAt = null;
+
+function getTickSeconds() {
+  return parseInt(process.env.JOB_TICK_SECONDS) || DEFAULT_TICK_SECONDS;
+}
+
+function toMs(time) {
+  return time instanceof Date ? time.getTime() : typeof time === 'string' ? new Date(time).getTime() : time;
+}
+
+// ─── Scheduling ───────────────────────────────────────────────────────────────
+
+/**
+ * Set the function that runs jobs of a type. Register every type before
+ * start(), or due jobs of that type are left for other instances.
+ */
+function register(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job, or replace the one with the same ID. With `ifMissing`, an
+ * existing job is kept as it is. Returns whether the job was saved.
+ */
+function schedule({ id, type, runAt, every = null, data = null }, { ifMissing = false } = {}) {
+  const at = toMs(runAt);
+  const saved = storage.saveJob({ id, type, runAt: at, every, data, attempts: 0 }, { ifMissing });
+  if (saved) wake(at);
+  return saved;
+}
+
+/**
+ * Make sure a recurring job exists, first running one interval from now.
+ * An existing job keeps its next run unless the interval changed.
+ */
+function scheduleRecurring(id, type, every, data = null) {
+  const existing = storage.getJobs().find(j => j.id === id);
+  if (existing?.type === type && existing.every === every) return false;
+  return schedule({ id, type, every, data, runAt: Date.now() + every });
+}
+
+function cancel(id) {
+  storage.removeJob(id);
+}
+
+/**
+ * How many jobs are waiting, across every instance.
+ */
+function countPending() {
+  return storage.getJobs().length;
+}
+
+// ─── Running ──────────────────────────────────────────────────────────────────
+
+function nextRecurrence(job, now) {
+  const runAt = job.runAt + job.every;
+  // Don't run a backlog of missed intervals after downtime
+  return runAt > now ? runAt : now + job.every;
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    // Leave it for an instance that knows this type
+    storage.finishJob(job.id, INSTANCE_ID, { runAt: job.runAt });
+    return;
+  }
+
+  running.add(job.id);
+  let next;
+  try {
+    next = await handler(job);
+    metrics.increment('musicleague_jobs_total', { type: job.type, result: 'success' });
+  } catch (err) {
+    console.error(`Job ${job.id} failed (attempt ${(job.attempts || 0) + 1}):`, err.message);
+    metrics.increment('musicleague_jobs_total', { type: job.type, result: 'failure' });
+    next = { runAt: Date.now() + ERROR_RETRY_MS, attempts: (job.attempts || 0) + 1 };
+  } finally {
+    running.delete(job.id);
+  }
+
+  if (!next && job.every) next = { runAt: nextRecurrence(job, Date.now()), attempts: 0 };
+  if (next) next = { ...next, runAt: toMs(next.runAt), attempts: next.attempts ?? 0 };
+  try {
+    if (!storage.finishJob(job.id, INSTANCE_ID, next || null)) {
+      console.warn(`Job ${job.id} was changed or taken over while it ran; leaving it as it is.`);
+    } else if (next) {
+      wake(next.runAt);
+    }
+  } catch (err) {
+    console.error(`Failed to release job ${job.id}:`, err.message);
+  }
+}
+
+/**
+ * Claim and start every due job. Jobs run side by side and don't hold up
+ * the next tick.
+ */
+function tick() {
+  if (wakeHandle) clearTimeout(wakeHandle);
+  wakeHandle = null;
+  wakeAt = null;
+
+  const now = Date.now();
+  try {
+    for (const job of storage.claimJobs(INSTANCE_ID, now, LEASE_MS, CLAIM_LIMIT)) {
+      // Still running here from before; the claim just renewed its lease
+      if (running.has(job.id)) continue;
+      runJob(job);
+    }
+    // Jobs due before the next tick get a timer of their own
+    const upcoming = storage.getJobs().filter(j => j.runAt > now).map(j => j.runAt);
+    if (upcoming.length) wake(Math.min(...upcoming));
+  } catch (err) {
+    console.error('Job queue tick failed:', err.message);
+  }
+}
+
+/**
+ * Tick at `at` when that's sooner than the next regular tick.
+ */
+function wake(at) {
+  if (!tickHandle) return;
+  const delay = Math.max(0, at - Date.now());
+  if (delay >= getTickSeconds() * 1000 || (wakeAt !== null && wakeAt <= at)) return;
+  if (wakeHandle) clearTimeout(wakeHandle);
+  wakeAt = at;
+  wakeHandle = setTimeout(tick, delay);
+}
+
+/**
+ * Start ticking (called once the client is ready and handlers are
+ * registered). Due jobs are claimed straight away.
+ */
+function start() {
+  if (tickHandle) return;
+  const seconds = getTickSeconds();
+  tickHandle = setInterval(tick, seconds * 1000);
+  console.log(`📋 Checking the job queue every ${seconds}s as ${INSTANCE_ID}.`);
+  tick();
+}
+
+module.exports = {
+  INSTANCE_ID,
+  register,
+  schedule,
+  scheduleRecurring,
+  cancel,
+  countPending,
+  runJob,
+  tick,
+  start,
+};
@@ -0,0 +1,755 @@
+/**
+ * German messages. Missing keys fall back to English (see i18n.js).
+ */
+
+module.exports = {
+  language: {
+    set: '✅ Der Bot spricht auf diesem Server jetzt **{language}**: Antworten auf Befehle, Erinnerungen, Rundenankündigungen, der angeheftete Status und `/help`. Die Namen und Beschreibungen der Befehle folgen der Discord-Sprache jedes Mitglieds.',
+  },
+
+  permissions: {
+    denied: '❌ Das dürfen nur Liga-Manager — dafür brauchst du die Berechtigung **Server verwalten**.',
+    deniedRole: '❌ Das dürfen nur Liga-Manager — dafür brauchst du die Rolle {role} oder die Berechtigung **Server verwalten**.',
+    manageServerOnly: '❌ Nur Mitglieder mit **Server verwalten** können die Liga-Manager-Rolle festlegen.',
+  },
+
+  errors: {
+    noLeagueNamed: '❌ Es gibt keine Liga namens `{key}`. Mit `/leagues` siehst du die Ligen dieses Servers.',
+    noLeagueSet: '❌ Keine Liga eingerichtet. Nutze zuerst `/setleague <url>`.',
+    unknownLeague: '❌ Es gibt keine Liga namens `{key}`.',
+    leagueGone: '❌ Diese Liga wird hier nicht mehr verfolgt.',
+    badLeagueUrl: '❌ Das sieht nicht nach einer Music-League-URL aus. Bitte nutze eine URL von `musicleague.com`.',
+    setLeagueFetchFailed: '✅ Liga-URL gespeichert, aber die Daten konnten nicht geladen werden: `{error}`\n\nDas ist normal, wenn deine Liga privat ist — setze die Fristen dann mit `/remind` von Hand.',
+    fetchFailed: '❌ Laden fehlgeschlagen: `{error}`\n\nWenn deine Liga privat ist oder eine Anmeldung braucht, kann sie nicht gelesen werden. Setze die Fristen dann mit `/remind` von Hand.',
+    noRoundsCached: '❌ Noch keine Runden gespeichert — lade die Liga zuerst mit `/fetch`.',
+    noSuchRound: '❌ Es gibt keine Runde {number} — diese Liga hat {count} Runde(n).',
+    roundNotCached: '❌ Diese Runde ist nicht mehr gespeichert. Nutze `/round` noch einmal.',
+    roundFetchFailed: '❌ Die Runde konnte nicht geladen werden: `{error}`',
+    noCsvFiles: '❌ Hänge mindestens eine CSV-Datei aus dem Music-League-Export an (competitors, rounds, submissions oder votes).',
+    importFailed: '❌ Import fehlgeschlagen: {error}',
+    feedOff: '❌ Der Kalender-Feed ist ausgeschaltet. Wer den Bot betreibt, kann ihn mit `HTTP_PORT` in `.env` einschalten. Nutze stattdessen `/calendar` für eine Datei.',
+    noDeadlines: '❌ Noch keine Fristen — auf der Liga-Seite wurden keine gefunden, und es gibt keine Erinnerungen. Nutze `/fetch` oder lege mit `/remind` eine an.',
+    noFinishedRounds: '❌ Noch keine abgeschlossenen Runden gespeichert — lade die Liga mit `/fetch` oder importiere ihren CSV-Export mit `/import`.',
+    noPlayerResults: '❌ Keine Ergebnisse für einen Spieler, der zu `{query}` passt.',
+    noStandings: '❌ Noch kein Tabellenstand gespeichert — lade die Liga zuerst mit `/fetch`.',
+    noPlayerInStandings: '❌ Kein Spieler im Tabellenstand passt zu `{query}`.',
+    badDate: '❌ Dieses Datum habe ich nicht verstanden. Versuche Formate wie `2024-12-25 18:00`, `friday 6pm`, `tomorrow 18:00`, `in 3 days` oder `2024-12-25T18:00:00Z`. Zeiten gelten in **{timeZone}**.',
+    badDateShort: '❌ Dieses Datum habe ich nicht verstanden. Zeiten gelten in **{timeZone}**.',
+    badLeads: '❌ `remind_before` habe ich nicht verstanden. Gib Minuten an oder eine Liste wie `1440,60,10` oder `1d 1h 10m`.',
+    badLadder: '❌ Das habe ich nicht verstanden. Gib Minuten an oder eine Liste wie `1440,60,10` oder `1d 1h 10m` (bis zu 10 Stufen).',
+    reminderInPast: '❌ Dieser Erinnerungszeitpunkt liegt in der Vergangenheit!',
+    previewExpired: '⌛ Diese Vorschau ist abgelaufen — nutze `/remind` noch einmal.',
+    notYourPreview: '❌ Nur wer `/remind` ausgeführt hat, kann die Erinnerung bestätigen.',
+    reminderTimePassed: '❌ Der Erinnerungszeitpunkt ist während des Wartens verstrichen — nutze `/remind` noch einmal.',
+    badZone: '❌ Die Zeitzone `{zone}` kenne ich nicht. Nutze einen IANA-Namen wie `Europe/Berlin` oder `Europe/Vienna`.',
+    noReminderChannel: '❌ Lege zuerst mit `/setchannel` einen Kanal für Erinnerungen fest.',
+    noChannel: '❌ Kein Kanal festgelegt. Nutze zuerst `/setchannel`.',
+    roleAddFailed: '❌ Ich konnte dir die Rolle nicht geben: `{error}`\n\nDer Bot braucht die Berechtigung **Rollen verwalten**, und seine eigene Rolle muss über {role} stehen.',
+    theMusicLeagueRole: 'der Music-League-Rolle',
+    roleRemoveFailed: '❌ Ich konnte dir die Rolle nicht wegnehmen: `{error}`',
+    pickRole: '❌ Wähle mit der Option `role` die Rolle, die erwähnt werden soll.',
+    roleCreateFailed: '❌ Ich konnte die Music-League-Rolle nicht anlegen: `{error}`\n\nDer Bot braucht die Berechtigung **Rollen verwalten**.',
+    noMembersCached: '❌ Für diese Liga sind keine Mitglieder gespeichert — nutze zuerst `/fetch`. Private Ligen brauchen `ML_COOKIE` für die Mitgliederliste.',
+    noMemberMatch: '❌ Kein Mitglied in **{league}** passt zu `{query}`.',
+    memberTaken: '❌ **{member}** ist schon mit jemand anderem verknüpft. Frag einen Admin, falls das falsch ist.',
+    notLinked: '❌ {user} ist in **{league}** nicht verknüpft.',
+    noStatusMessage: '❌ **{league}** hat keine angeheftete Statusnachricht.',
+    postFailed: '❌ Ich konnte nicht in {channel} posten: `{error}`',
+    noReminder: '❌ Keine Erinnerung mit der ID `{id}` gefunden.',
+    noFailedReminder: '❌ Keine fehlgeschlagene Erinnerung mit der ID `{id}`. `/reminders` markiert fehlgeschlagene mit ⚠️.',
+    retryFailed: '❌ Die Erinnerung `{id}` konnte immer noch nicht gesendet werden: `{error}`',
+    nothingToChange: '❌ Gib mindestens eine Änderung an: `datetime`, `remind_before`, `channel` oder `type`.',
+    autoReminderFixed: '❌ Automatische Erinnerungen folgen der Frist auf der Liga-Seite, deshalb lassen sich nur `remind_before` und `channel` ändern. Lösche sie und nutze `/remind` für eine andere Frist.',
+    nothingChanged: '❌ {error} Es wurde nichts geändert.',
+    cantSnooze: '❌ {error}',
+  },
+
+  common: {
+    prev: '◀ Zurück',
+    next: 'Weiter ▶',
+    page: 'Seite {page}/{pages} • Music League Bot',
+    points: '{points} Pkt.',
+    unknownTrack: 'Unbekannter Titel',
+    roundNumber: 'Runde {number}',
+    footer: 'Music League Bot',
+    more: '…und {count} weitere',
+  },
+
+  freshness: {
+    unknown: '*Alter der Daten unbekannt. Mit `/fetch` aktualisieren.*',
+    imported: '*📥 {time} aus einem CSV-Export importiert. Mit `/import` aktualisieren.*',
+    fresh: '*Daten von Music League, {time} geladen. Mit `/fetch` aktualisieren.*',
+    stale: '*⚠️ Daten von Music League, {time} geladen — eventuell veraltet. Mit `/fetch` aktualisieren.*',
+  },
+
+  replies: {
+    setchannel: {
+      league: '✅ Erinnerungen und Neuigkeiten für **{league}** werden in {channel} gepostet.',
+      server: '✅ Erinnerungen und Neuigkeiten werden in {channel} gepostet.',
+    },
+    setleague: {
+      saved: '⏳ Liga-URL als **{key}** gespeichert! Daten werden geladen...',
+      done: '✅ Liga **{key}** eingerichtet!',
+    },
+    leagues: {
+      none: '📋 Keine Ligen eingerichtet. Füge mit `/setleague <url>` eine hinzu.',
+      title: '🎵 Ligen',
+      default: '⭐ Standard',
+      fetched: '🔄 Geladen {time}',
+    },
+    removeleague: {
+      done: '✅ Liga **{key}** entfernt.',
+      doneWithReminders: '✅ Liga **{key}** entfernt. Ihre {count} ausstehende(n) Erinnerung(en) wurden gelöscht.',
+    },
+    league: { noData: 'Liga-URL: <{url}>\n\nNoch keine Daten gespeichert — lade sie mit `/fetch`.' },
+    fetch: {
+      fetching: '⏳ Ligadaten werden geladen...',
+      done: '✅ Geladen!',
+    },
+    import: {
+      reading: '⏳ CSV-Dateien werden gelesen...',
+      title: '📥 Importiert — {league}',
+      description: 'Der Export enthält keine Fristen. Setze Erinnerungen also mit `/remind`, außer die Ligaseite kann gelesen werden.',
+      members: '👥 Mitglieder',
+      rounds: '📋 Runden',
+      submissions: '🎵 Einreichungen',
+      votes: '🗳️ Stimmen',
+      leader: '🏆 Spitze',
+      skipped: '⚠️ {count} Zeile(n) übersprungen',
+    },
+    round: {
+      fetching: '⏳ {round} wird geladen...',
+      round: 'Die Runde',
+      thisRound: 'diese Runde',
+      noSubmissions: '📭 Noch keine Einreichungen für **{round}**.',
+      savedData: '⚠️ Die Runde konnte nicht geladen werden (`{error}`) — angezeigt werden die Daten von {time}.',
+      title: 'Runde',
+      submissions: '{count} Einreichung(en)',
+      hidden: '🙈 Wer was eingereicht hat, ist bis zum Ende der Abstimmung verborgen',
+      before: '🔁 Schon einmal eingereicht in {round} ({season})',
+      beforeBy: '🔁 Schon einmal von {submitter} eingereicht in {round} ({season})',
+      listen: 'Anhören',
+    },
+    export: {
+      collectingRounds: '⏳ {count} Runde(n) werden gesammelt...',
+      collecting: '⏳ {round} wird gesammelt...',
+      theRound: 'Die Runde',
+      nothing: '📭 Nichts zu exportieren.',
+      done: '📄 **{file}** — {tracks} Titel aus {rounds} Runde(n).',
+      skipped: '⚠️ Übersprungen: {rounds}',
+      noSubmissions: 'Runde {number} hat noch keine Einreichungen',
+      failed: 'Runde {number}: `{error}`',
+    },
+    calendar: {
+      feed: '📅 Kalender-Feed:',
+      feedLeague: '📅 Kalender-Feed für **{league}**:',
+      newFeed: '📅 Neuer Link zum Kalender-Feed:',
+      newFeedLeague: '📅 Neuer Link zum Kalender-Feed für **{league}**:',
+      subscribe: 'Füge ihn in deiner Kalender-App als Abo hinzu (Google Kalender: *Weitere Kalender → Per URL*). Die Fristen aktualisieren sich von selbst.',
+      oldLinks: '⚠️ Früher geteilte Links funktionieren nicht mehr.',
+      private: '🔒 Behalte ihn in der Liga — jeder mit dem Link kann die Fristen sehen.',
+      name: 'Fristen',
+      file: '📅 {count} Frist(en). Öffne die Datei, um sie in deinen Kalender zu übernehmen — ein späterer Import aktualisiert die Termine, statt sie doppelt anzulegen.',
+    },
+    stats: {
+      crunching: '⏳ {count} Runde(n) werden ausgewertet...',
+      allSeasons: 'Alle Saisons',
+    },
+    remind: {
+      title: '🕐 Erinnerung bestätigen',
+      readAs: '`{input}` wurde als **{time}** gelesen.',
+      deadline: 'Frist (deine Zeit)',
+      footer: 'Zeitzone des Servers: {zone} • Ändern mit /settimezone',
+      save: 'Erinnerung speichern',
+      cancel: 'Abbrechen',
+      notSaved: '🚫 Erinnerung nicht gespeichert.',
+      saved: '✅ Gespeichert als `{id}`.',
+    },
+    settimezone: { done: '✅ Fristen werden in **{zone}** gelesen (dort ist es gerade {time}).' },
+    reminders: {
+      none: '📋 Keine aktiven Erinnerungen. Lege mit `/remind` eine an.',
+      title: '⏰ Aktive Erinnerungen',
+      auto: '🤖 Automatisch',
+      deadline: '📅 Frist: {time}',
+      fires: '🔔 Meldet sich: {times}',
+      channel: '📢 {channel} • erwähnt {pings}',
+      failed: '⚠️ **Fehlgeschlagen** {time} nach {attempts} Versuch(en): `{error}` — `/retryreminder {id}`',
+    },
+    autoremind: {
+      off: '✅ Automatische Erinnerungen ausgeschaltet. Manuelle Erinnerungen bleiben, wie sie sind.',
+      on: '✅ Automatische Erinnerungen eingeschaltet — sie kommen {leads} vor jeder Frist von der Ligaseite, im Erinnerungskanal der jeweiligen Liga.',
+    },
+    setladder: { done: '✅ Neue Erinnerungen melden sich {leads} vor der Frist. Die letzte kommt als 🚨 letzter Aufruf. Bestehende Erinnerungen bleiben, wie sie sind.' },
+    subscribe: {
+      already: '🔔 Du hast {role} schon abonniert.',
+      done: '🔔 Abonniert! Du wirst über {role} erwähnt, wenn Erinnerungen kommen. Mit `/unsubscribe` bestellst du sie ab.',
+      otherTarget: '*Erinnerungen erwähnen hier gerade {target} — ein Admin kann mit `/setmention` auf die Abonnenten umstellen.*',
+    },
+    unsubscribe: {
+      notSubscribed: '🔕 Du hast nichts abonniert.',
+      done: '🔕 Abbestellt — du wirst bei Erinnerungen nicht mehr erwähnt.',
+    },
+    setmention: {
+      done: '✅ Erinnerungen erwähnen {target}. Erinnerungen mit eigenem `mention` bleiben, wie sie sind.',
+      doneSubscribers: '✅ Erinnerungen erwähnen {target}. Mitglieder melden sich mit `/subscribe` an. Erinnerungen mit eigenem `mention` bleiben, wie sie sind.',
+    },
+    link: {
+      done: '🔗 {user} ist jetzt **{member}** in **{league}**. Erinnerungen stupsen sie nur an, solange sie noch einreichen oder abstimmen müssen.',
+      doneNudgesOff: '🔗 {user} ist jetzt **{member}** in **{league}**. Sobald ein Liga-Manager `/nudges` einschaltet, stupsen Erinnerungen sie nur an, solange sie noch einreichen oder abstimmen müssen.',
+      choice: '{name} (verknüpft)',
+    },
+    unlink: { done: '✅ {user} ist nicht mehr mit **{member}** verknüpft.' },
+    links: {
+      none: '🔗 In **{league}** ist noch niemand verknüpft. Mitglieder können `/linkme` nutzen.',
+      title: '🔗 Verknüpfte Mitglieder — {league}',
+      notLinked: 'Nicht verknüpft ({count})',
+    },
+    nudges: {
+      ping: '✅ Erinnerungen erwähnen nur die verknüpften Mitglieder, die noch nicht eingereicht oder abgestimmt haben.',
+      dm: '✅ Verknüpfte Mitglieder, die noch nicht eingereicht oder abgestimmt haben, bekommen die Erinnerung als DM; der Post im Kanal erwähnt niemanden.',
+      off: '✅ Anstupsen ist aus — Erinnerungen nutzen die Erwähnung von `/setmention`.',
+      fallback: 'Wenn die Rundenseite nicht zeigt, wer fertig ist, oder niemand verknüpft ist, wird die Erwähnung von `/setmention` genutzt.',
+    },
+    announce: {
+      types: {
+        newRound: 'Neue Runden',
+        phaseChange: 'Phasenwechsel (Abstimmung offen, Ergebnisse da)',
+        deadlineChange: 'Geänderte Fristen',
+      },
+      channel: 'Ankündigungen werden in {channel} gepostet.',
+      noChannel: '⚠️ Kein Kanal eingerichtet — lege mit `/setchannel` einen fest, damit Ankündigungen irgendwo landen.',
+    },
+    pinstatus: {
+      removing: '⏳ Statusnachricht wird entfernt...',
+      removed: '✅ Die Statusnachricht für **{league}** wurde entfernt.',
+      posting: '⏳ Statusnachricht wird gepostet...',
+      posted: '✅ Status für **{league}** in {channel} gepostet: {url}\nEr aktualisiert sich alle {minutes} Min. und nach jeder Abfrage.',
+      notPinned: '⚠️ Anheften hat nicht geklappt — gib dem Bot dort die Berechtigung **Nachrichten verwalten** oder hefte sie von Hand an.',
+    },
+    setmanagerrole: {
+      set: '✅ Mitglieder mit {role} (oder **Server verwalten**) können jetzt die Einrichtung des Bots ändern und Erinnerungen verwalten.',
+      cleared: '✅ Nur Mitglieder mit **Server verwalten** können die Einrichtung des Bots ändern und Erinnerungen verwalten.',
+    },
+    snooze: { done: '😴 Erinnerung `{id}` um {minutes} verschoben — sie meldet sich jetzt {time}.' },
+    retryreminder: {
+      sending: '⏳ Erinnerung `{id}` wird noch einmal gesendet...',
+      sent: '✅ Erinnerung `{id}` an {channel} gesendet.',
+    },
+    setalertchannel: {
+      set: '✅ Erinnerungen, die nicht gesendet werden können, werden in {channel} gemeldet.',
+      cleared: '✅ Erinnerungen, die nicht gesendet werden können, werden im Systemkanal des Servers gemeldet oder per DM an den Eigentümer.',
+    },
+    cancelreminder: { done: '✅ Erinnerung `{id}` gelöscht.' },
+  },
+
+  // Shown in /auditlog; entries are written in the server's language at the time
+  audit: {
+    title: '📜 Änderungsprotokoll',
+    empty: 'Noch nichts protokolliert.',
+    footer: 'Seite {page}/{pages} • {count} Einträge • Music League Bot',
+    setChannel: 'Serverkanal auf {channel} gesetzt',
+    setLeagueChannel: 'Kanal für **{league}** auf {channel} gesetzt',
+    addLeague: 'Liga **{key}** (<{url}>) hinzugefügt',
+    addDefaultLeague: 'Liga **{key}** (<{url}>) als Standard hinzugefügt',
+    changeLeague: 'Liga **{key}** (<{url}>) geändert',
+    changeDefaultLeague: 'Liga **{key}** (<{url}>) geändert und als Standard gesetzt',
+    removeLeague: 'Liga **{key}** entfernt',
+    removeLeagueReminders: 'Liga **{key}** entfernt und ihre {count} Erinnerung(en) gelöscht',
+    import: '{files} in **{league}** importiert',
+    resetFeed: 'Link zum Kalender-Feed erneuert',
+    createReminder: 'Erinnerung ({label}) `{id}` für {time} angelegt',
+    setLanguage: 'Sprache auf **{language}** gesetzt',
+    setTimeZone: 'Zeitzone auf **{zone}** gesetzt',
+    autoremindOn: 'Automatische Erinnerungen eingeschaltet',
+    autoremindOnLeads: 'Automatische Erinnerungen eingeschaltet ({leads} vorher)',
+    autoremindOff: 'Automatische Erinnerungen ausgeschaltet',
+    cancelAuto: '{count} automatische Erinnerung(en) gelöscht',
+    setLadder: 'Erinnerungsstufen auf {leads} gesetzt',
+    setMention: 'Erinnerungen erwähnen jetzt {target}',
+    link: '{user} mit **{member}** in **{league}** verknüpft',
+    unlink: 'Verknüpfung von {user} mit **{member}** in **{league}** gelöst',
+    nudges: 'Anstupsen auf **{mode}** gesetzt',
+    announceOn: 'Ankündigungen für **{type}** eingeschaltet',
+    announceOff: 'Ankündigungen für **{type}** ausgeschaltet',
+    announceAllOn: 'Alle Ankündigungen eingeschaltet',
+    announceAllOff: 'Alle Ankündigungen ausgeschaltet',
+    pinStatus: 'Statusnachricht für **{league}** in {channel} angeheftet',
+    unpinStatus: 'Angeheftete Statusnachricht für **{league}** entfernt',
+    setManagerRole: 'Liga-Manager-Rolle auf {role} gesetzt',
+    clearManagerRole: 'Liga-Manager-Rolle entfernt',
+    editReminder: 'Erinnerung `{id}` bearbeitet: {changes}',
+    changedDeadline: 'Frist {time}',
+    changedLeads: 'Vorlaufzeiten {leads}',
+    changedChannel: 'Kanal {channel}',
+    changedType: 'Art {type}',
+    snooze: 'Erinnerung `{id}` um {minutes} verschoben',
+    retry: 'Fehlgeschlagene Erinnerung `{id}` erneut gesendet',
+    setAlertChannel: 'Warnkanal auf {channel} gesetzt',
+    clearAlertChannel: 'Warnkanal entfernt',
+    cancelReminder: 'Erinnerung `{id}` gelöscht',
+  },
+
+  mentions: {
+    subscribers: 'die Abonnenten ({role})',
+    noSubscribers: 'die Abonnenten (noch hat niemand `/subscribe` genutzt)',
+    nobody: 'niemanden',
+  },
+
+  leagueEmbed: {
+    rounds: '{count} Runden',
+    songsPerRound: '{count} Song/Runde',
+    players: '{count}/{max} Spieler',
+    activeRound: '🎧 Aktuelle Runde',
+    submissionDeadline: '📤 Einreichungsfrist',
+    votingDeadline: '🗳️ Abstimmungsfrist',
+    roundsTitle: '📋 Runden',
+    noActiveRound: '{count} Runde(n) gefunden, gerade keine aktiv',
+    topThree: '🏆 Tabelle (Top 3)',
+    admin: '👑 Admin',
+    footer: 'Music League Bot • musicleague.com',
+  },
+
+  // The message /pinstatus keeps up to date
+  status: {
+    noData: 'Noch keine Ligadaten — sie erscheinen nach der nächsten Abfrage, `/fetch` oder `/import`.',
+    footer: 'Aktualisiert sich alle {minutes} Min. • Music League Bot',
+    timeRemaining: '⏳ Verbleibende Zeit',
+    until: '**{left}**, bis {deadline} ({time})',
+    submissionsClose: 'die Einreichung endet',
+    votingCloses: 'die Abstimmung endet',
+    noDeadline: 'Keine anstehende Frist gefunden.',
+    standings: '🏆 Tabelle (Top {count})',
+  },
+
+  // Round updates the poller posts in a league's channel
+  announce: {
+    footer: '{league} • Music League Bot',
+    newRound: '🆕 Neue Runde: {round}',
+    untitled: 'Runde ohne Titel',
+    round: 'Runde',
+    theRound: 'die Runde',
+    status: '📍 Status',
+    repeats: '🔁 Schon einmal eingereicht ({count})',
+    pickedBefore: '🔁 Schon mal gewählt?',
+    pickedBeforeHint: 'Prüfe einen Song mit `/history search:<Spotify-Link>`, bevor du ihn einreichst.',
+    votingOpen: '🗳️ Die Abstimmung für {round} ist offen!',
+    results: '🏁 Die Ergebnisse für {round} sind da!',
+    submissionsOpen: '📤 Die Einreichung für {round} ist offen!',
+    extended: '⏳ Frist für {label} verlängert — {round}',
+    movedEarlier: '⚠️ Frist für {label} vorgezogen — {round}',
+    was: 'Vorher',
+    now: 'Jetzt',
+  },
+
+  standings: {
+    title: '🏆 Tabelle — {league}',
+    snapshot: 'Stand {number}',
+    empty: 'Noch keine Tabelle.',
+    footerChanges: 'Seite {page}/{pages} • Änderungen seit {round} • Music League Bot',
+    playerTitle: '📈 Die Saison von {name}',
+    playerEmpty: 'Noch kein Verlauf pro Runde gespeichert — er wird festgehalten, sobald Ergebnisse kommen.',
+    bestRank: '🔝 Bester Platz',
+    worstRank: '🔻 Schlechtester Platz',
+  },
+
+  stats: {
+    title: '📊 Statistik — {title}',
+    footer: 'Aus {rounds} Runde(n) mit Ergebnissen • Music League Bot',
+    footerSeasons: 'Aus {rounds} Runde(n) mit Ergebnissen in {seasons} Saisons • Music League Bot',
+    empty: 'Noch keine Runden mit Ergebnissen. Sie werden von den Seiten beendeter Runden gelesen oder aus einem `/import`.',
+    average: '📈 Durchschnittliche Punkte pro Runde',
+    overall: '#{rank} gesamt',
+    finishes: '🏅 Beste und schlechteste Platzierungen',
+    finish: '{place} in {round}',
+    fans: '💘 Größte Fans',
+    rivals: '⚔️ Größte Rivalen',
+    rivalry: '{points} Pkt. in {rounds} Runde(n)',
+    artists: '🎤 Meistgewählte Künstler',
+    artist: '{points} Pkt. aus {songs} Song(s)',
+    consistency: '🗳️ Abstimmungstreue',
+    votedIn: 'hat in {voted}/{rounds} Runde(n) abgestimmt',
+    spread: 'Punkte jeweils an {songs} Songs',
+    playerEmpty: 'Noch keine Runden mit Ergebnissen für diesen Spieler.',
+    playerSummary: '**{average}** Pkt. pro Runde über {played} Runde(n) — {total} Pkt. insgesamt',
+    current: '🏆 Aktuell #{rank}',
+    currentPoints: '🏆 Aktuell #{rank} mit {points} Pkt.',
+    bestFinish: '🔝 Beste Platzierung',
+    worstFinish: '🔻 Schlechteste Platzierung',
+    voting: '🗳️ Abstimmung',
+    playerVotedIn: 'Hat in {voted}/{rounds} Runde(n) abgestimmt',
+    playerSpread: 'Punkte jeweils an {songs} Songs',
+    noVotes: 'Keine Stimmen gespeichert',
+    fan: '💘 Größter Fan',
+    fanOf: '😍 Größter Fan von',
+    rival: '⚔️ Größter Rivale',
+    submittedArtists: '🎤 Meisteingereichte Künstler',
+    ordinal: { one: '{n}.', two: '{n}.', few: '{n}.', other: '{n}.' },
+  },
+
+  // /history
+  history: {
+    title: '🔎 Verlauf — "{query}"',
+    footer: '{count} Treffer • Music League Bot',
+    footerField: '{count} Treffer • {field} • Music League Bot',
+    fields: { artist: 'Künstler', track: 'Titel oder Link', submitter: 'Einreicher', theme: 'Rundenname oder Thema' },
+    neverSubmitted: '✨ Diesen Song hat noch niemand in einer archivierten Runde eingereicht.',
+    noMatches: 'Keine archivierte Einreichung passt.',
+    more: '…und {count} weitere — grenze die Suche ein, um sie zu sehen.',
+    submittedBefore: '🔁 Schon {count}-mal eingereicht:',
+    seasonsTitle: '🏆 Liga-Geschichte',
+    seasonsFooter: '{count} Saison(s) archiviert • Suchen mit /history search:<Text> • Music League Bot',
+    seasonsEmpty: 'Noch nichts archiviert. Saisons werden archiviert, wenn Ligen geladen oder importiert werden.',
+    winner: '👑 Sieger: **{name}**',
+    leading: '📈 Vorne: **{name}**',
+    finished: '✅ Beendet',
+    inProgress: '⏳ Läuft',
+    rounds: '{count} Runde(n), {archived} mit archivierten Einreichungen',
+  },
+
+  // calendar.js: event titles in /calendar files and feeds
+  calendar: {
+    submissionsClose: 'Einreichung endet',
+    votingCloses: 'Abstimmung endet',
+    round: 'Runde',
+    event: '{emoji} {label}: {round}',
+    deadline: '{emoji} Frist: {label}',
+    deadlineRound: '{emoji} Frist: {label} — {round}',
+    setWithRemind: 'Erstellt mit /remind',
+  },
+
+  // importer.js: why an /import failed, and the rows it skipped
+  importer: {
+    empty: '{file} ist leer.',
+    missingColumns: 'In {file} fehlen Spalten: {columns}. Ist es die richtige Datei?',
+    tooLarge: '{file} ist größer als {size} MB.',
+    downloadFailed: 'HTTP {status} beim Herunterladen von {file}.',
+    needSubmissions: 'Stimmen lassen sich nur Einreichungen zuordnen — hänge auch submissions.csv an.',
+    needCompetitors: 'Für diese Liga sind noch keine Mitglieder bekannt — hänge auch competitors.csv an.',
+    needRounds: 'Für diese Liga sind noch keine Runden bekannt — hänge auch rounds.csv an.',
+    fieldCount: '{file} Zeile {row}: {count} Feld(er), erwartet {expected}',
+    missingIdOrName: '{file} Zeile {row}: ID oder Name fehlt',
+    missingId: '{file} Zeile {row}: ID fehlt',
+    unknownRound: '{file} Zeile {row}: unbekannte Runde `{id}`',
+    unknownSubmitter: '{file} Zeile {row}: unbekannter Einreicher `{id}`',
+    unknownVoter: '{file} Zeile {row}: unbekannter Abstimmender `{id}`',
+    noSubmission: '{file} Zeile {row}: keine Einreichung von `{uri}` in Runde `{round}`',
+    notANumber: '{file} Zeile {row}: Punkte `{points}` sind keine Zahl',
+    blank: '(leer)',
+  },
+
+  help: {
+    title: 'Music League Bot — {section}',
+    description: 'Verbindet Music League mit deinem Discord-Server. Da Music League keine öffentliche API hat, liest der Bot die Infos von der Liga-Seite.',
+    footer: 'Seite {page}/{pages} • Music League Bot',
+    leagues: {
+      title: '🎵 Ligen & Runden',
+      setleague: 'Eine Music League zu diesem Server hinzufügen (oder die URL einer Liga ändern).',
+      leagues: 'Die Ligen auflisten, die dieser Server verfolgt.',
+      removeleague: 'Eine Liga nicht mehr verfolgen und ihre Erinnerungen abbrechen.',
+      league: 'Infos zur Liga und zur aktuellen Runde anzeigen.',
+      fetch: 'Die neuesten Daten von der Liga-Seite laden.',
+      import: 'Liga-Daten aus dem CSV-Export von Music League laden, für Ligen, die sich nicht lesen lassen.',
+      round: 'Die Songs, Punkte und Kommentare einer Runde anzeigen.',
+      calendar: 'Alle Fristen (von der Liga-Seite und aus `/remind`) als `.ics`-Kalenderdatei holen, oder mit `feed:True` einen privaten Link, den Kalender-Apps abonnieren können.',
+      export: 'Die Songs einer Runde — oder mit `season:True` aller Runden — als M3U-, CSV-, JSON- oder Textdatei herunterladen.',
+      standings: 'Den ganzen Tabellenstand mit Platzveränderungen anzeigen, oder die Saison eines Spielers.',
+      stats: 'Durchschnittspunkte, beste und schlechteste Platzierungen, größte Fans und Rivalen, meistgewählte Künstler und Abstimmverhalten — oder das Profil eines Spielers. `all_seasons:True` fasst alle Ligen und archivierten Saisons zusammen.',
+      history: 'Frühere Songs in allen Ligen des Servers nach Künstler, Titel, Einreicher oder Thema durchsuchen, oder einen Spotify-Link einfügen, um zu sehen, ob ein Song schon eingereicht wurde. Ohne Suche: die Sieger jeder Saison.',
+      announce: 'Ankündigungen für neue Runden, Phasenwechsel oder geänderte Fristen ein- oder ausschalten.',
+      pinstatus: 'Eine Statusnachricht im Liga-Kanal anheften — aktuelle Runde, Phase, verbleibende Zeit und Tabelle —, die der Bot laufend aktualisiert. `stop:True` entfernt sie.',
+      scrapingTitle: '⚠️ Hinweis zum Auslesen',
+      scraping: 'Music League verlangt eine Anmeldung, um Liga-Details zu sehen. Ist deine Liga privat, sieht der Bot eventuell nur wenige öffentliche Infos. Fristen kannst du mit `/remind` von Hand setzen.',
+    },
+    reminders: {
+      title: '⏰ Erinnerungen',
+      remind: 'Eine Erinnerung fürs Einreichen oder Abstimmen planen. `remind_before` nimmt Minuten oder eine Liste wie `1440,60,10`; `mention` legt fest, wer erwähnt wird. Datum: `2024-12-25 18:00`, `friday 6pm`, `tomorrow 18:00`, `in 3 days` oder ISO 8601. Du bekommst eine Vorschau zum Bestätigen.',
+      reminders: 'Alle aktiven Erinnerungen auflisten, auch die, die nicht gesendet werden konnten.',
+      cancelreminder: 'Eine Erinnerung per ID löschen.',
+      editreminder: 'Eine Erinnerung ändern, ohne dass sich ihre ID ändert, oder ihre nächste Erinnerung verschieben.',
+      retryreminder: 'Eine fehlgeschlagene Erinnerung noch einmal senden.',
+      autoremind: 'Erinnerungen automatisch aus den Fristen auf der Liga-Seite planen.',
+      setladder: 'Die Standard-Vorlaufzeiten für neue Erinnerungen festlegen, z. B. `1440,60,10` für 1 Tag, 1 Stunde und 10 Min vorher.',
+      settimezone: 'Die Zeitzone des Servers festlegen, in der Fristen gelesen werden (z. B. `Europe/Berlin`).',
+    },
+    pings: {
+      title: '🔔 Erwähnungen & Kanäle',
+      setchannel: 'Festlegen, wo Erinnerungen und Neuigkeiten gepostet werden, für den Server oder eine Liga.',
+      setalertchannel: 'Festlegen, wo Liga-Manager von fehlgeschlagenen Erinnerungen erfahren.',
+      subscribe: 'Erwähnungen bei Erinnerungen an- oder abmelden (die Music-League-Rolle).',
+      setmention: 'Festlegen, wen Erinnerungen erwähnen: Abonnenten, eine Rolle, @everyone oder niemanden.',
+      linkme: 'Deinen Discord-Account mit deinem Music-League-Mitglied verknüpfen, damit Erinnerungen dich nur anstupsen, solange du noch einreichen oder abstimmen musst.',
+      link: 'Verknüpfungen verwalten (andere verknüpfen oder trennen dürfen nur Liga-Manager).',
+      nudges: 'Verknüpfte Mitglieder, die noch nicht fertig sind, erwähnen oder per DM anschreiben, oder das Anstupsen ausschalten.',
+    },
+    settings: {
+      title: '🔒 Berechtigungen & Sprache',
+      whoTitle: 'Wer was darf',
+      who: 'Befehle zur Einrichtung und zum Verwalten von Erinnerungen brauchen die Liga-Manager-Rolle oder **Server verwalten**. Anzeige-Befehle wie `/league`, `/round`, `/standings` und `/reminders` darf jeder nutzen.',
+      setmanagerrole: 'Die Rolle festlegen, die die Einrichtung ändern und Erinnerungen verwalten darf (braucht Server verwalten).',
+      auditlog: 'Anzeigen, wer die Einrichtung geändert oder Erinnerungen gelöscht hat, und wann.',
+      setlanguage: 'Die Sprache der Nachrichten und Erinnerungen des Bots auf diesem Server wählen: English, Español oder Deutsch.',
+    },
+  },
+
+  reminder: {
+    labels: { submission: 'Einreichung', voting: 'Abstimmung', both: 'Einreichung & Abstimmung' },
+    title: '{emoji} Erinnerung: Frist für {label}!',
+    finalTitle: '🚨 LETZTER AUFRUF — {label} endet in {time}!',
+    description: '⏰ Die Frist für **{label}** in **{league}**{round} rückt näher!',
+    finalDescription: '⏳ Letzte Chance! Die Frist für **{label}** in **{league}**{round} endet {deadline}. Das ist die letzte Erinnerung.',
+    yourLeague: 'deine Music League',
+    deadline: '📅 Frist',
+    lateAuthor: '🕒 Verspätete Erinnerung — sie konnte nicht rechtzeitig gesendet werden',
+    wasDue: '🕒 War fällig',
+    leagueLink: '🔗 Link zur Liga',
+    pinging: '🔔 Erwähnt',
+    finished: { submission: 'eingereicht', voting: 'abgestimmt', both: 'eingereicht und abgestimmt', other: 'fertig gemacht' },
+    everyoneFinished: 'Niemand — alle verknüpften Mitglieder haben {finished} 🎉',
+    nudgeDm: 'Als DM an {count} verknüpfte(s) Mitglied(er), die noch nicht {finished} haben',
+    nudgePing: '{mentions} — verknüpfte Mitglieder, die noch nicht {finished} haben',
+    silent: 'Niemand — das ist eine stille Erinnerung.',
+    optIn: '{mention} • `/subscribe`, um diese Erwähnungen zu bekommen, `/unsubscribe` zum Abbestellen',
+    tip: '💡 Tipp',
+    tips: {
+      submission: '🎵 Reiche deinen Song vor Ablauf der Frist ein!',
+      voting: '🗳️ Vergiss nicht, reinzuhören und für deine Favoriten abzustimmen!',
+      both: '🎵 Reiche deinen Song ein UND stimme vor Ablauf der Frist ab!',
+    },
+    finalTips: {
+      submission: '🎵 Reiche deinen Song JETZT ein — nach der Frist bist du in dieser Runde raus!',
+      voting: '🗳️ Stimme JETZT ab — Einreichungen ohne Stimmabgabe können ihre Punkte verlieren!',
+      both: '🎵 Einreichen UND abstimmen, JETZT — die Zeit ist fast um!',
+    },
+    footer: 'Erinnerungs-ID: {id} • Löschen mit /cancelreminder {id}',
+    set: {
+      title: '⏰ Erinnerung angelegt!',
+      updated: '✏️ Erinnerung geändert',
+      type: 'Art',
+      id: 'ID',
+      deadline: 'Frist',
+      fires: 'Meldet sich',
+      channel: 'Kanal',
+      pings: 'Erwähnt',
+      league: 'Liga',
+      footer: 'Löschen mit /cancelreminder {id}',
+      fire: '{time} ({lead} vorher)',
+      finalCall: '{time} ({lead} vorher) 🚨 letzter Aufruf',
+      nudges: 'verknüpfte Mitglieder, die noch nicht fertig sind, sonst {target}',
+      nudgesDm: 'verknüpfte Mitglieder, die noch nicht fertig sind (per DM), sonst {target}',
+    },
+    errors: {
+      noChannel: 'Der Erinnerungskanal existiert nicht mehr oder der Bot kann ihn nicht sehen.',
+      deadlinePassed: 'Die Frist ist schon vorbei, deshalb wurde die Erinnerung entfernt.',
+      allPast: 'Alle Erinnerungszeiten lägen in der Vergangenheit.',
+      nothingLeft: 'Diese Erinnerung hat keine Stufe mehr übrig.',
+      snoozeTooFar: 'Die nächste Erinnerung kommt {lead} vor der Frist, sie lässt sich also um weniger als das verschieben.',
+      snoozePastNext: 'Die Stufe danach kommt {following} vor der Frist, diese lässt sich also um weniger als {max} verschieben.',
+    },
+    failure: {
+      title: '⚠️ Eine Erinnerung ({label}) konnte nicht gesendet werden',
+      description: 'Erinnerung `{id}` für {channel} ist nach {attempts} Versuch(en) fehlgeschlagen.',
+      error: 'Fehler',
+      whatNow: 'Was jetzt?',
+      advice: 'Prüfe, ob der Bot in {channel} posten darf, und nutze dann `/retryreminder {id}`. Oder ändere den Kanal mit `/editreminder`.',
+    },
+  },
+
+  // Slash command names and descriptions, shown to members whose Discord is in German
+  commands: {
+    setleague: {
+      name: 'ligafestlegen',
+      description: 'Eine Music League zu diesem Server hinzufügen oder die URL einer Liga ändern',
+      options: {
+        url: 'Die Music-League-URL (z. B. https://app.musicleague.com/l/xxxx/)',
+        name: 'Kurzname der Liga, z. B. "main" oder "schnell" (Standard: main)',
+        default: 'Diese Liga nutzen, wenn ein Befehl keine nennt',
+      },
+    },
+    leagues: { name: 'ligen', description: 'Die Music Leagues auflisten, die dieser Server verfolgt' },
+    removeleague: { name: 'ligaentfernen', description: 'Eine der Ligen dieses Servers nicht mehr verfolgen', options: { league: 'Die Liga, die entfernt werden soll' } },
+    league: { name: 'liga', description: 'Infos zur Music League und zur aktiven Runde anzeigen' },
+    round: { name: 'runde', description: 'Die Songs, Punkte und Kommentare einer Runde anzeigen' },
+    export: {
+      name: 'exportieren',
+      description: 'Die Songs einer Runde oder der ganzen Saison als Playlist-Datei herunterladen',
+      options: { format: 'Dateiformat', season: 'Alle Runden in eine Datei exportieren' },
+    },
+    calendar: {
+      name: 'kalender',
+      description: 'Die Fristen der Liga als Kalenderdatei oder als abonnierbaren Link holen',
+      options: {
+        feed: 'Statt einer Datei einen privaten Link holen, den deine Kalender-App abonnieren kann',
+        reset_feed: 'Nur Manager: den Link ersetzen, damit früher geteilte Links nicht mehr gehen',
+        league: 'Nur diese Liga (Standard: alle Ligen des Servers)',
+      },
+    },
+    stats: {
+      name: 'statistik',
+      description: 'Liga-Statistik: Punkteschnitt, Platzierungen, Fans & Rivalen, Top-Künstler, Abstimmen',
+      options: {
+        player: 'Stattdessen das Profil dieses Spielers anzeigen',
+        all_seasons: 'Alle Ligen und archivierten Saisons des Servers zusammenfassen',
+      },
+    },
+    history: {
+      name: 'verlauf',
+      description: 'Frühere Songs in allen Ligen durchsuchen oder frühere Sieger auflisten',
+      options: {
+        search: 'Künstler, Titel, Einreicher oder Thema — oder ein Spotify-Link zum Prüfen',
+        field: 'Nur in diesem Feld suchen (Standard: überall)',
+      },
+    },
+    standings: {
+      name: 'tabelle',
+      description: 'Den ganzen Tabellenstand der Liga oder die Saison eines Spielers anzeigen',
+      options: { player: 'Platz und Punkte dieses Spielers über die Saison anzeigen' },
+    },
+    remind: {
+      name: 'erinnern',
+      description: 'Eine Erinnerung fürs Einreichen oder Abstimmen anlegen',
+      options: {
+        type: 'Woran erinnert werden soll',
+        datetime: 'Wann ist die Frist? (z. B. "2024-12-25 18:00", "friday 6pm", "in 3 days")',
+        remind_before: 'Minuten vor der Frist, oder eine Liste wie "1440,60,10"',
+        mention: 'Wer erwähnt wird (Standard: die Einstellung aus /setmention)',
+      },
+    },
+    reminders: { name: 'erinnerungen', description: 'Alle aktiven Erinnerungen dieses Servers auflisten' },
+    cancelreminder: { name: 'erinnerungabbrechen', description: 'Eine Erinnerung per ID löschen' },
+    editreminder: {
+      name: 'erinnerungbearbeiten',
+      description: 'Frist, Vorlaufzeiten, Kanal oder Art einer Erinnerung ändern, die ID bleibt gleich',
+      options: {
+        datetime: 'Neue Frist (z. B. "2024-12-25 18:00", "friday 6pm", "in 3 days")',
+        remind_before: 'Neue Vorlaufzeiten: Minuten, oder eine Liste wie "1440,60,10"',
+        channel: 'Neuer Kanal für die Erinnerung',
+        type: 'Neue Art der Erinnerung',
+      },
+    },
+    retryreminder: { name: 'erinnerungwiederholen', description: 'Eine fehlgeschlagene Erinnerung noch einmal senden' },
+    snooze: {
+      name: 'verschieben',
+      description: 'Die nächste Erinnerung einer Erinnerung nach hinten verschieben',
+      options: { minutes: 'Um wie viele Minuten sie später kommen soll' },
+    },
+    setchannel: {
+      name: 'kanalfestlegen',
+      description: 'Den Kanal festlegen, in dem Erinnerungen und Liga-Neuigkeiten gepostet werden',
+      options: { league: 'Diesen Kanal nur für eine Liga nutzen (Standard: alle ohne eigenen Kanal)' },
+    },
+    setalertchannel: {
+      name: 'warnkanalfestlegen',
+      description: 'Festlegen, wo Liga-Manager von fehlgeschlagenen Erinnerungen erfahren',
+      options: { channel: 'Der Kanal (leer: der Systemkanal des Servers oder eine DM an den Besitzer)' },
+    },
+    autoremind: {
+      name: 'autoerinnerungen',
+      description: 'Erinnerungen automatisch aus den Fristen der Liga-Seite planen',
+      options: {
+        enabled: 'Automatische Erinnerungen ein- oder ausschalten',
+        remind_before: 'Minuten vor jeder Frist, oder eine Liste wie "1440,60,10"',
+      },
+    },
+    setladder: {
+      name: 'vorlaufzeiten',
+      description: 'Die Standard-Vorlaufzeiten für Erinnerungen auf diesem Server festlegen',
+      options: { leads: 'Vorlaufzeiten vor jeder Frist, z. B. "1440,60,10" oder "1d 1h 10m"' },
+    },
+    subscribe: { name: 'abonnieren', description: 'Bei Music-League-Erinnerungen erwähnt werden' },
+    unsubscribe: { name: 'abbestellen', description: 'Bei Music-League-Erinnerungen nicht mehr erwähnt werden' },
+    setmention: {
+      name: 'erwähnungfestlegen',
+      description: 'Festlegen, wen Erinnerungen auf diesem Server erwähnen',
+      options: { target: 'Wer erwähnt wird', role: 'Die Rolle, wenn du "Eine Rolle deiner Wahl" wählst' },
+    },
+    linkme: { name: 'michverknüpfen', description: 'Deinen Discord-Account mit deinem Music-League-Mitglied verknüpfen' },
+    link: {
+      name: 'verknüpfen',
+      description: 'Den Discord-Account einer Person mit einem Music-League-Mitglied verknüpfen (Admins)',
+      options: { member: 'Das Music-League-Mitglied', user: 'Der Discord-Nutzer' },
+    },
+    unlink: {
+      name: 'trennen',
+      description: 'Deine Verknüpfung mit einem Music-League-Mitglied lösen (Admins auch für andere)',
+      options: { user: 'Eine andere Person, deren Verknüpfung gelöst wird (Admins)' },
+    },
+    links: { name: 'verknüpfungen', description: 'Anzeigen, welche Discord-Nutzer mit welchen Music-League-Mitgliedern verknüpft sind' },
+    nudges: {
+      name: 'anstupsen',
+      description: 'Festlegen, wie verknüpfte Mitglieder ohne Einreichung oder Stimme erinnert werden',
+      options: { mode: 'Wie sie angestupst werden' },
+    },
+    settimezone: {
+      name: 'zeitzonefestlegen',
+      description: 'Die Zeitzone festlegen, in der Fristen wie "friday 6pm" gelesen werden',
+      options: { zone: 'IANA-Zeitzone, z. B. Europe/Berlin oder Europe/Vienna' },
+    },
+    pinstatus: {
+      name: 'statusanheften',
+      description: 'Eine sich selbst aktualisierende Statusnachricht im Liga-Kanal anheften',
+      options: { stop: 'Die angeheftete Statusnachricht löschen und nicht mehr aktualisieren' },
+    },
+    announce: {
+      name: 'ankündigungen',
+      description: 'Festlegen, welche Runden-Neuigkeiten im Liga-Kanal angekündigt werden',
+      options: { type: 'Welche Ankündigung geändert wird', enabled: 'Diese Ankündigung ein- oder ausschalten' },
+    },
+    setmanagerrole: {
+      name: 'managerrollefestlegen',
+      description: 'Die Rolle festlegen, die den Bot einrichten darf (Server verwalten darf es immer)',
+      options: { role: 'Die Liga-Manager-Rolle (leer: nur Server verwalten)' },
+    },
+    auditlog: { name: 'protokoll', description: 'Anzeigen, wer die Einrichtung geändert oder Erinnerungen gelöscht hat, und wann' },
+    fetch: { name: 'abrufen', description: 'Die neuesten Runden-Infos von Music League laden und anzeigen' },
+    import: {
+      name: 'importieren',
+      description: 'Liga-Daten aus dem CSV-Export von Music League laden, für nicht lesbare Ligen',
+      options: {
+        competitors: 'competitors.csv aus dem Export',
+        rounds: 'rounds.csv aus dem Export',
+        submissions: 'submissions.csv aus dem Export',
+        votes: 'votes.csv aus dem Export',
+      },
+    },
+    setlanguage: {
+      name: 'sprachefestlegen',
+      description: 'Die Sprache der Nachrichten und Erinnerungen des Bots wählen',
+      options: { language: 'Die Sprache' },
+    },
+    help: { name: 'hilfe', description: 'Hilfe zum Music-League-Bot anzeigen' },
+  },
+
+  // Options shared by several commands
+  options: {
+    league: 'Welche Liga (Standard: die Standard-Liga des Servers)',
+    id: 'Die ID der Erinnerung (aus /reminders)',
+    member: 'Dein Name in der Music League',
+    number: 'Rundennummer wie auf der Liga-Seite (Standard: aktive oder letzte Runde)',
+    round: 'Rundennummer wie auf der Liga-Seite (Standard: aktive oder letzte Runde)',
+    channel: 'Der Kanal, der genutzt werden soll',
+  },
+
+  choices: {
+    submission: 'Einreichungsfrist',
+    voting: 'Abstimmungsfrist',
+    both: 'Beides',
+    subscribers: 'Abonnenten (die Music-League-Rolle)',
+    role: 'Eine Rolle deiner Wahl',
+    none: 'Niemand',
+    ping: 'Im Erinnerungskanal erwähnen',
+    dm: 'Per DM anschreiben',
+    off: 'Aus — normale Erwähnung nutzen',
+    newRound: 'Neue Runden',
+    phaseChange: 'Phasenwechsel (Abstimmung offen, Ergebnisse da)',
+    deadlineChange: 'Geänderte Fristen',
+    all: 'Alle',
+    any: 'Alles',
+    artist: 'Künstler',
+    track: 'Titel oder Link',
+    submitter: 'Einreicher',
+    theme: 'Rundenname oder Thema',
+    m3u: 'M3U-Playlist',
+    csv: 'CSV-Tabelle',
+    txt: 'Reiner Text',
+  },
+};
@@ -0,0 +1,557 @@
+/**
+ * English messages — the fallback for every other catalog (see i18n.js).
+ */
+
+module.exports = {
+  language: {
+    set: '✅ The bot now speaks **{language}** in this server: command replies, reminders, round announcements, the pinned status and `/help`. Slash command names and descriptions follow each member\'s Discord language.',
+  },
+
+  permissions: {
+    denied: '❌ Only league managers can do that — you need the **Manage Server** permission.',
+    deniedRole: '❌ Only league managers can do that — you need the {role} role or the **Manage Server** permission.',
+    manageServerOnly: '❌ Only members with **Manage Server** can choose the league manager role.',
+  },
+
+  errors: {
+    noLeagueNamed: '❌ No league named `{key}`. Use `/leagues` to see this server\'s leagues.',
+    noLeagueSet: '❌ No league set. Use `/setleague <url>` first.',
+    unknownLeague: '❌ No league named `{key}`.',
+    leagueGone: '❌ That league is no longer tracked here.',
+    badLeagueUrl: '❌ That doesn\'t look like a Music League URL. Please use a URL from `musicleague.com`.',
+    setLeagueFetchFailed: '✅ League URL saved, but couldn\'t auto-fetch data: `{error}`\n\nThis is expected if your league is private — use `/remind` to set deadlines manually.',
+    fetchFailed: '❌ Failed to fetch: `{error}`\n\nIf your league is private/requires login, scraping won\'t work. Use `/remind` to set deadlines manually.',
+    noRoundsCached: '❌ No rounds cached yet — use `/fetch` to load the league first.',
+    noSuchRound: '❌ There is no round {number} — this league has {count} round(s).',
+    roundNotCached: '❌ That round is no longer cached. Run `/round` again.',
+    roundFetchFailed: '❌ Failed to fetch round: `{error}`',
+    noCsvFiles: '❌ Attach at least one CSV file from Music League\'s export (competitors, rounds, submissions or votes).',
+    importFailed: '❌ Import failed: {error}',
+    feedOff: '❌ The calendar feed is turned off. The bot\'s host can turn it on by setting `HTTP_PORT` in `.env`. Use `/calendar` for a file instead.',
+    noDeadlines: '❌ No deadlines to add yet — none were found on the league page and there are no reminders. Use `/fetch`, or set one with `/remind`.',
+    noFinishedRounds: '❌ No finished rounds cached yet — use `/fetch` to load the league, or `/import` its CSV export.',
+    noPlayerResults: '❌ No results for a player matching `{query}`.',
+    noStandings: '❌ No standings cached yet — use `/fetch` to load the league first.',
+    noPlayerInStandings: '❌ No player matching `{query}` in the standings.',
+    badDate: '❌ Couldn\'t parse that date. Try formats like `2024-12-25 18:00`, `friday 6pm`, `tomorrow 18:00`, `in 3 days` or `2024-12-25T18:00:00Z`. Times are read in **{timeZone}**.',
+    badDateShort: '❌ Couldn\'t parse that date. Times are read in **{timeZone}**.',
+    badLeads: '❌ Couldn\'t read `remind_before`. Use minutes, or a list like `1440,60,10` or `1d 1h 10m`.',
+    badLadder: '❌ Couldn\'t read that. Use minutes, or a list like `1440,60,10` or `1d 1h 10m` (up to 10 steps).',
+    reminderInPast: '❌ That reminder time is in the past!',
+    previewExpired: '⌛ This preview expired — run `/remind` again.',
+    notYourPreview: '❌ Only the person who ran `/remind` can confirm it.',
+    reminderTimePassed: '❌ That reminder time has passed while waiting — run `/remind` again.',
+    badZone: '❌ `{zone}` isn\'t a timezone I know. Use an IANA name like `America/New_York` or `Europe/Berlin`.',
+    noReminderChannel: '❌ Set a reminder channel with `/setchannel` first.',
+    noChannel: '❌ No channel set. Use `/setchannel` first.',
+    roleAddFailed: '❌ Couldn\'t give you the role: `{error}`\n\nThe bot needs the **Manage Roles** permission, and its own role must be above {role}.',
+    theMusicLeagueRole: 'the Music League role',
+    roleRemoveFailed: '❌ Couldn\'t remove the role: `{error}`',
+    pickRole: '❌ Pick the role to ping with the `role` option.',
+    roleCreateFailed: '❌ Couldn\'t create the Music League role: `{error}`\n\nThe bot needs the **Manage Roles** permission.',
+    noMembersCached: '❌ No members cached for this league — use `/fetch` first. Private leagues need `ML_COOKIE` for the member list.',
+    noMemberMatch: '❌ No member matching `{query}` in **{league}**.',
+    memberTaken: '❌ **{member}** is already linked to someone else. Ask an admin if that\'s wrong.',
+    notLinked: '❌ {user} isn\'t linked in **{league}**.',
+    noStatusMessage: '❌ **{league}** has no pinned status message.',
+    postFailed: '❌ Couldn\'t post in {channel}: `{error}`',
+    noReminder: '❌ No reminder found with ID `{id}`.',
+    noFailedReminder: '❌ No failed reminder with ID `{id}`. `/reminders` marks failed ones with ⚠️.',
+    retryFailed: '❌ Still couldn\'t send reminder `{id}`: `{error}`',
+    nothingToChange: '❌ Give at least one thing to change: `datetime`, `remind_before`, `channel` or `type`.',
+    autoReminderFixed: '❌ Auto reminders follow the deadline on the league page, so only `remind_before` and `channel` can be changed. Cancel it and use `/remind` for a different deadline.',
+    nothingChanged: '❌ {error} Nothing was changed.',
+    cantSnooze: '❌ {error}',
+  },
+
+  common: {
+    prev: '◀ Prev',
+    next: 'Next ▶',
+    page: 'Page {page}/{pages} • Music League Bot',
+    points: '{points} pts',
+    unknownTrack: 'Unknown track',
+    roundNumber: 'Round {number}',
+    footer: 'Music League Bot',
+    more: '…and {count} more',
+  },
+
+  freshness: {
+    unknown: '*Data age unknown. Use `/fetch` to refresh.*',
+    imported: '*📥 Imported from a CSV export {time}. Use `/import` to update.*',
+    fresh: '*Data from Music League {time}. Use `/fetch` to refresh.*',
+    stale: '*⚠️ Data from Music League {time} — may be out of date. Use `/fetch` to refresh.*',
+  },
+
+  replies: {
+    setchannel: {
+      league: '✅ Reminders and updates for **{league}** will be posted in {channel}.',
+      server: '✅ Reminders and updates will be posted in {channel}.',
+    },
+    setleague: {
+      saved: '⏳ League URL saved as **{key}**! Attempting to fetch info...',
+      done: '✅ League **{key}** set!',
+    },
+    leagues: {
+      none: '📋 No leagues set. Use `/setleague <url>` to add one.',
+      title: '🎵 Leagues',
+      default: '⭐ default',
+      fetched: '🔄 Fetched {time}',
+    },
+    removeleague: {
+      done: '✅ League **{key}** removed.',
+      doneWithReminders: '✅ League **{key}** removed. Cancelled its {count} pending reminder(s).',
+    },
+    league: { noData: 'League URL: <{url}>\n\nNo cached data yet — use `/fetch` to load info.' },
+    fetch: {
+      fetching: '⏳ Fetching league data...',
+      done: '✅ Fetched!',
+    },
+    import: {
+      reading: '⏳ Reading CSV files...',
+      title: '📥 Imported — {league}',
+      description: 'The export has no deadlines, so set reminders with `/remind` unless the league page can be scraped.',
+      members: '👥 Members',
+      rounds: '📋 Rounds',
+      submissions: '🎵 Submissions',
+      votes: '🗳️ Votes',
+      leader: '🏆 Leader',
+      skipped: '⚠️ Skipped {count} row(s)',
+    },
+    round: {
+      fetching: '⏳ Fetching {round}...',
+      round: 'round',
+      thisRound: 'this round',
+      noSubmissions: '📭 No submissions found for **{round}** yet.',
+      savedData: '⚠️ Couldn\'t fetch the round (`{error}`) — showing data saved {time}.',
+      title: 'Round',
+      submissions: '{count} submission(s)',
+      hidden: '🙈 Submitters are hidden until voting ends',
+      before: '🔁 Submitted before in {round} ({season})',
+      beforeBy: '🔁 Submitted before by {submitter} in {round} ({season})',
+      listen: 'Listen',
+    },
+    export: {
+      collectingRounds: '⏳ Collecting {count} round(s)...',
+      collecting: '⏳ Collecting {round}...',
+      theRound: 'the round',
+      nothing: '📭 Nothing to export.',
+      done: '📄 **{file}** — {tracks} track(s) from {rounds} round(s).',
+      skipped: '⚠️ Skipped: {rounds}',
+      noSubmissions: 'Round {number} has no submissions yet',
+      failed: 'Round {number}: `{error}`',
+    },
+    calendar: {
+      feed: '📅 Calendar feed:',
+      feedLeague: '📅 Calendar feed for **{league}**:',
+      newFeed: '📅 New calendar feed link:',
+      newFeedLeague: '📅 New calendar feed link for **{league}**:',
+      subscribe: 'Add it in your calendar app as a subscription (Google Calendar: *Other calendars → From URL*). Deadlines update on their own.',
+      oldLinks: '⚠️ Links shared before no longer work.',
+      private: '🔒 Keep it to the league — anyone with the link can see the deadlines.',
+      name: 'Deadlines',
+      file: '📅 {count} deadline(s). Open the file to add them to your calendar — importing it again later updates the events instead of duplicating them.',
+    },
+    stats: {
+      crunching: '⏳ Crunching {count} round(s)...',
+      allSeasons: 'All Seasons',
+    },
+    remind: {
+      title: '🕐 Confirm Reminder',
+      readAs: '`{input}` was read as **{time}**.',
+      deadline: 'Deadline (your time)',
+      footer: 'Server timezone: {zone} • Change it with /settimezone',
+      save: 'Save reminder',
+      cancel: 'Cancel',
+      notSaved: '🚫 Reminder not saved.',
+      saved: '✅ Saved as `{id}`.',
+    },
+    settimezone: { done: '✅ Deadlines will be read in **{zone}** (currently {time}).' },
+    reminders: {
+      none: '📋 No active reminders. Use `/remind` to set one.',
+      title: '⏰ Active Reminders',
+      auto: '🤖 Auto',
+      deadline: '📅 Deadline: {time}',
+      fires: '🔔 Fires: {times}',
+      channel: '📢 {channel} • pings {pings}',
+      failed: '⚠️ **Failed** {time} after {attempts} attempt(s): `{error}` — `/retryreminder {id}`',
+    },
+    autoremind: {
+      off: '✅ Auto reminders disabled. Manual reminders are unchanged.',
+      on: '✅ Auto reminders enabled — reminders will be sent {leads} before each scraped deadline, in each league\'s reminder channel.',
+    },
+    setladder: { done: '✅ New reminders will fire {leads} before the deadline. The last one is sent as a 🚨 final call. Existing reminders are unchanged.' },
+    subscribe: {
+      already: '🔔 You\'re already subscribed to {role}.',
+      done: '🔔 Subscribed! You\'ll be pinged through {role} when reminders fire. Use `/unsubscribe` to stop.',
+      otherTarget: '*Reminders here currently ping {target} — an admin can switch to subscribers with `/setmention`.*',
+    },
+    unsubscribe: {
+      notSubscribed: '🔕 You\'re not subscribed.',
+      done: '🔕 Unsubscribed — you won\'t be pinged for reminders anymore.',
+    },
+    setmention: {
+      done: '✅ Reminders will ping {target}. Reminders with their own `mention` are unchanged.',
+      doneSubscribers: '✅ Reminders will ping {target}. Members opt in with `/subscribe`. Reminders with their own `mention` are unchanged.',
+    },
+    link: {
+      done: '🔗 {user} is now **{member}** in **{league}**. Reminders will nudge them only while they still have to submit or vote.',
+      doneNudgesOff: '🔗 {user} is now **{member}** in **{league}**. Once a league manager turns on `/nudges`, reminders will nudge them only while they still have to submit or vote.',
+      choice: '{name} (linked)',
+    },
+    unlink: { done: '✅ {user} is no longer linked to **{member}**.' },
+    links: {
+      none: '🔗 Nobody is linked in **{league}** yet. Members can use `/linkme`.',
+      title: '🔗 Linked Members — {league}',
+      notLinked: 'Not linked ({count})',
+    },
+    nudges: {
+      ping: '✅ Reminders will ping only the linked members who haven\'t submitted or voted yet.',
+      dm: '✅ Linked members who haven\'t submitted or voted yet will get the reminder as a DM; the channel post pings nobody.',
+      off: '✅ Nudges are off — reminders use the `/setmention` ping.',
+      fallback: 'When the round page doesn\'t show who has finished, or nobody is linked, the `/setmention` ping is used.',
+    },
+    announce: {
+      types: {
+        newRound: 'New rounds',
+        phaseChange: 'Phase changes (voting open, results posted)',
+        deadlineChange: 'Deadline changes',
+      },
+      channel: 'Announcements are posted in {channel}.',
+      noChannel: '⚠️ No channel set — use `/setchannel` so announcements have somewhere to go.',
+    },
+    pinstatus: {
+      removing: '⏳ Removing the status message...',
+      removed: '✅ Removed the status message for **{league}**.',
+      posting: '⏳ Posting the status message...',
+      posted: '✅ Posted the status for **{league}** in {channel}: {url}\nIt updates every {minutes} min and after each poll.',
+      notPinned: '⚠️ Couldn\'t pin it — give the bot the **Manage Messages** permission there, or pin it by hand.',
+    },
+    setmanagerrole: {
+      set: '✅ Members with {role} (or **Manage Server**) can now change the bot\'s setup and manage reminders.',
+      cleared: '✅ Only members with **Manage Server** can change the bot\'s setup and manage reminders.',
+    },
+    snooze: { done: '😴 Reminder `{id}` snoozed by {minutes} — it now fires {time}.' },
+    retryreminder: {
+      sending: '⏳ Sending reminder `{id}` again...',
+      sent: '✅ Reminder `{id}` sent to {channel}.',
+    },
+    setalertchannel: {
+      set: '✅ Reminders that fail to send will be reported in {channel}.',
+      cleared: '✅ Reminders that fail to send will be reported in the server\'s system channel, or by DM to the owner.',
+    },
+    cancelreminder: { done: '✅ Reminder `{id}` cancelled.' },
+  },
+
+  // Shown in /auditlog; entries are written in the server's language at the time
+  audit: {
+    title: '📜 Audit Log',
+    empty: 'Nothing logged yet.',
+    footer: 'Page {page}/{pages} • {count} entries • Music League Bot',
+    setChannel: 'Set the server channel to {channel}',
+    setLeagueChannel: 'Set the channel for **{league}** to {channel}',
+    addLeague: 'Added league **{key}** (<{url}>)',
+    addDefaultLeague: 'Added league **{key}** (<{url}>) as the default',
+    changeLeague: 'Changed league **{key}** (<{url}>)',
+    changeDefaultLeague: 'Changed league **{key}** (<{url}>) as the default',
+    removeLeague: 'Removed league **{key}**',
+    removeLeagueReminders: 'Removed league **{key}** and cancelled its {count} reminder(s)',
+    import: 'Imported {files} into **{league}**',
+    resetFeed: 'Reset the calendar feed link',
+    createReminder: 'Created {label} reminder `{id}` for {time}',
+    setLanguage: 'Set the language to **{language}**',
+    setTimeZone: 'Set the timezone to **{zone}**',
+    autoremindOn: 'Turned auto reminders on',
+    autoremindOnLeads: 'Turned auto reminders on ({leads} before)',
+    autoremindOff: 'Turned auto reminders off',
+    cancelAuto: 'Cancelled {count} auto reminder(s)',
+    setLadder: 'Set the reminder ladder to {leads}',
+    setMention: 'Set reminders to ping {target}',
+    link: 'Linked {user} to **{member}** in **{league}**',
+    unlink: 'Unlinked {user} from **{member}** in **{league}**',
+    nudges: 'Set nudges to **{mode}**',
+    announceOn: 'Turned **{type}** announcements on',
+    announceOff: 'Turned **{type}** announcements off',
+    announceAllOn: 'Turned all announcements on',
+    announceAllOff: 'Turned all announcements off',
+    pinStatus: 'Pinned a status message for **{league}** in {channel}',
+    unpinStatus: 'Removed the pinned status message for **{league}**',
+    setManagerRole: 'Set the league manager role to {role}',
+    clearManagerRole: 'Cleared the league manager role',
+    editReminder: 'Edited reminder `{id}`: {changes}',
+    changedDeadline: 'deadline {time}',
+    changedLeads: 'lead times {leads}',
+    changedChannel: 'channel {channel}',
+    changedType: 'type {type}',
+    snooze: 'Snoozed reminder `{id}` by {minutes}',
+    retry: 'Retried failed reminder `{id}`',
+    setAlertChannel: 'Set the alert channel to {channel}',
+    clearAlertChannel: 'Cleared the alert channel',
+    cancelReminder: 'Cancelled reminder `{id}`',
+  },
+
+  mentions: {
+    subscribers: 'subscribers ({role})',
+    noSubscribers: 'subscribers (nobody has used `/subscribe` yet)',
+    nobody: 'nobody',
+  },
+
+  leagueEmbed: {
+    rounds: '{count} rounds',
+    songsPerRound: '{count} song/round',
+    players: '{count}/{max} players',
+    activeRound: '🎧 Active Round',
+    submissionDeadline: '📤 Submission Deadline',
+    votingDeadline: '🗳️ Voting Deadline',
+    roundsTitle: '📋 Rounds',
+    noActiveRound: '{count} round(s) found, none currently active',
+    topThree: '🏆 Standings (Top 3)',
+    admin: '👑 Admin',
+    footer: 'Music League Bot • musicleague.com',
+  },
+
+  // The message /pinstatus keeps up to date
+  status: {
+    noData: 'No league data yet — it appears after the next poll, `/fetch` or `/import`.',
+    footer: 'Updates every {minutes} min • Music League Bot',
+    timeRemaining: '⏳ Time Remaining',
+    until: '**{left}** until {deadline} ({time})',
+    submissionsClose: 'submissions close',
+    votingCloses: 'voting closes',
+    noDeadline: 'No upcoming deadline found.',
+    standings: '🏆 Standings (Top {count})',
+  },
+
+  // Round updates the poller posts in a league's channel
+  announce: {
+    footer: '{league} • Music League Bot',
+    newRound: '🆕 New Round: {round}',
+    untitled: 'Untitled round',
+    round: 'Round',
+    theRound: 'the round',
+    status: '📍 Status',
+    repeats: '🔁 Submitted Before ({count})',
+    pickedBefore: '🔁 Picked Before?',
+    pickedBeforeHint: 'Check a song with `/history search:<Spotify link>` before you submit.',
+    votingOpen: '🗳️ Voting is open for {round}!',
+    results: '🏁 Results are in for {round}!',
+    submissionsOpen: '📤 Submissions are open for {round}!',
+    extended: '⏳ {label} deadline extended — {round}',
+    movedEarlier: '⚠️ {label} deadline moved earlier — {round}',
+    was: 'Was',
+    now: 'Now',
+  },
+
+  standings: {
+    title: '🏆 Standings — {league}',
+    snapshot: 'Snapshot {number}',
+    empty: 'No standings yet.',
+    footerChanges: 'Page {page}/{pages} • Changes since {round} • Music League Bot',
+    playerTitle: '📈 {name}\'s Season',
+    playerEmpty: 'No round-by-round history recorded yet — snapshots are taken as results come in.',
+    bestRank: '🔝 Best Rank',
+    worstRank: '🔻 Worst Rank',
+  },
+
+  stats: {
+    title: '📊 Stats — {title}',
+    footer: 'Based on {rounds} round(s) with results • Music League Bot',
+    footerSeasons: 'Based on {rounds} round(s) with results across {seasons} seasons • Music League Bot',
+    empty: 'No rounds with results yet. They are read from finished round pages, or from an `/import`.',
+    average: '📈 Average Points per Round',
+    overall: '#{rank} overall',
+    finishes: '🏅 Best & Worst Finishes',
+    finish: '{place} in {round}',
+    fans: '💘 Biggest Fans',
+    rivals: '⚔️ Biggest Rivals',
+    rivalry: '{points} pts in {rounds} round(s)',
+    artists: '🎤 Most-Voted Artists',
+    artist: '{points} pts from {songs} song(s)',
+    consistency: '🗳️ Voting Consistency',
+    votedIn: 'voted in {voted}/{rounds} round(s)',
+    spread: 'points to {songs} songs each time',
+    playerEmpty: 'No rounds with results for this player yet.',
+    playerSummary: '**{average}** pts per round over {played} round(s) — {total} pts in all',
+    current: '🏆 Currently #{rank}',
+    currentPoints: '🏆 Currently #{rank} with {points} pts',
+    bestFinish: '🔝 Best Finish',
+    worstFinish: '🔻 Worst Finish',
+    voting: '🗳️ Voting',
+    playerVotedIn: 'Voted in {voted}/{rounds} round(s)',
+    playerSpread: 'Points to {songs} songs each time',
+    noVotes: 'No votes on record',
+    fan: '💘 Biggest Fan',
+    fanOf: '😍 Biggest Fan Of',
+    rival: '⚔️ Biggest Rival',
+    submittedArtists: '🎤 Most-Submitted Artists',
+    // Picked with Intl.PluralRules' English ordinal categories
+    ordinal: { one: '{n}st', two: '{n}nd', few: '{n}rd', other: '{n}th' },
+  },
+
+  // /history
+  history: {
+    title: '🔎 History — "{query}"',
+    footer: '{count} match(es) • Music League Bot',
+    footerField: '{count} match(es) • {field} • Music League Bot',
+    fields: { artist: 'Artist', track: 'Track title or link', submitter: 'Submitter', theme: 'Round name or theme' },
+    neverSubmitted: '✨ Nobody has submitted this track in any archived round.',
+    noMatches: 'No archived submissions match.',
+    more: '…and {count} more — narrow the search to see them.',
+    submittedBefore: '🔁 Submitted {count} time(s) before:',
+    seasonsTitle: '🏆 League History',
+    seasonsFooter: '{count} season(s) archived • Search with /history search:<text> • Music League Bot',
+    seasonsEmpty: 'Nothing archived yet. Seasons are archived as leagues are fetched or imported.',
+    winner: '👑 Winner: **{name}**',
+    leading: '📈 Leading: **{name}**',
+    finished: '✅ Finished',
+    inProgress: '⏳ In progress',
+    rounds: '{count} round(s), {archived} with submissions archived',
+  },
+
+  // calendar.js: event titles in /calendar files and feeds
+  calendar: {
+    submissionsClose: 'Submissions close',
+    votingCloses: 'Voting closes',
+    round: 'Round',
+    event: '{emoji} {label}: {round}',
+    deadline: '{emoji} {label} deadline',
+    deadlineRound: '{emoji} {label} deadline: {round}',
+    setWithRemind: 'Set with /remind',
+  },
+
+  // importer.js: why an /import failed, and the rows it skipped
+  importer: {
+    empty: '{file} is empty.',
+    missingColumns: '{file} is missing column(s): {columns}. Is it the right file?',
+    tooLarge: '{file} is larger than {size} MB.',
+    downloadFailed: 'HTTP {status} downloading {file}.',
+    needSubmissions: 'Votes can only be matched with submissions — attach submissions.csv too.',
+    needCompetitors: 'No members known for this league yet — attach competitors.csv too.',
+    needRounds: 'No rounds known for this league yet — attach rounds.csv too.',
+    fieldCount: '{file} row {row}: {count} field(s), expected {expected}',
+    missingIdOrName: '{file} row {row}: missing ID or name',
+    missingId: '{file} row {row}: missing ID',
+    unknownRound: '{file} row {row}: unknown round `{id}`',
+    unknownSubmitter: '{file} row {row}: unknown submitter `{id}`',
+    unknownVoter: '{file} row {row}: unknown voter `{id}`',
+    noSubmission: '{file} row {row}: no submission of `{uri}` in round `{round}`',
+    notANumber: '{file} row {row}: points `{points}` is not a number',
+    blank: '(blank)',
+  },
+
+  help: {
+    title: 'Music League Bot — {section}',
+    description: 'Integrate Music League with your Discord server. Since Music League has no public API, this bot scrapes the league page for info.',
+    footer: 'Page {page}/{pages} • Music League Bot',
+    leagues: {
+      title: '🎵 Leagues & Rounds',
+      setleague: 'Add a Music League to this server (or change a league\'s URL).',
+      leagues: 'List the leagues tracked in this server.',
+      removeleague: 'Stop tracking a league and cancel its reminders.',
+      league: 'Show current league info and round.',
+      fetch: 'Re-fetch the latest data from the league page.',
+      import: 'Load league data from Music League\'s CSV export, for leagues that can\'t be scraped.',
+      round: 'Show a round\'s submissions, points and voter comments.',
+      calendar: 'Get every deadline (scraped and `/remind`) as an `.ics` calendar file, or with `feed:True` a private link calendar apps can subscribe to.',
+      export: 'Download a round\'s submissions — or every round with `season:True` — as an M3U, CSV, JSON or text file.',
+      standings: 'Show the full standings with rank changes, or one player\'s season.',
+      stats: 'Average points, best and worst finishes, biggest fans and rivals, most-voted artists and voting habits — or one player\'s profile. `all_seasons:True` combines every league and archived past season.',
+      history: 'Search past submissions in every league the server has tracked by artist, track, submitter or theme, or paste a Spotify link to see if a song was submitted before. Without a search, lists each season\'s winner.',
+      announce: 'Turn announcements for new rounds, phase changes or deadline changes on or off.',
+      pinstatus: 'Pin a status message in the league channel — current round, phase, time left and standings — that the bot keeps editing. `stop:True` removes it.',
+      scrapingTitle: '⚠️ Note on Scraping',
+      scraping: 'Music League requires login to view league details. If your league is private, the bot may only show limited public info. You can manually set deadlines using `/remind`.',
+    },
+    reminders: {
+      title: '⏰ Reminders',
+      remind: 'Schedule a reminder for submissions or voting. `remind_before` takes minutes or a list like `1440,60,10`; `mention` overrides who gets pinged. Datetime: `2024-12-25 18:00`, `friday 6pm`, `tomorrow 18:00`, `in 3 days` or ISO 8601. You\'ll see a preview to confirm.',
+      reminders: 'List all active reminders, including ones that failed to send.',
+      cancelreminder: 'Cancel a reminder by ID.',
+      editreminder: 'Change a reminder in place, keeping its ID, or push its next ping back.',
+      retryreminder: 'Send a reminder that failed to send again.',
+      autoremind: 'Automatically schedule reminders from the deadlines found on the league page.',
+      setladder: 'Set the default lead times for new reminders, e.g. `1440,60,10` for 1 day, 1 hour and 10 min before.',
+      settimezone: 'Set the server timezone used to read deadlines (e.g. `Europe/Berlin`).',
+    },
+    pings: {
+      title: '🔔 Pings & Channels',
+      setchannel: 'Set where reminders and updates are posted, for the server or one league.',
+      setalertchannel: 'Set where league managers are told about reminders that failed to send.',
+      subscribe: 'Opt in or out of reminder pings (the Music League role).',
+      setmention: 'Choose who reminders ping: subscribers, a role, @everyone or nobody.',
+      linkme: 'Link your Discord account to your Music League member, so reminders nudge you only while you still have to submit or vote.',
+      link: 'Manage member links (linking or unlinking someone else is for league managers).',
+      nudges: 'Ping or DM linked members who haven\'t finished, or turn nudges off.',
+    },
+    settings: {
+      title: '🔒 Permissions & Language',
+      whoTitle: 'Who can do what',
+      who: 'Setup and reminder-management commands need the league manager role or **Manage Server**. Viewing commands like `/league`, `/round`, `/standings` and `/reminders` are open to everyone.',
+      setmanagerrole: 'Choose the role that can change the setup and manage reminders (needs Manage Server).',
+      auditlog: 'Show who changed the setup or cancelled reminders, and when.',
+      setlanguage: 'Choose the language of the bot\'s messages and reminders in this server: English, Español or Deutsch.',
+    },
+  },
+
+  reminder: {
+    labels: { submission: 'Submission', voting: 'Voting', both: 'Submission & Voting' },
+    title: '{emoji} {label} Deadline Reminder!',
+    finalTitle: '🚨 FINAL CALL — {label} closes in {time}!',
+    description: '⏰ The **{label}** deadline for **{league}**{round} is coming up!',
+    finalDescription: '⏳ Last chance! The **{label}** deadline for **{league}**{round} is {deadline}. This is the last reminder.',
+    yourLeague: 'your Music League',
+    deadline: '📅 Deadline',
+    lateAuthor: '🕒 Late reminder — this couldn\'t be sent when it was due',
+    wasDue: '🕒 Was Due',
+    leagueLink: '🔗 League Link',
+    pinging: '🔔 Pinging',
+    finished: { submission: 'submitted', voting: 'voted', both: 'submitted and voted', other: 'finished' },
+    everyoneFinished: 'Nobody — every linked member has {finished} 🎉',
+    nudgeDm: 'Sent as a DM to {count} linked member(s) who haven\'t {finished} yet',
+    nudgePing: '{mentions} — linked members who haven\'t {finished} yet',
+    silent: 'Nobody — this is a silent reminder.',
+    optIn: '{mention} • `/subscribe` to get these pings, `/unsubscribe` to stop',
+    tip: '💡 Tip',
+    tips: {
+      submission: '🎵 Make sure you\'ve submitted your song before the deadline!',
+      voting: '🗳️ Don\'t forget to listen and vote for your favorites!',
+      both: '🎵 Submit your song AND vote before the deadline!',
+    },
+    finalTips: {
+      submission: '🎵 Submit your song NOW — once the deadline passes, you\'re out for this round!',
+      voting: '🗳️ Vote NOW — unvoted submissions can lose their points!',
+      both: '🎵 Submit AND vote NOW — time is almost up!',
+    },
+    footer: 'Reminder ID: {id} • Cancel with /cancelreminder {id}',
+    set: {
+      title: '⏰ Reminder Set!',
+      updated: '✏️ Reminder Updated',
+      type: 'Type',
+      id: 'ID',
+      deadline: 'Deadline',
+      fires: 'Reminder Fires',
+      channel: 'Channel',
+      pings: 'Pings',
+      league: 'League',
+      footer: 'Cancel with /cancelreminder {id}',
+      fire: '{time} ({lead} before)',
+      finalCall: '{time} ({lead} before) 🚨 final call',
+      nudges: 'linked members who haven\'t finished, else {target}',
+      nudgesDm: 'linked members who haven\'t finished (by DM), else {target}',
+    },
+    errors: {
+      noChannel: 'The reminder channel no longer exists or the bot can\'t see it.',
+      deadlinePassed: 'Its deadline has already passed, so the reminder was removed.',
+      allPast: 'Every reminder time would be in the past.',
+      nothingLeft: 'This reminder has nothing left to fire.',
+      snoozeTooFar: 'The next reminder is due {lead} before the deadline, so it can be snoozed by less than that.',
+      snoozePastNext: 'The step after it is due {following} before the deadline, so this one can be snoozed by less than {max}.',
+    },
+    failure: {
+      title: '⚠️ A {label} reminder couldn\'t be sent',
+      description: 'Reminder `{id}` for {channel} failed after {attempts} attempt(s).',
+      error: 'Error',
+      whatNow: 'What now?',
+      advice: 'Check the bot can post in {channel}, then run `/retryreminder {id}`. Or change the channel with `/editreminder`.',
+    },
+  },
+};
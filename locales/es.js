@@ -0,0 +1,755 @@
+/**
+ * Spanish messages. Missing keys fall back to English (see i18n.js).
+ */
+
+module.exports = {
+  language: {
+    set: '✅ Ahora el bot habla **{language}** en este servidor: respuestas de los comandos, recordatorios, anuncios de rondas, el estado fijado y `/help`. Los nombres y las descripciones de los comandos siguen el idioma de Discord de cada miembro.',
+  },
+
+  permissions: {
+    denied: '❌ Solo los organizadores de la liga pueden hacer eso: necesitas el permiso **Gestionar servidor**.',
+    deniedRole: '❌ Solo los organizadores de la liga pueden hacer eso: necesitas el rol {role} o el permiso **Gestionar servidor**.',
+    manageServerOnly: '❌ Solo los miembros con **Gestionar servidor** pueden elegir el rol de organizador de la liga.',
+  },
+
+  errors: {
+    noLeagueNamed: '❌ No hay ninguna liga llamada `{key}`. Usa `/leagues` para ver las ligas de este servidor.',
+    noLeagueSet: '❌ No hay ninguna liga configurada. Usa primero `/setleague <url>`.',
+    unknownLeague: '❌ No hay ninguna liga llamada `{key}`.',
+    leagueGone: '❌ Esa liga ya no se sigue en este servidor.',
+    badLeagueUrl: '❌ Eso no parece una URL de Music League. Usa una URL de `musicleague.com`.',
+    setLeagueFetchFailed: '✅ URL de la liga guardada, pero no se pudieron cargar los datos: `{error}`\n\nEs normal si tu liga es privada: usa `/remind` para poner las fechas límite a mano.',
+    fetchFailed: '❌ No se pudieron cargar los datos: `{error}`\n\nSi tu liga es privada o requiere iniciar sesión, no se puede leer. Usa `/remind` para poner las fechas límite a mano.',
+    noRoundsCached: '❌ Todavía no hay rondas guardadas: usa `/fetch` para cargar la liga primero.',
+    noSuchRound: '❌ No existe la ronda {number}: esta liga tiene {count} ronda(s).',
+    roundNotCached: '❌ Esa ronda ya no está guardada. Vuelve a usar `/round`.',
+    roundFetchFailed: '❌ No se pudo cargar la ronda: `{error}`',
+    noCsvFiles: '❌ Adjunta al menos un archivo CSV de la exportación de Music League (competitors, rounds, submissions o votes).',
+    importFailed: '❌ La importación falló: {error}',
+    feedOff: '❌ El calendario por suscripción está desactivado. Quien aloja el bot puede activarlo con `HTTP_PORT` en `.env`. Usa `/calendar` para obtener un archivo.',
+    noDeadlines: '❌ Todavía no hay fechas límite: no se encontró ninguna en la página de la liga y no hay recordatorios. Usa `/fetch` o crea uno con `/remind`.',
+    noFinishedRounds: '❌ Todavía no hay rondas terminadas guardadas: usa `/fetch` para cargar la liga o `/import` con su exportación CSV.',
+    noPlayerResults: '❌ No hay resultados para un jugador que coincida con `{query}`.',
+    noStandings: '❌ Todavía no hay clasificación guardada: usa `/fetch` para cargar la liga primero.',
+    noPlayerInStandings: '❌ Ningún jugador de la clasificación coincide con `{query}`.',
+    badDate: '❌ No entendí esa fecha. Prueba formatos como `2024-12-25 18:00`, `friday 6pm`, `tomorrow 18:00`, `in 3 days` o `2024-12-25T18:00:00Z`. Las horas se leen en **{timeZone}**.',
+    badDateShort: '❌ No entendí esa fecha. Las horas se leen en **{timeZone}**.',
+    badLeads: '❌ No entendí `remind_before`. Usa minutos o una lista como `1440,60,10` o `1d 1h 10m`.',
+    badLadder: '❌ No entendí eso. Usa minutos o una lista como `1440,60,10` o `1d 1h 10m` (hasta 10 pasos).',
+    reminderInPast: '❌ ¡Esa hora del recordatorio ya pasó!',
+    previewExpired: '⌛ Esta vista previa caducó: vuelve a usar `/remind`.',
+    notYourPreview: '❌ Solo quien usó `/remind` puede confirmarlo.',
+    reminderTimePassed: '❌ La hora del recordatorio pasó mientras esperabas: vuelve a usar `/remind`.',
+    badZone: '❌ No conozco la zona horaria `{zone}`. Usa un nombre IANA como `America/Mexico_City` o `Europe/Madrid`.',
+    noReminderChannel: '❌ Primero elige un canal para los recordatorios con `/setchannel`.',
+    noChannel: '❌ No hay ningún canal configurado. Usa primero `/setchannel`.',
+    roleAddFailed: '❌ No pude darte el rol: `{error}`\n\nEl bot necesita el permiso **Gestionar roles**, y su propio rol debe estar por encima de {role}.',
+    theMusicLeagueRole: 'el rol de Music League',
+    roleRemoveFailed: '❌ No pude quitarte el rol: `{error}`',
+    pickRole: '❌ Elige el rol a mencionar con la opción `role`.',
+    roleCreateFailed: '❌ No pude crear el rol de Music League: `{error}`\n\nEl bot necesita el permiso **Gestionar roles**.',
+    noMembersCached: '❌ No hay miembros guardados para esta liga: usa primero `/fetch`. Las ligas privadas necesitan `ML_COOKIE` para la lista de miembros.',
+    noMemberMatch: '❌ Ningún miembro de **{league}** coincide con `{query}`.',
+    memberTaken: '❌ **{member}** ya está vinculado a otra persona. Pregunta a un administrador si es un error.',
+    notLinked: '❌ {user} no está vinculado en **{league}**.',
+    noStatusMessage: '❌ **{league}** no tiene ningún mensaje de estado fijado.',
+    postFailed: '❌ No pude publicar en {channel}: `{error}`',
+    noReminder: '❌ No hay ningún recordatorio con el ID `{id}`.',
+    noFailedReminder: '❌ No hay ningún recordatorio fallido con el ID `{id}`. `/reminders` marca los fallidos con ⚠️.',
+    retryFailed: '❌ Sigo sin poder enviar el recordatorio `{id}`: `{error}`',
+    nothingToChange: '❌ Indica al menos algo que cambiar: `datetime`, `remind_before`, `channel` o `type`.',
+    autoReminderFixed: '❌ Los recordatorios automáticos siguen la fecha límite de la página de la liga, así que solo se pueden cambiar `remind_before` y `channel`. Cancélalo y usa `/remind` para otra fecha.',
+    nothingChanged: '❌ {error} No se cambió nada.',
+    cantSnooze: '❌ {error}',
+  },
+
+  common: {
+    prev: '◀ Anterior',
+    next: 'Siguiente ▶',
+    page: 'Página {page}/{pages} • Music League Bot',
+    points: '{points} pts',
+    unknownTrack: 'Canción desconocida',
+    roundNumber: 'Ronda {number}',
+    footer: 'Music League Bot',
+    more: '…y {count} más',
+  },
+
+  freshness: {
+    unknown: '*No se sabe cuándo se cargaron los datos. Usa `/fetch` para actualizarlos.*',
+    imported: '*📥 Importado de una exportación CSV {time}. Usa `/import` para actualizarlo.*',
+    fresh: '*Datos de Music League de {time}. Usa `/fetch` para actualizarlos.*',
+    stale: '*⚠️ Datos de Music League de {time}: pueden estar desactualizados. Usa `/fetch` para actualizarlos.*',
+  },
+
+  replies: {
+    setchannel: {
+      league: '✅ Los recordatorios y novedades de **{league}** se publicarán en {channel}.',
+      server: '✅ Los recordatorios y novedades se publicarán en {channel}.',
+    },
+    setleague: {
+      saved: '⏳ ¡URL de la liga guardada como **{key}**! Intentando cargar sus datos...',
+      done: '✅ ¡Liga **{key}** configurada!',
+    },
+    leagues: {
+      none: '📋 No hay ligas configuradas. Usa `/setleague <url>` para añadir una.',
+      title: '🎵 Ligas',
+      default: '⭐ predeterminada',
+      fetched: '🔄 Cargada {time}',
+    },
+    removeleague: {
+      done: '✅ Liga **{key}** eliminada.',
+      doneWithReminders: '✅ Liga **{key}** eliminada. Se cancelaron sus {count} recordatorio(s) pendientes.',
+    },
+    league: { noData: 'URL de la liga: <{url}>\n\nTodavía no hay datos guardados: usa `/fetch` para cargarlos.' },
+    fetch: {
+      fetching: '⏳ Cargando los datos de la liga...',
+      done: '✅ ¡Cargada!',
+    },
+    import: {
+      reading: '⏳ Leyendo los archivos CSV...',
+      title: '📥 Importado — {league}',
+      description: 'La exportación no trae fechas límite, así que pon los recordatorios con `/remind`, salvo que se pueda leer la página de la liga.',
+      members: '👥 Miembros',
+      rounds: '📋 Rondas',
+      submissions: '🎵 Canciones',
+      votes: '🗳️ Votos',
+      leader: '🏆 Líder',
+      skipped: '⚠️ Se omitieron {count} fila(s)',
+    },
+    round: {
+      fetching: '⏳ Cargando {round}...',
+      round: 'la ronda',
+      thisRound: 'esta ronda',
+      noSubmissions: '📭 Todavía no hay canciones en **{round}**.',
+      savedData: '⚠️ No se pudo cargar la ronda (`{error}`): se muestran los datos guardados {time}.',
+      title: 'Ronda',
+      submissions: '{count} canción(es)',
+      hidden: '🙈 Quién envió cada canción se ve cuando termine la votación',
+      before: '🔁 Ya se envió en {round} ({season})',
+      beforeBy: '🔁 Ya la envió {submitter} en {round} ({season})',
+      listen: 'Escuchar',
+    },
+    export: {
+      collectingRounds: '⏳ Reuniendo {count} ronda(s)...',
+      collecting: '⏳ Reuniendo {round}...',
+      theRound: 'la ronda',
+      nothing: '📭 No hay nada que exportar.',
+      done: '📄 **{file}**: {tracks} canción(es) de {rounds} ronda(s).',
+      skipped: '⚠️ Omitidas: {rounds}',
+      noSubmissions: 'La ronda {number} todavía no tiene canciones',
+      failed: 'Ronda {number}: `{error}`',
+    },
+    calendar: {
+      feed: '📅 Calendario por suscripción:',
+      feedLeague: '📅 Calendario por suscripción de **{league}**:',
+      newFeed: '📅 Nuevo enlace del calendario por suscripción:',
+      newFeedLeague: '📅 Nuevo enlace del calendario por suscripción de **{league}**:',
+      subscribe: 'Añádelo en tu app de calendario como suscripción (Google Calendar: *Otros calendarios → Desde URL*). Las fechas límite se actualizan solas.',
+      oldLinks: '⚠️ Los enlaces compartidos antes ya no funcionan.',
+      private: '🔒 No lo compartas fuera de la liga: cualquiera con el enlace puede ver las fechas límite.',
+      name: 'Fechas límite',
+      file: '📅 {count} fecha(s) límite. Abre el archivo para añadirlas a tu calendario: si lo vuelves a importar más tarde, se actualizan los eventos en lugar de duplicarse.',
+    },
+    stats: {
+      crunching: '⏳ Analizando {count} ronda(s)...',
+      allSeasons: 'Todas las temporadas',
+    },
+    remind: {
+      title: '🕐 Confirma el recordatorio',
+      readAs: '`{input}` se leyó como **{time}**.',
+      deadline: 'Fecha límite (tu hora)',
+      footer: 'Zona horaria del servidor: {zone} • Cámbiala con /settimezone',
+      save: 'Guardar recordatorio',
+      cancel: 'Cancelar',
+      notSaved: '🚫 Recordatorio no guardado.',
+      saved: '✅ Guardado como `{id}`.',
+    },
+    settimezone: { done: '✅ Las fechas límite se leerán en **{zone}** (ahora son las {time}).' },
+    reminders: {
+      none: '📋 No hay recordatorios activos. Usa `/remind` para crear uno.',
+      title: '⏰ Recordatorios activos',
+      auto: '🤖 Automático',
+      deadline: '📅 Fecha límite: {time}',
+      fires: '🔔 Avisa: {times}',
+      channel: '📢 {channel} • menciona a {pings}',
+      failed: '⚠️ **Falló** {time} tras {attempts} intento(s): `{error}` — `/retryreminder {id}`',
+    },
+    autoremind: {
+      off: '✅ Recordatorios automáticos desactivados. Los recordatorios manuales no cambian.',
+      on: '✅ Recordatorios automáticos activados: se enviarán {leads} antes de cada fecha límite de la página de la liga, en el canal de recordatorios de cada liga.',
+    },
+    setladder: { done: '✅ Los nuevos recordatorios avisarán {leads} antes de la fecha límite. El último se envía como 🚨 último aviso. Los recordatorios existentes no cambian.' },
+    subscribe: {
+      already: '🔔 Ya estás suscrito a {role}.',
+      done: '🔔 ¡Suscrito! Te mencionaremos mediante {role} cuando salten los recordatorios. Usa `/unsubscribe` para dejarlo.',
+      otherTarget: '*Ahora mismo los recordatorios de aquí mencionan a {target}: un administrador puede cambiarlo a los suscriptores con `/setmention`.*',
+    },
+    unsubscribe: {
+      notSubscribed: '🔕 No estás suscrito.',
+      done: '🔕 Suscripción cancelada: ya no te mencionaremos en los recordatorios.',
+    },
+    setmention: {
+      done: '✅ Los recordatorios mencionarán a {target}. Los recordatorios con su propio `mention` no cambian.',
+      doneSubscribers: '✅ Los recordatorios mencionarán a {target}. Los miembros se apuntan con `/subscribe`. Los recordatorios con su propio `mention` no cambian.',
+    },
+    link: {
+      done: '🔗 {user} ahora es **{member}** en **{league}**. Los recordatorios solo le avisarán mientras le quede enviar o votar.',
+      doneNudgesOff: '🔗 {user} ahora es **{member}** en **{league}**. Cuando un organizador active `/nudges`, los recordatorios solo le avisarán mientras le quede enviar o votar.',
+      choice: '{name} (vinculado)',
+    },
+    unlink: { done: '✅ {user} ya no está vinculado a **{member}**.' },
+    links: {
+      none: '🔗 Todavía no hay nadie vinculado en **{league}**. Los miembros pueden usar `/linkme`.',
+      title: '🔗 Miembros vinculados — {league}',
+      notLinked: 'Sin vincular ({count})',
+    },
+    nudges: {
+      ping: '✅ Los recordatorios solo mencionarán a los miembros vinculados que aún no han enviado o votado.',
+      dm: '✅ Los miembros vinculados que aún no han enviado o votado recibirán el recordatorio por MD; la publicación del canal no menciona a nadie.',
+      off: '✅ Avisos personales desactivados: los recordatorios usan la mención de `/setmention`.',
+      fallback: 'Si la página de la ronda no muestra quién ha terminado, o no hay nadie vinculado, se usa la mención de `/setmention`.',
+    },
+    announce: {
+      types: {
+        newRound: 'Rondas nuevas',
+        phaseChange: 'Cambios de fase (votación abierta, resultados)',
+        deadlineChange: 'Cambios de fecha límite',
+      },
+      channel: 'Los anuncios se publican en {channel}.',
+      noChannel: '⚠️ No hay ningún canal configurado: usa `/setchannel` para que los anuncios tengan dónde publicarse.',
+    },
+    pinstatus: {
+      removing: '⏳ Quitando el mensaje de estado...',
+      removed: '✅ Se quitó el mensaje de estado de **{league}**.',
+      posting: '⏳ Publicando el mensaje de estado...',
+      posted: '✅ Estado de **{league}** publicado en {channel}: {url}\nSe actualiza cada {minutes} min y después de cada consulta.',
+      notPinned: '⚠️ No pude fijarlo: dale al bot el permiso **Gestionar mensajes** en ese canal, o fíjalo a mano.',
+    },
+    setmanagerrole: {
+      set: '✅ Los miembros con {role} (o **Gestionar servidor**) ya pueden cambiar la configuración del bot y gestionar los recordatorios.',
+      cleared: '✅ Solo los miembros con **Gestionar servidor** pueden cambiar la configuración del bot y gestionar los recordatorios.',
+    },
+    snooze: { done: '😴 Recordatorio `{id}` pospuesto {minutes}: ahora avisa {time}.' },
+    retryreminder: {
+      sending: '⏳ Volviendo a enviar el recordatorio `{id}`...',
+      sent: '✅ Recordatorio `{id}` enviado a {channel}.',
+    },
+    setalertchannel: {
+      set: '✅ Los recordatorios que no se puedan enviar se avisarán en {channel}.',
+      cleared: '✅ Los recordatorios que no se puedan enviar se avisarán en el canal del sistema del servidor, o por MD al propietario.',
+    },
+    cancelreminder: { done: '✅ Recordatorio `{id}` cancelado.' },
+  },
+
+  // Shown in /auditlog; entries are written in the server's language at the time
+  audit: {
+    title: '📜 Registro de cambios',
+    empty: 'Todavía no hay nada registrado.',
+    footer: 'Página {page}/{pages} • {count} entradas • Music League Bot',
+    setChannel: 'Cambió el canal del servidor a {channel}',
+    setLeagueChannel: 'Cambió el canal de **{league}** a {channel}',
+    addLeague: 'Añadió la liga **{key}** (<{url}>)',
+    addDefaultLeague: 'Añadió la liga **{key}** (<{url}>) como predeterminada',
+    changeLeague: 'Cambió la liga **{key}** (<{url}>)',
+    changeDefaultLeague: 'Cambió la liga **{key}** (<{url}>) como predeterminada',
+    removeLeague: 'Eliminó la liga **{key}**',
+    removeLeagueReminders: 'Eliminó la liga **{key}** y canceló sus {count} recordatorio(s)',
+    import: 'Importó {files} en **{league}**',
+    resetFeed: 'Renovó el enlace del calendario por suscripción',
+    createReminder: 'Creó el recordatorio de {label} `{id}` para {time}',
+    setLanguage: 'Cambió el idioma a **{language}**',
+    setTimeZone: 'Cambió la zona horaria a **{zone}**',
+    autoremindOn: 'Activó los recordatorios automáticos',
+    autoremindOnLeads: 'Activó los recordatorios automáticos ({leads} antes)',
+    autoremindOff: 'Desactivó los recordatorios automáticos',
+    cancelAuto: 'Canceló {count} recordatorio(s) automático(s)',
+    setLadder: 'Cambió la escalera de recordatorios a {leads}',
+    setMention: 'Hizo que los recordatorios mencionen a {target}',
+    link: 'Vinculó a {user} con **{member}** en **{league}**',
+    unlink: 'Desvinculó a {user} de **{member}** en **{league}**',
+    nudges: 'Cambió los avisos personales a **{mode}**',
+    announceOn: 'Activó los anuncios de **{type}**',
+    announceOff: 'Desactivó los anuncios de **{type}**',
+    announceAllOn: 'Activó todos los anuncios',
+    announceAllOff: 'Desactivó todos los anuncios',
+    pinStatus: 'Fijó un mensaje de estado de **{league}** en {channel}',
+    unpinStatus: 'Quitó el mensaje de estado fijado de **{league}**',
+    setManagerRole: 'Cambió el rol de organizador de la liga a {role}',
+    clearManagerRole: 'Quitó el rol de organizador de la liga',
+    editReminder: 'Editó el recordatorio `{id}`: {changes}',
+    changedDeadline: 'fecha límite {time}',
+    changedLeads: 'antelación {leads}',
+    changedChannel: 'canal {channel}',
+    changedType: 'tipo {type}',
+    snooze: 'Pospuso el recordatorio `{id}` {minutes}',
+    retry: 'Reintentó el recordatorio fallido `{id}`',
+    setAlertChannel: 'Cambió el canal de alertas a {channel}',
+    clearAlertChannel: 'Quitó el canal de alertas',
+    cancelReminder: 'Canceló el recordatorio `{id}`',
+  },
+
+  mentions: {
+    subscribers: 'los suscriptores ({role})',
+    noSubscribers: 'los suscriptores (nadie ha usado `/subscribe` todavía)',
+    nobody: 'nadie',
+  },
+
+  leagueEmbed: {
+    rounds: '{count} rondas',
+    songsPerRound: '{count} canción/ronda',
+    players: '{count}/{max} jugadores',
+    activeRound: '🎧 Ronda activa',
+    submissionDeadline: '📤 Fecha límite de envío',
+    votingDeadline: '🗳️ Fecha límite de votación',
+    roundsTitle: '📋 Rondas',
+    noActiveRound: 'Se encontraron {count} ronda(s), ninguna activa ahora',
+    topThree: '🏆 Clasificación (top 3)',
+    admin: '👑 Administración',
+    footer: 'Music League Bot • musicleague.com',
+  },
+
+  // The message /pinstatus keeps up to date
+  status: {
+    noData: 'Todavía no hay datos de la liga: aparecerán tras la próxima consulta, `/fetch` o `/import`.',
+    footer: 'Se actualiza cada {minutes} min • Music League Bot',
+    timeRemaining: '⏳ Tiempo restante',
+    until: '**{left}** hasta que {deadline} ({time})',
+    submissionsClose: 'cierren los envíos',
+    votingCloses: 'cierre la votación',
+    noDeadline: 'No se encontró ninguna fecha límite próxima.',
+    standings: '🏆 Clasificación (top {count})',
+  },
+
+  // Round updates the poller posts in a league's channel
+  announce: {
+    footer: '{league} • Music League Bot',
+    newRound: '🆕 Nueva ronda: {round}',
+    untitled: 'Ronda sin título',
+    round: 'Ronda',
+    theRound: 'la ronda',
+    status: '📍 Estado',
+    repeats: '🔁 Ya enviadas antes ({count})',
+    pickedBefore: '🔁 ¿Ya la eligió alguien?',
+    pickedBeforeHint: 'Comprueba una canción con `/history search:<enlace de Spotify>` antes de enviarla.',
+    votingOpen: '🗳️ ¡Se abrió la votación de {round}!',
+    results: '🏁 ¡Ya están los resultados de {round}!',
+    submissionsOpen: '📤 ¡Se abrieron los envíos de {round}!',
+    extended: '⏳ Se amplió la fecha límite de {label} — {round}',
+    movedEarlier: '⚠️ Se adelantó la fecha límite de {label} — {round}',
+    was: 'Antes',
+    now: 'Ahora',
+  },
+
+  standings: {
+    title: '🏆 Clasificación — {league}',
+    snapshot: 'Instantánea {number}',
+    empty: 'Todavía no hay clasificación.',
+    footerChanges: 'Página {page}/{pages} • Cambios desde {round} • Music League Bot',
+    playerTitle: '📈 La temporada de {name}',
+    playerEmpty: 'Todavía no hay historial por rondas: se guarda a medida que llegan los resultados.',
+    bestRank: '🔝 Mejor puesto',
+    worstRank: '🔻 Peor puesto',
+  },
+
+  stats: {
+    title: '📊 Estadísticas — {title}',
+    footer: 'Según {rounds} ronda(s) con resultados • Music League Bot',
+    footerSeasons: 'Según {rounds} ronda(s) con resultados de {seasons} temporadas • Music League Bot',
+    empty: 'Todavía no hay rondas con resultados. Se leen de las páginas de las rondas terminadas o de un `/import`.',
+    average: '📈 Media de puntos por ronda',
+    overall: '#{rank} en la general',
+    finishes: '🏅 Mejores y peores puestos',
+    finish: '{place} en {round}',
+    fans: '💘 Mayores fans',
+    rivals: '⚔️ Mayores rivales',
+    rivalry: '{points} pts en {rounds} ronda(s)',
+    artists: '🎤 Artistas más votados',
+    artist: '{points} pts con {songs} canción(es)',
+    consistency: '🗳️ Constancia al votar',
+    votedIn: 'votó en {voted}/{rounds} ronda(s)',
+    spread: 'repartiendo puntos entre {songs} canciones cada vez',
+    playerEmpty: 'Todavía no hay rondas con resultados de este jugador.',
+    playerSummary: '**{average}** pts por ronda en {played} ronda(s): {total} pts en total',
+    current: '🏆 Ahora es #{rank}',
+    currentPoints: '🏆 Ahora es #{rank} con {points} pts',
+    bestFinish: '🔝 Mejor puesto',
+    worstFinish: '🔻 Peor puesto',
+    voting: '🗳️ Votación',
+    playerVotedIn: 'Votó en {voted}/{rounds} ronda(s)',
+    playerSpread: 'Reparte puntos entre {songs} canciones cada vez',
+    noVotes: 'No hay votos registrados',
+    fan: '💘 Su mayor fan',
+    fanOf: '😍 Es fan de',
+    rival: '⚔️ Su mayor rival',
+    submittedArtists: '🎤 Artistas que más envía',
+    ordinal: { one: '{n}.º', two: '{n}.º', few: '{n}.º', other: '{n}.º' },
+  },
+
+  // /history
+  history: {
+    title: '🔎 Historial — "{query}"',
+    footer: '{count} resultado(s) • Music League Bot',
+    footerField: '{count} resultado(s) • {field} • Music League Bot',
+    fields: { artist: 'Artista', track: 'Título o enlace de la canción', submitter: 'Participante', theme: 'Nombre o tema de la ronda' },
+    neverSubmitted: '✨ Nadie ha enviado esta canción en ninguna ronda archivada.',
+    noMatches: 'Ninguna canción archivada coincide.',
+    more: '…y {count} más: afina la búsqueda para verlas.',
+    submittedBefore: '🔁 Enviada {count} vez/veces antes:',
+    seasonsTitle: '🏆 Historial de la liga',
+    seasonsFooter: '{count} temporada(s) archivada(s) • Busca con /history search:<texto> • Music League Bot',
+    seasonsEmpty: 'Todavía no hay nada archivado. Las temporadas se archivan al cargar o importar las ligas.',
+    winner: '👑 Ganador: **{name}**',
+    leading: '📈 En cabeza: **{name}**',
+    finished: '✅ Terminada',
+    inProgress: '⏳ En curso',
+    rounds: '{count} ronda(s), {archived} con canciones archivadas',
+  },
+
+  // calendar.js: event titles in /calendar files and feeds
+  calendar: {
+    submissionsClose: 'Cierran los envíos',
+    votingCloses: 'Cierra la votación',
+    round: 'Ronda',
+    event: '{emoji} {label}: {round}',
+    deadline: '{emoji} Fecha límite: {label}',
+    deadlineRound: '{emoji} Fecha límite: {label} — {round}',
+    setWithRemind: 'Creado con /remind',
+  },
+
+  // importer.js: why an /import failed, and the rows it skipped
+  importer: {
+    empty: '{file} está vacío.',
+    missingColumns: 'A {file} le faltan columnas: {columns}. ¿Es el archivo correcto?',
+    tooLarge: '{file} ocupa más de {size} MB.',
+    downloadFailed: 'HTTP {status} al descargar {file}.',
+    needSubmissions: 'Los votos solo se pueden asociar a canciones enviadas: adjunta también submissions.csv.',
+    needCompetitors: 'Todavía no se conoce a ningún miembro de esta liga: adjunta también competitors.csv.',
+    needRounds: 'Todavía no se conoce ninguna ronda de esta liga: adjunta también rounds.csv.',
+    fieldCount: '{file}, fila {row}: {count} campo(s), se esperaban {expected}',
+    missingIdOrName: '{file}, fila {row}: falta el ID o el nombre',
+    missingId: '{file}, fila {row}: falta el ID',
+    unknownRound: '{file}, fila {row}: ronda desconocida `{id}`',
+    unknownSubmitter: '{file}, fila {row}: participante desconocido `{id}`',
+    unknownVoter: '{file}, fila {row}: votante desconocido `{id}`',
+    noSubmission: '{file}, fila {row}: nadie envió `{uri}` en la ronda `{round}`',
+    notANumber: '{file}, fila {row}: los puntos `{points}` no son un número',
+    blank: '(vacío)',
+  },
+
+  help: {
+    title: 'Music League Bot — {section}',
+    description: 'Conecta Music League con tu servidor de Discord. Como Music League no tiene una API pública, el bot lee la información de la página de la liga.',
+    footer: 'Página {page}/{pages} • Music League Bot',
+    leagues: {
+      title: '🎵 Ligas y rondas',
+      setleague: 'Añade una Music League a este servidor (o cambia la URL de una liga).',
+      leagues: 'Muestra las ligas que se siguen en este servidor.',
+      removeleague: 'Deja de seguir una liga y cancela sus recordatorios.',
+      league: 'Muestra la información de la liga y la ronda actual.',
+      fetch: 'Vuelve a cargar los datos más recientes de la página de la liga.',
+      import: 'Carga los datos de la liga desde la exportación CSV de Music League, para ligas que no se pueden leer.',
+      round: 'Muestra las canciones, los puntos y los comentarios de una ronda.',
+      calendar: 'Obtén todas las fechas límite (de la liga y de `/remind`) como archivo de calendario `.ics`, o con `feed:True` un enlace privado al que suscribirte.',
+      export: 'Descarga las canciones de una ronda (o de todas con `season:True`) como archivo M3U, CSV, JSON o de texto.',
+      standings: 'Muestra la clasificación completa con los cambios de puesto, o la temporada de un jugador.',
+      stats: 'Media de puntos, mejores y peores puestos, mayores fans y rivales, artistas más votados y hábitos de voto, o el perfil de un jugador. `all_seasons:True` combina todas las ligas y las temporadas archivadas.',
+      history: 'Busca canciones pasadas en todas las ligas del servidor por artista, canción, participante o tema, o pega un enlace de Spotify para ver si ya se envió. Sin búsqueda, muestra el ganador de cada temporada.',
+      announce: 'Activa o desactiva los anuncios de rondas nuevas, cambios de fase o cambios de fecha límite.',
+      pinstatus: 'Fija un mensaje de estado en el canal de la liga (ronda actual, fase, tiempo restante y clasificación) que el bot mantiene al día. `stop:True` lo quita.',
+      scrapingTitle: '⚠️ Sobre la lectura de la página',
+      scraping: 'Music League pide iniciar sesión para ver los detalles de una liga. Si tu liga es privada, puede que el bot solo vea información pública limitada. Puedes poner las fechas límite a mano con `/remind`.',
+    },
+    reminders: {
+      title: '⏰ Recordatorios',
+      remind: 'Programa un recordatorio para enviar canciones o votar. `remind_before` acepta minutos o una lista como `1440,60,10`; `mention` cambia a quién se menciona. Fecha: `2024-12-25 18:00`, `friday 6pm`, `tomorrow 18:00`, `in 3 days` o ISO 8601. Verás una vista previa para confirmar.',
+      reminders: 'Muestra todos los recordatorios activos, incluidos los que no se pudieron enviar.',
+      cancelreminder: 'Cancela un recordatorio por su ID.',
+      editreminder: 'Cambia un recordatorio sin cambiar su ID, o retrasa su próximo aviso.',
+      retryreminder: 'Vuelve a enviar un recordatorio que falló.',
+      autoremind: 'Programa recordatorios automáticamente a partir de las fechas límite de la página de la liga.',
+      setladder: 'Define los avisos por defecto de los recordatorios nuevos, p. ej. `1440,60,10` para 1 día, 1 hora y 10 min antes.',
+      settimezone: 'Define la zona horaria del servidor para leer las fechas límite (p. ej. `Europe/Madrid`).',
+    },
+    pings: {
+      title: '🔔 Menciones y canales',
+      setchannel: 'Elige dónde se publican los recordatorios y las novedades, para el servidor o para una liga.',
+      setalertchannel: 'Elige dónde se avisa a los organizadores de los recordatorios que no se pudieron enviar.',
+      subscribe: 'Apúntate o date de baja de las menciones de los recordatorios (el rol de Music League).',
+      setmention: 'Elige a quién mencionan los recordatorios: suscriptores, un rol, @everyone o nadie.',
+      linkme: 'Vincula tu cuenta de Discord con tu miembro de Music League, para que los recordatorios solo te avisen mientras te falte enviar o votar.',
+      link: 'Gestiona los vínculos de miembros (vincular o desvincular a otros es cosa de los organizadores).',
+      nudges: 'Menciona o escribe por MD a los miembros vinculados que no han terminado, o desactiva los avisos.',
+    },
+    settings: {
+      title: '🔒 Permisos e idioma',
+      whoTitle: 'Quién puede hacer qué',
+      who: 'Los comandos de configuración y de gestión de recordatorios necesitan el rol de organizador o **Gestionar servidor**. Los comandos de consulta como `/league`, `/round`, `/standings` y `/reminders` están abiertos a todos.',
+      setmanagerrole: 'Elige el rol que puede cambiar la configuración y gestionar recordatorios (requiere Gestionar servidor).',
+      auditlog: 'Muestra quién cambió la configuración o canceló recordatorios, y cuándo.',
+      setlanguage: 'Elige el idioma de los mensajes y recordatorios del bot en este servidor: English, Español o Deutsch.',
+    },
+  },
+
+  reminder: {
+    labels: { submission: 'Envío de canciones', voting: 'Votación', both: 'Envío y votación' },
+    title: '{emoji} ¡Recordatorio: {label}!',
+    finalTitle: '🚨 ÚLTIMO AVISO — ¡{label} cierra en {time}!',
+    description: '⏰ ¡Se acerca la fecha límite de **{label}** en **{league}**{round}!',
+    finalDescription: '⏳ ¡Última oportunidad! La fecha límite de **{label}** en **{league}**{round} es {deadline}. Este es el último recordatorio.',
+    yourLeague: 'tu Music League',
+    deadline: '📅 Fecha límite',
+    lateAuthor: '🕒 Recordatorio con retraso: no se pudo enviar a su hora',
+    wasDue: '🕒 Debía enviarse',
+    leagueLink: '🔗 Enlace de la liga',
+    pinging: '🔔 Mencionando a',
+    finished: { submission: 'enviado su canción', voting: 'votado', both: 'enviado su canción y votado', other: 'terminado' },
+    everyoneFinished: 'Nadie: todos los miembros vinculados han {finished} 🎉',
+    nudgeDm: 'Enviado por MD a {count} miembro(s) vinculado(s) que aún no han {finished}',
+    nudgePing: '{mentions}: miembros vinculados que aún no han {finished}',
+    silent: 'Nadie: es un recordatorio silencioso.',
+    optIn: '{mention} • `/subscribe` para recibir estas menciones, `/unsubscribe` para dejar de recibirlas',
+    tip: '💡 Consejo',
+    tips: {
+      submission: '🎵 ¡Asegúrate de enviar tu canción antes de la fecha límite!',
+      voting: '🗳️ ¡No olvides escuchar y votar por tus favoritas!',
+      both: '🎵 ¡Envía tu canción Y vota antes de la fecha límite!',
+    },
+    finalTips: {
+      submission: '🎵 ¡Envía tu canción YA: cuando pase la fecha límite, te quedas fuera de esta ronda!',
+      voting: '🗳️ ¡Vota YA: las canciones de quien no vota pueden perder sus puntos!',
+      both: '🎵 ¡Envía Y vota YA: casi no queda tiempo!',
+    },
+    footer: 'ID del recordatorio: {id} • Cancélalo con /cancelreminder {id}',
+    set: {
+      title: '⏰ ¡Recordatorio creado!',
+      updated: '✏️ Recordatorio actualizado',
+      type: 'Tipo',
+      id: 'ID',
+      deadline: 'Fecha límite',
+      fires: 'Avisa',
+      channel: 'Canal',
+      pings: 'Menciona a',
+      league: 'Liga',
+      footer: 'Cancélalo con /cancelreminder {id}',
+      fire: '{time} ({lead} antes)',
+      finalCall: '{time} ({lead} antes) 🚨 último aviso',
+      nudges: 'los miembros vinculados que no han terminado; si no, {target}',
+      nudgesDm: 'los miembros vinculados que no han terminado (por MD); si no, {target}',
+    },
+    errors: {
+      noChannel: 'El canal del recordatorio ya no existe o el bot no puede verlo.',
+      deadlinePassed: 'Su fecha límite ya pasó, así que se eliminó el recordatorio.',
+      allPast: 'Todas las horas del recordatorio quedarían en el pasado.',
+      nothingLeft: 'A este recordatorio no le queda ningún aviso.',
+      snoozeTooFar: 'El próximo aviso es {lead} antes de la fecha límite, así que se puede posponer menos que eso.',
+      snoozePastNext: 'El aviso siguiente es {following} antes de la fecha límite, así que este se puede posponer menos de {max}.',
+    },
+    failure: {
+      title: '⚠️ No se pudo enviar un recordatorio de {label}',
+      description: 'El recordatorio `{id}` para {channel} falló tras {attempts} intento(s).',
+      error: 'Error',
+      whatNow: '¿Y ahora qué?',
+      advice: 'Comprueba que el bot puede publicar en {channel} y usa `/retryreminder {id}`. O cambia el canal con `/editreminder`.',
+    },
+  },
+
+  // Slash command names and descriptions, shown to members whose Discord is in Spanish
+  commands: {
+    setleague: {
+      name: 'configurarliga',
+      description: 'Añade una Music League a este servidor o cambia la URL de una liga',
+      options: {
+        url: 'La URL de Music League (p. ej. https://app.musicleague.com/l/xxxx/)',
+        name: 'Nombre corto para la liga, p. ej. "main" o "rapida" (por defecto: main)',
+        default: 'Usar esta liga cuando un comando no indique ninguna',
+      },
+    },
+    leagues: { name: 'ligas', description: 'Muestra las Music Leagues que se siguen en este servidor' },
+    removeleague: { name: 'quitarliga', description: 'Deja de seguir una de las ligas de este servidor', options: { league: 'La liga que quieres quitar' } },
+    league: { name: 'liga', description: 'Muestra la información de la Music League y la ronda activa' },
+    round: { name: 'ronda', description: 'Muestra las canciones, los puntos y los comentarios de una ronda' },
+    export: {
+      name: 'exportar',
+      description: 'Descarga las canciones de una ronda, o de toda la temporada, como archivo de lista',
+      options: { format: 'Formato del archivo', season: 'Exportar todas las rondas en un solo archivo' },
+    },
+    calendar: {
+      name: 'calendario',
+      description: 'Obtén las fechas límite de la liga como archivo de calendario o enlace de suscripción',
+      options: {
+        feed: 'Obtener un enlace privado al que tu calendario se pueda suscribir, en vez de un archivo',
+        reset_feed: 'Solo organizadores: cambia el enlace, y los enlaces compartidos dejan de funcionar',
+        league: 'Solo esta liga (por defecto: todas las ligas del servidor)',
+      },
+    },
+    stats: {
+      name: 'estadisticas',
+      description: 'Estadísticas: media de puntos, puestos, fans y rivales, artistas top, hábitos de voto',
+      options: {
+        player: 'Mostrar en su lugar el perfil de este jugador',
+        all_seasons: 'Combinar todas las ligas y temporadas archivadas del servidor',
+      },
+    },
+    history: {
+      name: 'historial',
+      description: 'Busca canciones pasadas en todas las ligas, o muestra los ganadores anteriores',
+      options: {
+        search: 'Artista, canción, participante o tema, o un enlace de Spotify para ver si ya se envió',
+        field: 'Buscar solo en este campo (por defecto: en todo)',
+      },
+    },
+    standings: {
+      name: 'clasificacion',
+      description: 'Muestra la clasificación completa de la liga o la temporada de un jugador',
+      options: { player: 'Mostrar el puesto y los puntos de este jugador a lo largo de la temporada' },
+    },
+    remind: {
+      name: 'recordar',
+      description: 'Crea un recordatorio para enviar canciones o votar',
+      options: {
+        type: 'De qué avisar',
+        datetime: '¿Cuándo es la fecha límite? (p. ej. "2024-12-25 18:00", "friday 6pm", "in 3 days")',
+        remind_before: 'Minutos antes de la fecha límite, o una lista como "1440,60,10"',
+        mention: 'A quién mencionar (por defecto: lo elegido con /setmention)',
+      },
+    },
+    reminders: { name: 'recordatorios', description: 'Muestra todos los recordatorios activos de este servidor' },
+    cancelreminder: { name: 'cancelarrecordatorio', description: 'Cancela un recordatorio por su ID' },
+    editreminder: {
+      name: 'editarrecordatorio',
+      description: 'Cambia la fecha, los avisos, el canal o el tipo de un recordatorio, sin cambiar su ID',
+      options: {
+        datetime: 'Nueva fecha límite (p. ej. "2024-12-25 18:00", "friday 6pm", "in 3 days")',
+        remind_before: 'Nuevos avisos: minutos, o una lista como "1440,60,10"',
+        channel: 'Nuevo canal donde publicar el recordatorio',
+        type: 'Nuevo tipo de recordatorio',
+      },
+    },
+    retryreminder: { name: 'reenviarrecordatorio', description: 'Vuelve a enviar un recordatorio que falló' },
+    snooze: {
+      name: 'posponer',
+      description: 'Retrasa el próximo aviso de un recordatorio',
+      options: { minutes: 'Cuántos minutos más tarde debe enviarse' },
+    },
+    setchannel: {
+      name: 'configurarcanal',
+      description: 'Elige el canal donde se publican los recordatorios y las novedades de la liga',
+      options: { league: 'Usar este canal solo para una liga (por defecto: las ligas sin canal propio)' },
+    },
+    setalertchannel: {
+      name: 'configurarcanalalertas',
+      description: 'Elige dónde se avisa a los organizadores de los recordatorios fallidos',
+      options: { channel: 'El canal (vacío: el canal del sistema del servidor o un MD al propietario)' },
+    },
+    autoremind: {
+      name: 'autorecordatorios',
+      description: 'Programa recordatorios automáticamente con las fechas límite de la liga',
+      options: {
+        enabled: 'Activar o desactivar los recordatorios automáticos',
+        remind_before: 'Minutos antes de cada fecha límite, o una lista como "1440,60,10"',
+      },
+    },
+    setladder: {
+      name: 'configuraravisos',
+      description: 'Define los avisos por defecto de los recordatorios de este servidor',
+      options: { leads: 'Avisos antes de cada fecha límite, p. ej. "1440,60,10" o "1d 1h 10m"' },
+    },
+    subscribe: { name: 'suscribirse', description: 'Recibe menciones en los recordatorios de Music League' },
+    unsubscribe: { name: 'desuscribirse', description: 'Deja de recibir menciones en los recordatorios de Music League' },
+    setmention: {
+      name: 'configurarmencion',
+      description: 'Elige a quién mencionan los recordatorios en este servidor',
+      options: { target: 'A quién mencionar', role: 'El rol a mencionar, si eliges "Un rol a elegir"' },
+    },
+    linkme: { name: 'vincularme', description: 'Vincula tu cuenta de Discord con tu miembro de Music League, para los avisos' },
+    link: {
+      name: 'vincular',
+      description: 'Vincula la cuenta de Discord de alguien con un miembro de Music League (admins)',
+      options: { member: 'El miembro de Music League', user: 'El usuario de Discord' },
+    },
+    unlink: {
+      name: 'desvincular',
+      description: 'Quita tu vínculo con un miembro de Music League (los admins pueden quitar otros)',
+      options: { user: 'Otra persona a desvincular (admins)' },
+    },
+    links: { name: 'vinculos', description: 'Muestra qué usuarios de Discord están vinculados a qué miembros de Music League' },
+    nudges: {
+      name: 'toques',
+      description: 'Elige cómo avisar a los miembros vinculados que no han enviado o votado',
+      options: { mode: 'Cómo avisarles' },
+    },
+    settimezone: {
+      name: 'configurarzonahoraria',
+      description: 'Define la zona horaria para leer fechas como "friday 6pm"',
+      options: { zone: 'Nombre de zona horaria IANA, p. ej. America/Mexico_City o Europe/Madrid' },
+    },
+    pinstatus: {
+      name: 'fijarestado',
+      description: 'Fija en el canal de la liga un mensaje de estado que se actualiza solo',
+      options: { stop: 'Borrar el mensaje de estado fijado y dejar de actualizarlo' },
+    },
+    announce: {
+      name: 'anuncios',
+      description: 'Elige qué novedades de las rondas se anuncian en el canal de la liga',
+      options: { type: 'Qué anuncio cambiar', enabled: 'Activar o desactivar este anuncio' },
+    },
+    setmanagerrole: {
+      name: 'configurarrolorganizador',
+      description: 'Elige el rol que puede cambiar la configuración del bot (Gestionar servidor siempre puede)',
+      options: { role: 'El rol de organizador (vacío: solo Gestionar servidor)' },
+    },
+    auditlog: { name: 'registro', description: 'Muestra quién cambió la configuración o canceló recordatorios, y cuándo' },
+    fetch: { name: 'actualizar', description: 'Carga y muestra a mano la información más reciente de Music League' },
+    import: {
+      name: 'importar',
+      description: 'Carga datos desde la exportación CSV de Music League, para ligas que no se pueden leer',
+      options: {
+        competitors: 'competitors.csv de la exportación',
+        rounds: 'rounds.csv de la exportación',
+        submissions: 'submissions.csv de la exportación',
+        votes: 'votes.csv de la exportación',
+      },
+    },
+    setlanguage: {
+      name: 'configuraridioma',
+      description: 'Elige el idioma de los mensajes y recordatorios del bot',
+      options: { language: 'El idioma' },
+    },
+    help: { name: 'ayuda', description: 'Muestra la ayuda del bot de Music League' },
+  },
+
+  // Options shared by several commands
+  options: {
+    league: 'Qué liga (por defecto: la liga por defecto del servidor)',
+    id: 'El ID del recordatorio (de /reminders)',
+    member: 'Tu nombre en Music League',
+    number: 'Número de ronda según la página de la liga (por defecto: la activa o la última)',
+    round: 'Número de ronda según la página de la liga (por defecto: la activa o la última)',
+    channel: 'El canal que se usará',
+  },
+
+  choices: {
+    submission: 'Fecha límite de envío',
+    voting: 'Fecha límite de votación',
+    both: 'Ambos',
+    subscribers: 'Suscriptores (el rol de Music League)',
+    role: 'Un rol a elegir',
+    none: 'Nadie',
+    ping: 'Mencionarlos en el canal de recordatorios',
+    dm: 'Enviarles un MD',
+    off: 'Desactivado: usar la mención normal',
+    newRound: 'Rondas nuevas',
+    phaseChange: 'Cambios de fase (votación abierta, resultados)',
+    deadlineChange: 'Cambios de fecha límite',
+    all: 'Todos',
+    any: 'Todo',
+    artist: 'Artista',
+    track: 'Título o enlace de la canción',
+    submitter: 'Participante',
+    theme: 'Nombre o tema de la ronda',
+    m3u: 'Lista M3U',
+    csv: 'Hoja de cálculo CSV',
+    txt: 'Texto plano',
+  },
+};
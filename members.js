@@ -0,0 +1,112 @@
+/**
+ * members.js
+ * Links Discord users to Music League members, per league, and works out
+ * which linked members still have to submit or vote before a deadline.
+ *
+ * Links are stored on the league as `memberLinks: { memberId: discordUserId }`.
+ */
+
+const storage = require('./storage');
+const scraper = require('./scraper');
+
+// ─── Links ────────────────────────────────────────────────────────────────────
+
+function getLinks(league) {
+  return league?.memberLinks || {};
+}
+
+/**
+ * Link a Discord user to a league member. A user can only be one member per
+ * league, and a member only one user, so older links on either side go.
+ */
+function linkMember(guildId, leagueKey, memberId, userId) {
+  const links = Object.fromEntries(
+    Object.entries(getLinks(storage.getLeague(guildId, leagueKey)))
+      .filter(([m, u]) => m !== memberId && u !== userId),
+  );
+  links[memberId] = userId;
+  storage.setLeague(guildId, leagueKey, { memberLinks: links });
+}
+
+/**
+ * Remove a user's link in a league. Returns the member ID that was unlinked.
+ */
+function unlinkUser(guildId, leagueKey, userId) {
+  const links = { ...getLinks(storage.getLeague(guildId, leagueKey)) };
+  const memberId = Object.keys(links).find(m => links[m] === userId);
+  if (!memberId) return null;
+  delete links[memberId];
+  storage.setLeague(guildId, leagueKey, { memberLinks: links });
+  return memberId;
+}
+
+// ─── Lookup ───────────────────────────────────────────────────────────────────
+
+function getMembers(league) {
+  return (league?.leagueCache?.members || []).filter(m => m.id && m.name);
+}
+
+/**
+ * Find a cached member by ID (what autocomplete sends) or by name.
+ */
+function findMember(league, query) {
+  const members = getMembers(league);
+  const q = query.trim().toLowerCase();
+  return members.find(m => m.id === query)
+    || members.find(m => m.name.toLowerCase() === q)
+    || members.find(m => m.name.toLowerCase().includes(q))
+    || null;
+}
+
+function memberName(league, memberId) {
+  return getMembers(league).find(m => m.id === memberId)?.name || memberId;
+}
+
+/**
+ * Members for autocomplete, filtered by what has been typed so far.
+ * Members already linked are marked, with `t`.
+ */
+function memberChoices(league, typed, t) {
+  const q = (typed || '').toLowerCase();
+  const links = getLinks(league);
+  return getMembers(league)
+    .filter(m => m.name.toLowerCase().includes(q))
+    .slice(0, 25)
+    .map(m => ({ name: (links[m.id] ? t('replies.link.choice', { name: m.name }) : m.name).slice(0, 100), value: m.id }));
+}
+
+// ─── Outstanding ──────────────────────────────────────────────────────────────
+
+function isFinished(memberId, type, progress) {
+  const submitted = progress.submitted.includes(memberId);
+  const voted = progress.voted.includes(memberId);
+  if (type === 'submission') return submitted;
+  if (type === 'voting') return voted;
+  return submitted && voted;
+}
+
+/**
+ * Discord user IDs of linked members who haven't done what the reminder is
+ * about yet, read from the round page. Returns null when that can't be told —
+ * no links, no round to check, or the page doesn't show who has finished —
+ * so the caller can fall back to its usual ping.
+ */
+async function getOutstanding(league, reminder) {
+  const links = Object.entries(getLinks(league));
+  if (!links.length) return null;
+
+  const cache = league.leagueCache;
+  const round = (cache?.rounds || []).find(r => r.roundId === reminder.roundId) || cache?.activeRound;
+  if (!round?.url) return null;
+
+  try {
+    const { progress } = await scraper.fetchRound(round.url);
+    if (!progress) return null;
+    return links.filter(([memberId]) => !isFinished(memberId, reminder.type, progress)).map(([, userId]) => userId);
+  } catch (err) {
+    console.error(`Failed to check round progress for reminder ${reminder.id}:`, err.message);
+    return null;
+  }
+}
+
+module.exports = { getLinks, linkMember, unlinkUser, findMember, memberName, memberChoices, getOutstanding };
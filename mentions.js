@@ -0,0 +1,128 @@
+/**
+ * mentions.js
+ * Works out who a reminder pings — the linked members who haven't finished
+ * yet, the server's opt-in "Music League" role, another role, @everyone or
+ * nobody — and manages that opt-in role.
+ */
+
+const storage = require('./storage');
+
+const SUBSCRIBER_ROLE_NAME = 'Music League';
+
+// Named targets for the server setting and /remind's `mention` option.
+// Any other stored value is the ID of a role picked with /setmention.
+const MENTION_TARGETS = {
+  subscribers: 'Subscribers (the Music League role)',
+  everyone: '@everyone',
+  none: 'Nobody',
+};
+
+// Servers that never chose keep the original behaviour
+const DEFAULT_TARGET = 'everyone';
+
+// How linked members who haven't submitted / voted are nudged
+const NUDGE_MODES = {
+  ping: 'Ping them in the reminder channel',
+  dm: 'Send them a DM',
+  off: 'Off — use the normal reminder ping',
+};
+
+// ─── Resolving ────────────────────────────────────────────────────────────────
+
+/**
+ * The target a reminder pings: its own `mention`, else the server setting.
+ */
+function getTarget(reminder, config) {
+  return reminder?.mention || config?.mention || DEFAULT_TARGET;
+}
+
+/**
+ * Message content and allowedMentions for a target, plus a label for embeds.
+ * `label` is null when nobody is pinged; `optIn` is set for the subscriber role.
+ */
+function getMention(target, config) {
+  if (target === 'everyone') {
+    return { content: '@everyone', allowedMentions: { parse: ['everyone'] }, label: '@everyone' };
+  }
+
+  // Until someone subscribes there is no role, so nobody gets pinged
+  const roleId = target === 'subscribers' ? config?.subscriberRoleId : target;
+  if (target === 'none' || !roleId) {
+    return { content: undefined, allowedMentions: { parse: [] }, label: null };
+  }
+  return {
+    content: `<@&${roleId}>`,
+    allowedMentions: { roles: [roleId] },
+    label: `<@&${roleId}>`,
+    optIn: roleId === config?.subscriberRoleId,
+  };
+}
+
+/**
+ * Human-readable version of a target for command replies, through `t`.
+ */
+function describeTarget(target, config, t) {
+  if (target === 'subscribers') {
+    return config?.subscriberRoleId
+      ? t('mentions.subscribers', { role: `<@&${config.subscriberRoleId}>` })
+      : t('mentions.noSubscribers');
+  }
+  return getMention(target, config).label || t('mentions.nobody');
+}
+
+// ─── Nudges ───────────────────────────────────────────────────────────────────
+
+/**
+ * How a reminder nudges linked members. A reminder with its own `mention`
+ * pings exactly that instead.
+ */
+function getNudgeMode(reminder, config) {
+  if (reminder?.mention) return 'off';
+  return config?.nudges || 'ping';
+}
+
+/**
+ * Like getMention, for the linked members who haven't finished yet. In DM
+ * mode the channel post pings nobody; `nudged` lists who should get a DM.
+ */
+function getNudgeMention(userIds, mode) {
+  const dm = mode === 'dm';
+  if (dm || !userIds.length) {
+    return { content: undefined, allowedMentions: { parse: [] }, label: null, nudged: userIds, dm };
+  }
+  const content = userIds.map(id => `<@${id}>`).join(' ');
+  return { content, allowedMentions: { users: userIds }, label: content, nudged: userIds, dm };
+}
+
+// ─── Subscriber Role ──────────────────────────────────────────────────────────
+
+/**
+ * Fetch the server's subscriber role, creating it if it doesn't exist yet
+ * or was deleted. Needs the Manage Roles permission.
+ */
+async function ensureSubscriberRole(guild) {
+  const config = storage.getGuildConfig(guild.id);
+  if (config?.subscriberRoleId) {
+    const existing = await guild.roles.fetch(config.subscriberRoleId).catch(() => null);
+    if (existing) return existing;
+  }
+
+  const role = await guild.roles.create({
+    name: SUBSCRIBER_ROLE_NAME,
+    mentionable: true,
+    reason: 'Opt-in role for Music League reminders (/subscribe)',
+  });
+  storage.setGuildConfig(guild.id, { subscriberRoleId: role.id });
+  return role;
+}
+
+module.exports = {
+  MENTION_TARGETS,
+  NUDGE_MODES,
+  getTarget,
+  getMention,
+  describeTarget,
+  getNudgeMode,
+  getNudgeMention,
+  ensureSubscriberRole,
+};
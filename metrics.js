@@ -0,0 +1,95 @@
+/**
+ * metrics.js
+ * In-process counters and timings for the Prometheus-style /metrics page
+ * (see httpserver.js). Modules record events as they happen; gauges such
+ * as the gateway state are read when the page is rendered. Everything
+ * resets when the process restarts, as Prometheus expects of counters.
+ */
+
+// Every metric the bot exposes, so HELP and TYPE lines are always present
+const METRICS = {
+  musicleague_gateway_connected: { type: 'gauge', help: '1 while the Discord gateway connection is ready' },
+  musicleague_gateway_ping_milliseconds: { type: 'gauge', help: 'Last Discord gateway heartbeat latency' },
+  musicleague_guilds: { type: 'gauge', help: 'Servers the bot is in' },
+  musicleague_uptime_seconds: { type: 'gauge', help: 'Seconds since the process started' },
+  musicleague_jobs_pending: { type: 'gauge', help: 'Jobs waiting in the shared job queue' },
+  musicleague_jobs_total: { type: 'counter', help: 'Queued jobs run by this instance, by type and result' },
+  musicleague_reminders_fired_total: { type: 'counter', help: 'Reminder steps sent, by whether they were caught up late' },
+  musicleague_reminders_failed_total: { type: 'counter', help: 'Reminder steps given up on after every retry' },
+  musicleague_scrapes_total: { type: 'counter', help: 'League page fetches, by league and result' },
+  musicleague_scrape_duration_seconds: { type: 'summary', help: 'Time taken by league page fetches, by league' },
+  musicleague_commands_total: { type: 'counter', help: 'Slash commands run, by command' },
+};
+
+const values = new Map(); // name -> Map(label key -> { labels, value })
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+function series(name, labels) {
+  if (!values.has(name)) values.set(name, new Map());
+  const byLabels = values.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort());
+  if (!byLabels.has(key)) byLabels.set(key, { labels, value: 0 });
+  return byLabels.get(key);
+}
+
+function increment(name, labels = {}, by = 1) {
+  series(name, labels).value += by;
+}
+
+/**
+ * Record one timing of a summary metric, in seconds.
+ */
+function observe(name, labels, seconds) {
+  increment(`${name}_sum`, labels, seconds);
+  increment(`${name}_count`, labels);
+}
+
+/**
+ * Run `fn`, recording how long it took in a summary metric.
+ */
+async function time(name, labels, fn) {
+  const start = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    observe(name, labels, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+}
+
+function reset() {
+  values.clear();
+}
+
+// ─── Exposition ───────────────────────────────────────────────────────────────
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatSeries(name, { labels, value }) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${Number.isInteger(value) ? value : value.toFixed(6)}`;
+}
+
+/**
+ * The Prometheus text format. `gauges` holds values read at render time,
+ * as { name: number }.
+ */
+function render(gauges = {}) {
+  const lines = [];
+  for (const [name, { type, help }] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    if (name in gauges) {
+      lines.push(formatSeries(name, { labels: {}, value: gauges[name] }));
+      continue;
+    }
+    const names = type === 'summary' ? [`${name}_sum`, `${name}_count`] : [name];
+    for (const seriesName of names) {
+      for (const entry of values.get(seriesName)?.values() || []) lines.push(formatSeries(seriesName, entry));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { METRICS, increment, observe, time, reset, render };
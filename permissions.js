@@ -0,0 +1,52 @@
+/**
+ * permissions.js
+ * Decides who may change the bot's setup. Config and reminder-management
+ * commands need the server's league manager role, or Manage Server; read-only
+ * commands stay open to everyone.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const storage = require('./storage');
+const i18n = require('./i18n');
+
+// Commands that change the server's setup or its reminders
+const MANAGER_COMMANDS = new Set([
+  'setleague',
+  'removeleague',
+  'import',
+  'setchannel',
+  'remind',
+  'cancelreminder',
+  'editreminder',
+  'snooze',
+  'retryreminder',
+  'setalertchannel',
+  'autoremind',
+  'setladder',
+  'settimezone',
+  'setlanguage',
+  'setmention',
+  'nudges',
+  'announce',
+  'pinstatus',
+  'link',
+  'auditlog',
+]);
+
+/**
+ * Manage Server always counts, so a deleted or mis-set role can't lock
+ * the server's admins out.
+ */
+function isManager(interaction) {
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  const roleId = storage.getGuildConfig(interaction.guildId)?.managerRoleId;
+  return !!roleId && !!interaction.member?.roles?.cache?.has(roleId);
+}
+
+function deniedMessage(guildId) {
+  const roleId = storage.getGuildConfig(guildId)?.managerRoleId;
+  const t = i18n.forGuild(guildId);
+  return roleId ? t('permissions.deniedRole', { role: `<@&${roleId}>` }) : t('permissions.denied');
+}
+
+module.exports = { MANAGER_COMMANDS, isManager, deniedMessage };
@@ -0,0 +1,278 @@
+/**
+ * poller.js
+ * Periodically re-fetches every configured league and keeps the cached data
+ * fresh. Each refresh is diffed against the previous cache so round
+ * transitions get announced, and for guilds with auto-reminders enabled,
+ * scraped round deadlines are turned into scheduled reminders. Finished
+ * rounds are fetched once for the season archive.
+ */
+
+const scraper = require('./scraper');
+const storage = require('./storage');
+const scheduler = require('./scheduler');
+const announcer = require('./announcer');
+const standings = require('./standings');
+const archive = require('./archive');
+const importer = require('./importer');
+const statusboard = require('./statusboard');
+const calendar = require('./calendar');
+const metrics = require('./metrics');
+const jobqueue = require('./jobqueue');
+const i18n = require('./i18n');
+const { parseLeadTimes } = require('./datetime');
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+const DEFAULT_REMIND_BEFORE = 60;
+
+let lastPollAt = null;
+
+// ─── Auto Reminders ───────────────────────────────────────────────────────────
+
+/**
+ * Collect the scraped deadlines that still have a fire ahead of them,
+ * keyed by "roundId:type".
+ */
+function collectDeadlines(rounds, leads) {
+  const wanted = new Map();
+  const now = Date.now();
+
+  for (const round of rounds) {
+    if (!round.roundId) continue;
+    const deadlines = { submission: round.submissionDeadline, voting: round.votingDeadline };
+
+    for (const [type, value] of Object.entries(deadlines)) {
+      if (!value) continue;
+      const deadline = new Date(value);
+      if (isNaN(deadline)) continue;
+
+      const lastFire = deadline.getTime() - Math.min(...leads) * 60000;
+      if (lastFire <= now) continue;
+
+      wanted.set(`${round.roundId}:${type}`, { round, type, deadline });
+    }
+  }
+
+  return wanted;
+}
+
+/**
+ * Lead times for auto reminders: the /autoremind override, else the guild's
+ * default ladder, else a single reminder an hour before.
+ */
+function getAutoLeads(config) {
+  return parseLeadTimes(config.autoRemindBefore) || config.reminderLadder || [DEFAULT_REMIND_BEFORE];
+}
+
+/**
+ * Bring one league's auto-created reminders in line with freshly scraped
+ * data. Reminders are moved in place so their IDs stay the same; ones edited
+ * or snoozed by hand ("customized") keep their own lead times. Manual
+ * reminders are never touched.
+ */
+function syncAutoReminders(guildId, leagueKey, data, client) {
+  const config = storage.getGuildConfig(guildId);
+  const channelId = config?.leagues?.[leagueKey]?.notifyChannelId || config?.notifyChannelId;
+  if (!config?.autoRemind || !channelId) return;
+  // A failed rounds fetch says nothing about deadlines — leave reminders alone
+  if (data.roundsError || !Array.isArray(data.rounds)) return;
+
+  const leads = getAutoLeads(config);
+  const wanted = collectDeadlines(data.rounds, leads);
+
+  // Reminders saved before multi-league support belong to the default league
+  const existing = storage.getRemindersForGuild(guildId)
+    .filter(r => r.auto && (r.leagueKey || config.defaultLeague) === leagueKey);
+  let updated = 0, removed = 0;
+
+  for (const reminder of existing) {
+    const key = `${reminder.roundId}:${reminder.type}`;
+    const target = wanted.get(key);
+
+    if (!target) {
+      scheduler.cancelReminder(guildId, reminder.id);
+      removed++;
+      continue;
+    }
+
+    wanted.delete(key);
+    const reminderLeads = reminder.customized ? scheduler.getLeads(reminder) : leads;
+    if (reminder.deadline === target.deadline.toISOString() && scheduler.getLeads(reminder).join() === reminderLeads.join()) {
+      continue;
+    }
+
+    try {
+      scheduler.editReminder(guildId, reminder.id, { deadline: target.deadline.toISOString(), leads: reminderLeads }, client);
+      updated++;
+    } catch (err) {
+      // Every step of the moved deadline is already past
+      scheduler.cancelReminder(guildId, reminder.id);
+      removed++;
+    }
+  }
+
+  const created = wanted.size;
+  for (const { round, type, deadline } of wanted.values()) {
+    scheduler.addReminder({
+      guildId,
+      leagueKey,
+      channelId,
+      type,
+      deadline: deadline.toISOString(),
+      leads,
+      label: scheduler.REMINDER_LABELS[type],
+      emoji: scheduler.REMINDER_EMOJIS[type],
+      auto: true,
+      roundId: round.roundId,
+      roundName: round.name,
+    }, client);
+  }
+
+  if (created || updated || removed) {
+    console.log(`🤖 Auto reminders for ${guildId}/${leagueKey}: ${created} created, ${updated} updated, ${removed} removed.`);
+  }
+}
+
+// ─── Polling ──────────────────────────────────────────────────────────────────
+
+/**
+ * Store freshly fetched league data, then announce transitions, sync auto
+ * reminders against it and refresh the pinned status message. Every code
+ * path that refreshes the cache should go through here so no transition is
+ * missed. A scrape of an imported league keeps the imported parts it
+ * couldn't get; the data as stored is returned.
+ */
+async function updateLeagueCache(guildId, leagueKey, fetched, client) {
+  const previous = storage.getLeague(guildId, leagueKey)?.leagueCache;
+  const data = importer.mergeScraped(previous, fetched);
+  const league = storage.setLeague(guildId, leagueKey, { leagueCache: data, lastFetched: Date.now() });
+  standings.recordSnapshot(guildId, leagueKey, data);
+  archive.recordLeague(guildId, leagueKey, data);
+  syncAutoReminders(guildId, leagueKey, data, client);
+  // Only guilds that have made a calendar keep event sequences
+  if (storage.getGuildConfig(guildId)?.calendar) calendar.syncSequences(guildId);
+  const findRepeats = round => findRoundRepeats(guildId, leagueKey, round);
+  await announcer.announceChanges(storage.getGuildConfig(guildId), league, previous, data, client, i18n.forGuild(guildId), findRepeats);
+  if (league.statusMessage) await statusboard.updateStatus(guildId, leagueKey, client);
+  return data;
+}
+
+/**
+ * Store a fetched or imported round detail in the league's roundDetails,
+ * and in the archive once its results are out. Returns whether it was
+ * archived.
+ */
+function storeRoundDetail(guildId, leagueKey, detail) {
+  // Re-read so a fetch that finished meanwhile isn't overwritten
+  const { roundDetails } = storage.getLeague(guildId, leagueKey);
+  storage.setLeague(guildId, leagueKey, {
+    roundDetails: { ...(roundDetails || {}), [detail.roundId]: { fetchedAt: Date.now(), ...detail } },
+  });
+  return archive.recordRound(guildId, leagueKey, detail);
+}
+
+/**
+ * The tracks of an open round that were submitted in an earlier round, for
+ * its announcements, as archive.listRepeats gives them. They're read from
+ * the round page, which lists the tracks (not who sent them) once voting
+ * opens; the page is stored as the round's detail too.
+ */
+async function findRoundRepeats(guildId, leagueKey, round) {
+  if (!round.url) return [];
+  try {
+    const detail = await scraper.fetchRound(round.url);
+    if (!detail.submissions.length) return [];
+    storeRoundDetail(guildId, leagueKey, { ...detail, name: detail.name || round.name, theme: detail.theme || round.theme });
+    return archive.listRepeats(guildId, detail);
+  } catch (err) {
+    console.error(`Failed to check round ${round.roundId} of ${leagueKey} for guild ${guildId} for repeats:`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Archive the submissions of finished rounds that aren't archived yet,
+ * from stored details where they're revealed, otherwise from the round page.
+ * A round that can't be archived is retried on a later poll, after a wait.
+ */
+async function archiveFinishedRounds(guildId, leagueKey, data) {
+  for (const missing of archive.missingRounds(guildId, leagueKey)) {
+    const saved = storage.getLeague(guildId, leagueKey).roundDetails?.[missing.roundId];
+    if (archive.recordRound(guildId, leagueKey, saved)) continue;
+
+    const round = (data.rounds || []).find(r => r.roundId === missing.roundId);
+    let archived = false;
+    if (round?.url) {
+      try {
+        const detail = await scraper.fetchRound(round.url);
+        archived = storeRoundDetail(guildId, leagueKey, { ...detail, name: detail.name || round.name, theme: detail.theme || round.theme });
+      } catch (err) {
+        console.error(`Failed to archive round ${missing.roundId} of ${leagueKey} for guild ${guildId}:`, err.message);
+      }
+    }
+    if (!archived) archive.recordFailedAttempt(guildId, leagueKey, missing.roundId);
+  }
+}
+
+/**
+ * Fetch a league's page, counting the result and timing it for /metrics.
+ */
+async function fetchLeague(guildId, leagueKey, url, options) {
+  const labels = { guild: guildId, league: leagueKey };
+  try {
+    const data = await metrics.time('musicleague_scrape_duration_seconds', labels, () => scraper.fetchLeague(url, options));
+    metrics.increment('musicleague_scrapes_total', { ...labels, result: 'success' });
+    return data;
+  } catch (err) {
+    metrics.increment('musicleague_scrapes_total', { ...labels, result: 'failure' });
+    throw err;
+  }
+}
+
+async function pollLeague(guildId, leagueKey, league, client) {
+  try {
+    const fetched = await fetchLeague(guildId, leagueKey, league.leagueUrl);
+    const data = await updateLeagueCache(guildId, leagueKey, fetched, client);
+    await archiveFinishedRounds(guildId, leagueKey, data);
+  } catch (err) {
+    console.error(`Failed to poll league ${leagueKey} for guild ${guildId}:`, err.message);
+  }
+}
+
+/**
+ * Fetch every guild's leagues one after another, to keep the request rate low.
+ */
+async function pollAll(client) {
+  const configs = storage.getAllGuildConfigs();
+  for (const [guildId, config] of Object.entries(configs)) {
+    for (const [leagueKey, league] of Object.entries(config?.leagues || {})) {
+      if (!league.leagueUrl) continue;
+      await pollLeague(guildId, leagueKey, league, client);
+    }
+  }
+  lastPollAt = Date.now();
+}
+
+/**
+ * When the last full poll finished (null before the first), for /healthz.
+ */
+function getLastPollAt() {
+  return lastPollAt;
+}
+
+function getIntervalMinutes() {
+  return parseInt(process.env.POLL_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+}
+
+/**
+ * Start the background poller (called once the client is ready, before
+ * jobqueue.start()). Polls run as a recurring job, so with several
+ * instances only one of them polls and announces each time.
+ */
+function startPolling(client) {
+  const minutes = getIntervalMinutes();
+  jobqueue.register('poll', () => pollAll(client));
+  jobqueue.scheduleRecurring('poll-leagues', 'poll', minutes * 60000);
+  console.log(`🔄 Polling leagues every ${minutes} min.`);
+}
+
+module.exports = { startPolling, getIntervalMinutes, getLastPollAt, pollAll, fetchLeague, updateLeagueCache, storeRoundDetail, archiveFinishedRounds, syncAutoReminders, getAutoLeads };
@@ -1,87 +1,392 @@
 /**
  * scheduler.js
- * Manages in-memory setTimeout timers for reminders,
- * backed by persistent storage so they survive restarts.
+ * Reminders, sent by jobs in the persisted job queue (see jobqueue.js), so
+ * they survive restarts and fire once even with several instances running.
+ *
+ * A reminder belongs to one deadline and can fire several times ("ladder"),
+ * once per lead time in `leads` (minutes before the deadline). Each reminder
+ * has one job, "reminder:<id>", due at its next pending fire; `remindAt`
+ * always holds that time.
  */
 
 const { EmbedBuilder } = require('discord.js');
 const storage = require('./storage');
 const { randomUUID } = require('crypto');
+const { formatLead } = require('./datetime');
+const mentions = require('./mentions');
+const members = require('./members');
+const metrics = require('./metrics');
+const jobqueue = require('./jobqueue');
+const i18n = require('./i18n');
 
-// Map of reminderId -> timeoutHandle
-const activeTimers = new Map();
+// How late a reminder missed during downtime may still be sent; unset means
+// any reminder whose deadline hasn't passed yet is caught up
+const GRACE_MINUTES = parseInt(process.env.MISSED_REMINDER_GRACE_MINUTES) || null;
 
-function buildReminderEmbed(reminder, config) {
+// Waits before each retry of a failed send; after the last, the reminder is
+// marked failed and reported
+const RETRY_DELAYS = [30000, 2 * 60000, 10 * 60000];
+
+// A step sent more than this after it was due is marked as late
+const LATE_AFTER_MS = 2 * 60000;
+
+const REMINDER_LABELS = { submission: 'Submission', voting: 'Voting', both: 'Submission & Voting' };
+const REMINDER_EMOJIS = { submission: '📤', voting: '🗳️', both: '📤🗳️' };
+
+// ─── Ladders ──────────────────────────────────────────────────────────────────
+
+/**
+ * Lead times of a reminder in minutes, longest first. Reminders saved before
+ * ladders existed have a single lead implied by their remindAt.
+ */
+function getLeads(reminder) {
+  if (reminder.leads?.length) return reminder.leads;
+  return [Math.round((new Date(reminder.deadline) - new Date(reminder.remindAt)) / 60000)];
+}
+
+/**
+ * Fires not sent yet, earliest first, as { lead, at } with `at` in ms.
+ */
+function getPendingFires(reminder) {
+  const deadline = new Date(reminder.deadline).getTime();
+  const sent = new Set(reminder.sentLeads || []);
+  return getLeads(reminder)
+    .filter(lead => !sent.has(lead))
+    .map(lead => ({ lead, at: deadline - lead * 60000 }))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * A reminder's type label in the guild's language, else its stored label.
+ */
+function typeLabel(reminder, t) {
+  return reminder.type in REMINDER_LABELS ? t(`reminder.labels.${reminder.type}`) : reminder.label;
+}
+
+/**
+ * The last fire of a multi-step ladder gets the urgent "final call" embed.
+ */
+function isFinalCall(reminder, lead) {
+  const leads = getLeads(reminder);
+  return leads.length > 1 && lead === Math.min(...leads);
+}
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+function truncate(str, max) {
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+function buildReminderEmbed(reminder, league, lead, mention, late = false) {
+  const t = i18n.forGuild(reminder.guildId);
+  const known = reminder.type in REMINDER_LABELS;
+  const label = typeLabel(reminder, t);
   const deadlineTs = Math.floor(new Date(reminder.deadline).getTime() / 1000);
-  const leagueUrl = config?.leagueUrl;
-  const leagueName = config?.leagueCache?.name || 'your Music League';
+  // A late reminder goes out closer to the deadline than its lead time
+  const closesIn = late ? Math.max(1, Math.round((new Date(reminder.deadline) - Date.now()) / 60000)) : lead;
+  const leagueUrl = league?.leagueUrl;
+  const leagueName = league?.leagueCache?.name || league?.name || t('reminder.yourLeague');
+  const roundSuffix = reminder.roundName ? ` (${reminder.roundName})` : '';
+  const final = isFinalCall(reminder, lead);
+  const vars = { label, league: leagueName, round: roundSuffix };
 
   const embed = new EmbedBuilder()
-    .setColor(reminder.type === 'voting' ? 0xEB459E : 0xFEE75C)
-    .setTitle(`${reminder.emoji} ${reminder.label} Deadline Reminder!`)
-    .setDescription(`⏰ The **${reminder.label}** deadline for **${leagueName}** is coming up!`)
+    .setColor(final ? 0xED4245 : reminder.type === 'voting' ? 0xEB459E : 0xFEE75C)
+    .setTitle(final
+      ? t('reminder.finalTitle', { label, time: formatLead(closesIn) })
+      : t('reminder.title', { label, emoji: reminder.emoji }))
+    .setDescription(final
+      ? t('reminder.finalDescription', { ...vars, deadline: `<t:${deadlineTs}:R>` })
+      : t('reminder.description', vars))
     .addFields(
-      { name: '📅 Deadline', value: `<t:${deadlineTs}:F> (<t:${deadlineTs}:R>)`, inline: false },
+      { name: t('reminder.deadline'), value: `<t:${deadlineTs}:F> (<t:${deadlineTs}:R>)`, inline: false },
     );
 
+  if (late) {
+    const dueTs = Math.floor((new Date(reminder.deadline) - lead * 60000) / 1000);
+    embed.setAuthor({ name: t('reminder.lateAuthor') });
+    embed.addFields({ name: t('reminder.wasDue'), value: `<t:${dueTs}:F> (<t:${dueTs}:R>)`, inline: false });
+  }
+
   if (leagueUrl) {
-    embed.addFields({ name: '🔗 League Link', value: leagueUrl, inline: false });
+    embed.addFields({ name: t('reminder.leagueLink'), value: leagueUrl, inline: false });
   }
 
-  const tips = {
-    submission: '🎵 Make sure you\'ve submitted your song before the deadline!',
-    voting: '🗳️ Don\'t forget to listen and vote for your favorites!',
-    both: '🎵 Submit your song AND vote before the deadline!',
-  };
-  embed.addFields({ name: '💡 Tip', value: tips[reminder.type] || '' });
-  embed.setFooter({ text: `Reminder ID: ${reminder.id} • Cancel with /cancelreminder ${reminder.id}` });
+  if (mention?.nudged) {
+    const finished = t(`reminder.finished.${known ? reminder.type : 'other'}`);
+    const count = mention.nudged.length;
+    embed.addFields({
+      name: t('reminder.pinging'),
+      value: !count
+        ? t('reminder.everyoneFinished', { finished })
+        : mention.dm
+          ? t('reminder.nudgeDm', { count, finished })
+          : t('reminder.nudgePing', { mentions: truncate(mention.label, 900), finished }),
+      inline: false,
+    });
+  } else if (mention) {
+    embed.addFields({
+      name: t('reminder.pinging'),
+      value: !mention.label
+        ? t('reminder.silent')
+        : mention.optIn ? t('reminder.optIn', { mention: mention.label }) : mention.label,
+      inline: false,
+    });
+  }
+
+  embed.addFields({ name: t('reminder.tip'), value: known ? t(`reminder.${final ? 'finalTips' : 'tips'}.${reminder.type}`) : '' });
+  embed.setFooter({ text: t('reminder.footer', { id: reminder.id }) });
   embed.setTimestamp();
   return embed;
 }
 
+// ─── Jobs ─────────────────────────────────────────────────────────────────────
+
+function jobId(reminderId) {
+  return `reminder:${reminderId}`;
+}
+
+function jobData(reminder) {
+  return { guildId: reminder.guildId, reminderId: reminder.id };
+}
+
 /**
- * Schedule a reminder timer.
+ * Queue the job for a reminder's next pending fire, or replace it. Fires
+ * whose time has already passed are skipped; if none are left, the reminder
+ * is removed.
  */
-function scheduleTimer(reminder, client) {
+function scheduleJob(reminder) {
+  const next = getPendingFires(reminder).find(f => f.at > Date.now());
+  if (!next) {
+    // Already past — remove it, unless it's kept around to be retried
+    if (!reminder.failed) storage.removeReminder(reminder.id);
+    jobqueue.cancel(jobId(reminder.id));
+    return;
+  }
+  jobqueue.schedule({ id: jobId(reminder.id), type: 'reminder', runAt: next.at, data: jobData(reminder) });
+}
+
+async function sendDms(userIds, embed, client) {
+  for (const userId of userIds) {
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send({ embeds: [embed] });
+    } catch (err) {
+      console.error(`Failed to DM reminder to ${userId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Post one step of a reminder. Throws if it couldn't be sent.
+ */
+async function deliver(reminder, lead, client, late) {
+  const channel = await client.channels.fetch(reminder.channelId).catch(() => null);
+  if (!channel) throw new Error(i18n.forGuild(reminder.guildId)('reminder.errors.noChannel'));
+
+  const config = storage.getGuildConfig(reminder.guildId);
+  const league = storage.getLeague(reminder.guildId, reminder.leagueKey);
+
+  // Linked members who haven't finished replace the usual ping, when the
+  // round page tells us who they are
+  const nudgeMode = mentions.getNudgeMode(reminder, config);
+  const outstanding = nudgeMode !== 'off' ? await members.getOutstanding(league, reminder) : null;
+  const mention = outstanding
+    ? mentions.getNudgeMention(outstanding, nudgeMode)
+    : mentions.getMention(mentions.getTarget(reminder, config), config);
+
+  const embed = buildReminderEmbed(reminder, league, lead, mention, late);
+  await channel.send({ content: mention.content, allowedMentions: mention.allowedMentions, embeds: [embed] });
+  metrics.increment('musicleague_reminders_fired_total', { late: String(!!late) });
+  if (mention.dm) await sendDms(mention.nudged, embed, client);
+}
+
+function findStored(reminder) {
+  return storage.getRemindersForGuild(reminder.guildId).find(r => r.id === reminder.id);
+}
+
+/**
+ * Run a reminder's job: send the step that is due. When several steps came
+ * due (say, while every instance was down) only the latest is sent, and
+ * the ones before it are skipped. A step missed by more than the grace
+ * window isn't sent at all. Returns when the job should run next, as the
+ * job queue expects.
+ */
+async function runReminderJob(job, client) {
+  const { guildId, reminderId, retry } = job.data;
+  const reminder = storage.getRemindersForGuild(guildId).find(r => r.id === reminderId);
+  // Cancelled, or already finished by a retry
+  if (!reminder) return null;
+
   const now = Date.now();
-  const fireAt = new Date(reminder.remindAt).getTime();
-  const delay = fireAt - now;
+  if (new Date(reminder.deadline).getTime() <= now) {
+    if (!reminder.failed) storage.removeReminder(reminder.id);
+    return null;
+  }
+  if (retry) return fireStep(reminder, retry.lead, client, true, retry.attempt);
 
-  if (delay <= 0) {
-    // Already past — remove it
-    storage.removeReminder(reminder.id);
-    activeTimers.delete(reminder.id);
-    return;
+  const due = getPendingFires(reminder).filter(f => f.at <= now);
+  // Edited since the job was queued; wait for the new time
+  if (!due.length) return nextRun(reminder);
+
+  const latest = due[due.length - 1];
+  const late = now - latest.at > LATE_AFTER_MS;
+  const withinGrace = !late || !GRACE_MINUTES || now - latest.at <= GRACE_MINUTES * 60000;
+  const skipped = withinGrace ? due.slice(0, -1) : due;
+  const updated = { ...reminder, sentLeads: [...(reminder.sentLeads || []), ...skipped.map(f => f.lead)] };
+  if (skipped.length) storage.updateReminder(updated);
+
+  if (!withinGrace) {
+    // Missed by more than the grace window — keep only the steps still ahead
+    console.log(`⏰ Skipped reminder ${reminder.id}: it was due ${Math.round((now - latest.at) / 60000)} min ago.`);
+    return finishRun(updated);
   }
+  return fireStep(updated, latest.lead, client, late, 0);
+}
 
-  // Max setTimeout is ~24.8 days; for longer delays, reschedule
-  const MAX_DELAY = 2147483647; // ~24.8 days
-  if (delay > MAX_DELAY) {
-    // Re-check in 24 days
-    const handle = setTimeout(() => scheduleTimer(reminder, client), MAX_DELAY);
-    activeTimers.set(reminder.id, handle);
-    return;
+/**
+ * Send one step of a reminder. A failed send is retried with backoff, by
+ * rescheduling the job; a retry that would land after the deadline isn't
+ * attempted.
+ */
+async function fireStep(reminder, lead, client, late, attempt) {
+  try {
+    await deliver(reminder, lead, client, late);
+  } catch (err) {
+    console.error(`Failed to send reminder ${reminder.id} (attempt ${attempt + 1}):`, err.message);
+    // Cancelled while this one was being sent
+    if (!findStored(reminder)) return null;
+
+    const delay = RETRY_DELAYS[attempt];
+    if (delay && Date.now() + delay < new Date(reminder.deadline).getTime()) {
+      const retry = { lead, attempt: attempt + 1 };
+      return { runAt: Date.now() + delay, data: { ...jobData(reminder), retry }, attempts: attempt + 1 };
+    }
+
+    const failure = { lead, error: err.message, at: new Date().toISOString(), attempts: attempt + 1 };
+    metrics.increment('musicleague_reminders_failed_total');
+    const next = finishStep(reminder, lead, failure);
+    await reportFailure({ ...reminder, failed: failure }, client);
+    return next;
   }
+  return finishStep(reminder, lead, null);
+}
 
-  const handle = setTimeout(async () => {
-    try {
-      const channel = await client.channels.fetch(reminder.channelId);
-      if (channel) {
-        const guildStorage = require('./storage');
-        const config = guildStorage.getGuildConfig(reminder.guildId);
-        const embed = buildReminderEmbed(reminder, config);
-        await channel.send({ content: '@everyone', embeds: [embed] });
+/**
+ * When the reminder's job runs next: at its next pending fire, or never.
+ */
+function nextRun(reminder) {
+  const next = getPendingFires(reminder).find(f => f.at > Date.now());
+  return next ? { runAt: next.at, data: jobData(reminder) } : null;
+}
+
+/**
+ * Store a reminder whose due steps are all dealt with, and return when its
+ * job runs next. A reminder whose send failed is kept, in a failed state,
+ * even when it has no steps left, so it can be retried.
+ */
+function finishRun(reminder) {
+  const next = nextRun(reminder);
+  if (next) {
+    storage.updateReminder({ ...reminder, remindAt: new Date(next.runAt).toISOString() });
+  } else if (reminder.failed) {
+    storage.updateReminder(reminder);
+  } else {
+    storage.removeReminder(reminder.id);
+  }
+  return next;
+}
+
+/**
+ * Record a step as done and move on to the next step of the ladder.
+ */
+function finishStep(reminder, lead, failure) {
+  const stored = findStored(reminder);
+  if (!stored) return null;
+
+  const { failed, ...rest } = stored;
+  return finishRun({ ...rest, sentLeads: [...(stored.sentLeads || []), lead], ...(failure ? { failed: failure } : {}) });
+}
+
+// ─── Failures ─────────────────────────────────────────────────────────────────
+
+function buildFailureEmbed(reminder) {
+  const t = i18n.forGuild(reminder.guildId);
+  const { failed } = reminder;
+  const deadlineTs = Math.floor(new Date(reminder.deadline).getTime() / 1000);
+  const vars = { id: reminder.id, channel: `<#${reminder.channelId}>` };
+  return new EmbedBuilder()
+    .setColor(0xED4245)
+    .setTitle(t('reminder.failure.title', { label: typeLabel(reminder, t) }))
+    .setDescription(t('reminder.failure.description', { ...vars, attempts: failed.attempts }))
+    .addFields(
+      { name: t('reminder.failure.error'), value: `\`${failed.error.slice(0, 1000)}\``, inline: false },
+      { name: t('reminder.deadline'), value: `<t:${deadlineTs}:F> (<t:${deadlineTs}:R>)`, inline: false },
+      { name: t('reminder.failure.whatNow'), value: t('reminder.failure.advice', vars), inline: false },
+    )
+    .setFooter({ text: t('common.footer') })
+    .setTimestamp();
+}
+
+/**
+ * Tell the guild's league managers that a reminder failed: in the alert
+ * channel, else the server's system channel, else by DM to the owner.
+ */
+async function reportFailure(reminder, client) {
+  const embed = buildFailureEmbed(reminder);
+  try {
+    const guild = await client.guilds.fetch(reminder.guildId);
+    const config = storage.getGuildConfig(reminder.guildId);
+
+    for (const channelId of [config?.alertChannelId, guild.systemChannelId]) {
+      if (!channelId || channelId === reminder.channelId) continue;
+      try {
+        const channel = await client.channels.fetch(channelId);
+        await channel.send({ embeds: [embed] });
+        return;
+      } catch (err) {
+        console.error(`Failed to post reminder failure alert in ${channelId}:`, err.message);
       }
-    } catch (err) {
-      console.error(`Failed to send reminder ${reminder.id}:`, err.message);
-    } finally {
-      // Remove from storage and active timers
-      storage.removeReminder(reminder.id);
-      activeTimers.delete(reminder.id);
     }
-  }, delay);
 
-  activeTimers.set(reminder.id, handle);
+    const owner = await guild.fetchOwner();
+    await owner.send({ embeds: [embed] });
+  } catch (err) {
+    console.error(`Failed to report reminder failure for ${reminder.id}:`, err.message);
+  }
+}
+
+/**
+ * Send a failed reminder's step again, once. Returns null if the reminder
+ * doesn't exist or hasn't failed; throws if the send fails again.
+ */
+async function retryReminder(guildId, id, client) {
+  const stored = storage.getRemindersForGuild(guildId).find(r => r.id === id);
+  if (!stored?.failed) return null;
+
+  if (new Date(stored.deadline) <= new Date()) {
+    cancelReminder(guildId, id);
+    throw new Error(i18n.forGuild(guildId)('reminder.errors.deadlinePassed'));
+  }
+
+  try {
+    await deliver(stored, stored.failed.lead, client, true);
+  } catch (err) {
+    const failed = { ...stored.failed, error: err.message, at: new Date().toISOString(), attempts: stored.failed.attempts + 1 };
+    storage.updateReminder({ ...stored, failed });
+    throw err;
+  }
+
+  // Re-read: a later step may have fired meanwhile
+  const current = findStored(stored);
+  if (!current) return stored;
+  const { failed, ...rest } = current;
+  if (getPendingFires(rest).some(f => f.at > Date.now())) {
+    storage.updateReminder(rest);
+  } else {
+    storage.removeReminder(id);
+  }
+  return rest;
 }
 
 /**
@@ -90,11 +395,76 @@ function scheduleTimer(reminder, client) {
 function addReminder(opts, client) {
   const id = randomUUID().slice(0, 8);
   const reminder = { id, ...opts };
+  if (reminder.leads?.length) {
+    const next = getPendingFires(reminder).find(f => f.at > Date.now());
+    if (next) reminder.remindAt = new Date(next.at).toISOString();
+  }
   storage.addReminder(reminder);
-  scheduleTimer(reminder, client);
+  scheduleJob(reminder);
   return id;
 }
 
+/**
+ * Store a changed reminder and move its job to the new next fire.
+ */
+function replaceReminder(reminder) {
+  const next = getPendingFires(reminder).find(f => f.at > Date.now());
+  reminder.remindAt = new Date(next.at).toISOString();
+  storage.updateReminder(reminder);
+  scheduleJob(reminder);
+}
+
+/**
+ * Change a reminder in place, keeping its ID. A new deadline or ladder starts
+ * over, with steps that are already in the past counted as sent. Returns
+ * null if there is no such reminder, and throws if nothing would be left to
+ * fire (leaving the reminder as it was).
+ */
+function editReminder(guildId, id, changes, client) {
+  const stored = storage.getRemindersForGuild(guildId).find(r => r.id === id);
+  if (!stored) return null;
+
+  const updated = { ...stored, ...changes };
+  if (changes.deadline || changes.leads) {
+    const deadline = new Date(updated.deadline).getTime();
+    updated.sentLeads = getLeads(updated).filter(lead => deadline - lead * 60000 <= Date.now());
+  }
+  if (!getPendingFires(updated).some(f => f.at > Date.now())) {
+    throw new Error(i18n.forGuild(guildId)('reminder.errors.allPast'));
+  }
+
+  replaceReminder(updated);
+  return updated;
+}
+
+/**
+ * Push a reminder's next step back by some minutes, i.e. shorten its lead
+ * time. It can't be pushed to or past the step after it. Same return values
+ * as editReminder.
+ */
+function snoozeReminder(guildId, id, minutes, client) {
+  const stored = storage.getRemindersForGuild(guildId).find(r => r.id === id);
+  if (!stored) return null;
+
+  const t = i18n.forGuild(guildId);
+  const next = getPendingFires(stored).find(f => f.at > Date.now());
+  if (!next) throw new Error(t('reminder.errors.nothingLeft'));
+  const lead = next.lead - minutes;
+  if (lead <= 0) {
+    throw new Error(t('reminder.errors.snoozeTooFar', { lead: formatLead(next.lead) }));
+  }
+  // Snoozing past the ladder's following step would reorder the ladder
+  const following = Math.max(0, ...getLeads(stored).filter(l => l < next.lead));
+  if (following && lead <= following) {
+    throw new Error(t('reminder.errors.snoozePastNext', { following: formatLead(following), max: formatLead(next.lead - following) }));
+  }
+
+  const leads = getLeads(stored).map(l => (l === next.lead ? lead : l));
+  const updated = { ...stored, leads, ...(stored.auto ? { customized: true } : {}) };
+  replaceReminder(updated);
+  return updated;
+}
+
 /**
  * Cancel a reminder.
  */
@@ -103,43 +473,75 @@ function cancelReminder(guildId, id) {
   const reminder = reminders.find(r => r.id === id);
   if (!reminder) return false;
 
-  if (activeTimers.has(id)) {
-    clearTimeout(activeTimers.get(id));
-    activeTimers.delete(id);
-  }
   storage.removeReminder(id);
+  jobqueue.cancel(jobId(id));
   return true;
 }
 
 /**
- * Get active reminders for a guild (excluding past ones).
+ * Get active reminders for a guild (excluding past ones). Failed reminders
+ * are included until their deadline passes.
  */
 function getReminders(guildId) {
   const now = new Date();
-  return storage.getRemindersForGuild(guildId).filter(r => new Date(r.remindAt) > now);
+  return storage.getRemindersForGuild(guildId)
+    .filter(r => new Date(r.remindAt) > now || (r.failed && new Date(r.deadline) > now));
 }
 
 /**
- * On bot startup, restore all saved reminders.
+ * On bot startup, register the reminder job handler and make sure every
+ * saved reminder has its job — reminders saved before the job queue existed
+ * don't. Steps of a ladder that came due while the bot was offline are
+ * caught up by that job with one late reminder, as long as the deadline is
+ * still ahead (and within the grace window, if one is set). Call before
+ * jobqueue.start().
  */
 function restoreReminders(client) {
-  const all = storage.getAllReminders();
-  const now = new Date();
-  let restored = 0;
-  let expired = 0;
+  jobqueue.register('reminder', job => runReminderJob(job, client));
+
+  const now = Date.now();
+  const summaries = new Map();
+  const count = (guildId, key) => {
+    const summary = summaries.get(guildId) || { restored: 0, late: 0, dropped: 0 };
+    summary[key]++;
+    summaries.set(guildId, summary);
+  };
 
-  for (const reminder of all) {
-    if (new Date(reminder.remindAt) <= now) {
-      // Expired while bot was offline — remove silently
+  for (const reminder of storage.getAllReminders()) {
+    const pending = getPendingFires(reminder);
+    if (new Date(reminder.deadline).getTime() <= now || (!pending.length && !reminder.failed)) {
+      // Too late to be useful
       storage.removeReminder(reminder.id);
-      expired++;
-    } else {
-      scheduleTimer(reminder, client);
-      restored++;
+      jobqueue.cancel(jobId(reminder.id));
+      count(reminder.guildId, 'dropped');
+      continue;
     }
+    if (!pending.length) continue;
+
+    // An existing job is left alone: it may be running on another instance
+    jobqueue.schedule({ id: jobId(reminder.id), type: 'reminder', runAt: pending[0].at, data: jobData(reminder) }, { ifMissing: true });
+    count(reminder.guildId, pending[0].at <= now ? 'late' : 'restored');
   }
 
-  console.log(`⏰ Restored ${restored} reminder(s), removed ${expired} expired.`);
+  const totals = { restored: 0, late: 0, dropped: 0 };
+  for (const [guildId, summary] of summaries) {
+    console.log(`⏰ Guild ${guildId}: ${summary.restored} restored, ${summary.late} overdue, ${summary.dropped} dropped.`);
+    for (const key of Object.keys(totals)) totals[key] += summary[key];
+  }
+  console.log(`⏰ Restored ${totals.restored} reminder(s), ${totals.late} overdue to catch up, dropped ${totals.dropped}.`);
 }
 
-module.exports = { addReminder, cancelReminder, getReminders, restoreReminders };
\ No newline at end of file
+module.exports = {
+  REMINDER_LABELS,
+  REMINDER_EMOJIS,
+  getLeads,
+  getPendingFires,
+  typeLabel,
+  addReminder,
+  editReminder,
+  snoozeReminder,
+  retryReminder,
+  cancelReminder,
+  getReminders,
+  restoreReminders,
+};
\ No newline at end of file
@@ -6,48 +6,27 @@
  *   - Main page /l/{id}/ contains: league name, members (in Alpine x-data JSON), stats
  *   - Rounds are loaded via HTMX: GET /l/{id}/-/rounds
  *   - Standings: GET /l/{id}/-/standings
+ *   - Round pages /l/{id}/r/{roundId}/ list submissions (Spotify track links)
+ *     and, once voting ends, submitters, points and voter comments; while the
+ *     round is open they flag which members have submitted / voted
  *   - Member data is HTML-encoded JSON embedded in x-data attributes
  *
  * Auth: Set ML_COOKIE in .env for unlisted/private leagues.
+ * ML_BASE_URL points every request somewhere other than app.musicleague.com.
+ *
+ * Requests go through fetcher.js (rate limit, caching, dedupe); parsed
+ * leagues are cached by league ID for SCRAPE_CACHE_TTL_MINUTES.
  */
 
-const https = require('https');
-const http = require('http');
-
-// ─── HTTP ─────────────────────────────────────────────────────────────────────
-
-function get(url, extraHeaders = {}) {
-  return new Promise((resolve, reject) => {
-    const mod = url.startsWith('https') ? https : http;
-    const cookie = process.env.ML_COOKIE || '';
-
-    const options = {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Referer': 'https://app.musicleague.com/',
-        ...(cookie ? { Cookie: cookie } : {}),
-        ...extraHeaders,
-      },
-    };
+const { fetchPage, getBaseUrl } = require('./fetcher');
 
-    const req = mod.get(url, options, res => {
-      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
-        const next = res.headers.location.startsWith('http')
-          ? res.headers.location
-          : `https://app.musicleague.com${res.headers.location}`;
-        return get(next, extraHeaders).then(resolve).catch(reject);
-      }
-      let body = '';
-      res.on('data', chunk => (body += chunk));
-      res.on('end', () => resolve({ statusCode: res.statusCode, body, headers: res.headers }));
-    });
-
-    req.on('error', reject);
-    req.setTimeout(12000, () => { req.destroy(); reject(new Error('Request timed out')); });
-  });
-}
+// Fetched leagues are shared by every guild tracking them for this long
+const LEAGUE_TTL_MS = (parseInt(process.env.SCRAPE_CACHE_TTL_MINUTES) || 5) * 60000;
+
+// leagueId -> { data, fetchedAt }
+const leagueCache = new Map();
+// leagueId -> Promise of the league data, while it is being fetched
+const leagueInFlight = new Map();
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -64,6 +43,32 @@ function decodeAlpineJson(str) {
     .replace(/&amp;/g, '&');
 }
 
+/**
+ * Raw (still HTML-encoded) members JSON array from an Alpine x-data attribute.
+ * Pattern: x-data="{members: [...]}" (may appear multiple times; grab first).
+ * The array is found by walking to its matching closing bracket.
+ */
+function extractMembersJson(html) {
+  const membersMarker = html.indexOf('"members":');
+  const altMarker = html.indexOf('members: [');
+  const markerIdx = membersMarker !== -1 ? membersMarker : altMarker;
+  if (markerIdx === -1) return null;
+
+  const arrayStart = html.indexOf('[', markerIdx);
+  if (arrayStart === -1) return null;
+
+  let depth = 0;
+  let i = arrayStart;
+  for (; i < html.length; i++) {
+    if (html[i] === '[') depth++;
+    else if (html[i] === ']') {
+      depth--;
+      if (depth === 0) break;
+    }
+  }
+  return html.slice(arrayStart, i + 1);
+}
+
 // ─── Main Page Parser ─────────────────────────────────────────────────────────
 
 function parseLeaguePage(html, url) {
@@ -96,41 +101,20 @@ function parseLeaguePage(html, url) {
   if (html.includes('SPEEDY')) data.speed = 'Speedy';
 
   // Members — embedded in Alpine x-data as HTML-encoded JSON
-  // Pattern: x-data="{members: [...]}" (may appear multiple times; grab first)
-  // The JSON starts after "members: " and ends before the closing }"
-  // We extract by finding the members array boundaries
-  const membersMarker = html.indexOf('"members":');
-  const altMarker = html.indexOf('members: [');
-  const markerIdx = membersMarker !== -1 ? membersMarker : altMarker;
-
-  if (markerIdx !== -1) {
-    // Find the start of the JSON array
-    const arrayStart = html.indexOf('[', markerIdx);
-    if (arrayStart !== -1) {
-      // Walk to find matching closing bracket
-      let depth = 0;
-      let i = arrayStart;
-      for (; i < html.length; i++) {
-        if (html[i] === '[') depth++;
-        else if (html[i] === ']') {
-          depth--;
-          if (depth === 0) break;
-        }
-      }
-      const rawJson = html.slice(arrayStart, i + 1);
-      try {
-        const members = JSON.parse(decodeAlpineJson(rawJson));
-        data.members = members.map(m => ({
-          id: m.user?.id,
-          name: m.user?.name,
-          isAdmin: m.isAdmin,
-          joinedAt: m.created,
-        }));
-      } catch (e) {
-        // Fallback: just count member avatars
-        const avatarCount = (html.match(/class="rounded-circle".*?style="height: 36px/g) || []).length;
-        if (avatarCount) data.memberAvatarCount = avatarCount;
-      }
+  const rawJson = extractMembersJson(html);
+  if (rawJson) {
+    try {
+      const members = JSON.parse(decodeAlpineJson(rawJson));
+      data.members = members.map(m => ({
+        id: m.user?.id,
+        name: m.user?.name,
+        isAdmin: m.isAdmin,
+        joinedAt: m.created,
+      }));
+    } catch (e) {
+      // Fallback: just count member avatars
+      const avatarCount = (html.match(/class="rounded-circle".*?style="height: 36px/g) || []).length;
+      if (avatarCount) data.memberAvatarCount = avatarCount;
     }
   }
 
@@ -160,14 +144,19 @@ function parseRoundsFragment(html) {
     }
   }
 
-  // Second pass: for each round URL, extract nearby context
+  // Second pass: for each round URL, extract nearby context. The block starts
+  // at the round's container when there is one, and never reaches back into
+  // the previous round — otherwise its dates would be read as this round's.
   for (let i = 0; i < roundUrls.length; i++) {
     const { url: roundPath, roundId, idx } = roundUrls[i];
+    const prevIdx = roundUrls[i - 1]?.idx ?? 0;
     const nextIdx = roundUrls[i + 1]?.idx ?? html.length;
-    const block = html.slice(Math.max(0, idx - 200), nextIdx);
+    const containerIdx = html.lastIndexOf('league-round-item', idx);
+    const start = containerIdx > prevIdx ? containerIdx : Math.max(prevIdx, idx - 200);
+    const block = html.slice(start, nextIdx);
 
     const round = {
-      url: `https://app.musicleague.com${roundPath}`,
+      url: `${getBaseUrl()}${roundPath}`,
       roundId,
     };
 
@@ -205,7 +194,7 @@ function parseRoundsFragment(html) {
 
   // If we found no rounds at all, return a minimal object with raw ISO dates
   if (!rounds.length) {
-    const allDates = [...html.matchAll(/(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[^"'\s<]*)/g)].map(m => m[1]);
+    const allDates = [...html.matchAll(/(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)/g)].map(m => m[1]);
     if (allDates.length) return [{ status: 'Parsed dates only', allDates }];
   }
 
@@ -239,19 +228,136 @@ function parseStandings(html) {
   return standings;
 }
 
-// ─── Public API ───────────────────────────────────────────────────────────────
+// ─── Round Page Parser ────────────────────────────────────────────────────────
 
-async function fetchLeague(url) {
-  if (!url.endsWith('/')) url += '/';
-  const leagueId = extractLeagueId(url);
-  if (!leagueId) throw new Error('Could not extract league ID from URL.');
+function stripTags(str) {
+  return decodeAlpineJson(str.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function parseVotes(block) {
+  const votes = [];
+  const voteBlocks = block.split(/(?=class="[^"]*(?:vote-item|comment)[^"]*")/).slice(1);
+
+  for (const vb of voteBlocks) {
+    const vote = {};
+
+    const voterMatch = vb.match(/class="[^"]*fw-semibold[^"]*"[^>]*>\s*([^<]{2,60})\s*<\//);
+    if (voterMatch) vote.voter = voterMatch[1].trim();
+
+    const pointsMatch = vb.match(/([+-]?\d+)\s*(?:pts?|points?)/i);
+    if (pointsMatch) vote.points = parseInt(pointsMatch[1]);
+
+    const commentMatch = vb.match(/<(?:p|span)[^>]*class="[^"]*(?:text-break|comment-text)[^"]*"[^>]*>([\s\S]*?)<\/(?:p|span)>/);
+    if (commentMatch) vote.comment = stripTags(commentMatch[1]);
+
+    if (vote.voter && (vote.comment || vote.points != null)) votes.push(vote);
+  }
+
+  return votes;
+}
+
+function parseRoundPage(html, url) {
+  const data = { url };
+
+  const roundIdMatch = url.match(/\/r\/([a-f0-9]{32})\//);
+  if (roundIdMatch) data.roundId = roundIdMatch[1];
+
+  const titleMatch = html.match(/<title>Music League \| ([^<]+)<\/title>/);
+  if (titleMatch) data.name = titleMatch[1].trim();
+
+  const themeMatch = html.match(/class="[^"]*round-description[^"]*"[^>]*>\s*([^<]{3,300})\s*<\//);
+  if (themeMatch) data.theme = themeMatch[1].trim();
+
+  // Each submission links to its Spotify track — use those links to split
+  // the page into one block per submission, like parseRoundsFragment does.
+  const trackLinkPattern = /href="(https:\/\/open\.spotify\.com\/track\/([A-Za-z0-9]{22})[^"]*)"/g;
+  const seen = new Set();
+  const trackLinks = [];
+  let match;
+  while ((match = trackLinkPattern.exec(html)) !== null) {
+    if (!seen.has(match[2])) {
+      seen.add(match[2]);
+      trackLinks.push({ trackUrl: match[1], trackId: match[2], idx: match.index });
+    }
+  }
 
-  const base = `https://app.musicleague.com/l/${leagueId}`;
+  data.submissions = trackLinks.map(({ trackUrl, trackId, idx }, i) => {
+    const nextIdx = trackLinks[i + 1]?.idx ?? html.length;
+    const block = html.slice(idx, nextIdx);
+    const submission = { trackId, trackUrl };
+
+    const titleLink = block.match(/^href="[^"]*"[^>]*>([\s\S]{1,200}?)<\/a>/);
+    if (titleLink) submission.title = stripTags(titleLink[1]);
+
+    const artistMatch = block.match(/class="[^"]*text-(?:body-secondary|muted|secondary)[^"]*"[^>]*>\s*([^<]{1,150})\s*<\//);
+    if (artistMatch) submission.artist = stripTags(artistMatch[1]);
+
+    const submitterMatch = block.match(/Submitted by\s*(?:<[^>]+>\s*)*([^<]{2,60})</i);
+    if (submitterMatch) submission.submitter = submitterMatch[1].trim();
+
+    // Total is rendered before the per-vote breakdown
+    const pointsMatch = block.match(/([+-]?\d+)\s*(?:pts?|points?)\b/i);
+    if (pointsMatch && submission.submitter) submission.points = parseInt(pointsMatch[1]);
+
+    submission.votes = parseVotes(block);
+    return submission;
+  });
+
+  data.revealed = data.submissions.some(s => s.submitter);
+  data.progress = parseRoundProgress(html);
+  return data;
+}
+
+/**
+ * Who has submitted and who has voted in an open round, as member IDs.
+ * While a round is open its page embeds the participants like the league
+ * page does, each flagged with hasSubmitted / hasVoted. Returns null when the
+ * page carries no such flags (e.g. not logged in, or a finished round).
+ */
+function parseRoundProgress(html) {
+  const rawJson = extractMembersJson(html);
+  if (!rawJson) return null;
+
+  let members;
+  try {
+    members = JSON.parse(decodeAlpineJson(rawJson));
+  } catch (e) {
+    return null;
+  }
+  const flag = (m, key) => m[key] ?? m.user?.[key];
+  if (!members.some(m => flag(m, 'hasSubmitted') != null || flag(m, 'hasVoted') != null)) return null;
+
+  const idOf = m => m.user?.id ?? m.id;
+  return {
+    submitted: members.filter(m => flag(m, 'hasSubmitted')).map(idOf),
+    voted: members.filter(m => flag(m, 'hasVoted')).map(idOf),
+  };
+}
+
+/** Whether Music League answered with its login page instead. */
+function isLoginPage(html) {
+  return html.includes('action="/login/"') || html.includes('/login/?next=');
+}
+
+/**
+ * The body of an HTMX fragment, or an error when the request failed or the
+ * session has expired — so callers never mistake either for an empty list.
+ */
+function fragmentBody({ statusCode, body }, what) {
+  if (isLoginPage(body)) throw new Error('Login required. Set ML_COOKIE in your .env file with your session cookie.');
+  if (statusCode >= 400) throw new Error(`HTTP ${statusCode} fetching ${what}.`);
+  return body;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+async function scrapeLeague(url, leagueId) {
+  const base = `${getBaseUrl()}/l/${leagueId}`;
 
   // 1. Main league page
-  const { statusCode, body: mainHtml } = await get(`${base}/`);
+  const { statusCode, body: mainHtml } = await fetchPage(`${base}/`);
 
-  if (statusCode === 302 || mainHtml.includes('action="/login/"') || mainHtml.includes('/login/?next=')) {
+  if (statusCode === 302 || isLoginPage(mainHtml)) {
     throw new Error('Login required. Set ML_COOKIE in your .env file with your session cookie.');
   }
   if (statusCode === 404) throw new Error('League not found (404). Check the URL.');
@@ -262,11 +368,11 @@ async function fetchLeague(url) {
 
   // 2. Rounds (HTMX fragment) — send HX-Request header to get the fragment
   try {
-    const { body: roundsHtml } = await get(`${base}/-/rounds`, {
+    const roundsHtml = fragmentBody(await fetchPage(`${base}/-/rounds`, {
       'HX-Request': 'true',
       'HX-Current-URL': `${base}/`,
       'HX-Target': 'body',
-    });
+    }), 'rounds');
     data.rounds = parseRoundsFragment(roundsHtml);
     data.activeRound = data.rounds.find(r =>
       r.status && (r.status.includes('Open') || r.status.includes('Upcoming'))
@@ -277,28 +383,81 @@ async function fetchLeague(url) {
 
   // 3. Standings (HTMX fragment)
   try {
-    const { body: standingsHtml } = await get(`${base}/-/standings`, {
+    const standingsHtml = fragmentBody(await fetchPage(`${base}/-/standings`, {
       'HX-Request': 'true',
       'HX-Current-URL': `${base}/standings/`,
-    });
+    }), 'standings');
     data.standings = parseStandings(standingsHtml);
   } catch (e) {
     data.standingsError = e.message;
   }
 
+  data.fetchedAt = Date.now();
   return data;
 }
 
+/**
+ * Fetch and parse a league. Guilds tracking the same league share one
+ * fetch: a result younger than the TTL is reused (unless `fresh` is set),
+ * and concurrent calls wait for the same request. `fetchedAt` on the
+ * result says when Music League was actually asked.
+ */
+async function fetchLeague(url, { fresh = false } = {}) {
+  if (!url.endsWith('/')) url += '/';
+  const leagueId = extractLeagueId(url);
+  if (!leagueId) throw new Error('Could not extract league ID from URL.');
+
+  const hit = leagueCache.get(leagueId);
+  if (!fresh && hit && Date.now() - hit.fetchedAt < LEAGUE_TTL_MS) {
+    return { ...structuredClone(hit.data), url };
+  }
+
+  if (!leagueInFlight.has(leagueId)) {
+    const promise = scrapeLeague(url, leagueId)
+      .then(data => {
+        leagueCache.set(leagueId, { data, fetchedAt: data.fetchedAt });
+        return data;
+      })
+      .finally(() => leagueInFlight.delete(leagueId));
+    leagueInFlight.set(leagueId, promise);
+  }
+  return { ...structuredClone(await leagueInFlight.get(leagueId)), url };
+}
+
 async function fetchRounds(url) {
   if (!url.endsWith('/')) url += '/';
   const leagueId = extractLeagueId(url);
   if (!leagueId) throw new Error('Could not extract league ID.');
 
-  const { body } = await get(
-    `https://app.musicleague.com/l/${leagueId}/-/rounds`,
+  const body = fragmentBody(await fetchPage(
+    `${getBaseUrl()}/l/${leagueId}/-/rounds`,
     { 'HX-Request': 'true' }
-  );
+  ), 'rounds');
   return parseRoundsFragment(body);
 }
 
-module.exports = { fetchLeague, fetchRounds, extractLeagueId };
\ No newline at end of file
+async function fetchRound(roundUrl) {
+  if (!roundUrl.endsWith('/')) roundUrl += '/';
+  const { statusCode, body } = await fetchPage(roundUrl);
+
+  if (isLoginPage(body)) {
+    throw new Error('Login required. Set ML_COOKIE in your .env file with your session cookie.');
+  }
+  if (statusCode === 404) throw new Error('Round not found (404).');
+  if (statusCode >= 400) throw new Error(`HTTP ${statusCode} fetching round page.`);
+
+  return parseRoundPage(body, roundUrl);
+}
+
+module.exports = {
+  fetchLeague,
+  fetchRounds,
+  fetchRound,
+  extractLeagueId,
+  // Parsers, exported for the fixture tests
+  decodeAlpineJson,
+  parseLeaguePage,
+  parseRoundsFragment,
+  parseStandings,
+  parseRoundPage,
+};
\ No newline at end of file
@@ -0,0 +1,187 @@
+/**
+ * standings.js
+ * Keeps a per-round history of league standings so the full table can show
+ * rank movement and points gained, and builds the /standings embeds.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const storage = require('./storage');
+
+const PAGE_SIZE = 15;
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+
+function normalize(standings) {
+  return standings.map((s, i) => ({ name: s.name, points: s.points ?? null, rank: s.rank ?? i + 1 }));
+}
+
+function sameStandings(a, b) {
+  if (!a || a.length !== b.length) return false;
+  return a.every((s, i) => s.name === b[i].name && s.points === b[i].points);
+}
+
+/**
+ * Pick the round a new snapshot belongs to: the last completed round that
+ * doesn't already have a snapshot.
+ */
+function pickRound(rounds, history) {
+  const snapshotted = new Set(history.map(h => h.roundId).filter(Boolean));
+  const completed = (rounds || []).filter(r => r.roundId && /complet/i.test(r.status || ''));
+  return completed.filter(r => !snapshotted.has(r.roundId)).pop() || null;
+}
+
+/**
+ * Append a snapshot to the guild's standings history whenever the scraped
+ * standings differ from the last one recorded. Standings only move when a
+ * round's results land, so this yields one snapshot per round.
+ */
+function recordSnapshot(guildId, leagueKey, data) {
+  if (!data.standings?.length) return;
+  const league = storage.getLeague(guildId, leagueKey);
+  const history = league?.standingsHistory || [];
+  const standings = normalize(data.standings);
+
+  if (sameStandings(history[history.length - 1]?.standings, standings)) return;
+
+  const round = pickRound(data.rounds, history);
+  history.push({
+    roundId: round?.roundId || null,
+    roundName: round?.name || null,
+    takenAt: new Date().toISOString(),
+    standings,
+  });
+  storage.setLeague(guildId, leagueKey, { standingsHistory: history });
+}
+
+/**
+ * What a snapshot is called: its round, else its place in the history.
+ * Snapshots without a round used to be stored as "Snapshot N".
+ */
+function snapshotName(history, snap, t) {
+  if (snap.roundName && (snap.roundId || !/^Snapshot \d+$/.test(snap.roundName))) return snap.roundName;
+  return t('standings.snapshot', { number: history.indexOf(snap) + 1 });
+}
+
+// ─── Table ────────────────────────────────────────────────────────────────────
+
+/**
+ * Current standings with rank change and points gained against the
+ * previous snapshot. Falls back to the cached standings when there is no
+ * history yet.
+ */
+function buildTable(league) {
+  const history = league?.standingsHistory || [];
+  const current = history[history.length - 1]?.standings || normalize(league?.leagueCache?.standings || []);
+  const previous = history[history.length - 2]?.standings;
+  const prevByName = new Map((previous || []).map(s => [s.name, s]));
+
+  return current.map(s => {
+    const prev = prevByName.get(s.name);
+    return {
+      ...s,
+      rankChange: prev ? prev.rank - s.rank : null,
+      pointsGained: prev && s.points != null && prev.points != null ? s.points - prev.points : null,
+      isNew: !!previous && !prev,
+    };
+  });
+}
+
+function formatMovement(row) {
+  if (row.isNew) return '🆕';
+  if (row.rankChange == null) return '';
+  if (row.rankChange > 0) return `▲${row.rankChange}`;
+  if (row.rankChange < 0) return `▼${-row.rankChange}`;
+  return '–';
+}
+
+function formatGain(points) {
+  return `(${points >= 0 ? '+' : ''}${points})`;
+}
+
+function buildStandingsEmbed(league, page, t) {
+  const table = buildTable(league);
+  const totalPages = Math.max(1, Math.ceil(table.length / PAGE_SIZE));
+  page = Math.min(Math.max(page, 0), totalPages - 1);
+
+  const history = league?.standingsHistory || [];
+  const previous = history.length > 1 ? history[history.length - 2] : null;
+
+  const lines = table.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE).map(row => {
+    const parts = [`**${row.rank}.** ${row.name}`];
+    if (row.points != null) parts.push(`— ${t('common.points', { points: row.points })}`);
+    if (row.pointsGained != null) parts.push(formatGain(row.pointsGained));
+    const movement = formatMovement(row);
+    if (movement) parts.push(movement);
+    return parts.join(' ');
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4)
+    .setTitle(t('standings.title', { league: league?.leagueCache?.name || 'Music League' }))
+    .setDescription(lines.join('\n') || t('standings.empty'))
+    .setFooter({
+      text: previous
+        ? t('standings.footerChanges', { page: page + 1, pages: totalPages, round: snapshotName(history, previous, t) })
+        : t('common.page', { page: page + 1, pages: totalPages }),
+    });
+  if (league?.leagueUrl) embed.setURL(league.leagueUrl);
+
+  return { embed, page, totalPages };
+}
+
+// ─── Player Trajectory ────────────────────────────────────────────────────────
+
+function findPlayerName(league, query) {
+  const names = new Set();
+  for (const snap of league?.standingsHistory || []) snap.standings.forEach(s => names.add(s.name));
+  for (const s of league?.leagueCache?.standings || []) names.add(s.name);
+
+  const q = query.toLowerCase();
+  const all = [...names];
+  return all.find(n => n.toLowerCase() === q) || all.find(n => n.toLowerCase().includes(q)) || null;
+}
+
+function buildPlayerEmbed(league, name, t) {
+  const history = league?.standingsHistory || [];
+  const lines = [];
+  let prev = null;
+
+  for (const snap of history) {
+    const entry = snap.standings.find(s => s.name === name);
+    if (!entry) continue;
+    const parts = [`**${snapshotName(history, snap, t)}** — #${entry.rank}`];
+    if (entry.points != null) parts.push(t('common.points', { points: entry.points }));
+    if (prev?.points != null && entry.points != null) parts.push(formatGain(entry.points - prev.points));
+    if (prev) parts.push(formatMovement({ rankChange: prev.rank - entry.rank }));
+    lines.push(parts.join(' • '));
+    prev = entry;
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4)
+    .setTitle(t('standings.playerTitle', { name }))
+    .setDescription(lines.join('\n') || t('standings.playerEmpty'))
+    .setFooter({ text: t('common.footer') });
+
+  if (history.length) {
+    const ranks = history.map(h => h.standings.find(s => s.name === name)?.rank).filter(r => r != null);
+    if (ranks.length) {
+      embed.addFields(
+        { name: t('standings.bestRank'), value: `#${Math.min(...ranks)}`, inline: true },
+        { name: t('standings.worstRank'), value: `#${Math.max(...ranks)}`, inline: true },
+      );
+    }
+  }
+  return embed;
+}
+
+/**
+ * Player names for autocomplete, filtered by what has been typed so far.
+ */
+function playerChoices(league, typed) {
+  const q = (typed || '').toLowerCase();
+  const names = buildTable(league).map(r => r.name);
+  return names.filter(n => n.toLowerCase().includes(q)).slice(0, 25);
+}
+
+module.exports = { recordSnapshot, buildTable, buildStandingsEmbed, buildPlayerEmbed, findPlayerName, playerChoices };
@@ -0,0 +1,337 @@
+/**
+ * stats.js
+ * League analytics from stored round details (see /round and /import):
+ * points and finishes per player, who gives points to whom, the most-voted
+ * artists and how consistently each player votes — for one league, or for
+ * every league the server tracks plus the archived past seasons, each
+ * counted as a season. Builds the /stats embeds.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+
+const LIST_SIZE = 10;
+const PAIR_LIST_SIZE = 5;
+
+// ─── Collecting ───────────────────────────────────────────────────────────────
+
+function getPlayer(players, name) {
+  if (!players.has(name)) {
+    players.set(name, { name, results: [], roundsWithVotes: 0, roundsVoted: 0, songsVotedFor: 0, artists: new Map() });
+  }
+  return players.get(name);
+}
+
+function pairKey(a, b) {
+  return `${a}\n${b}`;
+}
+
+function addTo(map, key, n) {
+  map.set(key, (map.get(key) || 0) + n);
+}
+
+/**
+ * Rank players by points within one round; ties share a finish.
+ */
+function finishes(totals) {
+  const sorted = [...totals].sort((a, b) => b[1] - a[1]);
+  const result = new Map();
+  sorted.forEach(([name, points], i) => {
+    result.set(name, i > 0 && points === sorted[i - 1][1] ? result.get(sorted[i - 1][0]) : i + 1);
+  });
+  return result;
+}
+
+/**
+ * Gather everything /stats shows. `seasons` is a list of
+ * { name, rounds: [{ number, detail }] }; only rounds whose submitters are
+ * revealed count. Rounds marked `withoutVotes` (archived ones) count for
+ * points, finishes and artists only.
+ */
+function computeStats(seasons) {
+  const players = new Map();
+  const given = new Map();  // "voter\nsubmitter" -> points
+  const shared = new Map(); // "a\nb" (sorted) -> rounds both played
+  const artists = new Map();
+  let roundCount = 0;
+
+  for (const season of seasons) {
+    for (const { number, detail } of season.rounds) {
+      const submissions = (detail.submissions || []).filter(s => s.submitter);
+      if (!detail.revealed || !submissions.length) continue;
+      roundCount++;
+
+      const roundTotals = new Map();
+      const votesBy = new Map();
+      for (const s of submissions) {
+        addTo(roundTotals, s.submitter, s.points || 0);
+        if (s.artist) {
+          const artist = artists.get(s.artist) || { name: s.artist, points: 0, submissions: 0 };
+          artist.points += s.points || 0;
+          artist.submissions++;
+          artists.set(s.artist, artist);
+          addTo(getPlayer(players, s.submitter).artists, s.artist, 1);
+        }
+        for (const v of s.votes || []) {
+          if (!v.voter || !v.points) continue;
+          addTo(votesBy, v.voter, 1);
+          if (v.voter !== s.submitter) addTo(given, pairKey(v.voter, s.submitter), v.points);
+        }
+      }
+
+      const finish = finishes(roundTotals);
+      for (const [name, points] of roundTotals) {
+        const player = getPlayer(players, name);
+        player.results.push({ season: season.name, round: detail.name || null, number, points, finish: finish.get(name) });
+        if (!detail.withoutVotes) player.roundsWithVotes++;
+      }
+      if (detail.withoutVotes) continue;
+
+      // Consistency is out of the rounds a player submitted to
+      for (const [voter, songs] of votesBy) {
+        if (!roundTotals.has(voter)) continue;
+        const player = getPlayer(players, voter);
+        player.roundsVoted++;
+        player.songsVotedFor += songs;
+      }
+
+      const names = [...roundTotals.keys()].sort();
+      names.forEach((a, i) => names.slice(i + 1).forEach(b => addTo(shared, pairKey(a, b), 1)));
+    }
+  }
+
+  return { players, given, shared, artists, roundCount, seasonCount: seasons.length };
+}
+
+// ─── Derived ──────────────────────────────────────────────────────────────────
+
+function summarize(player) {
+  const played = player.results.length;
+  const total = player.results.reduce((n, r) => n + r.points, 0);
+  const byFinish = [...player.results].sort((a, b) => a.finish - b.finish);
+  return {
+    name: player.name,
+    played,
+    withVotes: player.roundsWithVotes,
+    total,
+    average: played ? total / played : 0,
+    best: byFinish[0] || null,
+    worst: byFinish[byFinish.length - 1] || null,
+    roundsVoted: player.roundsVoted,
+    songsPerVote: player.roundsVoted ? player.songsVotedFor / player.roundsVoted : 0,
+  };
+}
+
+function playerSummaries(stats) {
+  return [...stats.players.values()].filter(p => p.results.length).map(summarize).sort((a, b) => b.average - a.average);
+}
+
+/**
+ * Voter → submitter pairs by points given, most first.
+ */
+function fanPairs(stats) {
+  return [...stats.given]
+    .map(([key, points]) => {
+      const [voter, submitter] = key.split('\n');
+      return { voter, submitter, points };
+    })
+    .sort((a, b) => b.points - a.points);
+}
+
+/**
+ * Pairs who give each other the fewest points per round played together.
+ * Only pairs who met in at least half as many rounds as the most frequent
+ * pair count, so two one-round players don't top the list.
+ */
+function rivalPairs(stats) {
+  const minShared = Math.ceil(Math.max(0, ...stats.shared.values()) / 2);
+  return [...stats.shared]
+    .filter(([, rounds]) => rounds >= minShared)
+    .map(([key, rounds]) => {
+      const [a, b] = key.split('\n');
+      const points = (stats.given.get(pairKey(a, b)) || 0) + (stats.given.get(pairKey(b, a)) || 0);
+      return { a, b, points, rounds };
+    })
+    .sort((x, y) => x.points / x.rounds - y.points / y.rounds || y.rounds - x.rounds);
+}
+
+function topArtists(stats) {
+  return [...stats.artists.values()].sort((a, b) => b.points - a.points || b.submissions - a.submissions);
+}
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+const ordinalRules = new Intl.PluralRules('en', { type: 'ordinal' });
+
+function ordinal(n, t) {
+  return t(`stats.ordinal.${ordinalRules.select(n)}`, { n });
+}
+
+function formatFinish(result, showSeason, t) {
+  return `${t('stats.finish', { place: ordinal(result.finish, t), round: result.round || t('common.roundNumber', { number: result.number }) })}${showSeason ? ` (${result.season})` : ''}`;
+}
+
+function fieldValue(lines) {
+  const value = lines.join('\n') || '—';
+  return value.length > 1024 ? `${value.slice(0, 1023)}…` : value;
+}
+
+function footer(stats, t) {
+  const key = stats.seasonCount > 1 ? 'stats.footerSeasons' : 'stats.footer';
+  return { text: t(key, { rounds: stats.roundCount, seasons: stats.seasonCount }) };
+}
+
+/**
+ * League-wide stats. `standings` (the cached table, single league only)
+ * adds each player's current rank.
+ */
+function buildStatsEmbed(stats, title, standings, t) {
+  const rankOf = new Map((standings || []).map((s, i) => [s.name, s.rank ?? i + 1]));
+  const showSeason = stats.seasonCount > 1;
+  const summaries = playerSummaries(stats);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4)
+    .setTitle(t('stats.title', { title }))
+    .setFooter(footer(stats, t));
+
+  if (!summaries.length) {
+    return embed.setDescription(t('stats.empty'));
+  }
+
+  const points = n => t('common.points', { points: n });
+  embed.addFields(
+    {
+      name: t('stats.average'),
+      value: fieldValue(summaries.slice(0, LIST_SIZE).map((p, i) => {
+        const rank = rankOf.has(p.name) ? ` • ${t('stats.overall', { rank: rankOf.get(p.name) })}` : '';
+        return `**${i + 1}.** ${p.name} — ${points(p.average.toFixed(1))}${rank}`;
+      })),
+    },
+    {
+      name: t('stats.finishes'),
+      value: fieldValue(summaries.slice(0, LIST_SIZE).map(p =>
+        `${p.name}: 🔝 ${formatFinish(p.best, showSeason, t)} • 🔻 ${formatFinish(p.worst, showSeason, t)}`)),
+    },
+    {
+      name: t('stats.fans'),
+      value: fieldValue(fanPairs(stats).slice(0, PAIR_LIST_SIZE).map(f => `${f.voter} → ${f.submitter}: ${points(f.points)}`)),
+      inline: true,
+    },
+    {
+      name: t('stats.rivals'),
+      value: fieldValue(rivalPairs(stats).slice(0, PAIR_LIST_SIZE)
+        .map(r => `${r.a} ↔ ${r.b}: ${t('stats.rivalry', { points: r.points, rounds: r.rounds })}`)),
+      inline: true,
+    },
+    {
+      name: t('stats.artists'),
+      value: fieldValue(topArtists(stats).slice(0, PAIR_LIST_SIZE)
+        .map((a, i) => `**${i + 1}.** ${a.name} — ${t('stats.artist', { points: a.points, songs: a.submissions })}`)),
+    },
+    {
+      name: t('stats.consistency'),
+      value: fieldValue([...summaries]
+        .filter(p => p.withVotes)
+        .sort((a, b) => b.roundsVoted / b.withVotes - a.roundsVoted / a.withVotes)
+        .slice(0, LIST_SIZE)
+        .map(p => {
+          const voted = t('stats.votedIn', { voted: p.roundsVoted, rounds: p.withVotes });
+          return `${p.name} — ${voted}${p.roundsVoted ? `, ${t('stats.spread', { songs: p.songsPerVote.toFixed(1) })}` : ''}`;
+        })),
+    },
+  );
+  return embed;
+}
+
+/**
+ * One player's profile. `standing` is their row in the cached standings,
+ * if there is one.
+ */
+function buildPlayerStatsEmbed(stats, name, standing, t) {
+  const player = stats.players.get(name);
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4)
+    .setTitle(`📊 ${name}`)
+    .setFooter(footer(stats, t));
+
+  if (!player?.results.length) {
+    return embed.setDescription(t('stats.playerEmpty'));
+  }
+
+  const p = summarize(player);
+  const showSeason = stats.seasonCount > 1;
+  const fans = fanPairs(stats);
+  const fan = fans.find(f => f.submitter === name);
+  const favourite = fans.find(f => f.voter === name);
+  const rival = rivalPairs(stats).find(r => r.a === name || r.b === name);
+  const artists = [...player.artists].sort((a, b) => b[1] - a[1]).slice(0, 3);
+
+  const lines = [t('stats.playerSummary', { average: p.average.toFixed(1), played: p.played, total: p.total })];
+  if (standing) {
+    lines.push(standing.points != null
+      ? t('stats.currentPoints', { rank: standing.rank, points: standing.points })
+      : t('stats.current', { rank: standing.rank }));
+  }
+  embed.setDescription(lines.join('\n'));
+
+  const voting = [t('stats.playerVotedIn', { voted: p.roundsVoted, rounds: p.withVotes })];
+  if (p.roundsVoted) voting.push(t('stats.playerSpread', { songs: p.songsPerVote.toFixed(1) }));
+  const points = n => t('common.points', { points: n });
+  embed.addFields(
+    { name: t('stats.bestFinish'), value: formatFinish(p.best, showSeason, t), inline: true },
+    { name: t('stats.worstFinish'), value: formatFinish(p.worst, showSeason, t), inline: true },
+    { name: t('stats.voting'), value: p.withVotes ? voting.join('\n') : t('stats.noVotes'), inline: true },
+    { name: t('stats.fan'), value: fan ? `${fan.voter} (${points(fan.points)})` : '—', inline: true },
+    { name: t('stats.fanOf'), value: favourite ? `${favourite.submitter} (${points(favourite.points)})` : '—', inline: true },
+    {
+      name: t('stats.rival'),
+      value: rival ? `${rival.a === name ? rival.b : rival.a} (${t('stats.rivalry', { points: rival.points, rounds: rival.rounds })})` : '—',
+      inline: true,
+    },
+  );
+  if (artists.length) {
+    embed.addFields({ name: t('stats.submittedArtists'), value: fieldValue(artists.map(([artist, n]) => `${artist} (${n})`)) });
+  }
+  return embed;
+}
+
+/**
+ * Player names for autocomplete: everyone in the stored results, members
+ * and standings of the given leagues, and the submitters of `pastSeasons`
+ * (see archive.pastSeasons).
+ */
+function playerChoices(leagues, typed, pastSeasons = []) {
+  const names = new Set();
+  for (const season of pastSeasons) {
+    for (const { detail } of season.rounds) {
+      for (const s of detail.submissions) if (s.submitter) names.add(s.submitter);
+    }
+  }
+  for (const league of leagues) {
+    for (const detail of Object.values(league.roundDetails || {})) {
+      for (const s of detail.submissions || []) if (s.submitter) names.add(s.submitter);
+    }
+    for (const m of league.leagueCache?.members || []) if (m.name) names.add(m.name);
+    for (const s of league.leagueCache?.standings || []) names.add(s.name);
+  }
+  const q = (typed || '').toLowerCase();
+  return [...names].filter(n => n.toLowerCase().includes(q)).sort().slice(0, 25);
+}
+
+function findPlayer(stats, query) {
+  const q = query.toLowerCase();
+  const names = [...stats.players.keys()];
+  return names.find(n => n.toLowerCase() === q) || names.find(n => n.toLowerCase().includes(q)) || null;
+}
+
+module.exports = {
+  computeStats,
+  playerSummaries,
+  fanPairs,
+  rivalPairs,
+  topArtists,
+  buildStatsEmbed,
+  buildPlayerStatsEmbed,
+  playerChoices,
+  findPlayer,
+};
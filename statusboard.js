@@ -0,0 +1,255 @@
+/**
+ * statusboard.js
+ * The league overview embed (/league) and the self-updating status message
+ * /pinstatus pins in a league's channel: current round, phase, time left
+ * and standings, edited by a recurring job and after every poll. The
+ * message ID is stored on the league, so updates carry on after a restart,
+ * and the message is posted again if someone deletes it.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const storage = require('./storage');
+const standings = require('./standings');
+const jobqueue = require('./jobqueue');
+const i18n = require('./i18n');
+const { formatLead, formatDeadline } = require('./datetime');
+
+const DEFAULT_UPDATE_MINUTES = 5;
+const STANDINGS_SIZE = 10;
+
+// Discord API error codes
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
+
+const inFlight = new Map(); // "guildId:leagueKey" -> update promise
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+function buildLeagueEmbed(leagueData, t) {
+  const embed = new EmbedBuilder()
+    .setColor(0x9E00C4) // Music League's brand purple
+    .setTitle(`🎵 ${leagueData.name || 'Music League'}`)
+    .setURL(leagueData.url);
+
+  // League stats line
+  const statParts = [];
+  if (leagueData.totalRounds) statParts.push(t('leagueEmbed.rounds', { count: leagueData.totalRounds }));
+  if (leagueData.songsPerRound) statParts.push(t('leagueEmbed.songsPerRound', { count: leagueData.songsPerRound }));
+  if (leagueData.currentPlayers) {
+    statParts.push(t('leagueEmbed.players', { count: leagueData.currentPlayers, max: leagueData.maxPlayers ?? '?' }));
+  }
+  if (leagueData.privacy) statParts.push(leagueData.privacy);
+  if (leagueData.speed) statParts.push(`⚡ ${leagueData.speed}`);
+  if (statParts.length) embed.setDescription(statParts.join(' • '));
+
+  // Active round
+  const active = leagueData.activeRound;
+  if (active) {
+    const roundParts = [];
+    if (active.name) roundParts.push(`**${active.name}**`);
+    if (active.theme) roundParts.push(`🎨 ${active.theme}`);
+    if (active.status) roundParts.push(active.status);
+    if (roundParts.length) {
+      embed.addFields({ name: t('leagueEmbed.activeRound'), value: roundParts.join('\n'), inline: false });
+    }
+
+    // Deadlines from active round
+    if (active.submissionDeadline) {
+      embed.addFields({ name: t('leagueEmbed.submissionDeadline'), value: formatDeadline(active.submissionDeadline), inline: false });
+    }
+    if (active.votingDeadline) {
+      embed.addFields({ name: t('leagueEmbed.votingDeadline'), value: formatDeadline(active.votingDeadline), inline: false });
+    }
+  } else if (leagueData.rounds?.length) {
+    embed.addFields({ name: t('leagueEmbed.roundsTitle'), value: t('leagueEmbed.noActiveRound', { count: leagueData.rounds.length }), inline: false });
+  }
+
+  // Top 3 standings
+  if (leagueData.standings?.length) {
+    const medals = ['🥇', '🥈', '🥉'];
+    const top = leagueData.standings.slice(0, 3)
+      .map((s, i) => `${medals[i] || `${i+1}.`} **${s.name}**${s.points != null ? ` — ${t('common.points', { points: s.points })}` : ''}`)
+      .join('\n');
+    embed.addFields({ name: t('leagueEmbed.topThree'), value: top, inline: false });
+  }
+
+  // Members
+  if (leagueData.members?.length) {
+    const adminNames = leagueData.members.filter(m => m.isAdmin).map(m => m.name).join(', ');
+    if (adminNames) embed.addFields({ name: t('leagueEmbed.admin'), value: adminNames, inline: true });
+  }
+
+  embed.setFooter({ text: t('leagueEmbed.footer') });
+  embed.setTimestamp();
+  return embed;
+}
+
+/**
+ * The deadline the active round is heading for: voting closes while voting
+ * is open, otherwise the next deadline still ahead. `key` names its label
+ * under `status` in the message catalogs.
+ */
+function nextDeadline(active, now = Date.now()) {
+  if (!active) return null;
+  const candidates = [
+    { key: 'submissionsClose', at: active.submissionDeadline, phase: /submission/i },
+    { key: 'votingCloses', at: active.votingDeadline, phase: /voting/i },
+  ].map(c => ({ ...c, at: new Date(c.at) })).filter(c => !isNaN(c.at) && c.at > now);
+  return candidates.find(c => c.phase.test(active.status || '')) || candidates[0] || null;
+}
+
+function getUpdateMinutes() {
+  return parseInt(process.env.STATUS_UPDATE_MINUTES) || DEFAULT_UPDATE_MINUTES;
+}
+
+/**
+ * The pinned status: the league embed with the time left in the current
+ * phase and a longer standings table in place of the top 3.
+ */
+function buildStatusEmbed(league, now, t) {
+  const footer = { text: t('status.footer', { minutes: getUpdateMinutes() }) };
+  const data = league.leagueCache;
+  if (!data) {
+    return new EmbedBuilder()
+      .setColor(0x9E00C4)
+      .setTitle(`📌 ${league.key}`)
+      .setDescription(t('status.noData'))
+      .setFooter(footer)
+      .setTimestamp(now);
+  }
+
+  const embed = buildLeagueEmbed({ ...data, url: league.leagueUrl, standings: [] }, t)
+    .setTitle(`📌 ${data.name || 'Music League'}`);
+
+  const next = nextDeadline(data.activeRound, now);
+  if (next) {
+    const left = formatLead(Math.max(1, Math.round((next.at - now) / 60000)));
+    const value = t('status.until', { left, deadline: t(`status.${next.key}`), time: `<t:${Math.floor(next.at / 1000)}:R>` });
+    embed.addFields({ name: t('status.timeRemaining'), value, inline: false });
+  } else if (data.activeRound) {
+    embed.addFields({ name: t('status.timeRemaining'), value: t('status.noDeadline'), inline: false });
+  }
+
+  const table = standings.buildTable(league).slice(0, STANDINGS_SIZE);
+  if (table.length) {
+    const medals = ['🥇', '🥈', '🥉'];
+    const lines = table.map((s, i) => {
+      const movement = s.rankChange > 0 ? ` ▲${s.rankChange}` : s.rankChange < 0 ? ` ▼${-s.rankChange}` : '';
+      return `${medals[i] || `**${s.rank ?? i + 1}.**`} ${s.name}${s.points != null ? ` — ${t('common.points', { points: s.points })}` : ''}${movement}`;
+    });
+    embed.addFields({ name: t('status.standings', { count: table.length }), value: lines.join('\n'), inline: false });
+  }
+
+  return embed.setFooter(footer).setTimestamp(now);
+}
+
+// ─── Pinned Message ───────────────────────────────────────────────────────────
+
+/**
+ * Post the status into a channel and pin it. A missing Manage Messages
+ * permission only stops the pin, so `pinned` says whether it worked.
+ */
+async function postStatus(guildId, leagueKey, channel) {
+  const league = storage.getLeague(guildId, leagueKey);
+  const message = await channel.send({ embeds: [buildStatusEmbed(league, Date.now(), i18n.forGuild(guildId))] });
+  const pinned = await message.pin().then(() => true, () => false);
+  storage.setLeague(guildId, leagueKey, { statusMessage: { channelId: channel.id, messageId: message.id } });
+  return { message, pinned };
+}
+
+async function fetchStatusMessage(statusMessage, client) {
+  const channel = await client.channels.fetch(statusMessage.channelId);
+  return channel.messages.fetch(statusMessage.messageId);
+}
+
+/**
+ * Pin a fresh status message for a league, replacing (and deleting) the
+ * one posted before, if any.
+ */
+async function pinStatus(guildId, leagueKey, channel, client) {
+  const previous = storage.getLeague(guildId, leagueKey)?.statusMessage;
+  if (previous) {
+    await fetchStatusMessage(previous, client).then(m => m.delete()).catch(() => {});
+  }
+  return postStatus(guildId, leagueKey, channel);
+}
+
+/**
+ * Stop updating a league's status message and delete it.
+ */
+async function unpinStatus(guildId, leagueKey, client) {
+  const previous = storage.getLeague(guildId, leagueKey)?.statusMessage;
+  if (!previous) return false;
+  storage.setLeague(guildId, leagueKey, { statusMessage: undefined });
+  await fetchStatusMessage(previous, client).then(m => m.delete()).catch(() => {});
+  return true;
+}
+
+async function editStatus(guildId, leagueKey, client) {
+  const league = storage.getLeague(guildId, leagueKey);
+  const statusMessage = league?.statusMessage;
+  if (!statusMessage) return;
+
+  try {
+    const message = await fetchStatusMessage(statusMessage, client);
+    await message.edit({ embeds: [buildStatusEmbed(league, Date.now(), i18n.forGuild(guildId))] });
+  } catch (err) {
+    if (err.code === UNKNOWN_MESSAGE) {
+      // Another instance got here first and re-posted it already
+      if (storage.getLeague(guildId, leagueKey)?.statusMessage?.messageId !== statusMessage.messageId) return;
+      // Deleted by someone: post it again in the same channel
+      const channel = await client.channels.fetch(statusMessage.channelId);
+      await postStatus(guildId, leagueKey, channel);
+      console.log(`📌 Re-posted the status message for ${leagueKey} in guild ${guildId}.`);
+    } else if (err.code === UNKNOWN_CHANNEL) {
+      storage.setLeague(guildId, leagueKey, { statusMessage: undefined });
+      console.log(`📌 Status channel for ${leagueKey} in guild ${guildId} is gone; stopped updating.`);
+    } else {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Bring a league's status message up to date. Overlapping calls (a poll
+ * and the timer) share one update, so a deleted message is re-posted once.
+ */
+function updateStatus(guildId, leagueKey, client) {
+  const key = `${guildId}:${leagueKey}`;
+  if (!inFlight.has(key)) {
+    const update = editStatus(guildId, leagueKey, client)
+      .catch(err => console.error(`Failed to update the status message for ${leagueKey} in guild ${guildId}:`, err.message))
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, update);
+  }
+  return inFlight.get(key);
+}
+
+async function updateAll(client) {
+  for (const [guildId, config] of Object.entries(storage.getAllGuildConfigs())) {
+    for (const [leagueKey, league] of Object.entries(config?.leagues || {})) {
+      if (league.statusMessage) await updateStatus(guildId, leagueKey, client);
+    }
+  }
+}
+
+/**
+ * Update every pinned status on a schedule (called once the client is
+ * ready, before jobqueue.start()). Updates run as a recurring job, so with
+ * several instances only one of them edits the messages each time.
+ */
+function startStatusUpdates(client) {
+  jobqueue.register('status', () => updateAll(client));
+  jobqueue.scheduleRecurring('status-updates', 'status', getUpdateMinutes() * 60000);
+}
+
+module.exports = {
+  buildLeagueEmbed,
+  buildStatusEmbed,
+  nextDeadline,
+  getUpdateMinutes,
+  pinStatus,
+  unpinStatus,
+  updateStatus,
+  startStatusUpdates,
+};
@@ -0,0 +1,220 @@
+/**
+ * storage-json.js
+ * JSON file storage backend: guilds.json + reminders.json + jobs.json in the
+ * data dir. Every write goes to a temp file that is then renamed over the
+ * original, so a crash mid-write leaves the previous file intact. One
+ * process at a time uses the files (see lock()); running instances side by
+ * side needs the SQLite backend.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Write a file atomically: rename() within one directory replaces the
+ * target in a single step, so readers see either the old or the new file.
+ */
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// ─── Instance Lock ────────────────────────────────────────────────────────────
+
+// The JSON files are read and rewritten whole, so only one process may use
+// them at a time. The holder keeps touching data/instance.lock; a lock that
+// hasn't been touched for STALE_LOCK_MS belongs to a crashed or hung process.
+const LOCK_REFRESH_MS = 5000;
+const STALE_LOCK_MS = 30000;
+const LOCK_POLL_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function readLock(lockFile) {
+  try {
+    return { ...JSON.parse(fs.readFileSync(lockFile, 'utf8')), mtimeMs: fs.statSync(lockFile).mtimeMs };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a lock's holder is gone: it stopped refreshing the lock, or it
+ * ran on this machine and its process has exited.
+ */
+function isStale(lock) {
+  if (!lock) return true;
+  if (Date.now() - lock.mtimeMs > STALE_LOCK_MS) return true;
+  if (lock.host !== os.hostname()) return false;
+  try {
+    process.kill(lock.pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === 'ESRCH';
+  }
+}
+
+/**
+ * Wait until no other process holds the data dir's lock, then take it.
+ * Creating a file with the "wx" flag fails if it exists, on every platform,
+ * so only one waiting process gets it. Resolves to a function that
+ * releases the lock; it is also released when the process exits.
+ */
+async function acquireInstanceLock(lockFile, owner) {
+  let waiting = false;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, JSON.stringify({ owner, pid: process.pid, host: os.hostname() }), { flag: 'wx' });
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const lock = readLock(lockFile);
+      if (isStale(lock)) {
+        fs.rmSync(lockFile, { force: true });
+        continue;
+      }
+      if (!waiting) {
+        console.log(`🔒 ${path.dirname(lockFile)} is in use by ${lock.owner}; waiting for it to stop. Use STORAGE_BACKEND=sqlite to run instances side by side.`);
+        waiting = true;
+      }
+      await sleep(LOCK_POLL_MS);
+    }
+  }
+
+  const isOurs = () => readLock(lockFile)?.owner === owner;
+  const refresh = setInterval(() => {
+    if (!isOurs()) {
+      // Taken over while this process was hung; writing on would clobber the new holder's data
+      console.error(`❌ Lost ${lockFile} to another instance. Exiting.`);
+      process.exit(1);
+    }
+    const now = new Date();
+    fs.utimesSync(lockFile, now, now);
+  }, LOCK_REFRESH_MS);
+  refresh.unref();
+
+  const release = () => {
+    clearInterval(refresh);
+    process.removeListener('exit', release);
+    if (isOurs()) fs.rmSync(lockFile, { force: true });
+  };
+  process.on('exit', release);
+  return release;
+}
+
+function createJsonBackend(dataDir) {
+  const configFile = path.join(dataDir, 'guilds.json');
+  const remindersFile = path.join(dataDir, 'reminders.json');
+  const jobsFile = path.join(dataDir, 'jobs.json');
+  const lockFile = path.join(dataDir, 'instance.lock');
+
+  const loadConfigs = () => readJson(configFile, {});
+  const loadReminders = () => readJson(remindersFile, []);
+  const loadJobs = () => readJson(jobsFile, []);
+
+  // Read-modify-write of jobs.json; `fn` returns [jobs, result]
+  const updateJobs = fn => {
+    const [jobs, result] = fn(loadJobs());
+    writeJsonAtomic(jobsFile, jobs);
+    return result;
+  };
+
+  return {
+    name: 'json',
+
+    lock() {
+      return acquireInstanceLock(lockFile, `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`);
+    },
+
+    loadGuild(guildId) {
+      return loadConfigs()[guildId] || null;
+    },
+
+    saveGuild(guildId, config) {
+      const configs = loadConfigs();
+      configs[guildId] = config;
+      writeJsonAtomic(configFile, configs);
+    },
+
+    loadAllGuilds() {
+      return loadConfigs();
+    },
+
+    insertReminder(reminder) {
+      const reminders = loadReminders();
+      reminders.push(reminder);
+      writeJsonAtomic(remindersFile, reminders);
+    },
+
+    replaceReminder(reminder) {
+      writeJsonAtomic(remindersFile, loadReminders().map(r => (r.id === reminder.id ? reminder : r)));
+    },
+
+    deleteReminder(id) {
+      writeJsonAtomic(remindersFile, loadReminders().filter(r => r.id !== id));
+    },
+
+    loadReminders(guildId) {
+      const reminders = loadReminders();
+      return guildId ? reminders.filter(r => r.guildId === guildId) : reminders;
+    },
+
+    saveJob(job, { ifMissing = false } = {}) {
+      return updateJobs(jobs => {
+        const existing = jobs.find(j => j.id === job.id);
+        if (!existing) return [[...jobs, { ...job, leaseOwner: null, leaseUntil: null }], true];
+        if (ifMissing) return [jobs, false];
+        // A job being run keeps its lease; the runner's result wins
+        const { leaseOwner, leaseUntil } = existing;
+        return [jobs.map(j => (j.id === job.id ? { ...job, leaseOwner, leaseUntil } : j)), true];
+      });
+    },
+
+    deleteJob(id) {
+      updateJobs(jobs => [jobs.filter(j => j.id !== id)]);
+    },
+
+    claimJobs(owner, now, leaseMs, limit) {
+      return updateJobs(jobs => {
+        const claimed = jobs
+          .filter(j => j.runAt <= now && !(j.leaseUntil > now))
+          .sort((a, b) => a.runAt - b.runAt)
+          .slice(0, limit)
+          .map(j => Object.assign(j, { leaseOwner: owner, leaseUntil: now + leaseMs }));
+        return [jobs, claimed.map(j => ({ ...j }))];
+      });
+    },
+
+    finishJob(id, owner, next) {
+      return updateJobs(jobs => {
+        const job = jobs.find(j => j.id === id);
+        if (job?.leaseOwner !== owner) return [jobs, false];
+        if (!next) return [jobs.filter(j => j.id !== id), true];
+        return [jobs.map(j => (j.id === id ? { ...j, ...next, leaseOwner: null, leaseUntil: null } : j)), true];
+      });
+    },
+
+    loadJobs() {
+      return loadJobs();
+    },
+  };
+}
+
+module.exports = { createJsonBackend, readJson };
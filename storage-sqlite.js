@@ -0,0 +1,206 @@
+/**
+ * storage-sqlite.js
+ * SQLite storage backend (via better-sqlite3). Guild configs and reminders
+ * are stored as JSON documents, one row each, so the shape stays identical
+ * to the JSON backend. On first start, existing guilds.json/reminders.json
+ * data is imported automatically. Jobs get real columns, so claiming them
+ * is a single locked transaction that several processes can share.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJson } = require('./storage-json');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT
+  );
+  CREATE TABLE IF NOT EXISTS guilds (
+    guild_id TEXT PRIMARY KEY,
+    config   TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS reminders (
+    id         TEXT PRIMARY KEY,
+    guild_id   TEXT NOT NULL,
+    data       TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reminders_guild ON reminders (guild_id);
+  CREATE TABLE IF NOT EXISTS jobs (
+    id          TEXT PRIMARY KEY,
+    type        TEXT NOT NULL,
+    run_at      INTEGER NOT NULL,
+    every       INTEGER,
+    data        TEXT,
+    attempts    INTEGER NOT NULL DEFAULT 0,
+    lease_owner TEXT,
+    lease_until INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS jobs_run_at ON jobs (run_at);
+`;
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    runAt: row.run_at,
+    every: row.every,
+    data: row.data ? JSON.parse(row.data) : null,
+    attempts: row.attempts,
+    leaseOwner: row.lease_owner,
+    leaseUntil: row.lease_until,
+  };
+}
+
+/**
+ * Copy guilds.json / reminders.json into the database once. The JSON files
+ * are left in place as a backup.
+ */
+function migrateFromJson(db, dataDir) {
+  const done = db.prepare('SELECT value FROM meta WHERE key = ?').get('json_migrated');
+  if (done) return;
+
+  const configs = readJson(path.join(dataDir, 'guilds.json'), {});
+  const reminders = readJson(path.join(dataDir, 'reminders.json'), []);
+
+  const insertGuild = db.prepare('INSERT OR IGNORE INTO guilds (guild_id, config) VALUES (?, ?)');
+  const insertReminder = db.prepare('INSERT OR IGNORE INTO reminders (id, guild_id, data, created_at) VALUES (?, ?, ?, ?)');
+
+  db.transaction(() => {
+    for (const [guildId, config] of Object.entries(configs)) {
+      insertGuild.run(guildId, JSON.stringify(config));
+    }
+    reminders.forEach((r, i) => insertReminder.run(r.id, r.guildId, JSON.stringify(r), i));
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('json_migrated', new Date().toISOString());
+  })();
+
+  const guildCount = Object.keys(configs).length;
+  if (guildCount || reminders.length) {
+    console.log(`🗄️ Migrated ${guildCount} guild config(s) and ${reminders.length} reminder(s) from JSON to SQLite.`);
+  }
+}
+
+function createSqliteBackend(dataDir) {
+  // Only required when this backend is selected, so JSON users don't need it installed
+  const Database = require('better-sqlite3');
+
+  const file = process.env.SQLITE_PATH || path.join(dataDir, 'musicleague.db');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrateFromJson(db, dataDir);
+
+  const stmts = {
+    getGuild: db.prepare('SELECT config FROM guilds WHERE guild_id = ?'),
+    upsertGuild: db.prepare('INSERT INTO guilds (guild_id, config) VALUES (?, ?) ON CONFLICT (guild_id) DO UPDATE SET config = excluded.config'),
+    allGuilds: db.prepare('SELECT guild_id, config FROM guilds'),
+    insertReminder: db.prepare('INSERT INTO reminders (id, guild_id, data, created_at) VALUES (?, ?, ?, ?)'),
+    updateReminder: db.prepare('UPDATE reminders SET guild_id = ?, data = ? WHERE id = ?'),
+    deleteReminder: db.prepare('DELETE FROM reminders WHERE id = ?'),
+    guildReminders: db.prepare('SELECT data FROM reminders WHERE guild_id = ? ORDER BY created_at'),
+    allReminders: db.prepare('SELECT data FROM reminders ORDER BY created_at'),
+    insertJob: db.prepare(`INSERT INTO jobs (id, type, run_at, every, data, attempts)
+      VALUES (@id, @type, @runAt, @every, @data, @attempts) ON CONFLICT (id) DO NOTHING`),
+    // A job being run keeps its lease; the runner's result wins
+    upsertJob: db.prepare(`INSERT INTO jobs (id, type, run_at, every, data, attempts)
+      VALUES (@id, @type, @runAt, @every, @data, @attempts)
+      ON CONFLICT (id) DO UPDATE SET type = excluded.type, run_at = excluded.run_at, every = excluded.every,
+        data = excluded.data, attempts = excluded.attempts`),
+    deleteJob: db.prepare('DELETE FROM jobs WHERE id = ?'),
+    dueJobs: db.prepare(`SELECT * FROM jobs WHERE run_at <= ? AND (lease_until IS NULL OR lease_until <= ?)
+      ORDER BY run_at LIMIT ?`),
+    leaseJob: db.prepare('UPDATE jobs SET lease_owner = ?, lease_until = ? WHERE id = ?'),
+    deleteLeasedJob: db.prepare('DELETE FROM jobs WHERE id = ? AND lease_owner = ?'),
+    rescheduleJob: db.prepare(`UPDATE jobs SET run_at = @runAt, data = @data, attempts = @attempts,
+      lease_owner = NULL, lease_until = NULL WHERE id = @id AND lease_owner = @owner`),
+    job: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+    allJobs: db.prepare('SELECT * FROM jobs ORDER BY run_at'),
+  };
+
+  const jobParams = job => ({
+    id: job.id,
+    type: job.type,
+    runAt: job.runAt,
+    every: job.every ?? null,
+    data: job.data == null ? null : JSON.stringify(job.data),
+    attempts: job.attempts ?? 0,
+  });
+
+  // IMMEDIATE takes the write lock up front, so two processes can't both
+  // read the same due job before either has leased it
+  const claim = db.transaction((owner, now, leaseMs, limit) => {
+    const rows = stmts.dueJobs.all(now, now, limit);
+    for (const row of rows) stmts.leaseJob.run(owner, now + leaseMs, row.id);
+    return rows.map(row => ({ ...rowToJob(row), leaseOwner: owner, leaseUntil: now + leaseMs }));
+  });
+
+  return {
+    name: 'sqlite',
+
+    // Any number of processes can share the database; SQLite does the locking
+    async lock() {
+      return () => {};
+    },
+
+    loadGuild(guildId) {
+      const row = stmts.getGuild.get(guildId);
+      return row ? JSON.parse(row.config) : null;
+    },
+
+    saveGuild(guildId, config) {
+      stmts.upsertGuild.run(guildId, JSON.stringify(config));
+    },
+
+    loadAllGuilds() {
+      const configs = {};
+      for (const row of stmts.allGuilds.all()) configs[row.guild_id] = JSON.parse(row.config);
+      return configs;
+    },
+
+    insertReminder(reminder) {
+      stmts.insertReminder.run(reminder.id, reminder.guildId, JSON.stringify(reminder), Date.now());
+    },
+
+    replaceReminder(reminder) {
+      stmts.updateReminder.run(reminder.guildId, JSON.stringify(reminder), reminder.id);
+    },
+
+    deleteReminder(id) {
+      stmts.deleteReminder.run(id);
+    },
+
+    loadReminders(guildId) {
+      const rows = guildId ? stmts.guildReminders.all(guildId) : stmts.allReminders.all();
+      return rows.map(row => JSON.parse(row.data));
+    },
+
+    saveJob(job, { ifMissing = false } = {}) {
+      return (ifMissing ? stmts.insertJob : stmts.upsertJob).run(jobParams(job)).changes > 0;
+    },
+
+    deleteJob(id) {
+      stmts.deleteJob.run(id);
+    },
+
+    claimJobs(owner, now, leaseMs, limit) {
+      return claim.immediate(owner, now, leaseMs, limit);
+    },
+
+    finishJob(id, owner, next) {
+      if (!next) return stmts.deleteLeasedJob.run(id, owner).changes > 0;
+      const current = stmts.job.get(id);
+      if (!current) return false;
+      const params = jobParams({ ...rowToJob(current), ...next });
+      return stmts.rescheduleJob.run({ id, owner, runAt: params.runAt, data: params.data, attempts: params.attempts }).changes > 0;
+    },
+
+    loadJobs() {
+      return stmts.allJobs.all().map(rowToJob);
+    },
+  };
+}
+
+module.exports = { createSqliteBackend };
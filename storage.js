@@ -1,84 +1,194 @@
 /**
  * storage.js
- * Simple JSON-based persistence for guild configs and reminders.
- * For production, swap this out for a database like SQLite or PostgreSQL.
+ * Persistence for guild configs, reminders and the job queue (see
+ * jobqueue.js). The actual reads and writes
+ * go through a backend chosen with STORAGE_BACKEND:
+ *   - "json" (default): guilds.json + reminders.json + jobs.json, see
+ *     storage-json.js
+ *   - "sqlite": a SQLite database, see storage-sqlite.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const { createJsonBackend } = require('./storage-json');
 
 const DATA_DIR = path.join(__dirname, 'data');
-const CONFIG_FILE = path.join(DATA_DIR, 'guilds.json');
-const REMINDERS_FILE = path.join(DATA_DIR, 'reminders.json');
 
 // Ensure data dir exists
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
-// ─── Guild Configs ────────────────────────────────────────────────────────────
-
-function loadConfigs() {
-  try {
-    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-  } catch {
-    return {};
+function createBackend(name) {
+  switch (name) {
+    case 'sqlite':
+      return require('./storage-sqlite').createSqliteBackend(DATA_DIR);
+    case 'json':
+    case undefined:
+    case '':
+      return createJsonBackend(DATA_DIR);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${name}" (expected "json" or "sqlite").`);
   }
 }
 
-function saveConfigs(configs) {
-  fs.writeFileSync(CONFIG_FILE, JSON.stringify(configs, null, 2));
+const backend = createBackend(process.env.STORAGE_BACKEND?.toLowerCase());
+
+/**
+ * Wait until this process may write to storage: with the JSON backend, until
+ * no other instance is using the data dir. Call before anything is written.
+ */
+function lock() {
+  return backend.lock();
+}
+
+// ─── Guild Configs ────────────────────────────────────────────────────────────
+
+// Per-league fields that lived at the top level of a guild config before
+// guilds could track more than one league
+const LEGACY_LEAGUE_FIELDS = ['leagueUrl', 'leagueCache', 'lastFetched', 'roundDetails', 'standingsHistory'];
+
+/**
+ * Move a single-league config into the `leagues` map under "main".
+ */
+function upgradeConfig(config) {
+  if (!config || config.leagues || !config.leagueUrl) return config;
+  const league = { name: 'main' };
+  for (const field of LEGACY_LEAGUE_FIELDS) {
+    if (config[field] !== undefined) league[field] = config[field];
+    delete config[field];
+  }
+  config.leagues = { main: league };
+  config.defaultLeague = 'main';
+  return config;
 }
 
 function getGuildConfig(guildId) {
-  const configs = loadConfigs();
-  return configs[guildId] || null;
+  return upgradeConfig(backend.loadGuild(guildId));
 }
 
 function setGuildConfig(guildId, updates) {
-  const configs = loadConfigs();
-  configs[guildId] = { ...(configs[guildId] || {}), ...updates };
-  saveConfigs(configs);
-  return configs[guildId];
+  const config = { ...(getGuildConfig(guildId) || {}), ...updates };
+  backend.saveGuild(guildId, config);
+  return config;
 }
 
-// ─── Reminders ────────────────────────────────────────────────────────────────
+function getAllGuildConfigs() {
+  const configs = backend.loadAllGuilds();
+  for (const guildId of Object.keys(configs)) upgradeConfig(configs[guildId]);
+  return configs;
+}
 
-function loadReminders() {
-  try {
-    return JSON.parse(fs.readFileSync(REMINDERS_FILE, 'utf8'));
-  } catch {
-    return [];
-  }
+// ─── Leagues ──────────────────────────────────────────────────────────────────
+
+function getLeagues(guildId) {
+  return getGuildConfig(guildId)?.leagues || {};
+}
+
+/**
+ * Get one of a guild's leagues by key, or its default league when no key is
+ * given. The returned object carries its own `key`.
+ */
+function getLeague(guildId, key) {
+  const config = getGuildConfig(guildId);
+  const leagues = config?.leagues || {};
+  const resolved = key || config?.defaultLeague || Object.keys(leagues)[0];
+  return leagues[resolved] ? { key: resolved, ...leagues[resolved] } : null;
+}
+
+function setLeague(guildId, key, updates) {
+  const config = getGuildConfig(guildId) || {};
+  const leagues = config.leagues || {};
+  leagues[key] = { ...(leagues[key] || { name: key }), ...updates };
+  backend.saveGuild(guildId, { ...config, leagues, defaultLeague: config.defaultLeague || key });
+  return { key, ...leagues[key] };
 }
 
-function saveReminders(reminders) {
-  fs.writeFileSync(REMINDERS_FILE, JSON.stringify(reminders, null, 2));
+function removeLeague(guildId, key) {
+  const config = getGuildConfig(guildId);
+  if (!config?.leagues?.[key]) return false;
+  delete config.leagues[key];
+  if (config.defaultLeague === key) config.defaultLeague = Object.keys(config.leagues)[0] || null;
+  backend.saveGuild(guildId, config);
+  return true;
 }
 
+// ─── Reminders ────────────────────────────────────────────────────────────────
+
 function addReminder(reminder) {
-  const reminders = loadReminders();
-  reminders.push(reminder);
-  saveReminders(reminders);
+  backend.insertReminder(reminder);
+}
+
+/**
+ * Replace a stored reminder with an updated copy (matched by id).
+ */
+function updateReminder(reminder) {
+  backend.replaceReminder(reminder);
 }
 
 function removeReminder(id) {
-  const reminders = loadReminders();
-  const filtered = reminders.filter(r => r.id !== id);
-  saveReminders(filtered);
+  backend.deleteReminder(id);
 }
 
 function getRemindersForGuild(guildId) {
-  return loadReminders().filter(r => r.guildId === guildId);
+  return backend.loadReminders(guildId);
 }
 
 function getAllReminders() {
-  return loadReminders();
+  return backend.loadReminders();
+}
+
+// ─── Jobs ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Insert or update a job. With `ifMissing`, an existing job is left as it
+ * is. Returns whether anything was written.
+ */
+function saveJob(job, options) {
+  return backend.saveJob(job, options);
+}
+
+function removeJob(id) {
+  backend.deleteJob(id);
+}
+
+/**
+ * Lease up to `limit` due jobs to `owner` until `now + leaseMs`. Jobs
+ * leased by someone else are skipped until their lease runs out.
+ */
+function claimJobs(owner, now, leaseMs, limit) {
+  return backend.claimJobs(owner, now, leaseMs, limit);
+}
+
+/**
+ * Release a claimed job: delete it (`next` null) or store `next`'s changes
+ * to it. Returns false if the lease was lost, i.e. the job was removed or
+ * taken over in the meantime.
+ */
+function finishJob(id, owner, next) {
+  return backend.finishJob(id, owner, next);
+}
+
+function getJobs() {
+  return backend.loadJobs();
 }
 
 module.exports = {
+  lock,
   getGuildConfig,
   setGuildConfig,
+  getAllGuildConfigs,
+  getLeagues,
+  getLeague,
+  setLeague,
+  removeLeague,
   addReminder,
+  updateReminder,
   removeReminder,
   getRemindersForGuild,
   getAllReminders,
+  saveJob,
+  removeJob,
+  claimJobs,
+  finishJob,
+  getJobs,
+  backendName: backend.name,
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+/**
+ * Tests for announcer.js's diffing — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLeague } = require('../announcer');
+
+const ROUNDS = [
+  { roundId: 'r1', name: 'Songs About Rain', status: '✅ Finished', submissionDeadline: '2024-12-01T12:00:00Z' },
+  { roundId: 'r2', name: 'Covers', status: '🗳️ Voting Open', submissionDeadline: '2024-12-08T12:00:00Z' },
+];
+
+test('a new round, a phase change and a moved deadline are each reported', () => {
+  const next = [
+    ROUNDS[0],
+    { ...ROUNDS[1], status: '✅ Finished', submissionDeadline: '2024-12-09T12:00:00Z' },
+    { roundId: 'r3', name: 'One-Hit Wonders', status: '📤 Submissions Open' },
+  ];
+  const events = diffLeague({ rounds: ROUNDS }, { rounds: next });
+  assert.deepEqual(events.map(e => [e.type, e.round.roundId]), [['phaseChange', 'r2'], ['deadlineChange', 'r2'], ['newRound', 'r3']]);
+});
+
+test('rounds coming back after an empty poll are not announced as new', () => {
+  const empty = { rounds: [] };
+  const full = { rounds: ROUNDS };
+  assert.deepEqual(diffLeague(empty, full), []);
+  // The first round of a new league still is
+  assert.deepEqual(diffLeague(empty, { rounds: [ROUNDS[1]] }).map(e => e.type), ['newRound']);
+});
+
+test('a failed rounds fetch reports nothing', () => {
+  assert.deepEqual(diffLeague({ rounds: ROUNDS }, { roundsError: 'HTTP 500 fetching rounds.' }), []);
+  assert.deepEqual(diffLeague({ rounds: ROUNDS }, { rounds: [], roundsError: 'HTTP 500 fetching rounds.' }), []);
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for archive.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory storage, so the tests don't touch data/
+const configs = {};
+require.cache[require.resolve('../storage')] = {
+  exports: {
+    getGuildConfig: guildId => configs[guildId] || {},
+    setGuildConfig: (guildId, updates) => { configs[guildId] = { ...configs[guildId], ...updates }; },
+    getLeague: (guildId, key) => ({ key, ...configs[guildId]?.leagues?.[key] }),
+    getLeagues: guildId => configs[guildId]?.leagues || {},
+  },
+};
+const archive = require('../archive');
+
+const GUILD = 'guild-1';
+const RAIN_ID = '1'.repeat(32);
+const COVERS_ID = '2'.repeat(32);
+const UMBRELLA = 'https://open.spotify.com/track/5TvE3pk05pyFIGdSY9j4DJ';
+
+function leagueData(leagueId, name, statuses) {
+  return {
+    leagueId,
+    name,
+    rounds: [
+      { roundId: RAIN_ID, name: 'Songs About Rain', theme: 'Anything with rain', status: statuses[0], url: 'https://example.test/rain/' },
+      { roundId: COVERS_ID, name: 'Covers', theme: 'Better than the original', status: statuses[1], url: 'https://example.test/covers/' },
+    ],
+    standings: [{ name: 'Ana', points: 12 }, { name: 'Ben', points: 9 }],
+  };
+}
+
+// Store league data the way poller.updateLeagueCache does
+function fetchLeague(key, data) {
+  const config = configs[GUILD] || {};
+  configs[GUILD] = { ...config, leagues: { ...config.leagues, [key]: { leagueUrl: `https://example.test/${key}/`, leagueCache: data } } };
+  return archive.recordLeague(GUILD, key, data);
+}
+
+const RAIN = {
+  roundId: RAIN_ID,
+  name: 'Songs About Rain',
+  theme: 'Anything with rain',
+  revealed: true,
+  submissions: [
+    { title: 'Umbrella', artist: 'Rihanna', submitter: 'Cleo', points: 4, trackId: '5TvE3pk05pyFIGdSY9j4DJ', trackUrl: UMBRELLA, votes: [] },
+    { title: 'Here Comes the Rain Again', artist: 'Eurythmics', submitter: 'Ana', points: 6, trackId: 'a'.repeat(22), votes: [] },
+  ],
+};
+
+test.beforeEach(() => {
+  for (const key of Object.keys(configs)) delete configs[key];
+});
+
+test('a season is finished once every round is complete', () => {
+  assert.equal(fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '🗳️ Voting'])).finished, false);
+  const season = fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  assert.equal(season.finished, true);
+  assert.equal(season.leagueUrl, 'https://example.test/indie/');
+  assert.deepEqual(season.rounds.map(r => r.number), [1, 2]);
+  assert.deepEqual(season.standings[0], { name: 'Ana', points: 12, rank: 1 });
+});
+
+test('only revealed rounds are archived, and finished ones without submissions are missing', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', { ...RAIN, roundId: COVERS_ID, revealed: false });
+  archive.recordRound(GUILD, 'indie', RAIN);
+  assert.deepEqual(archive.missingRounds(GUILD, 'indie').map(r => r.roundId), [COVERS_ID]);
+});
+
+test('a round that can\'t be archived is retried after a wait, then given up on', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', RAIN);
+  const HOUR = 3600000;
+  const now = Date.now();
+
+  archive.recordFailedAttempt(GUILD, 'indie', COVERS_ID);
+  assert.deepEqual(archive.missingRounds(GUILD, 'indie', now), []);
+  assert.deepEqual(archive.missingRounds(GUILD, 'indie', now + HOUR + 1000).map(r => r.roundId), [COVERS_ID]);
+
+  archive.recordFailedAttempt(GUILD, 'indie', COVERS_ID);
+  archive.recordFailedAttempt(GUILD, 'indie', COVERS_ID);
+  archive.recordFailedAttempt(GUILD, 'indie', COVERS_ID);
+  assert.deepEqual(archive.missingRounds(GUILD, 'indie', now + 365 * 24 * HOUR), []);
+
+  // Archived after all, say from /round
+  assert.equal(archive.recordRound(GUILD, 'indie', { ...RAIN, roundId: COVERS_ID }), true);
+  const covers = configs[GUILD].archive.L1.rounds.find(r => r.roundId === COVERS_ID);
+  assert.equal(covers.archiveAttempts, undefined);
+});
+
+test('the archive outlives the league and a new season with the same key', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', RAIN);
+  // The league's URL is changed to next season's league
+  fetchLeague('indie', { ...leagueData('L2', 'Indie Heads II', ['📤 Submissions Open', '⏳ Upcoming']), standings: [] });
+
+  assert.deepEqual(Object.keys(configs[GUILD].archive), ['L1', 'L2']);
+  assert.equal(configs[GUILD].archive.L1.rounds[0].submissions.length, 2);
+  assert.deepEqual(archive.search(GUILD, 'umbrella').map(s => s.season.name), ['Indie Heads']);
+});
+
+test('past seasons for /stats are the archived ones no tracked league is on', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', RAIN);
+  assert.deepEqual(archive.pastSeasons(GUILD), []);
+
+  // Next season's league, and a removed league that left its archive behind
+  fetchLeague('indie', leagueData('L2', 'Indie Heads II', ['📤 Submissions Open', '⏳ Upcoming']));
+  fetchLeague('rock', leagueData('L3', 'Rock Night', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'rock', RAIN);
+  delete configs[GUILD].leagues.rock;
+
+  const seasons = archive.pastSeasons(GUILD);
+  assert.deepEqual(seasons.map(s => s.name), ['Indie Heads', 'Rock Night']);
+  assert.deepEqual(seasons[0].rounds.map(r => [r.number, r.detail.name, r.detail.withoutVotes]), [[1, 'Songs About Rain', true]]);
+  assert.equal(seasons[0].rounds[0].detail.submissions[0].submitter, 'Cleo');
+});
+
+test('search by field, ignoring case and accents', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', { ...RAIN, submissions: [...RAIN.submissions, { title: 'Rain', artist: 'Beyoncé', submitter: 'Ben', points: 0 }] });
+
+  assert.deepEqual(archive.search(GUILD, 'beyonce', 'artist').map(s => s.title), ['Rain']);
+  assert.deepEqual(archive.search(GUILD, 'rain', 'track').map(s => s.title), ['Here Comes the Rain Again', 'Rain']);
+  assert.equal(archive.search(GUILD, 'rain', 'theme').length, 3);
+  assert.deepEqual(archive.search(GUILD, 'cleo', 'submitter').map(s => s.title), ['Umbrella']);
+  assert.equal(archive.search(GUILD, 'rain').length, 3);
+});
+
+test('a Spotify link or URI matches the track exactly', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', RAIN);
+
+  assert.equal(archive.search(GUILD, `${UMBRELLA}?si=abc123`)[0].submitter, 'Cleo');
+  assert.equal(archive.search(GUILD, 'spotify:track:5TvE3pk05pyFIGdSY9j4DJ').length, 1);
+  assert.equal(archive.search(GUILD, `https://open.spotify.com/track/${'z'.repeat(22)}`).length, 0);
+});
+
+test('repeats are earlier submissions of the same track in other rounds', () => {
+  fetchLeague('indie', leagueData('L1', 'Indie Heads', ['✅ Complete', '✅ Complete']));
+  archive.recordRound(GUILD, 'indie', RAIN);
+
+  const covers = {
+    roundId: COVERS_ID,
+    submissions: [
+      { title: 'Umbrella', artist: 'Rihanna', trackId: '5TvE3pk05pyFIGdSY9j4DJ' },
+      { title: 'here comes the rain again', artist: 'EURYTHMICS' },
+      { title: 'Hurt', artist: 'Johnny Cash', trackId: 'b'.repeat(22) },
+    ],
+  };
+  const repeats = archive.findRepeats(GUILD, covers);
+  assert.equal(repeats.size, 1);
+  assert.equal(repeats.get(archive.trackKey(covers.submissions[0])).submitter, 'Cleo');
+  assert.deepEqual(archive.listRepeats(GUILD, covers).map(r => [r.submission.title, r.before.round.name]), [['Umbrella', 'Songs About Rain']]);
+  // The round itself doesn't count
+  assert.equal(archive.findRepeats(GUILD, RAIN).size, 0);
+});
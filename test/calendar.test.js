@@ -0,0 +1,107 @@
+/**
+ * Tests for calendar.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Only the feed and the stored sequences go through storage; tests fill in what they use
+const storage = {};
+require.cache[require.resolve('../storage')] = { exports: storage };
+const { collectEvents, assignSequences, syncSequences, buildIcs } = require('../calendar');
+const i18n = require('../i18n');
+
+const t = i18n.translator('en');
+
+const RAIN_ID = '1'.repeat(32);
+const CONFIG = {
+  defaultLeague: 'indie',
+  leagues: {
+    indie: {
+      leagueUrl: 'https://app.musicleague.com/l/abc/',
+      leagueCache: {
+        name: 'Indie Heads',
+        rounds: [
+          { roundId: RAIN_ID, name: 'Songs About Rain', theme: 'Anything with rain', url: 'https://app.musicleague.com/l/abc/r/1/', submissionDeadline: '2024-12-21T18:00:00Z', votingDeadline: '2024-12-23T18:00:00Z' },
+          // No ID or deadlines: nothing to add
+          { name: 'Parsed dates only' },
+        ],
+      },
+    },
+  },
+};
+const REMINDERS = [
+  { id: 'auto0001', auto: true, type: 'voting', deadline: '2024-12-23T18:00:00Z', leagueKey: 'indie' },
+  { id: 'dup00001', type: 'voting', label: 'Voting', emoji: '🗳️', deadline: '2024-12-23T18:00:00Z' },
+  { id: 'abcd1234', type: 'submission', label: 'Submission', emoji: '📤', deadline: '2025-01-04T18:00:00Z' },
+];
+
+test('round deadlines and manual reminders become events, without duplicates', () => {
+  const events = collectEvents(CONFIG, REMINDERS, t);
+  assert.deepEqual(events.map(e => e.uid), [
+    `${RAIN_ID}-submission@musicleague-bot`,
+    `${RAIN_ID}-voting@musicleague-bot`,
+    'reminder-abcd1234@musicleague-bot',
+  ]);
+  assert.equal(events[1].summary, '🗳️ Voting closes: Songs About Rain');
+  assert.equal(events[1].description, 'Indie Heads\nAnything with rain');
+  assert.equal(events[2].summary, '📤 Submission deadline');
+  assert.equal(events[2].leagueKey, 'indie');
+});
+
+test('event titles are written in the language asked for', () => {
+  const events = collectEvents(CONFIG, REMINDERS, i18n.translator('es'));
+  assert.equal(events[1].summary, '🗳️ Cierra la votación: Songs About Rain');
+  assert.equal(events[2].summary, '📤 Fecha límite: Envío de canciones');
+  assert.equal(events[2].description, 'Indie Heads\nCreado con /remind');
+});
+
+test('the sequence only goes up when an event moves', () => {
+  const first = collectEvents(CONFIG, REMINDERS, t);
+  const stored = assignSequences(first);
+  assert.deepEqual(first.map(e => e.sequence), [0, 0, 0]);
+
+  const moved = collectEvents(CONFIG, [{ ...REMINDERS[2], deadline: '2025-01-05T18:00:00Z' }], t);
+  const next = assignSequences(moved, stored);
+  assert.deepEqual(moved.map(e => e.sequence), [0, 0, 1]);
+  assert.equal(next['reminder-abcd1234@musicleague-bot'].start, '2025-01-05T18:00:00.000Z');
+});
+
+test('sequences are only stored again when an event moved', () => {
+  let config = { ...CONFIG };
+  let writes = 0;
+  storage.getGuildConfig = () => config;
+  storage.getRemindersForGuild = () => REMINDERS;
+  storage.setGuildConfig = (guildId, update) => {
+    writes++;
+    config = { ...config, ...update };
+  };
+
+  syncSequences('guild-1');
+  syncSequences('guild-1');
+  assert.equal(writes, 1);
+
+  storage.getRemindersForGuild = () => [{ ...REMINDERS[2], deadline: '2025-01-05T18:00:00Z' }];
+  const events = syncSequences('guild-1');
+  assert.equal(writes, 2);
+  assert.equal(events.at(-1).sequence, 1);
+});
+
+test('iCalendar output is escaped, folded and CRLF-terminated', () => {
+  const events = collectEvents(CONFIG, [], t);
+  events[0].summary = `📤 Submissions close: Rain, Sleet; Snow \\ Hail ${'x'.repeat(60)}`;
+  const ics = buildIcs('Music League — Indie', events, new Date('2024-12-20T12:00:00Z'));
+
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.match(ics, /\r\nDTSTART:20241221T180000Z\r\n/);
+  assert.match(ics, /\r\nDTSTAMP:20241220T120000Z\r\n/);
+  assert.match(ics, /\r\nTRIGGER:-PT60M\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:Indie Heads\\nAnything with rain\r\n/);
+
+  const lines = ics.split('\r\n');
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+  const unfolded = ics.replace(/\r\n /g, '').split('\r\n');
+  const summary = unfolded.find(line => line.startsWith('SUMMARY:'));
+  assert.equal(summary, `SUMMARY:📤 Submissions close: Rain\\, Sleet\\; Snow \\\\ Hail ${'x'.repeat(60)}`);
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for datetime.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDeadline, parseLeadTimes, formatLead, formatDeadline, isValidTimeZone, canonicalTimeZone, zonedTimeToDate, formatInZone } = require('../datetime');
+
+const NY = 'America/New_York';
+const BERLIN = 'Europe/Berlin';
+const SYDNEY = 'Australia/Sydney';
+
+// Wednesday 2026-03-04 10:00 in New York (15:00Z, EST)
+const NOW = new Date('2026-03-04T15:00:00Z');
+
+function parse(input, timeZone = NY, now = NOW) {
+  const d = parseDeadline(input, { timeZone, now });
+  return d && d.toISOString();
+}
+
+// ─── Absolute Input ───────────────────────────────────────────────────────────
+
+test('ISO 8601 with Z or an offset ignores the guild zone', () => {
+  assert.equal(parse('2024-12-25T18:00:00Z'), '2024-12-25T18:00:00.000Z');
+  assert.equal(parse('2024-12-25T13:00:00-05:00', BERLIN), '2024-12-25T18:00:00.000Z');
+  assert.equal(parse('2024-12-25T19:00+0100'), '2024-12-25T18:00:00.000Z');
+  assert.equal(parse('2024-12-25T18:00:00.500Z'), '2024-12-25T18:00:00.500Z');
+});
+
+test('"YYYY-MM-DD HH:mm" is read in the guild zone', () => {
+  assert.equal(parse('2024-12-25 18:00', NY), '2024-12-25T23:00:00.000Z');
+  assert.equal(parse('2024-12-25 18:00', BERLIN), '2024-12-25T17:00:00.000Z');
+  assert.equal(parse('2024-12-25 18:00', 'UTC'), '2024-12-25T18:00:00.000Z');
+  assert.equal(parse('2024-07-01 18:00', NY), '2024-07-01T22:00:00.000Z');
+  assert.equal(parse('2024-12-25T18:00', NY), '2024-12-25T23:00:00.000Z');
+  assert.equal(parse('2024-12-25 9:30', NY), '2024-12-25T14:30:00.000Z');
+});
+
+test('a bare ISO date means midnight in the guild zone', () => {
+  assert.equal(parse('2024-12-25', NY), '2024-12-25T05:00:00.000Z');
+});
+
+test('impossible calendar dates are rejected instead of rolled over', () => {
+  assert.equal(parse('2026-02-30 18:00'), null);
+  assert.equal(parse('2026-13-01 18:00'), null);
+  assert.equal(parse('2026-04-31'), null);
+  assert.equal(parse('2026-01-01 24:00'), null);
+  assert.equal(parse('2028-02-29 12:00', 'UTC'), '2028-02-29T12:00:00.000Z');
+  assert.equal(parse('2024-02-30T10:00Z'), null);
+  assert.equal(parse('2024-04-31T10:00:00+02:00'), null);
+  assert.equal(parse('2024-02-29T10:00Z'), '2024-02-29T10:00:00.000Z');
+});
+
+test('garbage and empty input return null', () => {
+  assert.equal(parse(''), null);
+  assert.equal(parse('soon'), null);
+  assert.equal(parse('in a while'), null);
+  assert.equal(parse('in 3 fortnights'), null);
+  assert.equal(parse('blursday 6pm'), null);
+  assert.equal(parse('13pm'), null);
+  assert.equal(parse('25:00'), null);
+  assert.equal(parseDeadline(null), null);
+});
+
+// ─── Relative Input ───────────────────────────────────────────────────────────
+
+test('"in N units" adds durations', () => {
+  assert.equal(parse('in 30 minutes'), '2026-03-04T15:30:00.000Z');
+  assert.equal(parse('in 2 hours'), '2026-03-04T17:00:00.000Z');
+  assert.equal(parse('in 1h30m'), '2026-03-04T16:30:00.000Z');
+  assert.equal(parse('in 1 hour and 15 min'), '2026-03-04T16:15:00.000Z');
+  assert.equal(parse('in 3 days'), '2026-03-07T15:00:00.000Z');
+  assert.equal(parse('in 1 week'), '2026-03-11T14:00:00.000Z'); // crosses US DST start, see below
+  assert.equal(parse('In 2 Days'), '2026-03-06T15:00:00.000Z');
+});
+
+test('"today", "tomorrow" and bare times', () => {
+  assert.equal(parse('tomorrow 18:00'), '2026-03-05T23:00:00.000Z');
+  assert.equal(parse('tomorrow at 6pm'), '2026-03-05T23:00:00.000Z');
+  assert.equal(parse('today 6:30 pm'), '2026-03-04T23:30:00.000Z');
+  assert.equal(parse('tomorrow'), '2026-03-05T15:00:00.000Z');
+  assert.equal(parse('tomorrow noon'), '2026-03-05T17:00:00.000Z');
+  assert.equal(parse('tomorrow midnight'), '2026-03-05T05:00:00.000Z');
+  // Later today, or tomorrow once the time has passed
+  assert.equal(parse('18:00'), '2026-03-04T23:00:00.000Z');
+  assert.equal(parse('at 9am'), '2026-03-05T14:00:00.000Z');
+  assert.equal(parse('12am'), '2026-03-05T05:00:00.000Z');
+  assert.equal(parse('12pm'), '2026-03-04T17:00:00.000Z');
+});
+
+test('weekday names pick the next occurrence', () => {
+  // NOW is a Wednesday
+  assert.equal(parse('friday 6pm'), '2026-03-06T23:00:00.000Z');
+  assert.equal(parse('fri 18:00'), '2026-03-06T23:00:00.000Z');
+  assert.equal(parse('on Monday at 9am'), '2026-03-09T13:00:00.000Z'); // after DST start: EDT
+  assert.equal(parse('wednesday 6pm'), '2026-03-04T23:00:00.000Z');
+  assert.equal(parse('wednesday 9am'), '2026-03-11T13:00:00.000Z');
+  assert.equal(parse('next wednesday 6pm'), '2026-03-11T22:00:00.000Z');
+  assert.equal(parse('6pm friday'), '2026-03-06T23:00:00.000Z');
+});
+
+test('month names, with and without a year', () => {
+  assert.equal(parse('dec 25 18:00'), '2026-12-25T23:00:00.000Z');
+  assert.equal(parse('December 25th, 2027 at 6pm'), '2027-12-25T23:00:00.000Z');
+  assert.equal(parse('25 dec 6pm'), '2026-12-25T23:00:00.000Z');
+  assert.equal(parse('3rd of march 10am'), '2027-03-03T15:00:00.000Z'); // already passed this year
+  assert.equal(parse('feb 30 6pm'), null);
+});
+
+test('relative input uses the guild zone for the calendar day', () => {
+  // 23:30Z on Mar 4 is already Mar 5 in Berlin
+  const late = new Date('2026-03-04T23:30:00Z');
+  assert.equal(parse('tomorrow 18:00', BERLIN, late), '2026-03-06T17:00:00.000Z');
+  assert.equal(parse('tomorrow 18:00', NY, late), '2026-03-05T23:00:00.000Z');
+});
+
+// ─── DST Edge Cases ───────────────────────────────────────────────────────────
+
+test('times in the spring-forward gap move past it', () => {
+  // US clocks jump 02:00 → 03:00 on 2026-03-08; 02:30 doesn't exist
+  assert.equal(parse('2026-03-08 02:30', NY), '2026-03-08T07:30:00.000Z'); // = 03:30 EDT
+  assert.equal(formatInZone(new Date('2026-03-08T07:30:00Z'), NY), 'Mar 8, 2026, 3:30 AM EDT');
+  // EU clocks jump 02:00 → 03:00 on 2026-03-29
+  assert.equal(parse('2026-03-29 02:15', BERLIN), '2026-03-29T01:15:00.000Z'); // = 03:15 CEST
+});
+
+test('times in the fall-back overlap resolve to the earlier instant', () => {
+  // US clocks go 02:00 → 01:00 on 2026-11-01; 01:30 happens twice
+  assert.equal(parse('2026-11-01 01:30', NY), '2026-11-01T05:30:00.000Z'); // 01:30 EDT
+  // EU clocks go 03:00 → 02:00 on 2026-10-25; 02:30 happens twice
+  assert.equal(parse('2026-10-25 02:30', BERLIN), '2026-10-25T00:30:00.000Z'); // 02:30 CEST
+  // Southern hemisphere: Sydney goes 03:00 → 02:00 on 2026-04-05
+  assert.equal(parse('2026-04-05 02:30', SYDNEY), '2026-04-04T15:30:00.000Z'); // 02:30 AEDT
+});
+
+test('times either side of a transition use the right offset', () => {
+  assert.equal(parse('2026-03-08 01:59', NY), '2026-03-08T06:59:00.000Z');
+  assert.equal(parse('2026-03-08 03:00', NY), '2026-03-08T07:00:00.000Z');
+  assert.equal(parse('2026-11-01 00:59', NY), '2026-11-01T04:59:00.000Z');
+  assert.equal(parse('2026-11-01 02:00', NY), '2026-11-01T07:00:00.000Z');
+});
+
+test('"in N days" keeps the wall-clock time across a DST change', () => {
+  // 10:00 EST Wednesday → 10:00 EDT the next Wednesday (one hour less elapsed)
+  assert.equal(parse('in 7 days'), '2026-03-11T14:00:00.000Z');
+  // Hours are exact durations, so they don't
+  assert.equal(parse('in 168 hours'), '2026-03-11T15:00:00.000Z');
+});
+
+test('"tomorrow" on the day clocks change keeps the requested time', () => {
+  const sat = new Date('2026-03-07T17:00:00Z'); // Sat 12:00 EST
+  assert.equal(parse('tomorrow 18:00', NY, sat), '2026-03-08T22:00:00.000Z'); // Sun 18:00 EDT
+  const satFall = new Date('2026-10-31T16:00:00Z'); // Sat 12:00 EDT
+  assert.equal(parse('tomorrow 18:00', NY, satFall), '2026-11-01T23:00:00.000Z'); // Sun 18:00 EST
+});
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('America/New_York'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Europe/Nowhere'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(undefined), false);
+  assert.equal(isValidTimeZone('EST'), false);
+  assert.equal(isValidTimeZone('CET'), false);
+  assert.equal(isValidTimeZone('utc'), true);
+});
+
+test('canonicalTimeZone fixes the spelling of a zone name', () => {
+  assert.equal(canonicalTimeZone('europe/berlin'), BERLIN);
+  assert.equal(canonicalTimeZone('utc'), 'UTC');
+  assert.equal(canonicalTimeZone('US/Eastern'), NY);
+  assert.equal(canonicalTimeZone('EST'), null);
+});
+
+test('zonedTimeToDate handles zones with non-hour offsets', () => {
+  assert.equal(zonedTimeToDate({ year: 2026, month: 1, day: 1, hour: 12 }, 'Asia/Kolkata').toISOString(), '2026-01-01T06:30:00.000Z');
+  assert.equal(zonedTimeToDate({ year: 2026, month: 1, day: 1, hour: 12 }, 'Asia/Kathmandu').toISOString(), '2026-01-01T06:15:00.000Z');
+});
+
+// ─── Lead Times ───────────────────────────────────────────────────────────────
+
+test('parseLeadTimes reads minute lists and unit suffixes, longest first', () => {
+  assert.deepEqual(parseLeadTimes('1440,60,10'), [1440, 60, 10]);
+  assert.deepEqual(parseLeadTimes('10, 1440, 60'), [1440, 60, 10]);
+  assert.deepEqual(parseLeadTimes('1d 1h 10m'), [1440, 60, 10]);
+  assert.deepEqual(parseLeadTimes('2h,120'), [120]);
+  assert.deepEqual(parseLeadTimes('1w'), [10080]);
+  assert.deepEqual(parseLeadTimes(60), [60]);
+});
+
+test('parseLeadTimes rejects bad entries', () => {
+  assert.equal(parseLeadTimes(''), null);
+  assert.equal(parseLeadTimes('0'), null);
+  assert.equal(parseLeadTimes('60,soon'), null);
+  assert.equal(parseLeadTimes('5x'), null);
+  assert.equal(parseLeadTimes('-10'), null);
+  assert.equal(parseLeadTimes('1,2,3,4,5,6,7,8,9,10,11'), null);
+  assert.equal(parseLeadTimes(null), null);
+});
+
+test('formatLead renders compact durations', () => {
+  assert.equal(formatLead(10), '10m');
+  assert.equal(formatLead(60), '1h');
+  assert.equal(formatLead(90), '1h 30m');
+  assert.equal(formatLead(1440), '1d');
+  assert.equal(formatLead(1530), '1d 1h 30m');
+  assert.equal(formatLead(0), '0m');
+});
+
+test('formatDeadline renders Discord timestamps, or the raw text if it isn\'t a date', () => {
+  assert.equal(formatDeadline('2026-03-04T15:00:00Z'), '<t:1772636400:F> (<t:1772636400:R>)');
+  assert.equal(formatDeadline('in 2 days'), 'in 2 days');
+});
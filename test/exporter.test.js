@@ -0,0 +1,107 @@
+/**
+ * Tests for exporter.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildExport } = require('../exporter');
+
+const RAIN = {
+  roundId: '1'.repeat(32),
+  name: 'Songs About Rain',
+  theme: 'Anything with rain',
+  submissions: [
+    { title: 'Umbrella', artist: 'Rihanna, JAY-Z', submitter: 'Cleo', points: 1, trackUrl: 'https://open.spotify.com/track/3' },
+    { title: 'Here Comes the Rain Again', artist: 'Eurythmics', submitter: 'Ana', points: 5, trackUrl: 'https://open.spotify.com/track/1' },
+  ],
+};
+
+// Still open: no submitters or points yet
+const COVERS = {
+  roundId: '2'.repeat(32),
+  name: 'Covers "Better" Than the Original',
+  submissions: [
+    { title: 'Hurt', artist: 'Johnny Cash', trackUrl: 'https://open.spotify.com/track/4' },
+    { title: 'No Link' },
+  ],
+};
+
+test('CSV lists every track in result order, quoting where needed', () => {
+  const file = buildExport('Indie Heads', [{ number: 1, detail: RAIN }, { number: 2, detail: COVERS }], 'csv');
+  assert.equal(file.name, 'indie-heads-season.csv');
+  assert.equal(file.trackCount, 4);
+  assert.equal(file.content, [
+    'Round,Round Name,Position,Title,Artist,Submitter,Points,Link',
+    '1,Songs About Rain,1,Here Comes the Rain Again,Eurythmics,Ana,5,https://open.spotify.com/track/1',
+    '1,Songs About Rain,2,Umbrella,"Rihanna, JAY-Z",Cleo,1,https://open.spotify.com/track/3',
+    '2,"Covers ""Better"" Than the Original",1,Hurt,Johnny Cash,,,https://open.spotify.com/track/4',
+    '2,"Covers ""Better"" Than the Original",2,No Link,,,,',
+    '',
+  ].join('\r\n'));
+});
+
+test('CSV text that would run as a formula is escaped, negative points are not', () => {
+  const detail = {
+    roundId: '3'.repeat(32),
+    name: '+1 Songs',
+    submissions: [{ title: '=HYPERLINK("https://example.com","Click")', artist: '@Mention', submitter: '-Ana', points: -2 }],
+  };
+  const [, row] = buildExport('Indie Heads', [{ number: 3, detail }], 'csv').content.split('\r\n');
+  assert.equal(row, `3,'+1 Songs,1,"'=HYPERLINK(""https://example.com"",""Click"")",'@Mention,'-Ana,-2,`);
+});
+
+test('a season export with one loaded round is still named after the league', () => {
+  const file = buildExport('Indie Heads', [{ number: 1, detail: RAIN }], 'm3u', { season: true });
+  assert.equal(file.name, 'indie-heads-season.m3u');
+  assert.match(file.content, /^#PLAYLIST:Indie Heads — Season$/m);
+});
+
+test('M3U has one entry per linked track', () => {
+  const file = buildExport('Indie Heads', [{ number: 2, detail: COVERS }], 'm3u');
+  assert.equal(file.name, 'indie-heads-covers-better-than-the-original.m3u');
+  assert.equal(file.content, [
+    '#EXTM3U',
+    '#PLAYLIST:Indie Heads — Covers "Better" Than the Original',
+    '#EXTINF:-1,Johnny Cash - Hurt',
+    'https://open.spotify.com/track/4',
+    '',
+  ].join('\n'));
+});
+
+test('a season M3U marks where each round starts', () => {
+  const { content } = buildExport('Indie Heads', [{ number: 1, detail: RAIN }, { number: 2, detail: COVERS }], 'm3u');
+  assert.match(content, /^#PLAYLIST:Indie Heads — Season$/m);
+  assert.match(content, /^# Round 1: Songs About Rain\n#EXTINF:-1,Eurythmics - Here Comes the Rain Again$/m);
+  assert.match(content, /^# Round 2: Covers "Better" Than the Original$/m);
+});
+
+test('JSON keeps round and track fields', () => {
+  const { content } = buildExport('Indie Heads', [{ number: 1, detail: RAIN }], 'json');
+  const data = JSON.parse(content);
+  assert.equal(data.league, 'Indie Heads');
+  assert.equal(data.rounds[0].number, 1);
+  assert.equal(data.rounds[0].theme, 'Anything with rain');
+  assert.deepEqual(data.rounds[0].tracks[0], {
+    title: 'Here Comes the Rain Again',
+    artist: 'Eurythmics',
+    submitter: 'Ana',
+    points: 5,
+    url: 'https://open.spotify.com/track/1',
+  });
+});
+
+test('plain text reads like a results list', () => {
+  const { content } = buildExport('Indie Heads', [{ number: 1, detail: RAIN }], 'txt');
+  assert.equal(content, [
+    'Indie Heads — Songs About Rain',
+    '',
+    'Round 1: Songs About Rain',
+    'Anything with rain',
+    '',
+    '1. Here Comes the Rain Again — Eurythmics (Ana, 5 pts)',
+    '   https://open.spotify.com/track/1',
+    '2. Umbrella — Rihanna, JAY-Z (Cleo, 1 pts)',
+    '   https://open.spotify.com/track/3',
+    '',
+  ].join('\n'));
+});
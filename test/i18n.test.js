@@ -0,0 +1,84 @@
+/**
+ * Tests for i18n.js and the message catalogs — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SlashCommandBuilder } = require('discord.js');
+
+const CONFIGS = { g1: { language: 'de' }, g2: { language: 'xx' } };
+require.cache[require.resolve('../storage')] = { exports: { getGuildConfig: id => CONFIGS[id] || null } };
+const i18n = require('../i18n');
+
+// Slash command translations, which English keeps in bot.js instead
+const COMMAND_SECTIONS = ['commands', 'options', 'choices'];
+
+function flatten(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, value]) =>
+    (typeof value === 'string' ? [[`${prefix}${key}`, value]] : flatten(value, `${prefix}${key}.`)));
+}
+
+test('messages are interpolated, and missing keys fall back to English', () => {
+  assert.equal(i18n.translate('es', 'errors.unknownLeague', { key: 'main' }), '❌ No hay ninguna liga llamada `main`.');
+  assert.equal(i18n.translate('es', 'errors.noSuchRound', { number: 9 }), '❌ No existe la ronda 9: esta liga tiene {count} ronda(s).');
+  assert.equal(i18n.translate('fr', 'reminder.tip'), '💡 Tip');
+  assert.equal(i18n.translate('de', 'no.such.key'), 'no.such.key');
+});
+
+test('a server gets its own language, or English', () => {
+  assert.equal(i18n.getLanguage('g1'), 'de');
+  assert.equal(i18n.getLanguage('g2'), 'en');
+  assert.equal(i18n.getLanguage('unknown'), 'en');
+  assert.equal(i18n.forGuild('g1')('reminder.tip'), '💡 Tipp');
+});
+
+test('catalogs only use keys and placeholders English has', () => {
+  const english = new Map(flatten(i18n.CATALOGS.en));
+  for (const [language, catalog] of Object.entries(i18n.CATALOGS)) {
+    const messages = Object.fromEntries(Object.entries(catalog).filter(([key]) => !COMMAND_SECTIONS.includes(key)));
+    for (const [key, str] of flatten(messages)) {
+      assert.ok(english.has(key), `${language}: ${key} is not in the English catalog`);
+      const placeholders = str => (str.match(/\{\w+\}/g) || []).sort().join();
+      assert.equal(placeholders(str), placeholders(english.get(key)), `${language}: ${key} has different placeholders`);
+    }
+  }
+});
+
+test('command translations fit Discord\'s 100-character limit', () => {
+  for (const [language, catalog] of Object.entries(i18n.CATALOGS)) {
+    for (const section of COMMAND_SECTIONS) {
+      for (const [key, str] of flatten(catalog[section] || {})) {
+        assert.ok(str.length <= 100, `${language}: ${section}.${key} is ${str.length} characters`);
+      }
+    }
+  }
+});
+
+test('command names are valid Discord names, one command each', () => {
+  for (const [language, catalog] of Object.entries(i18n.CATALOGS)) {
+    const names = Object.values(catalog.commands || {}).map(command => command.name).filter(Boolean);
+    for (const name of names) {
+      assert.match(name, /^[-_\p{Ll}\p{Lo}\p{N}]{1,32}$/u, `${language}: "${name}" is not a valid command name`);
+    }
+    assert.equal(new Set(names).size, names.length, `${language}: two commands share a name`);
+  }
+});
+
+test('commands get name, description and choice localizations, with shared option text', () => {
+  const command = i18n.localizeCommand(new SlashCommandBuilder()
+    .setName('remind')
+    .setDescription('Set a reminder for submissions or voting')
+    .addStringOption(opt => opt.setName('type').setDescription('What to remind about').addChoices({ name: 'Both', value: 'both' }))
+    .addStringOption(opt => opt.setName('league').setDescription('Which league'))
+    .addStringOption(opt => opt.setName('unknown').setDescription('Not translated'))).toJSON();
+
+  assert.deepEqual(command.name_localizations, { 'es-ES': 'recordar', 'es-419': 'recordar', de: 'erinnern' });
+  assert.equal(command.description_localizations['es-ES'], 'Crea un recordatorio para enviar canciones o votar');
+  assert.equal(command.description_localizations['es-419'], command.description_localizations['es-ES']);
+  assert.equal(command.description_localizations['en-US'], undefined);
+  const [type, league, unknown] = command.options;
+  assert.equal(type.description_localizations.de, 'Woran erinnert werden soll');
+  assert.deepEqual(type.choices[0].name_localizations, { 'es-ES': 'Ambos', 'es-419': 'Ambos', de: 'Beides' });
+  assert.equal(league.description_localizations.de, i18n.CATALOGS.de.options.league);
+  assert.equal(unknown.description_localizations, null);
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for importer.js — run with `node --test`.
+ *
+ * test/fixtures/export holds a small Music League CSV export with a few
+ * rows that can't be matched on purpose.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+// i18n reads a guild's language through storage; these tests pick their own
+require.cache[require.resolve('../storage')] = { exports: {} };
+const { parseCsv, readCsv, buildImport, mergeScraped } = require('../importer');
+const i18n = require('../i18n');
+
+const t = i18n.translator('en');
+
+const LEAGUE_ID = '0123456789abcdef0123456789abcdef';
+const LEAGUE_URL = `https://app.musicleague.com/l/${LEAGUE_ID}/`;
+const RAIN = '1'.repeat(32);
+const COVERS = '2'.repeat(32);
+
+function readExport(...kinds) {
+  return Object.fromEntries(kinds.map(kind => [
+    kind,
+    fs.readFileSync(path.join(__dirname, 'fixtures', 'export', `${kind}.csv`), 'utf8'),
+  ]));
+}
+
+const ALL = ['competitors', 'rounds', 'submissions', 'votes'];
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+
+test('parseCsv handles quotes, escaped quotes, line breaks and CRLF', () => {
+  assert.deepEqual(parseCsv('a,b,c\r\n1,"two, three","say ""hi"""\r\n"multi\nline",,x\n'), [
+    ['a', 'b', 'c'],
+    ['1', 'two, three', 'say "hi"'],
+    ['multi\nline', '', 'x'],
+  ]);
+});
+
+test('parseCsv drops a byte order mark, blank lines and a missing final newline', () => {
+  assert.deepEqual(parseCsv('\uFEFFID,Name\n\n1,Ana\n   \n2,Ben'), [['ID', 'Name'], ['1', 'Ana'], ['2', 'Ben']]);
+});
+
+test('readCsv keys rows by lower-cased header and reports ragged rows', () => {
+  const { records, problems } = readCsv('competitors', 'ID, Name \n1,Ana\n2,Ben,extra\n', t);
+  assert.deepEqual(records, [{ row: 2, id: '1', name: 'Ana' }]);
+  assert.deepEqual(problems, ['competitors.csv row 3: 3 field(s), expected 2']);
+});
+
+test('readCsv rejects a file without the required columns', () => {
+  assert.throws(() => readCsv('votes', 'ID,Name\n1,Ana\n', t), /votes\.csv is missing column\(s\): spotify uri, voter id, points assigned, round id/);
+  assert.throws(() => readCsv('rounds', '', t), /rounds\.csv is empty/);
+});
+
+// ─── Full Export ──────────────────────────────────────────────────────────────
+
+test('a full export becomes members, rounds and standings', () => {
+  const { data, counts } = buildImport(readExport(...ALL), null, LEAGUE_URL, t);
+
+  assert.equal(data.leagueId, LEAGUE_ID);
+  assert.equal(data.imported, true);
+  assert.deepEqual(data.members.map(m => m.name), ['Ana', 'Ben', 'Cleo, the DJ']);
+
+  // Sorted by creation, not file order
+  assert.deepEqual(data.rounds.map(r => r.roundId), [RAIN, COVERS]);
+  assert.equal(data.rounds[0].theme, 'Anything with "rain" in the title\nor the lyrics');
+  assert.equal(data.rounds[0].url, `https://app.musicleague.com/l/${LEAGUE_ID}/r/${RAIN}/`);
+  assert.equal(data.rounds[0].status, '✅ Complete');
+
+  assert.deepEqual(data.standings, [
+    { name: 'Ana', points: 10, rank: 1 },
+    { name: 'Ben', points: 4, rank: 2 },
+    { name: 'Cleo, the DJ', points: 1, rank: 3 },
+  ]);
+  assert.deepEqual(counts, { members: 3, rounds: 2, submissions: 4, votes: 6 });
+});
+
+test('submissions and votes become round details like /round stores', () => {
+  const { roundDetails } = buildImport(readExport(...ALL), null, LEAGUE_URL, t);
+  const rain = roundDetails[RAIN];
+
+  assert.equal(rain.name, 'Songs About Rain');
+  assert.equal(rain.revealed, true);
+  assert.deepEqual(rain.submissions.map(s => [s.title, s.artist, s.submitter, s.points]), [
+    ['Here Comes the Rain Again', 'Eurythmics', 'Ana', 5],
+    ['Purple Rain', 'Prince', 'Ben', 4],
+    ['Umbrella', 'Rihanna, JAY-Z', 'Cleo, the DJ', 1],
+  ]);
+  assert.equal(rain.submissions[0].trackUrl, 'https://open.spotify.com/track/0000000000000000000001');
+  assert.deepEqual(rain.submissions[0].votes[0], { voter: 'Ben', points: 3, comment: 'Love this one, great pick' });
+  // A zero-point vote is only kept for its comment
+  assert.deepEqual(rain.submissions[2].votes.map(v => v.comment), [undefined, 'Not for me']);
+});
+
+test('rows that cannot be matched are skipped and reported', () => {
+  const { problems } = buildImport(readExport(...ALL), null, LEAGUE_URL, t);
+  assert.deepEqual(problems, [
+    'submissions.csv row 6: unknown submitter `dddddddddddddddddddddddddddddddd`',
+    'submissions.csv row 7: unknown round `99999999999999999999999999999999`',
+    'votes.csv row 8: no submission of `spotify:track:0000000000000000000009` in round `22222222222222222222222222222222`',
+    'votes.csv row 9: points `lots` is not a number',
+    'votes.csv row 10: unknown voter `eeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee`',
+  ]);
+});
+
+test('skipped rows are reported in the language asked for', () => {
+  const { problems } = buildImport(readExport(...ALL), null, LEAGUE_URL, i18n.translator('de'));
+  assert.equal(problems[3], 'votes.csv Zeile 9: Punkte `lots` sind keine Zahl');
+});
+
+test('tied players share a rank', () => {
+  const files = readExport('competitors', 'rounds', 'submissions');
+  files.votes = 'Spotify URI,Voter ID,Points Assigned,Round ID\n'
+    + `spotify:track:0000000000000000000001,${'b'.repeat(32)},3,${RAIN}\n`
+    + `spotify:track:0000000000000000000002,${'a'.repeat(32)},3,${RAIN}\n`;
+  const { data } = buildImport(files, null, LEAGUE_URL, t);
+  assert.deepEqual(data.standings.map(s => [s.name, s.rank]), [['Ana', 1], ['Ben', 1], ['Cleo, the DJ', 3]]);
+});
+
+// ─── Partial Imports ──────────────────────────────────────────────────────────
+
+test('scraped deadlines, phases and member details are kept', () => {
+  const existing = {
+    name: 'Indie Heads',
+    members: [{ id: 'a'.repeat(32), name: 'Ana (old name)', isAdmin: true }],
+    rounds: [{ roundId: COVERS, url: 'https://example.com/covers/', status: '🗳️ Voting Open', votingDeadline: '2026-01-19T18:00:00Z' }],
+    standings: [{ name: 'Ana', points: 1 }],
+    roundsError: 'Request timed out',
+  };
+  const { data } = buildImport(readExport('competitors', 'rounds'), existing, LEAGUE_URL, t);
+
+  assert.equal(data.name, 'Indie Heads');
+  assert.deepEqual(data.members[0], { id: 'a'.repeat(32), name: 'Ana', isAdmin: true });
+  const covers = data.rounds.find(r => r.roundId === COVERS);
+  assert.equal(covers.url, 'https://example.com/covers/');
+  assert.equal(covers.votingDeadline, '2026-01-19T18:00:00Z');
+  assert.equal(data.activeRound.roundId, COVERS);
+  assert.equal(data.roundsError, undefined);
+  // No votes imported, so the scraped standings stay
+  assert.deepEqual(data.standings, [{ name: 'Ana', points: 1 }]);
+});
+
+test('submissions and votes can be imported against cached members and rounds', () => {
+  const first = buildImport(readExport('competitors', 'rounds'), null, LEAGUE_URL, t);
+  const { data, counts } = buildImport(readExport('submissions', 'votes'), first.data, LEAGUE_URL, t);
+  assert.equal(data.members.length, 3);
+  assert.equal(data.standings[0].name, 'Ana');
+  assert.deepEqual(counts, { submissions: 4, votes: 6 });
+});
+
+test('files that cannot be matched at all are refused', () => {
+  assert.throws(() => buildImport(readExport('votes'), null, LEAGUE_URL, t), /attach submissions\.csv too/);
+  assert.throws(() => buildImport(readExport('submissions'), null, LEAGUE_URL, t), /attach competitors\.csv too/);
+  assert.throws(() => buildImport(readExport('competitors', 'submissions'), null, LEAGUE_URL, t), /attach rounds\.csv too/);
+});
+
+// ─── Later Scrapes ────────────────────────────────────────────────────────────
+
+test('a later scrape keeps the imported rounds, standings and members it could not get', () => {
+  const { data: imported } = buildImport(readExport(...ALL), null, LEAGUE_URL, t);
+  const scraped = { name: 'Indie Heads', url: LEAGUE_URL, members: [], roundsError: 'HTTP 500', standings: [], fetchedAt: 1 };
+  const merged = mergeScraped(imported, scraped);
+
+  assert.equal(merged.name, 'Indie Heads');
+  assert.equal(merged.imported, true);
+  assert.equal(merged.rounds, imported.rounds);
+  assert.equal(merged.standings, imported.standings);
+  assert.equal(merged.members, imported.members);
+  assert.equal(merged.roundsError, 'HTTP 500');
+});
+
+test('a complete scrape replaces an import, and scrapes of scraped leagues are stored as they are', () => {
+  const { data: imported } = buildImport(readExport(...ALL), null, LEAGUE_URL, t);
+  const scraped = {
+    name: 'Indie Heads',
+    members: [{ id: 'a'.repeat(32), name: 'Ana' }],
+    rounds: [{ roundId: RAIN, name: 'Songs About Rain', status: '✅ Complete' }],
+    activeRound: null,
+    standings: [{ name: 'Ana', points: 12, rank: 1 }],
+  };
+  assert.deepEqual(mergeScraped(imported, scraped), scraped);
+  assert.equal(mergeScraped({ ...scraped, imported: undefined }, { name: 'x', roundsError: 'boom' }).rounds, undefined);
+  assert.equal(mergeScraped(null, scraped), scraped);
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for jobqueue.js and the job storage of both backends — run with
+ * `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonBackend } = require('../storage-json');
+
+const BACKENDS = { json: dir => createJsonBackend(dir) };
+try {
+  require.resolve('better-sqlite3');
+  BACKENDS.sqlite = dir => require('../storage-sqlite').createSqliteBackend(dir);
+} catch {
+  // SQLite is optional; its tests are skipped without better-sqlite3
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'jobqueue-'));
+}
+
+// The queue goes through storage.js; point it at a JSON backend of our own
+const backend = createJsonBackend(tempDir());
+require.cache[require.resolve('../storage')] = {
+  exports: {
+    saveJob: (job, options) => backend.saveJob(job, options),
+    removeJob: id => backend.deleteJob(id),
+    claimJobs: (...args) => backend.claimJobs(...args),
+    finishJob: (...args) => backend.finishJob(...args),
+    getJobs: () => backend.loadJobs(),
+  },
+};
+const jobqueue = require('../jobqueue');
+
+const MINUTE = 60000;
+
+for (const name of ['json', 'sqlite']) {
+  test(`${name}: a leased job is only claimed again once its lease runs out`, { skip: !BACKENDS[name] }, () => {
+    const store = BACKENDS[name](tempDir());
+    store.saveJob({ id: 'a', type: 'reminder', runAt: 1000, every: null, data: { n: 1 }, attempts: 0 });
+    store.saveJob({ id: 'b', type: 'reminder', runAt: 5000, every: null, data: null, attempts: 0 });
+
+    const claimed = store.claimJobs('one', 2000, MINUTE, 10);
+    assert.deepEqual(claimed.map(j => [j.id, j.leaseOwner, j.data]), [['a', 'one', { n: 1 }]]);
+    assert.deepEqual(store.claimJobs('two', 3000, MINUTE, 10), []);
+    assert.deepEqual(store.claimJobs('two', 2000 + MINUTE, MINUTE, 10).map(j => j.id), ['a', 'b']);
+  });
+
+  test(`${name}: only the lease owner can finish a job, and ifMissing keeps what's there`, { skip: !BACKENDS[name] }, () => {
+    const store = BACKENDS[name](tempDir());
+    store.saveJob({ id: 'a', type: 'reminder', runAt: 1000, every: null, data: { n: 1 }, attempts: 0 });
+    assert.equal(store.saveJob({ id: 'a', type: 'reminder', runAt: 9000, data: { n: 2 } }, { ifMissing: true }), false);
+    assert.equal(store.loadJobs()[0].runAt, 1000);
+
+    store.claimJobs('one', 2000, MINUTE, 10);
+    assert.equal(store.finishJob('a', 'two', null), false);
+    assert.equal(store.finishJob('a', 'one', { runAt: 8000, data: { n: 3 }, attempts: 1 }), true);
+    assert.deepEqual(store.loadJobs().map(j => [j.runAt, j.data, j.attempts, j.leaseOwner ?? null]), [[8000, { n: 3 }, 1, null]]);
+
+    store.claimJobs('one', 9000, MINUTE, 10);
+    assert.equal(store.finishJob('a', 'one', null), true);
+    assert.deepEqual(store.loadJobs(), []);
+  });
+}
+
+test('json: a second instance waits until the first releases the data dir', async () => {
+  const dir = tempDir();
+  const release = await createJsonBackend(dir).lock();
+  let acquired = false;
+  const second = createJsonBackend(dir).lock().then(releaseSecond => {
+    acquired = true;
+    return releaseSecond;
+  });
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(acquired, false);
+  release();
+  (await second)();
+  assert.equal(acquired, true);
+  assert.equal(fs.existsSync(path.join(dir, 'instance.lock')), false);
+});
+
+test('json: a lock left by an exited process is taken over straight away', async () => {
+  const dir = tempDir();
+  // No process has this PID
+  fs.writeFileSync(path.join(dir, 'instance.lock'), JSON.stringify({ owner: 'crashed', pid: 2 ** 30, host: os.hostname() }));
+  const started = Date.now();
+  const release = await createJsonBackend(dir).lock();
+  assert.ok(Date.now() - started < 500);
+  release();
+});
+
+async function runDue(now = Date.now()) {
+  for (const job of backend.claimJobs(jobqueue.INSTANCE_ID, now, MINUTE, 10)) await jobqueue.runJob(job);
+}
+
+test('a handler reschedules its job by returning the next run, or ends it', async () => {
+  const seen = [];
+  jobqueue.register('step', async job => {
+    seen.push(job.data.step);
+    return job.data.step < 2 ? { runAt: 0, data: { step: job.data.step + 1 } } : null;
+  });
+  jobqueue.schedule({ id: 'steps', type: 'step', runAt: 0, data: { step: 1 } });
+
+  await runDue();
+  await runDue();
+  assert.deepEqual(seen, [1, 2]);
+  assert.equal(jobqueue.countPending(), 0);
+});
+
+test('recurring jobs move on by their interval, and failures are retried later', async () => {
+  let calls = 0;
+  jobqueue.register('tick', async () => {
+    if (++calls === 2) throw new Error('boom');
+  });
+  const now = Date.now();
+  jobqueue.schedule({ id: 'ticker', type: 'tick', runAt: now - 1000, every: 10 * MINUTE });
+
+  await runDue(now);
+  let [job] = backend.loadJobs();
+  assert.equal(job.runAt, now - 1000 + 10 * MINUTE);
+
+  await runDue(job.runAt);
+  [job] = backend.loadJobs();
+  assert.equal(job.attempts, 1);
+  assert.ok(job.runAt > Date.now() && job.runAt <= Date.now() + MINUTE);
+
+  // The interval stays put when it hasn't changed
+  assert.equal(jobqueue.scheduleRecurring('ticker', 'tick', 10 * MINUTE), false);
+  assert.equal(jobqueue.scheduleRecurring('ticker', 'tick', 5 * MINUTE), true);
+  jobqueue.cancel('ticker');
+  assert.equal(jobqueue.countPending(), 0);
+});
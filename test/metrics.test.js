@@ -0,0 +1,56 @@
+/**
+ * Tests for metrics.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+test.beforeEach(() => metrics.reset());
+
+test('every metric has HELP and TYPE lines, even before anything is recorded', () => {
+  const text = metrics.render();
+  for (const [name, { type }] of Object.entries(metrics.METRICS)) {
+    assert.match(text, new RegExp(`^# HELP ${name} .+$`, 'm'));
+    assert.match(text, new RegExp(`^# TYPE ${name} ${type}$`, 'm'));
+  }
+  assert.ok(text.endsWith('\n'));
+});
+
+test('counters add up per label set', () => {
+  metrics.increment('musicleague_commands_total', { command: 'round' });
+  metrics.increment('musicleague_commands_total', { command: 'round' });
+  metrics.increment('musicleague_commands_total', { command: 'stats' });
+  metrics.increment('musicleague_reminders_failed_total');
+
+  const text = metrics.render();
+  assert.match(text, /^musicleague_commands_total\{command="round"\} 2$/m);
+  assert.match(text, /^musicleague_commands_total\{command="stats"\} 1$/m);
+  assert.match(text, /^musicleague_reminders_failed_total 1$/m);
+});
+
+test('label order does not split a series, and values are escaped', () => {
+  metrics.increment('musicleague_scrapes_total', { guild: '1', league: 'main', result: 'success' });
+  metrics.increment('musicleague_scrapes_total', { result: 'success', league: 'main', guild: '1' });
+  metrics.increment('musicleague_scrapes_total', { guild: '1', league: 'say "hi"\\', result: 'failure' });
+
+  const text = metrics.render();
+  assert.match(text, /^musicleague_scrapes_total\{guild="1",league="main",result="success"\} 2$/m);
+  assert.ok(text.includes('musicleague_scrapes_total{guild="1",league="say \\"hi\\"\\\\",result="failure"} 1'));
+});
+
+test('timings are a summary with _sum and _count, even when the call throws', async () => {
+  const labels = { guild: '1', league: 'main' };
+  assert.equal(await metrics.time('musicleague_scrape_duration_seconds', labels, async () => 'data'), 'data');
+  await assert.rejects(metrics.time('musicleague_scrape_duration_seconds', labels, async () => { throw new Error('boom'); }));
+
+  const text = metrics.render();
+  assert.match(text, /^musicleague_scrape_duration_seconds_count\{guild="1",league="main"\} 2$/m);
+  assert.match(text, /^musicleague_scrape_duration_seconds_sum\{guild="1",league="main"\} \d+\.\d{6}$/m);
+});
+
+test('gauges are read at render time', () => {
+  const text = metrics.render({ musicleague_gateway_connected: 1, musicleague_jobs_pending: 4 });
+  assert.match(text, /^musicleague_gateway_connected 1$/m);
+  assert.match(text, /^musicleague_jobs_pending 4$/m);
+});
@@ -0,0 +1,63 @@
+/**
+ * Local stand-in for app.musicleague.com, for tests. Serves fixture pages
+ * by path; point the scraper at it with ML_BASE_URL.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Start the server on a free port. `routes` maps a path to what it serves:
+ *
+ *   - a fixture file name
+ *   - { status, headers, fixture | body } for anything else
+ *   - { destroy: true } to drop the connection without answering
+ *   - an array of the above, served in turn (the last one repeats)
+ *
+ * Unknown paths get a 404. Resolves to { baseUrl, requests, close }, where
+ * `requests` records the path and headers of everything received.
+ */
+function startMockServer(routes) {
+  const requests = [];
+  const hits = new Map();
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push({ path: req.url, headers: req.headers });
+
+    let route = routes[pathname];
+    if (Array.isArray(route)) {
+      const n = hits.get(pathname) || 0;
+      hits.set(pathname, n + 1);
+      route = route[Math.min(n, route.length - 1)];
+    }
+    if (typeof route === 'string') route = { fixture: route };
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end('<title>Music League | Not Found</title>');
+    }
+    if (route.destroy) return req.socket.destroy();
+
+    res.writeHead(route.status || 200, { 'Content-Type': 'text/html; charset=utf-8', ...route.headers });
+    res.end(route.fixture ? readFixture(route.fixture) : route.body || '');
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => {
+        server.closeAllConnections();
+        server.close(done);
+      }),
+    }));
+  });
+}
+
+module.exports = { startMockServer, readFixture };
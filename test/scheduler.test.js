@@ -0,0 +1,151 @@
+/**
+ * Tests for scheduler.js's reminder jobs: catching up, the grace window,
+ * retries and edits — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonBackend } = require('../storage-json');
+
+// Catch up reminders missed by up to 45 minutes
+process.env.MISSED_REMINDER_GRACE_MINUTES = '45';
+
+// Each test gets a JSON backend in a fresh temp dir, behind storage.js's API
+let backend;
+require.cache[require.resolve('../storage')] = {
+  exports: {
+    getGuildConfig: guildId => backend.loadGuild(guildId),
+    getLeague: () => null,
+    addReminder: reminder => backend.insertReminder(reminder),
+    updateReminder: reminder => backend.replaceReminder(reminder),
+    removeReminder: id => backend.deleteReminder(id),
+    getRemindersForGuild: guildId => backend.loadReminders(guildId),
+    getAllReminders: () => backend.loadReminders(),
+    saveJob: (job, options) => backend.saveJob(job, options),
+    removeJob: id => backend.deleteJob(id),
+    claimJobs: (...args) => backend.claimJobs(...args),
+    finishJob: (...args) => backend.finishJob(...args),
+    getJobs: () => backend.loadJobs(),
+  },
+};
+const scheduler = require('../scheduler');
+const jobqueue = require('../jobqueue');
+
+const MINUTE = 60000;
+const GUILD = 'guild-1';
+
+/**
+ * A client whose reminder channel records what is sent, and fails the
+ * first `failures` sends.
+ */
+function fakeClient(failures = 0) {
+  const sent = [];
+  const channel = {
+    async send(message) {
+      if (failures-- > 0) throw new Error('Missing Access');
+      sent.push(message);
+    },
+  };
+  return { sent, channels: { fetch: async () => channel } };
+}
+
+/**
+ * Store a reminder the way it was left when every instance went down, and
+ * restore it, which queues its job.
+ */
+function setup(reminder, client) {
+  backend = createJsonBackend(fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-')));
+  backend.insertReminder({ id: 'r1', guildId: GUILD, channelId: 'c1', type: 'submission', label: 'Submission', emoji: '📤', ...reminder });
+  scheduler.restoreReminders(client);
+}
+
+async function runDue(now = Date.now()) {
+  for (const job of backend.claimJobs(jobqueue.INSTANCE_ID, now, MINUTE, 10)) await jobqueue.runJob(job);
+}
+
+const stored = () => backend.loadReminders(GUILD)[0];
+const deadlineIn = minutes => new Date(Date.now() + minutes * MINUTE).toISOString();
+
+test('of several overdue steps only the latest is sent, late, and the rest are skipped', async () => {
+  const client = fakeClient();
+  const deadline = deadlineIn(30);
+  setup({ deadline, leads: [180, 120, 60, 10], remindAt: deadlineIn(-150) }, client);
+
+  await runDue();
+  assert.equal(client.sent.length, 1);
+  const [embed] = client.sent[0].embeds;
+  assert.match(embed.data.author.name, /Late reminder/);
+  assert.deepEqual(stored().sentLeads, [180, 120, 60]);
+
+  const [job] = backend.loadJobs();
+  assert.equal(job.runAt, new Date(deadline).getTime() - 10 * MINUTE);
+  assert.equal(stored().remindAt, new Date(job.runAt).toISOString());
+});
+
+test('a step missed by more than the grace window is skipped, not sent', async () => {
+  const client = fakeClient();
+  const deadline = deadlineIn(60);
+  setup({ deadline, leads: [240, 120, 30], remindAt: deadlineIn(-180) }, client);
+
+  await runDue();
+  assert.equal(client.sent.length, 0);
+  assert.deepEqual(stored().sentLeads, [240, 120]);
+  assert.equal(backend.loadJobs()[0].runAt, new Date(deadline).getTime() - 30 * MINUTE);
+});
+
+test('a failed send is retried by rescheduling the job with data.retry', async () => {
+  const client = fakeClient(1);
+  const deadline = deadlineIn(60);
+  setup({ deadline, leads: [60, 10], remindAt: deadline }, client);
+
+  await runDue(Date.now() + 1000);
+  assert.equal(client.sent.length, 0);
+  let [job] = backend.loadJobs();
+  assert.deepEqual(job.data.retry, { lead: 60, attempt: 1 });
+  assert.equal(job.attempts, 1);
+  assert.ok(job.runAt > Date.now() && job.runAt <= Date.now() + 30000);
+  assert.equal(stored().sentLeads, undefined);
+
+  await runDue(job.runAt);
+  assert.equal(client.sent.length, 1);
+  assert.deepEqual(stored().sentLeads, [60]);
+  [job] = backend.loadJobs();
+  assert.equal(job.data.retry, undefined);
+  assert.equal(job.runAt, new Date(deadline).getTime() - 10 * MINUTE);
+});
+
+test('a reminder edited while its job is queued fires at the new time, not the old one', async t => {
+  const client = fakeClient();
+  setup({ deadline: deadlineIn(60), leads: [60], remindAt: deadlineIn(0) }, client);
+
+  // Claimed for its old time, then moved before the job got to run
+  const [claimed] = backend.claimJobs(jobqueue.INSTANCE_ID, Date.now() + 1000, MINUTE, 10);
+  const newDeadline = deadlineIn(120);
+  scheduler.editReminder(GUILD, 'r1', { deadline: newDeadline });
+  await jobqueue.runJob(claimed);
+
+  assert.equal(client.sent.length, 0);
+  assert.deepEqual(backend.loadJobs().map(j => [j.runAt, j.leaseOwner]), [[new Date(newDeadline).getTime() - 60 * MINUTE, null]]);
+
+  const newTime = new Date(newDeadline).getTime() - 60 * MINUTE;
+  t.mock.method(Date, 'now', () => newTime);
+  await runDue(newTime);
+  assert.equal(client.sent.length, 1);
+  assert.equal(client.sent[0].embeds[0].data.author, undefined);
+  assert.equal(backend.loadReminders(GUILD).length, 0);
+});
+
+test('a step can be snoozed up to, but not onto or past, the step after it', () => {
+  setup({ deadline: deadlineIn(24 * 60 + 30), leads: [1440, 60, 10], remindAt: deadlineIn(30) }, fakeClient());
+
+  assert.throws(() => scheduler.snoozeReminder(GUILD, 'r1', 1400), /step after it is due 1h before/);
+  assert.throws(() => scheduler.snoozeReminder(GUILD, 'r1', 1380), /snoozed by less than 23h/);
+  assert.deepEqual(stored().leads, [1440, 60, 10]);
+
+  const updated = scheduler.snoozeReminder(GUILD, 'r1', 1320);
+  assert.deepEqual(updated.leads, [120, 60, 10]);
+  assert.equal(backend.loadJobs()[0].runAt, new Date(updated.deadline).getTime() - 120 * MINUTE);
+});
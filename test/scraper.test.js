@@ -0,0 +1,248 @@
+/**
+ * Tests for scraper.js — run with `node --test`.
+ *
+ * Parsers run against saved pages in test/fixtures; fetchLeague runs end to
+ * end against a local stand-in for Music League (mock-musicleague.js).
+ */
+
+// No need to be polite to our own server
+process.env.SCRAPE_MIN_INTERVAL_MS = '1';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const scraper = require('../scraper');
+const { startMockServer, readFixture } = require('./mock-musicleague');
+
+const { parseLeaguePage, parseRoundsFragment, parseStandings, decodeAlpineJson } = scraper;
+
+const LEAGUE_ID = '0123456789abcdef0123456789abcdef';
+const LEAGUE_URL = `https://app.musicleague.com/l/${LEAGUE_ID}/`;
+
+// ─── League Page ──────────────────────────────────────────────────────────────
+
+test('league page: name, stats, badges and members', () => {
+  const data = parseLeaguePage(readFixture('league.html'), LEAGUE_URL);
+  assert.equal(data.leagueId, LEAGUE_ID);
+  assert.equal(data.name, 'Indie Heads');
+  assert.equal(data.totalRounds, 10);
+  assert.equal(data.songsPerRound, 2);
+  assert.equal(data.currentPlayers, 3);
+  assert.equal(data.maxPlayers, 20);
+  assert.equal(data.privacy, 'Public');
+  assert.equal(data.speed, 'Speedy');
+  assert.deepEqual(data.members, [
+    { id: 'a'.repeat(32), name: 'Ana', isAdmin: true, joinedAt: '2026-01-05T18:00:00Z' },
+    { id: 'b'.repeat(32), name: 'Ben', isAdmin: false, joinedAt: '2026-01-06T09:30:00Z' },
+    { id: 'c'.repeat(32), name: 'Cleo', isAdmin: false, joinedAt: '2026-01-07T21:15:00Z' },
+  ]);
+});
+
+test('private league page is flagged private', () => {
+  const data = parseLeaguePage(readFixture('league-private.html'), LEAGUE_URL);
+  assert.equal(data.name, 'Office Secret Santa');
+  assert.equal(data.privacy, 'Private');
+  assert.equal(data.speed, undefined);
+  assert.deepEqual(data.members.map(m => m.name), ['Dev', 'Eli']);
+});
+
+test('encoded member JSON: quoted key, escaped ampersands, nested arrays', () => {
+  const data = parseLeaguePage(readFixture('league-encoded-members.html'), LEAGUE_URL);
+  assert.equal(data.privacy, 'Unlisted');
+  assert.deepEqual(data.members.map(m => m.name), ['Salt & Pepa Fan', 'Simon & Garfunkel']);
+  assert.deepEqual(data.members.map(m => m.isAdmin), [true, false]);
+});
+
+test('unreadable member JSON falls back to counting avatars', () => {
+  const html = '<title>Music League | Broken</title>'
+    + '<div x-data="{members: [{&#34;user&#34;: oops]}">'
+    + '<img class="rounded-circle" src="a.png" style="height: 36px">'
+    + '<img class="rounded-circle" src="b.png" style="height: 36px">'
+    + '</div>';
+  const data = parseLeaguePage(html, LEAGUE_URL);
+  assert.equal(data.members, undefined);
+  assert.equal(data.memberAvatarCount, 2);
+});
+
+test('a page without the Music League title has no name', () => {
+  assert.equal(parseLeaguePage('<html><body>Maintenance</body></html>', LEAGUE_URL).name, undefined);
+});
+
+test('decodeAlpineJson undoes Alpine and HTML escaping', () => {
+  assert.equal(decodeAlpineJson('{&#34;a&#34;:&#34;R\\u0026B &amp; Soul&#34;}'), '{"a":"R&B & Soul"}');
+});
+
+// ─── Rounds Fragment ──────────────────────────────────────────────────────────
+
+test('rounds: name, theme, status and deadlines per round', () => {
+  const rounds = parseRoundsFragment(readFixture('rounds.html'));
+  assert.deepEqual(rounds.map(r => r.roundId), ['1'.repeat(32), '2'.repeat(32), '3'.repeat(32)]);
+  assert.ok(rounds[0].url.endsWith(`/l/${LEAGUE_ID}/r/${'1'.repeat(32)}/`));
+  assert.deepEqual(rounds.map(r => r.name), ['Songs About Rain', 'Covers Better Than the Original', 'Road Trip']);
+  assert.equal(rounds[1].theme, 'Pick a cover that beats the original');
+  assert.deepEqual(rounds.map(r => r.status), ['✅ Complete', '🗳️ Voting Open', '⏳ Upcoming']);
+});
+
+test('rounds: deadlines never leak in from the previous round', () => {
+  const [first, second, third] = parseRoundsFragment(readFixture('rounds.html'));
+  assert.equal(first.submissionDeadline, '2026-01-10T18:00:00Z');
+  assert.equal(first.votingDeadline, '2026-01-12T18:00:00Z');
+  assert.equal(second.submissionDeadline, '2026-01-17T18:00:00Z');
+  assert.equal(second.votingDeadline, '2026-01-19T18:00:00.000Z');
+  assert.equal(third.submissionDeadline, 'Jan 20, 2026 at 6:00 PM');
+  assert.equal(third.votingDeadline, undefined);
+});
+
+test('rounds: an empty league has no rounds', () => {
+  assert.deepEqual(parseRoundsFragment(readFixture('rounds-empty.html')), []);
+});
+
+test('rounds: without round links, bare ISO dates are still collected', () => {
+  assert.deepEqual(parseRoundsFragment(readFixture('rounds-dates-only.html')), [
+    { status: 'Parsed dates only', allDates: ['2026-03-01T17:00:00Z', '2026-03-03T17:00:00Z'] },
+  ]);
+});
+
+// ─── Standings ────────────────────────────────────────────────────────────────
+
+test('standings: names and points in order', () => {
+  assert.deepEqual(parseStandings(readFixture('standings.html')), [
+    { name: 'Cleo', points: 42 },
+    { name: 'Ana', points: 37 },
+    { name: 'Ben', points: 0 },
+  ]);
+});
+
+test('standings: a fragment without entries is empty', () => {
+  assert.deepEqual(parseStandings(readFixture('rounds-empty.html')), []);
+});
+
+// ─── fetchLeague Against the Mock Server ──────────────────────────────────────
+
+// One league per scenario, so the league cache never carries over
+const ids = {
+  full: 'a'.repeat(32),
+  missing: 'b'.repeat(32),
+  serverError: 'c'.repeat(32),
+  login: 'd'.repeat(32),
+  roundsDown: 'e'.repeat(32),
+  unparseable: 'f'.repeat(32),
+  rateLimited: '1'.repeat(32),
+  private: '2'.repeat(32),
+  cached: '3'.repeat(32),
+  fragmentsFailing: '4'.repeat(32),
+};
+
+const leagueUrl = id => `https://app.musicleague.com/l/${id}/`;
+
+function leagueRoutes(id, page, rounds = 'rounds.html', standings = 'standings.html') {
+  return { [`/l/${id}/`]: page, [`/l/${id}/-/rounds`]: rounds, [`/l/${id}/-/standings`]: standings };
+}
+
+let server;
+
+before(async () => {
+  server = await startMockServer({
+    ...leagueRoutes(ids.full, 'league.html'),
+    [`/l/${ids.serverError}/`]: { status: 500, body: 'Internal Server Error' },
+    [`/l/${ids.login}/`]: { status: 302, headers: { Location: `/login/?next=/l/${ids.login}/` } },
+    '/login/': 'login.html',
+    ...leagueRoutes(ids.roundsDown, 'league.html', { destroy: true }),
+    [`/l/${ids.unparseable}/`]: { body: '<html><body>Maintenance</body></html>' },
+    ...leagueRoutes(ids.rateLimited, [{ status: 429, headers: { 'Retry-After': '0' } }, 'league.html'], 'rounds-empty.html'),
+    ...leagueRoutes(ids.private, 'league-private.html', 'rounds-empty.html', 'rounds-empty.html'),
+    ...leagueRoutes(ids.cached, 'league.html'),
+    ...leagueRoutes(ids.fragmentsFailing, 'league.html', { status: 500, body: 'Internal Server Error' }, 'login.html'),
+  });
+  process.env.ML_BASE_URL = server.baseUrl;
+});
+
+after(async () => {
+  delete process.env.ML_BASE_URL;
+  await server.close();
+});
+
+test('fetchLeague: league, rounds and standings from the stand-in', async () => {
+  const data = await scraper.fetchLeague(leagueUrl(ids.full));
+  assert.equal(data.url, leagueUrl(ids.full));
+  assert.equal(data.name, 'Indie Heads');
+  assert.equal(data.members.length, 3);
+  assert.equal(data.rounds.length, 3);
+  assert.ok(data.rounds.every(r => r.url.startsWith(`${server.baseUrl}/l/`)));
+  assert.equal(data.activeRound.name, 'Covers Better Than the Original');
+  assert.deepEqual(data.standings.map(s => s.name), ['Cleo', 'Ana', 'Ben']);
+  assert.equal(typeof data.fetchedAt, 'number');
+
+  const rounds = server.requests.find(r => r.path === `/l/${ids.full}/-/rounds`);
+  assert.equal(rounds.headers['hx-request'], 'true');
+});
+
+test('fetchLeague: private league with no rounds yet', async () => {
+  const data = await scraper.fetchLeague(leagueUrl(ids.private));
+  assert.equal(data.privacy, 'Private');
+  assert.deepEqual(data.rounds, []);
+  assert.equal(data.activeRound, null);
+  assert.deepEqual(data.standings, []);
+});
+
+test('fetchLeague: a 404 means the league does not exist', async () => {
+  await assert.rejects(scraper.fetchLeague(leagueUrl(ids.missing)), /League not found \(404\)/);
+});
+
+test('fetchLeague: other HTTP errors are reported with their status', async () => {
+  await assert.rejects(scraper.fetchLeague(leagueUrl(ids.serverError)), /HTTP 500 fetching league page/);
+});
+
+test('fetchLeague: a redirect to the login page asks for ML_COOKIE', async () => {
+  await assert.rejects(scraper.fetchLeague(leagueUrl(ids.login)), /Login required/);
+  assert.ok(server.requests.some(r => r.path === `/login/?next=/l/${ids.login}/`));
+});
+
+test('fetchLeague: a page without a league name is rejected', async () => {
+  await assert.rejects(scraper.fetchLeague(leagueUrl(ids.unparseable)), /Could not parse league name/);
+});
+
+test('fetchLeague: a URL without a league ID is rejected before any request', async () => {
+  const before = server.requests.length;
+  await assert.rejects(scraper.fetchLeague('https://app.musicleague.com/about/'), /Could not extract league ID/);
+  assert.equal(server.requests.length, before);
+});
+
+test('fetchLeague: a failed rounds request keeps the rest of the league', async () => {
+  const data = await scraper.fetchLeague(leagueUrl(ids.roundsDown));
+  assert.equal(data.name, 'Indie Heads');
+  assert.ok(data.roundsError);
+  assert.equal(data.rounds, undefined);
+  assert.equal(data.standings.length, 3);
+});
+
+test('fetchLeague: an error status or the login page in a fragment is an error, not an empty list', async () => {
+  const data = await scraper.fetchLeague(leagueUrl(ids.fragmentsFailing));
+  assert.equal(data.name, 'Indie Heads');
+  assert.match(data.roundsError, /HTTP 500 fetching rounds/);
+  assert.equal(data.rounds, undefined);
+  assert.match(data.standingsError, /Login required/);
+  assert.equal(data.standings, undefined);
+});
+
+test('fetchLeague: a 429 is retried after Retry-After', async () => {
+  const data = await scraper.fetchLeague(leagueUrl(ids.rateLimited));
+  assert.equal(data.name, 'Indie Heads');
+  assert.equal(server.requests.filter(r => r.path === `/l/${ids.rateLimited}/`).length, 2);
+});
+
+test('fetchLeague: results are cached unless fresh data is asked for', async () => {
+  const pageHits = () => server.requests.filter(r => r.path === `/l/${ids.cached}/`).length;
+
+  const [a, b] = await Promise.all([scraper.fetchLeague(leagueUrl(ids.cached)), scraper.fetchLeague(leagueUrl(ids.cached))]);
+  assert.equal(pageHits(), 1);
+  assert.deepEqual(a, b);
+
+  // Callers get their own copy
+  a.members.length = 0;
+  const c = await scraper.fetchLeague(leagueUrl(ids.cached));
+  assert.equal(pageHits(), 1);
+  assert.equal(c.members.length, 3);
+
+  await scraper.fetchLeague(leagueUrl(ids.cached), { fresh: true });
+  assert.equal(pageHits(), 2);
+});
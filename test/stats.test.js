@@ -0,0 +1,111 @@
+/**
+ * Tests for stats.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStats, playerSummaries, fanPairs, rivalPairs, topArtists, findPlayer } = require('../stats');
+
+function song(submitter, artist, votes) {
+  const points = Object.values(votes).reduce((a, b) => a + b, 0);
+  return { submitter, artist, points, votes: Object.entries(votes).map(([voter, p]) => ({ voter, points: p })) };
+}
+
+// Ana, Ben and Cleo play two rounds; Cleo skips voting in the second
+const ROUND_1 = {
+  name: 'Songs About Rain',
+  revealed: true,
+  submissions: [
+    song('Ana', 'Prince', { Ben: 3, Cleo: 2 }),
+    song('Ben', 'Eurythmics', { Ana: 1 }),
+    song('Cleo', 'Rihanna', { Ana: 1 }),
+  ],
+};
+const ROUND_2 = {
+  name: 'Covers',
+  revealed: true,
+  submissions: [
+    song('Ana', 'Johnny Cash', {}),
+    song('Ben', 'Prince', { Ana: 2 }),
+    song('Cleo', 'Jeff Buckley', { Ana: 1, Ben: 4 }),
+  ],
+};
+// Still open: nobody is named, so it doesn't count
+const ROUND_3 = { name: 'Open Round', revealed: false, submissions: [{ title: 'Hidden', votes: [] }] };
+
+const SEASON = { name: 'Indie Heads', rounds: [{ number: 1, detail: ROUND_1 }, { number: 2, detail: ROUND_2 }, { number: 3, detail: ROUND_3 }] };
+
+test('average points and best and worst finishes per player', () => {
+  const stats = computeStats([SEASON]);
+  assert.equal(stats.roundCount, 2);
+
+  const byName = Object.fromEntries(playerSummaries(stats).map(p => [p.name, p]));
+  assert.equal(byName.Ana.average, 2.5);
+  assert.equal(byName.Cleo.average, 3);
+  assert.deepEqual([byName.Ana.best.finish, byName.Ana.best.round], [1, 'Songs About Rain']);
+  assert.deepEqual([byName.Ana.worst.finish, byName.Ana.worst.round], [3, 'Covers']);
+  // Ben and Cleo tied on 1 point in round 1
+  assert.deepEqual(stats.players.get('Ben').results.map(r => r.finish), [2, 2]);
+  assert.deepEqual(stats.players.get('Cleo').results.map(r => r.finish), [2, 1]);
+});
+
+test('summaries are sorted by average points', () => {
+  assert.deepEqual(playerSummaries(computeStats([SEASON])).map(p => p.name), ['Cleo', 'Ana', 'Ben']);
+});
+
+test('biggest fans are the voter → submitter pairs with the most points', () => {
+  const fans = fanPairs(computeStats([SEASON]));
+  assert.deepEqual(fans[0], { voter: 'Ben', submitter: 'Cleo', points: 4 });
+  assert.deepEqual(fans[1], { voter: 'Ben', submitter: 'Ana', points: 3 });
+});
+
+test('biggest rivals give each other the fewest points', () => {
+  const rivals = rivalPairs(computeStats([SEASON]));
+  // Ana ↔ Cleo: 2 + 2, Ana ↔ Ben: 3 + 3, Ben ↔ Cleo: 4 + 0
+  assert.deepEqual(rivals.map(r => [r.a, r.b, r.points, r.rounds]), [
+    ['Ana', 'Cleo', 4, 2],
+    ['Ben', 'Cleo', 4, 2],
+    ['Ana', 'Ben', 6, 2],
+  ]);
+});
+
+test('most-voted artists add up points across submissions', () => {
+  const [first, second] = topArtists(computeStats([SEASON]));
+  assert.deepEqual(first, { name: 'Prince', points: 7, submissions: 2 });
+  assert.equal(second.name, 'Jeff Buckley');
+});
+
+test('voting consistency counts the rounds each player voted in', () => {
+  const byName = Object.fromEntries(playerSummaries(computeStats([SEASON])).map(p => [p.name, p]));
+  assert.deepEqual([byName.Ana.roundsVoted, byName.Ana.played, byName.Ana.songsPerVote], [2, 2, 2]);
+  assert.deepEqual([byName.Cleo.roundsVoted, byName.Cleo.played], [1, 2]);
+});
+
+test('seasons are combined by player name', () => {
+  const next = { name: 'Indie Heads 2', rounds: [{ number: 1, detail: ROUND_1 }] };
+  const stats = computeStats([SEASON, next]);
+  assert.equal(stats.seasonCount, 2);
+  assert.equal(stats.roundCount, 3);
+  assert.deepEqual(stats.players.get('Ana').results.map(r => r.season), ['Indie Heads', 'Indie Heads', 'Indie Heads 2']);
+});
+
+test('archived rounds without votes count for points, not for fans, rivals or voting', () => {
+  const archived = {
+    name: 'Indie Heads 0',
+    rounds: [{ number: 1, detail: { ...ROUND_1, withoutVotes: true, submissions: ROUND_1.submissions.map(({ votes, ...s }) => s) } }],
+  };
+  const stats = computeStats([archived, SEASON]);
+  assert.equal(stats.roundCount, 3);
+  assert.deepEqual(fanPairs(stats), fanPairs(computeStats([SEASON])));
+  assert.ok(rivalPairs(stats).every(r => r.rounds === 2));
+
+  const byName = Object.fromEntries(playerSummaries(stats).map(p => [p.name, p]));
+  assert.deepEqual([byName.Ana.played, byName.Ana.withVotes, byName.Ana.roundsVoted], [3, 2, 2]);
+});
+
+test('findPlayer matches exactly, then by substring', () => {
+  const stats = computeStats([SEASON]);
+  assert.equal(findPlayer(stats, 'cleo'), 'Cleo');
+  assert.equal(findPlayer(stats, 'e'), 'Ben');
+  assert.equal(findPlayer(stats, 'Dev'), null);
+});
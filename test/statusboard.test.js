@@ -0,0 +1,62 @@
+/**
+ * Tests for statusboard.js — run with `node --test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// statusboard.js only reads leagues through storage in the pinning helpers
+require.cache[require.resolve('../storage')] = { exports: {} };
+const { nextDeadline, buildStatusEmbed } = require('../statusboard');
+const i18n = require('../i18n');
+
+const t = i18n.translator('en');
+
+const NOW = Date.parse('2024-12-20T12:00:00Z');
+const ROUND = {
+  name: 'Songs About Rain',
+  submissionDeadline: '2024-12-21T12:00:00Z',
+  votingDeadline: '2024-12-23T18:30:00Z',
+};
+
+test('the deadline follows the phase of the round', () => {
+  assert.equal(nextDeadline({ ...ROUND, status: '📤 Submissions Open' }, NOW).key, 'submissionsClose');
+  assert.equal(nextDeadline({ ...ROUND, status: '🗳️ Voting Open' }, NOW).key, 'votingCloses');
+  // Status unknown: the next deadline ahead
+  assert.equal(nextDeadline(ROUND, Date.parse('2024-12-22T00:00:00Z')).key, 'votingCloses');
+  assert.equal(nextDeadline(ROUND, Date.parse('2024-12-24T00:00:00Z')), null);
+  assert.equal(nextDeadline(null, NOW), null);
+});
+
+test('the status shows time remaining and a standings table with movement', () => {
+  const league = {
+    key: 'main',
+    leagueUrl: 'https://app.musicleague.com/l/abc/',
+    leagueCache: { name: 'Indie Heads', activeRound: { ...ROUND, status: '🗳️ Voting Open' } },
+    standingsHistory: [
+      { roundName: 'Round 1', standings: [{ name: 'Ben', points: 5, rank: 1 }, { name: 'Ana', points: 3, rank: 2 }] },
+      { roundName: 'Round 2', standings: [{ name: 'Ana', points: 9, rank: 1 }, { name: 'Ben', points: 7, rank: 2 }] },
+    ],
+  };
+  const { title, fields } = buildStatusEmbed(league, NOW, t).toJSON();
+  assert.equal(title, '📌 Indie Heads');
+
+  const byName = Object.fromEntries(fields.map(f => [f.name, f.value]));
+  assert.match(byName['⏳ Time Remaining'], /^\*\*3d 6h 30m\*\* until voting closes \(<t:\d+:R>\)$/);
+  assert.equal(byName['🏆 Standings (Top 2)'], '🥇 Ana — 9 pts ▲1\n🥈 Ben — 7 pts ▼1');
+  assert.equal(byName['🏆 Standings (Top 3)'], undefined);
+});
+
+test('a league without data yet still gets a status', () => {
+  const { title, description } = buildStatusEmbed({ key: 'main' }, NOW, t).toJSON();
+  assert.equal(title, '📌 main');
+  assert.match(description, /No league data yet/);
+});
+
+test('the status is written in the language it is given', () => {
+  const league = { key: 'main', leagueCache: { name: 'Indie Heads', activeRound: { ...ROUND, status: '📤 Submissions Open' } } };
+  const { fields, footer } = buildStatusEmbed(league, NOW, i18n.translator('es')).toJSON();
+  const byName = Object.fromEntries(fields.map(f => [f.name, f.value]));
+  assert.match(byName['⏳ Tiempo restante'], /hasta que cierren los envíos/);
+  assert.match(footer.text, /^Se actualiza cada/);
+});